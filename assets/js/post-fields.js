@@ -17,6 +17,8 @@
  * - WordPress Media Library (wp.media)
  * - WordPress Color Picker (wp-color-picker)
  * - WordPress CodeMirror (wp-codemirror) - optional
+ * - WordPress editor API (wp.editor) - optional, for WYSIWYG fields in repeaters and groups
+ * - WordPress uploader (wp.Uploader / plupload) - for drag-and-drop uploads onto media fields
  * - Select2 (for AJAX selects)
  *
  * Table of Contents:
@@ -33,6 +35,13 @@
  * 11. Password Fields
  * 12. Code Editors
  * 13. oEmbed Fields
+ * 14. Extension API
+ * 15. Block Editor
+ * 16. Change Tracking
+ * 17. Validation
+ * 18. Import & Export
+ * 19. WYSIWYG Editors
+ * 20. Drag & Drop Uploads
  */
 
 (function ($) {
@@ -49,6 +58,7 @@
      * @property {Object} conditions - Field conditional logic configurations
      * @property {string} restUrl    - REST API base URL for AJAX requests
      * @property {string} nonce      - WordPress REST API nonce
+     * @property {string} mediaUrl   - Media REST endpoint (wp/v2/media) for editing attachments
      * @property {Object} i18n       - Internationalization strings
      */
     var config = window.arraypressPostFields || {};
@@ -62,6 +72,118 @@
      */
     var PostFields = {
 
+        /**
+         * Registered field type handlers keyed by type name
+         *
+         * @type {Object}
+         */
+        fieldTypes: {},
+
+        /**
+         * Lifecycle event listeners keyed by event name
+         *
+         * @type {Object}
+         */
+        listeners: {},
+
+        /**
+         * Whether initial page setup has completed
+         *
+         * @type {boolean}
+         */
+        initialized: false,
+
+        /**
+         * IDs of the currently shown field error notices
+         *
+         * @type {Array}
+         */
+        fieldErrorNotices: [],
+
+        /**
+         * Selector matching field wrappers at any nesting level
+         *
+         * @type {string}
+         */
+        fieldSelector: '.arraypress-field, .arraypress-group__field, .arraypress-repeater__field',
+
+        /**
+         * Whether a full validation pass has been requested (e.g. on publish)
+         *
+         * @type {boolean}
+         */
+        validationAttempted: false,
+
+        /**
+         * Whether show/hide changes should animate (only for user edits)
+         *
+         * @type {boolean}
+         */
+        animateConditions: false,
+
+        /**
+         * Nesting depth of batchRowUpdates calls
+         *
+         * @type {number}
+         */
+        batchDepth: 0,
+
+        /**
+         * Repeaters waiting to be re-indexed when the current batch ends
+         *
+         * @type {Array}
+         */
+        reindexQueue: [],
+
+        /**
+         * Observer that sets up heavy components when rows scroll into view
+         *
+         * @type {IntersectionObserver|null}
+         */
+        rowObserver: null,
+
+        /**
+         * Counter for unique IDs of editors created in repeater rows
+         *
+         * @type {number}
+         */
+        editorCount: 0,
+
+        /**
+         * Counter for unique IDs of focal point and crop editors
+         *
+         * @type {number}
+         */
+        imageFocusCount: 0,
+
+        /**
+         * Counter for the keys of rows added in the editor
+         *
+         * @type {number}
+         */
+        rowKeyCount: 0,
+
+        /**
+         * Number of posts whose repeater collapse state is kept in storage
+         *
+         * @type {number}
+         */
+        collapseStateLimit: 50,
+
+        /**
+         * Format of rows copied to the clipboard
+         *
+         * Bump the version when the payload changes in a way older code
+         * can't paste.
+         *
+         * @type {Object}
+         */
+        clipboardFormat: {
+            name: 'arraypress-post-fields/rows',
+            version: 1,
+            storageKey: 'arraypress-post-fields-clipboard'
+        },
+
         /**
          * Initialize all functionality
          *
@@ -76,13 +198,26 @@
             this.initFileUrlFields();
             this.initGalleryFields();
             this.initRepeaterFields();
-            this.initConditionalLogic();
             this.initAjaxSelects();
             this.initButtonGroups();
             this.initRangeSliders();
             this.initPasswordFields();
             this.initCodeEditors();
+            this.initWysiwygEditors();
+            this.initDropUploads();
             this.initOembedFields();
+            this.initBlockEditor();
+
+            // Set up every registered component outside of templates
+            this.initComponents($(document));
+            this.initialized = true;
+
+            this.initConditionalLogic();
+            this.initValidation();
+            this.initChangeTracking();
+            this.initRepeaterTransfer();
+
+            this.emit('ready', {});
         },
 
         /* =====================================================================
@@ -92,13 +227,26 @@
         /**
          * Initialize WordPress color picker fields
          *
-         * Applies the wpColorPicker plugin to all color picker inputs.
+         * Registers the wpColorPicker plugin as a component so it is applied
+         * on page load and to new repeater rows.
          *
          * @memberof PostFields
          * @return {void}
          */
         initColorPickers: function () {
-            $('.arraypress-color-picker').wpColorPicker();
+            this.registerFieldType('color', {
+                selector: '.arraypress-color-picker',
+                init: function ($input) {
+                    $input.wpColorPicker();
+                },
+                reset: function ($input) {
+                    if ($input.val()) {
+                        $input.wpColorPicker('color', $input.val());
+                    } else {
+                        $input.closest('.wp-picker-container').find('.wp-color-result').css('background-color', '');
+                    }
+                }
+            });
         },
 
         /* =====================================================================
@@ -129,636 +277,3696 @@
                 var $field = $(this).closest('.arraypress-media-field');
                 self.removeMedia($field);
             });
+
+            this.initImageFocus();
         },
 
         /**
          * Open WordPress media library frame
          *
-         * Opens the media library for selecting an image or file.
+         * Opens the media library for selecting an image or file, filtered
+         * by the field's allowed file types.
          *
          * @memberof PostFields
          * @param {jQuery} $field - The media field container element
          * @return {void}
          */
         openMediaFrame: function ($field) {
-            var $input = $field.find('.arraypress-media-input');
+            var self = this;
             var type = $field.data('type');
-            var autoTitleField = $field.data('auto-title-field');
+            var libraryType = this.getLibraryType($field);
 
             var frame = wp.media({
                 title: type === 'image' ? 'Select Image' : 'Select File',
                 button: {text: 'Use this ' + type},
                 multiple: false,
-                library: type === 'image' ? {type: 'image'} : {}
+                library: libraryType ? {type: libraryType} : {}
             });
 
-            frame.on('select', function () {
-                var attachment = frame.state().get('selection').first().toJSON();
-                $input.val(attachment.id).trigger('change');
-
-                if (type === 'image') {
-                    var url = attachment.sizes && attachment.sizes.thumbnail
-                        ? attachment.sizes.thumbnail.url
-                        : attachment.url;
-                    $field.find('.arraypress-media-preview').html(
-                        '<img src="' + url + '" alt="" />'
-                    );
-                } else {
-                    $field.find('.arraypress-file-preview').html(
-                        '<a href="' + attachment.url + '" target="_blank">' +
-                        attachment.filename +
-                        '</a>'
-                    );
-                }
-
-                $field.find('.arraypress-media-remove').show();
-
-                // Auto-fill title field if configured
-                if (autoTitleField && attachment.title) {
-                    var $row = $field.closest('.arraypress-repeater__row, .arraypress-group');
-                    var $titleInput = $row.find('[name*="[' + autoTitleField + ']"]');
+            this.constrainMediaFrame(frame, $field);
 
-                    // Only fill if the title field is empty
-                    if ($titleInput.length && !$titleInput.val()) {
-                        $titleInput.val(attachment.title).trigger('change');
-                    }
-                }
+            frame.on('select', function () {
+                self.selectMedia($field, frame.state().get('selection').first().toJSON());
             });
 
             frame.open();
         },
 
         /**
-         * Remove media from a field
+         * Use an attachment in an image or file field
          *
-         * Clears the input value and preview for a media field.
+         * Used for picks from the media library and for dropped uploads.
          *
          * @memberof PostFields
-         * @param {jQuery} $field - The media field container element
+         * @param {jQuery} $field     - The media field container element
+         * @param {Object} attachment - The attachment data (as from wp.media)
          * @return {void}
          */
-        removeMedia: function ($field) {
-            $field.find('.arraypress-media-input').val('').trigger('change');
-            $field.find('.arraypress-media-preview, .arraypress-file-preview').empty();
-            $field.find('.arraypress-media-remove').hide();
-        },
+        selectMedia: function ($field, attachment) {
+            $field.find('.arraypress-media-input').val(attachment.id).trigger('change');
+            this.renderMediaPreview($field, attachment);
 
-        /* =====================================================================
-           4. File URL Fields
-           ===================================================================== */
+            // A focal point or crop area belongs to the previous image
+            this.closeImageFocus($field);
+            $field.find('.arraypress-image-focus-input').val('').trigger('change');
+
+            this.autoFillFields($field, attachment);
+
+            this.emit('media-selected', {
+                $field: $field,
+                type: $field.data('type'),
+                attachments: [attachment]
+            });
+        },
 
         /**
-         * Initialize file URL field interactions
+         * Fill sibling fields from a selected attachment
          *
-         * Sets up event handlers for the file URL browse button.
+         * Uses the field's auto-fill map (see ConfigParser::get_auto_fill_map()),
+         * which maps field keys to attachment properties. Targets are looked
+         * up in the same repeater row or group, or among top-level fields.
+         * The overwrite policy of each mapping decides whether a value is
+         * replaced: "empty" only fills empty fields, "unedited" also replaces
+         * values that were auto-filled and not changed since, and "always"
+         * replaces any value. Values filled on an earlier page load come
+         * from the field's data-auto-filled attribute, rendered from the
+         * stored attachment.
          *
          * @memberof PostFields
+         * @param {jQuery} $field     - The media or file URL field container element
+         * @param {Object} attachment - The attachment data (as from wp.media)
          * @return {void}
          */
-        initFileUrlFields: function () {
+        autoFillFields: function ($field, attachment) {
             var self = this;
+            var map = $field.data('auto-fill');
+            var filled = $field.data('auto-filled') || {};
+            var scopes = '.arraypress-repeater__row, .arraypress-group';
+            var $scope = $field.closest(scopes);
 
-            // Browse button click
-            $(document).on('click', '.arraypress-file-url-browse', function (e) {
-                e.preventDefault();
-                var $field = $(this).closest('.arraypress-file-url-field');
-                self.openFileUrlFrame($field);
+            if (!Array.isArray(map) || !map.length) {
+                return;
+            }
+
+            if (!$scope.length) {
+                $scope = $field.closest('.arraypress-metabox');
+            }
+
+            map.forEach(function (mapping) {
+                var value = self.getAttachmentProperty(attachment, mapping.from);
+                var $target = $scope.find('[data-field-key="' + mapping.field + '"]').filter(function () {
+                    var $owner = $(this).closest(scopes);
+
+                    return $scope.is('.arraypress-metabox') ? !$owner.length : $owner[0] === $scope[0];
+                }).first();
+                var $input = self.getOwnInputs($target)
+                    .filter('input, textarea, select')
+                    .not(':checkbox, :radio, [type="hidden"], [type="button"]')
+                    .first();
+                var current = $input.val();
+                var marker = $input.data('arraypress-auto-filled');
+
+                if (!$input.length || value === '' || value === null || value === undefined) {
+                    return;
+                }
+
+                value = String(value);
+
+                if (marker === undefined) {
+                    marker = filled[mapping.field];
+                }
+
+                if (current && mapping.overwrite !== 'always' &&
+                    !(mapping.overwrite === 'unedited' && current === marker)) {
+                    return;
+                }
+
+                // Selects can only take one of their options
+                if ($input.is('select') && !$input.find('option').filter(function () {
+                    return this.value === value;
+                }).length) {
+                    return;
+                }
+
+                $input.val(value).data('arraypress-auto-filled', value).trigger('change');
             });
         },
 
         /**
-         * Open WordPress media library frame for file URL selection
+         * Get a property of an attachment for auto-filling
          *
-         * Opens the media library and inserts the selected file's URL into the input.
+         * Besides the keys of wp.media attachment data (title, alt, caption,
+         * description, url, filename, mime, width, height...), understands
+         * filesize (bytes), filesize_human, extension, dimensions, duration
+         * (e.g. "3:25") and duration_human.
          *
          * @memberof PostFields
-         * @param {jQuery} $field - The file URL field container element
-         * @return {void}
+         * @param {Object} attachment - The attachment data (as from wp.media)
+         * @param {string} property   - The property name
+         * @return {string|number|undefined} The value, or undefined if the attachment has none
          */
-        openFileUrlFrame: function ($field) {
-            var $input = $field.find('.arraypress-file-url-input');
-            var autoTitleField = $field.data('auto-title-field');
+        getAttachmentProperty: function (attachment, property) {
+            var aliases = {
+                filesize: 'filesizeInBytes',
+                filesize_human: 'filesizeHumanReadable',
+                duration: 'fileLength',
+                duration_human: 'fileLengthHumanReadable',
+                alt_text: 'alt'
+            };
+            var value;
 
-            var frame = wp.media({
-                title: 'Select File',
-                button: {text: 'Use this file'},
-                multiple: false
-            });
+            switch (property) {
+                case 'extension':
+                    value = (attachment.filename || '').split('.').pop();
+                    return value !== attachment.filename ? value.toLowerCase() : undefined;
 
-            frame.on('select', function () {
-                var attachment = frame.state().get('selection').first().toJSON();
-                $input.val(attachment.url).trigger('change');
+                case 'dimensions':
+                    return attachment.width && attachment.height ? attachment.width + ' × ' + attachment.height : undefined;
 
-                // Auto-fill title field if configured
-                if (autoTitleField && attachment.title) {
-                    var $row = $field.closest('.arraypress-repeater__row, .arraypress-group');
-                    var $titleInput = $row.find('[name*="[' + autoTitleField + ']"]');
+                case 'filesize_human':
+                    return attachment.filesizeHumanReadable ||
+                        (attachment.filesizeInBytes ? this.formatFileSize(attachment.filesizeInBytes) : undefined);
+            }
 
-                    // Only fill if the title field is empty
-                    if ($titleInput.length && !$titleInput.val()) {
-                        $titleInput.val(attachment.title).trigger('change');
-                    }
-                }
-            });
+            value = attachment[aliases[property] || property];
 
-            frame.open();
+            return typeof value === 'string' || typeof value === 'number' ? value : undefined;
         },
 
-        /* =====================================================================
-           5. Gallery Fields
-           ===================================================================== */
-
         /**
-         * Initialize gallery field interactions
+         * Get the media constraints of an image, file or gallery field
          *
-         * Sets up event handlers for adding/removing images and sortable functionality.
+         * Set from the field's mime_types, extensions, min/max dimensions
+         * and max_file_size options (see MediaConstraints::get_media_constraints()).
          *
          * @memberof PostFields
-         * @return {void}
+         * @param {jQuery} $field - The media or gallery field container element
+         * @return {Object} The constraints
          */
-        initGalleryFields: function () {
-            var self = this;
+        getMediaConstraints: function ($field) {
+            var constraints = $field.data('constraints');
 
-            // Add images button click
-            $(document).on('click', '.arraypress-gallery-add', function (e) {
-                e.preventDefault();
-                var $field = $(this).closest('.arraypress-gallery-field');
-                self.openGalleryFrame($field);
-            });
+            return $.isPlainObject(constraints) ? constraints : {};
+        },
 
-            // Remove single image button click
-            $(document).on('click', '.arraypress-gallery-remove', function (e) {
-                e.preventDefault();
-                var $item = $(this).closest('.arraypress-gallery-item');
-                var $field = $item.closest('.arraypress-gallery-field');
-                self.removeGalleryItem($item, $field);
-            });
+        /**
+         * Get the type filter of a field's media library
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The media or gallery field container element
+         * @return {string|Array|undefined} MIME types to show, or undefined for all
+         */
+        getLibraryType: function ($field) {
+            var constraints = this.getMediaConstraints($field);
 
-            // Make galleries sortable via drag and drop
-            $('.arraypress-gallery-preview').sortable({
-                items: '.arraypress-gallery-item',
-                cursor: 'move',
-                update: function (event, ui) {
-                    var $field = $(this).closest('.arraypress-gallery-field');
-                    self.updateGalleryInput($field);
-                }
-            });
+            if (constraints.mime_types && constraints.mime_types.length) {
+                return constraints.mime_types;
+            }
+
+            return this.requiresImage($field) ? 'image' : undefined;
         },
 
         /**
-         * Open media library for gallery selection
+         * Check if a field only accepts images
          *
-         * Opens the media library in multiple selection mode for galleries.
+         * @memberof PostFields
+         * @param {jQuery} $field - The media or gallery field container element
+         * @return {boolean} True for image and gallery fields
+         */
+        requiresImage: function ($field) {
+            return $field.hasClass('arraypress-gallery-field') || $field.data('type') === 'image';
+        },
+
+        /**
+         * Reject picks that don't meet a field's media constraints
+         *
+         * Attachments are checked as they are selected in the media frame,
+         * including uploads once they finish. Rejected attachments are
+         * removed from the selection and the reason is shown in the frame's
+         * toolbar.
          *
          * @memberof PostFields
-         * @param {jQuery} $field - The gallery field container element
+         * @param {Object} frame  - The wp.media frame
+         * @param {jQuery} $field - The media or gallery field container element
          * @return {void}
          */
-        openGalleryFrame: function ($field) {
+        constrainMediaFrame: function (frame, $field) {
             var self = this;
-            var $input = $field.find('.arraypress-gallery-input');
-            var $preview = $field.find('.arraypress-gallery-preview');
-            var max = parseInt($field.data('max')) || 0;
-
-            var frame = wp.media({
-                title: 'Select Images',
-                button: {text: 'Add to Gallery'},
-                multiple: true,
-                library: {type: 'image'}
-            });
-
-            frame.on('select', function () {
-                var attachments = frame.state().get('selection').toJSON();
-                var currentIds = $input.val() ? $input.val().split(',') : [];
 
-                attachments.forEach(function (attachment) {
-                    // Check max items limit
-                    if (max > 0 && currentIds.length >= max) {
+            frame.on('open', function () {
+                var selection = frame.state().get('selection');
+                var $notice = $('<span class="arraypress-media-error" role="alert"></span>');
+                var check = function (attachment) {
+                    if (attachment.get('uploading')) {
+                        attachment.once('change:uploading', function () {
+                            if (selection.get(attachment)) {
+                                check(attachment);
+                            }
+                        });
                         return;
                     }
 
-                    // Skip if already in gallery
-                    if (currentIds.indexOf(String(attachment.id)) !== -1) {
-                        return;
-                    }
+                    var error = self.getAttachmentError(attachment.toJSON(), $field);
 
-                    currentIds.push(attachment.id);
+                    if (error) {
+                        selection.remove(attachment);
+                        $notice.text(error);
+                    }
+                };
 
-                    // Get thumbnail URL
-                    var url = attachment.sizes && attachment.sizes.thumbnail
-                        ? attachment.sizes.thumbnail.url
-                        : attachment.url;
+                frame.$el.find('.media-toolbar-primary').prepend($notice);
 
-                    // Add to preview
-                    $preview.append(
-                        '<div class="arraypress-gallery-item" data-id="' + attachment.id + '">' +
-                        '<img src="' + url + '" alt="" />' +
-                        '<button type="button" class="arraypress-gallery-remove">&times;</button>' +
-                        '</div>'
-                    );
+                selection.on('add', check);
+                selection.on('reset', function () {
+                    $notice.text('');
                 });
-
-                $input.val(currentIds.join(',')).trigger('change');
             });
-
-            frame.open();
         },
 
         /**
-         * Remove a single image from gallery
+         * Check an attachment against a field's media constraints
+         *
+         * Mirrors MediaConstraints::attachment_meets_constraints(), which
+         * checks the same rules again when the post is saved. Dimensions
+         * can be skipped for files that haven't been uploaded yet.
          *
          * @memberof PostFields
-         * @param {jQuery} $item  - The gallery item to remove
-         * @param {jQuery} $field - The gallery field container
-         * @return {void}
+         * @param {Object}  attachment       - The attachment data (as from wp.media)
+         * @param {jQuery}  $field           - The media or gallery field container element
+         * @param {boolean} [skipDimensions] - Skip the width and height checks
+         * @return {string} Why the attachment can't be used, or an empty string
          */
-        removeGalleryItem: function ($item, $field) {
-            $item.remove();
-            this.updateGalleryInput($field);
+        getAttachmentError: function (attachment, $field, skipDimensions) {
+            var i18n = config.i18n || {};
+            var constraints = this.getMediaConstraints($field);
+            var name = attachment.filename || attachment.title || String(attachment.id);
+            var mime = String(attachment.mime || '');
+            var extension = name.indexOf('.') !== -1 ? name.split('.').pop().toLowerCase() : '';
+            var width = parseInt(attachment.width) || 0;
+            var height = parseInt(attachment.height) || 0;
+            var size = parseInt(attachment.filesizeInBytes) || 0;
+            var allowed;
+
+            if (this.requiresImage($field) && mime.indexOf('image/') !== 0) {
+                return this.formatMessage(i18n.mediaNotImage || '"%s" is not an image.', name);
+            }
+
+            var mimeAllowed = !constraints.mime_types || constraints.mime_types.some(function (type) {
+                return mime === type || mime.indexOf(type + '/') === 0;
+            });
+
+            if (!mimeAllowed || (constraints.extensions && constraints.extensions.indexOf(extension) === -1)) {
+                allowed = constraints.extensions
+                    ? constraints.extensions.map(function (ext) {
+                        return '.' + ext;
+                    })
+                    : constraints.mime_types;
+
+                return this.formatMessage(
+                    i18n.mediaInvalidType || '"%1$s" is not an allowed file type. Allowed types: %2$s.',
+                    name, allowed.join(', ')
+                );
+            }
+
+            if (!skipDimensions && constraints.min_width && width < constraints.min_width) {
+                return this.formatMessage(i18n.mediaMinWidth || '"%1$s" is %2$s px wide; it must be at least %3$s px wide.', name, width, constraints.min_width);
+            }
+
+            if (!skipDimensions && constraints.min_height && height < constraints.min_height) {
+                return this.formatMessage(i18n.mediaMinHeight || '"%1$s" is %2$s px high; it must be at least %3$s px high.', name, height, constraints.min_height);
+            }
+
+            if (!skipDimensions && constraints.max_width && (!width || width > constraints.max_width)) {
+                return this.formatMessage(i18n.mediaMaxWidth || '"%1$s" is %2$s px wide; it must be at most %3$s px wide.', name, width, constraints.max_width);
+            }
+
+            if (!skipDimensions && constraints.max_height && (!height || height > constraints.max_height)) {
+                return this.formatMessage(i18n.mediaMaxHeight || '"%1$s" is %2$s px high; it must be at most %3$s px high.', name, height, constraints.max_height);
+            }
+
+            // Sizes are missing before WordPress 6.0; the check on save still applies
+            if (constraints.max_file_size && size > constraints.max_file_size) {
+                return this.formatMessage(
+                    i18n.mediaMaxFileSize || '"%1$s" is %2$s; files must be %3$s or smaller.',
+                    name, this.formatFileSize(size), this.formatFileSize(constraints.max_file_size)
+                );
+            }
+
+            return '';
         },
 
         /**
-         * Update gallery hidden input with current image IDs
-         *
-         * Rebuilds the comma-separated list of attachment IDs from the current order.
+         * Format a file size for display
          *
          * @memberof PostFields
-         * @param {jQuery} $field - The gallery field container
-         * @return {void}
+         * @param {number} bytes - The size in bytes
+         * @return {string} The size, e.g. "1.5 MB"
          */
-        updateGalleryInput: function ($field) {
-            var $input = $field.find('.arraypress-gallery-input');
-            var ids = [];
+        formatFileSize: function (bytes) {
+            var units = ['B', 'KB', 'MB', 'GB'];
+            var unit = 0;
 
-            $field.find('.arraypress-gallery-item').each(function () {
-                ids.push($(this).data('id'));
-            });
+            while (bytes >= 1024 && unit < units.length - 1) {
+                bytes /= 1024;
+                unit++;
+            }
 
-            $input.val(ids.join(',')).trigger('change');
+            return (unit ? Math.round(bytes * 10) / 10 : bytes) + ' ' + units[unit];
         },
 
-        /* =====================================================================
-           6. Repeater Fields
-           ===================================================================== */
-
         /**
-         * Initialize repeater field interactions
-         *
-         * Sets up event handlers for adding/removing/reordering rows.
+         * Show the preview of a media field's attachment
          *
          * @memberof PostFields
+         * @param {jQuery} $field     - The media field container element
+         * @param {Object} attachment - The attachment data (as from wp.media)
          * @return {void}
          */
-        initRepeaterFields: function () {
-            var self = this;
+        renderMediaPreview: function ($field, attachment) {
+            $field.attr('data-filename', attachment.filename || '');
 
-            // Add row button click
-            $(document).on('click', '.arraypress-repeater__add', function (e) {
-                e.preventDefault();
-                var $repeater = $(this).closest('.arraypress-repeater');
-                self.addRepeaterRow($repeater);
-            });
-
-            // Remove row button click
-            $(document).on('click', '.arraypress-repeater__row-remove', function (e) {
-                e.preventDefault();
-                e.stopPropagation();
-                var $repeater = $(this).closest('.arraypress-repeater');
-                var $row = $(this).closest('.arraypress-repeater__row');
-                self.removeRepeaterRow($repeater, $row);
-            });
-
-            // Toggle row collapse - click on toggle button
-            $(document).on('click', '.arraypress-repeater__row-toggle', function (e) {
-                e.preventDefault();
-                e.stopPropagation();
-                $(this).closest('.arraypress-repeater__row').toggleClass('is-collapsed');
-            });
-
-            // Toggle row collapse - click on header (excluding buttons)
-            $(document).on('click', '.arraypress-repeater__row-header', function (e) {
-                // Only toggle if clicking on the header itself or the title, not on buttons
-                var $target = $(e.target);
-                if ($target.is('button') || $target.closest('button').length) {
-                    return;
-                }
-
-                var $row = $(this).closest('.arraypress-repeater__row');
-                var $repeater = $row.closest('.arraypress-repeater');
-                var layout = $repeater.data('layout') || 'vertical';
+            if ($field.data('type') === 'image') {
+                var url = attachment.sizes && attachment.sizes.thumbnail
+                    ? attachment.sizes.thumbnail.url
+                    : attachment.url;
 
-                // Only toggle for non-horizontal layouts
-                if (layout !== 'horizontal') {
-                    $row.toggleClass('is-collapsed');
-                }
-            });
+                $field.find('.arraypress-media-preview').empty().append($('<img alt="" />').attr('src', url));
 
-            // Make standard repeater rows sortable
-            $('.arraypress-repeater__rows').sortable({
-                handle: '.arraypress-repeater__row-handle',
-                items: '.arraypress-repeater__row',
-                cursor: 'move',
-                placeholder: 'arraypress-repeater__row ui-sortable-placeholder',
-                update: function (event, ui) {
-                    var $repeater = $(this).closest('.arraypress-repeater');
-                    self.updateRepeaterIndexes($repeater);
+                if ($field.is('[data-editor-src]')) {
+                    $field.attr('data-editor-src', ['large', 'medium', 'full'].reduce(function (src, size) {
+                        return src || (attachment.sizes && attachment.sizes[size] ? attachment.sizes[size].url : '');
+                    }, '') || attachment.url);
+                    $field.find('.arraypress-image-focus-edit').show();
                 }
-            });
+            } else {
+                $field.find('.arraypress-file-preview').empty().append(
+                    $('<a target="_blank"></a>').attr('href', attachment.url).text(attachment.filename)
+                );
+            }
 
-            // Make table layout rows sortable
-            $('.arraypress-repeater--table .arraypress-repeater__table tbody').sortable({
-                handle: '.arraypress-repeater__row-handle',
-                items: 'tr.arraypress-repeater__row',
-                cursor: 'move',
-                placeholder: 'ui-sortable-placeholder',
-                helper: function (e, tr) {
-                    // Preserve cell widths during drag
-                    var $originals = tr.children();
-                    var $helper = tr.clone();
-                    $helper.children().each(function (index) {
-                        $(this).width($originals.eq(index).width());
-                    });
-                    return $helper;
-                },
-                update: function (event, ui) {
-                    var $repeater = $(this).closest('.arraypress-repeater');
-                    self.updateRepeaterIndexes($repeater);
-                }
-            });
+            $field.find('.arraypress-media-remove').show();
         },
 
         /**
-         * Add a new row to a repeater field
+         * Load the previews of media fields that only have an attachment ID
          *
-         * Clones the template row and initializes any nested components.
+         * Used for rows whose values were imported or pasted rather than
+         * picked in the media library.
          *
          * @memberof PostFields
-         * @param {jQuery} $repeater - The repeater container element
+         * @param {jQuery} $container - The container to look in
          * @return {void}
          */
-        addRepeaterRow: function ($repeater) {
+        hydrateMediaPreviews: function ($container) {
             var self = this;
-            var layout = $repeater.data('layout') || 'vertical';
-            var $template = $repeater.find('.arraypress-repeater__template');
-            var max = parseInt($repeater.data('max')) || 0;
-            var rowTitle = $repeater.data('row-title') || '';
 
-            // Get rows container based on layout type
-            var $rows;
-            if (layout === 'table') {
-                $rows = $repeater.find('.arraypress-repeater__table tbody');
-            } else {
-                $rows = $repeater.find('.arraypress-repeater__rows');
+            if (typeof wp === 'undefined' || !wp.media || typeof wp.media.attachment !== 'function') {
+                return;
             }
 
-            var currentCount = $rows.find('.arraypress-repeater__row').length;
+            $container.find('.arraypress-media-field').each(function () {
+                var $field = $(this);
+                var id = parseInt($field.find('.arraypress-media-input').val()) || 0;
 
-            // Check max items limit
-            if (max > 0 && currentCount >= max) {
-                alert('Maximum items reached');
-                return;
-            }
+                if (!id || $field.closest('.arraypress-repeater__template').length ||
+                    $field.find('.arraypress-media-preview, .arraypress-file-preview').children().length) {
+                    return;
+                }
 
-            var newIndex = currentCount;
+                var attachment = wp.media.attachment(id);
 
-            // Clone template row
-            var $newRow;
-            if (layout === 'table') {
-                $newRow = $($template.find('tr').prop('outerHTML'));
-            } else {
-                $newRow = $($template.children().first().prop('outerHTML'));
-            }
+                attachment.fetch().done(function () {
+                    self.renderMediaPreview($field, attachment.toJSON());
 
-            // Replace placeholder index with actual index
-            $newRow.find('[name]').each(function () {
-                var name = $(this).attr('name');
-                $(this).attr('name', name.replace('__INDEX__', newIndex));
+                    var $row = $field.closest('.arraypress-repeater__row');
+                    if ($row.length) {
+                        self.updateRowTitle($row);
+                    }
+                });
             });
+        },
 
-            $newRow.attr('data-index', newIndex);
+        /**
+         * Remove media from a field
+         *
+         * Clears the input value and preview for a media field.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The media field container element
+         * @return {void}
+         */
+        removeMedia: function ($field) {
+            $field.attr('data-filename', '');
+            $field.find('.arraypress-media-input').val('').trigger('change');
+            $field.find('.arraypress-media-preview, .arraypress-file-preview').empty();
+            $field.find('.arraypress-media-remove').hide();
 
-            // Update title based on row_title configuration or default
-            var displayTitle = this.generateRowTitle(rowTitle, newIndex, {});
-            $newRow.find('.arraypress-repeater__row-title').text(displayTitle);
+            this.closeImageFocus($field);
+            $field.find('.arraypress-image-focus-input').val('').trigger('change');
+            $field.find('.arraypress-image-focus-edit').hide();
+        },
 
-            // Hide empty state row if present (table layout)
-            $repeater.find('.arraypress-repeater__empty-row').hide();
+        /**
+         * Initialize the focal point and crop editor of image fields
+         *
+         * Image fields with focal_point or crop_ratio get a panel below the
+         * preview where the focal point is set by clicking the image and the
+         * crop area is moved and resized by dragging. Positions are stored
+         * as fractions (0 to 1) of the image size in hidden inputs.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initImageFocus: function () {
+            var self = this;
 
-            // Append new row
-            $rows.append($newRow);
-            this.updateRepeaterIndexes($repeater);
+            $(document).on('click', '.arraypress-image-focus-edit', function (e) {
+                e.preventDefault();
+                var $field = $(this).closest('.arraypress-media-field');
 
-            // Initialize components in the new row
-            $newRow.find('.arraypress-color-picker').wpColorPicker();
+                if ($field.children('.arraypress-image-focus').length) {
+                    self.closeImageFocus($field);
+                } else {
+                    self.openImageFocus($field);
+                }
+            });
 
-            // Initialize AJAX selects in new row
-            $newRow.find('.arraypress-ajax-select').each(function () {
-                self.initSingleAjaxSelect($(this));
+            $(document).on('pointerdown', '.arraypress-image-focus__stage', function (e) {
+                if (e.button === 0) {
+                    self.startImageFocusDrag($(this).closest('.arraypress-media-field'), e);
+                }
             });
 
-            // Initialize button groups state
-            $newRow.find('.arraypress-button-group__input').each(function () {
-                var $input = $(this);
-                $input.closest('.arraypress-button-group__item')
-                    .toggleClass('is-selected', $input.is(':checked'));
+            $(document).on('keydown', '.arraypress-image-focus__point, .arraypress-image-focus__crop', function (e) {
+                self.moveImageFocusByKey($(this).closest('.arraypress-media-field'), $(this), e);
             });
 
-            // Initialize code editors in new row
-            $newRow.find('.arraypress-code-field').each(function () {
-                self.initSingleCodeEditor($(this));
+            $(document).on('click', '.arraypress-image-focus__reset', function (e) {
+                e.preventDefault();
+                var i18n = config.i18n || {};
+                var $field = $(this).closest('.arraypress-media-field');
+
+                $field.find('.arraypress-image-focus-input').val('').trigger('change');
+                self.drawImageFocus($field, self.getImageFocus($field));
+                self.announce(i18n.focusResetDone || 'Focal point and crop area reset.');
             });
 
-            // Evaluate conditional fields in the new row
-            this.evaluateRowConditions($newRow);
+            $(document).on('click', '.arraypress-image-focus__done', function (e) {
+                e.preventDefault();
+                var $field = $(this).closest('.arraypress-media-field');
+
+                self.closeImageFocus($field);
+                $field.find('.arraypress-image-focus-edit').trigger('focus');
+            });
         },
 
         /**
-         * Generate row title based on configuration
+         * Open the focal point and crop editor of an image field
          *
          * @memberof PostFields
-         * @param {string} titleTemplate - The title template with {index} placeholder
-         * @param {int} index - The row index (0-based)
-         * @param {object} rowData - The row data for field value substitution
-         * @return {string} The generated title
+         * @param {jQuery} $field - The media field container element
+         * @return {void}
          */
-        generateRowTitle: function (titleTemplate, index, rowData) {
-            var displayIndex = (typeof index === 'number') ? index + 1 : '#';
+        openImageFocus: function ($field) {
+            var self = this;
+            var i18n = config.i18n || {};
+            var hasPoint = String($field.attr('data-focal-point')) === '1';
+            var hasCrop = this.getCropRatio($field) > 0;
+            var help = [];
+            var helpId = 'arraypress-image-focus-help-' + (++this.imageFocusCount);
+
+            this.closeImageFocus($field);
+
+            var $editor = $(
+                '<div class="arraypress-image-focus">' +
+                '<div class="arraypress-image-focus__stage">' +
+                '<img class="arraypress-image-focus__image" alt="" draggable="false" />' +
+                '</div>' +
+                '<p class="description arraypress-image-focus__help"></p>' +
+                '<p class="arraypress-image-focus__actions">' +
+                '<button type="button" class="button arraypress-image-focus__done"></button> ' +
+                '<button type="button" class="button-link arraypress-image-focus__reset"></button>' +
+                '</p>' +
+                '</div>'
+            );
+            var $stage = $editor.find('.arraypress-image-focus__stage');
+
+            if (hasCrop) {
+                $stage.append(
+                    $('<div class="arraypress-image-focus__crop" tabindex="0" role="group"></div>')
+                        .attr('aria-label', i18n.cropArea || 'Crop area')
+                        .attr('aria-describedby', helpId)
+                        .append('<span class="arraypress-image-focus__handle" aria-hidden="true"></span>')
+                );
+                help.push(i18n.cropAreaHelp || 'Drag the crop area to move it, or its corner to resize it.');
+            }
 
-            if (titleTemplate) {
-                var title = titleTemplate.replace('{index}', displayIndex);
-                // Remove {value} placeholder for new rows (no value yet)
-                title = title.replace(/[:\s]*\{value\}/, '');
-                return title.trim();
+            if (hasPoint) {
+                $stage.append(
+                    $('<button type="button" class="arraypress-image-focus__point"></button>')
+                        .attr('aria-label', i18n.focalPoint || 'Focal point')
+                        .attr('aria-describedby', helpId)
+                );
+                help.unshift(i18n.focalPointHelp || 'Click the image or drag the marker to set the focal point: the part of the image that stays visible when it is cropped.');
             }
 
-            return 'Item ' + displayIndex;
+            help.push(i18n.focusKeyboardHelp || 'With the keyboard, the arrow keys move the focused marker or crop area (hold Shift for larger steps), and + and - resize the crop area.');
+
+            $editor.find('.arraypress-image-focus__help').attr('id', helpId).text(help.join(' '));
+            $editor.find('.arraypress-image-focus__done').text(i18n.focusDone || 'Done');
+            $editor.find('.arraypress-image-focus__reset').text(i18n.focusReset || 'Reset');
+
+            // The crop area's height depends on the image's aspect ratio
+            $editor.find('.arraypress-image-focus__image').on('load', function () {
+                $editor.data('image-ratio', this.naturalWidth / this.naturalHeight || 1);
+                self.drawImageFocus($field, self.getImageFocus($field));
+            }).attr('src', $field.attr('data-editor-src') || $field.find('.arraypress-media-preview img').attr('src'));
+
+            $field.append($editor);
+            $field.find('.arraypress-image-focus-edit').attr('aria-expanded', 'true');
+            $editor.find('.arraypress-image-focus__point, .arraypress-image-focus__crop').first().trigger('focus');
         },
 
         /**
-         * Remove a row from a repeater field
+         * Close the focal point and crop editor of an image field
          *
          * @memberof PostFields
-         * @param {jQuery} $repeater - The repeater container element
-         * @param {jQuery} $row      - The row to remove
+         * @param {jQuery} $field - The media field container element
          * @return {void}
          */
-        removeRepeaterRow: function ($repeater, $row) {
-            var layout = $repeater.data('layout') || 'vertical';
-            var min = parseInt($repeater.data('min')) || 0;
-
-            // Get rows container based on layout type
-            var $rows;
-            if (layout === 'table') {
-                $rows = $repeater.find('.arraypress-repeater__table tbody');
-            } else {
-                $rows = $repeater.find('.arraypress-repeater__rows');
-            }
+        closeImageFocus: function ($field) {
+            $field.children('.arraypress-image-focus').remove();
+            $field.find('.arraypress-image-focus-edit').attr('aria-expanded', 'false');
+        },
 
-            var currentCount = $rows.find('.arraypress-repeater__row').length;
+        /**
+         * Get the crop ratio (width / height) of an image field
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The media field container element
+         * @return {number} The ratio, or 0 without a crop area
+         */
+        getCropRatio: function ($field) {
+            return parseFloat($field.attr('data-crop-ratio')) || 0;
+        },
 
-            // Check min items limit
-            if (min > 0 && currentCount <= min) {
-                alert('Minimum items required');
-                return;
-            }
+        /**
+         * Get the focal point and crop area of an image field
+         *
+         * Empty inputs fall back to the center of the image and the largest
+         * centered crop area, matching what is saved without a choice.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The media field container element
+         * @return {Object} {point: {x, y}|null, crop: {x, y, width, height}|null}
+         */
+        getImageFocus: function ($field) {
+            var values = {};
+            var focus = {point: null, crop: null};
 
-            // Destroy Select2 before removing to prevent memory leaks
-            $row.find('.select2-hidden-accessible').select2('destroy');
+            $field.find('.arraypress-image-focus-input').each(function () {
+                var value = $(this).val();
 
-            // Destroy CodeMirror instances if any
-            $row.find('.arraypress-code-editor').each(function () {
-                var cm = $(this).data('codemirror');
-                if (cm) {
-                    cm.toTextArea();
-                }
+                values[$(this).data('focus-key')] = value === '' ? null : parseFloat(value);
             });
 
-            $row.remove();
-            this.updateRepeaterIndexes($repeater);
+            if ('focal_point.x' in values) {
+                focus.point = {
+                    x: values['focal_point.x'] === null ? 0.5 : values['focal_point.x'],
+                    y: values['focal_point.y'] === null ? 0.5 : values['focal_point.y']
+                };
+            }
 
-            // Show empty state row if no rows remain (table layout)
-            if ($rows.find('.arraypress-repeater__row').length === 0) {
-                $repeater.find('.arraypress-repeater__empty-row').show();
+            if ('crop.width' in values) {
+                focus.crop = values['crop.width']
+                    ? this.fitCrop($field, {
+                        x: values['crop.x'] || 0,
+                        y: values['crop.y'] || 0,
+                        width: values['crop.width']
+                    })
+                    : this.fitCrop($field, {x: 0.5, y: 0.5, width: 1}, true);
             }
+
+            return focus;
         },
 
         /**
-         * Update repeater row indexes after add/remove/sort
+         * Fit a crop area to the crop ratio and the image
          *
-         * Re-indexes all rows and updates their input name attributes.
+         * The height follows from the width, so the area keeps the crop
+         * ratio in pixels whatever the image's aspect ratio.
          *
          * @memberof PostFields
-         * @param {jQuery} $repeater - The repeater container element
+         * @param {jQuery}  $field   - The media field container element
+         * @param {Object}  crop     - The crop area: {x, y, width}
+         * @param {boolean} [center] - Whether x and y are the center rather than the top left
+         * @return {Object} The crop area: {x, y, width, height}
+         */
+        fitCrop: function ($field, crop, center) {
+            var imageRatio = $field.children('.arraypress-image-focus').data('image-ratio') || 1;
+            var factor = imageRatio / (this.getCropRatio($field) || 1);
+            var width = Math.max(0.05, Math.min(crop.width, 1, 1 / factor));
+            var height = width * factor;
+            var x = center ? crop.x - width / 2 : crop.x;
+            var y = center ? crop.y - height / 2 : crop.y;
+
+            return {
+                x: Math.max(0, Math.min(x, 1 - width)),
+                y: Math.max(0, Math.min(y, 1 - height)),
+                width: width,
+                height: height
+            };
+        },
+
+        /**
+         * Position the focal point marker and crop area of an open editor
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The media field container element
+         * @param {Object} focus  - The focal point and crop area (see getImageFocus())
          * @return {void}
          */
-        updateRepeaterIndexes: function ($repeater) {
-            var self = this;
-            var layout = $repeater.data('layout') || 'vertical';
-            var metaKey = $repeater.data('meta-key');
-            var rowTitle = $repeater.data('row-title') || '';
-            var rowTitleField = $repeater.data('row-title-field') || '';
+        drawImageFocus: function ($field, focus) {
+            var $editor = $field.children('.arraypress-image-focus');
+            var percent = function (value) {
+                return (value * 100) + '%';
+            };
 
-            // Get rows based on layout type
-            var $rows;
-            if (layout === 'table') {
-                $rows = $repeater.find('.arraypress-repeater__table tbody .arraypress-repeater__row');
-            } else {
-                $rows = $repeater.find('.arraypress-repeater__rows .arraypress-repeater__row');
+            if (focus.point) {
+                $editor.find('.arraypress-image-focus__point').css({
+                    left: percent(focus.point.x),
+                    top: percent(focus.point.y)
+                });
             }
 
-            $rows.each(function (index) {
-                var $row = $(this);
-                $row.attr('data-index', index);
+            if (focus.crop) {
+                $editor.find('.arraypress-image-focus__crop').css({
+                    left: percent(focus.crop.x),
+                    top: percent(focus.crop.y),
+                    width: percent(focus.crop.width),
+                    height: percent(focus.crop.height)
+                });
+            }
+        },
 
-                // Get field value if rowTitleField is set
-                var fieldValue = '';
-                if (rowTitleField) {
-                    var $titleField = $row.find('[name*="[' + rowTitleField + ']"]');
-                    fieldValue = $titleField.val() || '';
-                }
+        /**
+         * Store the focal point and crop area of an image field
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The media field container element
+         * @param {Object} focus  - The focal point and crop area (see getImageFocus())
+         * @return {void}
+         */
+        setImageFocus: function ($field, focus) {
+            var values = {};
+            var round = function (value) {
+                return String(Math.round(value * 10000) / 10000);
+            };
 
-                // Generate title
-                var displayTitle;
-                var displayIndex = index + 1;
+            if (focus.point) {
+                values['focal_point.x'] = round(focus.point.x);
+                values['focal_point.y'] = round(focus.point.y);
+            }
 
-                if (rowTitle) {
-                    displayTitle = rowTitle.replace('{index}', displayIndex);
+            if (focus.crop) {
+                $.each(['x', 'y', 'width', 'height'], function (i, key) {
+                    values['crop.' + key] = round(focus.crop[key]);
+                });
+            }
 
-                    // Replace {value} placeholder
-                    if (fieldValue) {
-                        displayTitle = displayTitle.replace('{value}', fieldValue);
-                    } else {
-                        // Remove {value} and any preceding colon/space if value is empty
-                        displayTitle = displayTitle.replace(/[:\s]*\{value\}/, '');
-                    }
+            $field.find('.arraypress-image-focus-input').each(function () {
+                var key = $(this).data('focus-key');
 
-                    displayTitle = displayTitle.trim();
-                } else if (fieldValue) {
-                    displayTitle = fieldValue;
-                } else {
-                    displayTitle = 'Item ' + displayIndex;
+                if (key in values && $(this).val() !== values[key]) {
+                    $(this).val(values[key]).trigger('change');
                 }
-
-                $row.find('.arraypress-repeater__row-title').text(displayTitle);
-
-                // Update all input names with new index
-                $row.find('[name]').each(function () {
-                    var name = $(this).attr('name');
-                    var newName = name.replace(/\[\d+\]/, '[' + index + ']');
-                    $(this).attr('name', newName);
-                });
             });
-        },
 
-        /* =====================================================================
-           7. Conditional Logic
-           ===================================================================== */
+            this.drawImageFocus($field, focus);
+        },
 
         /**
-         * Initialize conditional field logic
+         * Start dragging in the focal point and crop editor
          *
-         * Sets up event delegation for handling show/hide based on field values.
+         * Dragging the crop area moves it and dragging its corner resizes
+         * it; a click (or drag elsewhere) sets the focal point. The inputs
+         * are updated when the pointer is released.
          *
          * @memberof PostFields
+         * @param {jQuery} $field - The media field container element
+         * @param {Event}  e      - The pointerdown event
          * @return {void}
          */
-        initConditionalLogic: function () {
+        startImageFocusDrag: function ($field, e) {
             var self = this;
+            var $target = $(e.target);
+            var $stage = $field.find('.arraypress-image-focus__stage');
+            var focus = this.getImageFocus($field);
+            var start = {x: e.clientX, y: e.clientY, crop: focus.crop};
+            var mode = 'point';
+            var moved = false;
+
+            if ($target.closest('.arraypress-image-focus__handle').length) {
+                mode = 'resize';
+            } else if ($target.closest('.arraypress-image-focus__crop').length) {
+                mode = 'crop';
+            }
 
-            // Use event delegation for all form field changes
-            $(document).on(
-                'change input',
-                '.arraypress-metabox input, .arraypress-metabox select, .arraypress-metabox textarea',
-                function () {
-                    var $input = $(this);
+            if (mode === 'point' && !focus.point) {
+                return;
+            }
 
-                    // Ignore inputs in the template (not yet added to DOM properly)
-                    if ($input.closest('.arraypress-repeater__template').length) {
-                        return;
-                    }
+            e.preventDefault();
+            $target.closest('.arraypress-image-focus__point, .arraypress-image-focus__crop').trigger('focus');
+
+            var update = function (event) {
+                var rect = $stage[0].getBoundingClientRect();
+                var x = (event.clientX - rect.left) / rect.width;
+                var y = (event.clientY - rect.top) / rect.height;
+
+                if (mode === 'point') {
+                    focus.point = {x: Math.max(0, Math.min(x, 1)), y: Math.max(0, Math.min(y, 1))};
+                } else if (mode === 'resize') {
+                    focus.crop = self.fitCrop($field, {
+                        x: start.crop.x,
+                        y: start.crop.y,
+                        width: Math.min(x - start.crop.x, 1 - start.crop.x,
+                            (1 - start.crop.y) * start.crop.width / start.crop.height)
+                    });
+                } else {
+                    focus.crop = self.fitCrop($field, {
+                        x: start.crop.x + (event.clientX - start.x) / rect.width,
+                        y: start.crop.y + (event.clientY - start.y) / rect.height,
+                        width: start.crop.width
+                    });
+                }
 
-                    // Check if we're inside a repeater row
-                    var $row = $input.closest('.arraypress-repeater__row');
+                self.drawImageFocus($field, focus);
+            };
 
-                    if ($row.length) {
-                        // Evaluate conditions within this row only
-                        self.evaluateRowConditions($row);
-                    } else {
-                        // Top-level field - evaluate all conditions in the metabox
-                        var $metabox = $input.closest('.arraypress-metabox');
-                        self.evaluateMetaboxConditions($metabox);
-                    }
+            $(document).on('pointermove.arraypressImageFocus', function (event) {
+                // Small movements are clicks
+                if (!moved && Math.abs(event.clientX - start.x) < 3 && Math.abs(event.clientY - start.y) < 3) {
+                    return;
                 }
-            );
 
-            // Initial evaluation of all conditional fields on page load
-            this.evaluateAllConditions();
+                moved = true;
+                update(event);
+            }).on('pointerup.arraypressImageFocus pointercancel.arraypressImageFocus', function (event) {
+                $(document).off('.arraypressImageFocus');
+
+                // A click inside the crop area sets the focal point
+                if (!moved && mode === 'crop' && focus.point) {
+                    mode = 'point';
+                }
+
+                if (!moved && mode === 'point') {
+                    update(event);
+                }
+
+                if (moved || mode === 'point') {
+                    self.setImageFocus($field, focus);
+                }
+            });
         },
 
         /**
-         * Evaluate all conditional fields on the page
+         * Move or resize the focal point or crop area with the keyboard
          *
-         * Called on initialization to set initial visibility state.
+         * Arrow keys move by 1% of the image (10% with Shift); + and -
+         * resize the crop area.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field  - The media field container element
+         * @param {jQuery} $target - The focused marker or crop area
+         * @param {Event}  e       - The keydown event
+         * @return {void}
+         */
+        moveImageFocusByKey: function ($field, $target, e) {
+            var i18n = config.i18n || {};
+            var step = e.shiftKey ? 0.1 : 0.01;
+            var moves = {ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1]};
+            var focus = this.getImageFocus($field);
+            var percent = function (value) {
+                return Math.round(value * 100) + '%';
+            };
+            var move = moves[e.key];
+            var resize = {'+': 1, '=': 1, '-': -1}[e.key];
+
+            if (!move && !(resize && $target.hasClass('arraypress-image-focus__crop'))) {
+                return;
+            }
+
+            e.preventDefault();
+
+            if ($target.hasClass('arraypress-image-focus__point')) {
+                focus.point = {
+                    x: Math.max(0, Math.min(focus.point.x + move[0] * step, 1)),
+                    y: Math.max(0, Math.min(focus.point.y + move[1] * step, 1))
+                };
+                this.setImageFocus($field, focus);
+                this.announce(this.formatMessage(
+                    i18n.focalPointMoved || 'Focal point at %1$s across, %2$s down.',
+                    percent(focus.point.x),
+                    percent(focus.point.y)
+                ));
+                return;
+            }
+
+            focus.crop = this.fitCrop($field, move ? {
+                x: focus.crop.x + move[0] * step,
+                y: focus.crop.y + move[1] * step,
+                width: focus.crop.width
+            } : {
+                x: focus.crop.x + focus.crop.width / 2,
+                y: focus.crop.y + focus.crop.height / 2,
+                width: focus.crop.width + resize * step * 5
+            }, !move);
+
+            this.setImageFocus($field, focus);
+            this.announce(this.formatMessage(
+                i18n.cropAreaMoved || 'Crop area at %1$s across, %2$s down, %3$s wide.',
+                percent(focus.crop.x),
+                percent(focus.crop.y),
+                percent(focus.crop.width)
+            ));
+        },
+
+        /* =====================================================================
+           4. File URL Fields
+           ===================================================================== */
+
+        /**
+         * Initialize file URL field interactions
+         *
+         * Sets up event handlers for the file URL browse button.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initFileUrlFields: function () {
+            var self = this;
+
+            // Browse button click
+            $(document).on('click', '.arraypress-file-url-browse', function (e) {
+                e.preventDefault();
+                var $field = $(this).closest('.arraypress-file-url-field');
+                self.openFileUrlFrame($field);
+            });
+        },
+
+        /**
+         * Open WordPress media library frame for file URL selection
+         *
+         * Opens the media library and inserts the selected file's URL into the input.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The file URL field container element
+         * @return {void}
+         */
+        openFileUrlFrame: function ($field) {
+            var self = this;
+            var $input = $field.find('.arraypress-file-url-input');
+
+            var frame = wp.media({
+                title: 'Select File',
+                button: {text: 'Use this file'},
+                multiple: false
+            });
+
+            frame.on('select', function () {
+                var attachment = frame.state().get('selection').first().toJSON();
+                $input.val(attachment.url).trigger('change');
+                self.autoFillFields($field, attachment);
+
+                self.emit('media-selected', {
+                    $field: $field,
+                    type: 'file_url',
+                    attachments: [attachment]
+                });
+            });
+
+            frame.open();
+        },
+
+        /* =====================================================================
+           5. Gallery Fields
+           ===================================================================== */
+
+        /**
+         * Initialize gallery field interactions
+         *
+         * Sets up event handlers for adding/removing images, selecting images
+         * for bulk removal, editing image details and sortable functionality.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initGalleryFields: function () {
+            var self = this;
+
+            // Add images button click
+            $(document).on('click', '.arraypress-gallery-add', function (e) {
+                e.preventDefault();
+                var $field = $(this).closest('.arraypress-gallery-field');
+                self.openGalleryFrame($field);
+            });
+
+            // Remove single image button click
+            $(document).on('click', '.arraypress-gallery-remove', function (e) {
+                e.preventDefault();
+                var $item = $(this).closest('.arraypress-gallery-item');
+                var $field = $item.closest('.arraypress-gallery-field');
+                self.removeGalleryItem($item, $field);
+            });
+
+            // Move image button click
+            $(document).on('click', '.arraypress-gallery-move', function (e) {
+                e.preventDefault();
+                var $item = $(this).closest('.arraypress-gallery-item');
+                self.moveGalleryItem($item, $(this).data('move'));
+                $item.find('.arraypress-gallery-move[data-move="' + $(this).data('move') + '"]').trigger('focus');
+            });
+
+            // Reorder a focused image with the keyboard
+            $(document).on('keydown', '.arraypress-gallery-item', function (e) {
+                var move = self.getKeyboardMove(e);
+
+                if (!move || e.target !== this) {
+                    return;
+                }
+
+                e.preventDefault();
+                self.moveGalleryItem($(this), move);
+                $(this).trigger('focus');
+            });
+
+            // Select images for bulk actions
+            $(document).on('change', '.arraypress-gallery-select', function () {
+                $(this).closest('.arraypress-gallery-item').toggleClass('is-selected', this.checked);
+                self.updateGalleryBulkState($(this).closest('.arraypress-gallery-field'));
+            });
+
+            $(document).on('click', '.arraypress-gallery-bulk-remove', function (e) {
+                e.preventDefault();
+                self.removeSelectedGalleryItems($(this).closest('.arraypress-gallery-field'));
+            });
+
+            $(document).on('click', '.arraypress-gallery-bulk-clear', function (e) {
+                e.preventDefault();
+                var $field = $(this).closest('.arraypress-gallery-field');
+
+                $field.find('.arraypress-gallery-select').prop('checked', false);
+                $field.find('.arraypress-gallery-item').removeClass('is-selected');
+                self.updateGalleryBulkState($field);
+            });
+
+            // Edit an image's title, caption and alt text
+            $(document).on('click', '.arraypress-gallery-edit', function (e) {
+                e.preventDefault();
+                self.openGalleryEditor($(this).closest('.arraypress-gallery-item'));
+            });
+
+            $(document).on('click', '.arraypress-gallery-editor__save', function (e) {
+                e.preventDefault();
+                self.saveGalleryEditor($(this).closest('.arraypress-gallery-editor'));
+            });
+
+            // Enter in a single-line input saves instead of submitting the post
+            $(document).on('keydown', '.arraypress-gallery-editor input', function (e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    self.saveGalleryEditor($(this).closest('.arraypress-gallery-editor'));
+                }
+            });
+
+            $(document).on('click', '.arraypress-gallery-editor__cancel', function (e) {
+                e.preventDefault();
+                var $field = $(this).closest('.arraypress-gallery-field');
+                var id = $(this).closest('.arraypress-gallery-editor').attr('data-id');
+
+                self.closeGalleryEditor($field);
+                $field.find('.arraypress-gallery-item[data-id="' + id + '"] .arraypress-gallery-edit').trigger('focus');
+            });
+
+            // Keep counters and buttons in step with the number of images
+            $(document).on('change', '.arraypress-gallery-input', function () {
+                self.updateLimitState($(this).closest('.arraypress-gallery-field'));
+            });
+
+            $('.arraypress-gallery-field').each(function () {
+                self.updateLimitState($(this));
+            });
+
+            // Make galleries sortable via drag and drop
+            $('.arraypress-gallery-preview').sortable({
+                items: '.arraypress-gallery-item',
+                cursor: 'move',
+                update: function (event, ui) {
+                    var $field = $(this).closest('.arraypress-gallery-field');
+                    self.updateGalleryInput($field);
+                }
+            });
+        },
+
+        /**
+         * Open media library for gallery selection
+         *
+         * Opens the media library in multiple selection mode for galleries.
+         * With a max_items limit, the selection is capped at the number of
+         * images that still fit.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The gallery field container element
+         * @return {void}
+         */
+        openGalleryFrame: function ($field) {
+            var self = this;
+            var i18n = config.i18n || {};
+            var $input = $field.find('.arraypress-gallery-input');
+            var max = parseInt($field.data('max')) || 0;
+            var existingIds = $input.val() ? $input.val().split(',') : [];
+            var remaining = max - existingIds.length;
+
+            if (max > 0 && remaining <= 0) {
+                this.announceLimit($field);
+                return;
+            }
+
+            var frame = wp.media({
+                title: i18n.galleryFrameTitle || 'Select Images',
+                button: {text: i18n.galleryFrameButton || 'Add to Gallery'},
+                multiple: true,
+                library: {type: this.getLibraryType($field)}
+            });
+
+            this.constrainMediaFrame(frame, $field);
+
+            // Cap the selection at the images that still fit
+            if (max > 0) {
+                frame.on('open', function () {
+                    var selection = frame.state().get('selection');
+                    var $notice = $('<span class="arraypress-media-limit"></span>');
+                    var isNew = function (attachment) {
+                        return existingIds.indexOf(String(attachment.id)) === -1;
+                    };
+                    var update = function () {
+                        var left = remaining - selection.filter(isNew).length;
+
+                        $notice.text(self.formatMessage(i18n.galleryRemaining || 'You can select %s more images.', Math.max(0, left)));
+                    };
+
+                    frame.$el.find('.media-toolbar-primary').prepend($notice);
+
+                    selection.on('add', function (attachment) {
+                        if (isNew(attachment) && selection.filter(isNew).length > remaining) {
+                            selection.remove(attachment);
+                            self.announceLimit($field);
+                        }
+                    });
+                    selection.on('add remove reset', update);
+                    update();
+                });
+            }
+
+            frame.on('select', function () {
+                self.addGalleryImages($field, frame.state().get('selection').toJSON());
+            });
+
+            frame.open();
+        },
+
+        /**
+         * Add images to a gallery
+         *
+         * Used for picks from the media library and for dropped uploads.
+         * Images already in the gallery and images over max_items are skipped.
+         *
+         * @memberof PostFields
+         * @param {jQuery}   $field      - The gallery field container
+         * @param {Object[]} attachments - The attachment data (as from wp.media)
+         * @return {void}
+         */
+        addGalleryImages: function ($field, attachments) {
+            var self = this;
+            var $input = $field.find('.arraypress-gallery-input');
+            var $preview = $field.find('.arraypress-gallery-preview');
+            var max = parseInt($field.data('max')) || 0;
+            var currentIds = $input.val() ? $input.val().split(',') : [];
+
+            attachments.forEach(function (attachment) {
+                // Check max items limit
+                if (max > 0 && currentIds.length >= max) {
+                    return;
+                }
+
+                // Skip if already in gallery
+                if (currentIds.indexOf(String(attachment.id)) !== -1) {
+                    return;
+                }
+
+                currentIds.push(String(attachment.id));
+                $preview.append(self.createGalleryItem(attachment));
+            });
+
+            $input.val(currentIds.join(',')).trigger('change');
+
+            this.emit('media-selected', {
+                $field: $field,
+                type: 'gallery',
+                attachments: attachments
+            });
+        },
+
+        /**
+         * Build the preview item of a gallery image
+         *
+         * Matches the markup rendered by MediaFields::render_gallery().
+         *
+         * @memberof PostFields
+         * @param {Object} attachment - The attachment data (as from wp.media)
+         * @return {jQuery} The gallery item
+         */
+        createGalleryItem: function (attachment) {
+            var i18n = config.i18n || {};
+            var url = attachment.sizes && attachment.sizes.thumbnail
+                ? attachment.sizes.thumbnail.url
+                : attachment.url;
+
+            return $('<div class="arraypress-gallery-item" tabindex="0" />')
+                .attr({'data-id': attachment.id, 'aria-label': attachment.title || ''})
+                .append($('<img alt="" />').attr('src', url))
+                .append($('<input type="checkbox" class="arraypress-gallery-select" />')
+                    .attr('aria-label', i18n.selectImage || 'Select image'))
+                .append($('<button type="button" class="arraypress-gallery-edit"><span class="dashicons dashicons-edit"></span></button>')
+                    .attr('aria-label', i18n.editImage || 'Edit image details'))
+                .append($('<button type="button" class="arraypress-gallery-move" data-move="up">&lsaquo;</button>')
+                    .attr('aria-label', i18n.moveImageUp || 'Move image earlier'))
+                .append($('<button type="button" class="arraypress-gallery-move" data-move="down">&rsaquo;</button>')
+                    .attr('aria-label', i18n.moveImageDown || 'Move image later'))
+                .append('<button type="button" class="arraypress-gallery-remove">&times;</button>');
+        },
+
+        /**
+         * Remove a single image from gallery
+         *
+         * @memberof PostFields
+         * @param {jQuery} $item  - The gallery item to remove
+         * @param {jQuery} $field - The gallery field container
+         * @return {void}
+         */
+        removeGalleryItem: function ($item, $field) {
+            if ($field.find('.arraypress-gallery-editor').attr('data-id') === String($item.data('id'))) {
+                this.closeGalleryEditor($field);
+            }
+
+            $item.remove();
+            this.updateGalleryInput($field);
+            this.updateGalleryBulkState($field);
+        },
+
+        /**
+         * Remove the selected images from a gallery
+         *
+         * Refused when fewer images than min_items would be left.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The gallery field container
+         * @return {void}
+         */
+        removeSelectedGalleryItems: function ($field) {
+            var i18n = config.i18n || {};
+            var $items = $field.find('.arraypress-gallery-item');
+            var $selected = $items.filter('.is-selected');
+            var min = parseInt($field.data('min')) || 0;
+            var message;
+
+            if (!$selected.length) {
+                return;
+            }
+
+            if (min > 0 && $items.length - $selected.length < min) {
+                message = this.getLimitMessage($field, false, true);
+            } else {
+                if ($selected.filter('[data-id="' + $field.find('.arraypress-gallery-editor').attr('data-id') + '"]').length) {
+                    this.closeGalleryEditor($field);
+                }
+
+                $selected.remove();
+                this.updateGalleryInput($field);
+                message = this.formatMessage(i18n.galleryRemoved || '%s images removed.', $selected.length);
+            }
+
+            this.updateGalleryBulkState($field);
+            $field.find('.arraypress-gallery-bulk__status').text(message);
+            this.announce(message);
+        },
+
+        /**
+         * Show or hide a gallery's bulk actions for the selected images
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The gallery field container
+         * @return {void}
+         */
+        updateGalleryBulkState: function ($field) {
+            var i18n = config.i18n || {};
+            var count = $field.find('.arraypress-gallery-item.is-selected').length;
+            var $bulk = $field.children('.arraypress-gallery-bulk');
+
+            $bulk.prop('hidden', !count);
+            $bulk.find('.arraypress-gallery-bulk__count').text(
+                this.formatMessage(i18n.gallerySelected || '%s selected', count)
+            );
+            $bulk.find('.arraypress-gallery-bulk__status').text('');
+        },
+
+        /**
+         * Open the details editor of a gallery image
+         *
+         * Loads the attachment's title, caption and alt text from the media
+         * REST endpoint into a panel below the thumbnails.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $item - The gallery item
+         * @return {void}
+         */
+        openGalleryEditor: function ($item) {
+            var self = this;
+            var i18n = config.i18n || {};
+            var $field = $item.closest('.arraypress-gallery-field');
+            var id = String($item.data('id'));
+
+            if ($field.find('.arraypress-gallery-editor').attr('data-id') === id) {
+                this.closeGalleryEditor($field);
+                return;
+            }
+
+            this.closeGalleryEditor($field);
+
+            var $editor = $(
+                '<div class="arraypress-gallery-editor">' +
+                '<img class="arraypress-gallery-editor__thumbnail" alt="" />' +
+                '<div class="arraypress-gallery-editor__fields">' +
+                '<label><span data-label="title"></span><input type="text" class="regular-text" data-key="title" /></label>' +
+                '<label><span data-label="caption"></span><textarea class="large-text" rows="2" data-key="caption"></textarea></label>' +
+                '<label><span data-label="alt_text"></span><input type="text" class="regular-text" data-key="alt_text" /></label>' +
+                '<p class="arraypress-gallery-editor__actions">' +
+                '<button type="button" class="button button-primary arraypress-gallery-editor__save"></button> ' +
+                '<button type="button" class="button-link arraypress-gallery-editor__cancel"></button> ' +
+                '<span class="arraypress-gallery-editor__status" aria-live="polite"></span>' +
+                '</p>' +
+                '</div>' +
+                '</div>'
+            ).attr('data-id', id);
+
+            $editor.find('.arraypress-gallery-editor__thumbnail').attr('src', $item.find('img').attr('src'));
+            $editor.find('[data-label="title"]').text(i18n.imageTitle || 'Title');
+            $editor.find('[data-label="caption"]').text(i18n.imageCaption || 'Caption');
+            $editor.find('[data-label="alt_text"]').text(i18n.imageAlt || 'Alternative text');
+            $editor.find('.arraypress-gallery-editor__save').text(i18n.imageSave || 'Save');
+            $editor.find('.arraypress-gallery-editor__cancel').text(i18n.transferCancel || 'Cancel');
+            $editor.find('input, textarea, button').prop('disabled', true);
+            $editor.find('.arraypress-gallery-editor__cancel').prop('disabled', false);
+            $editor.find('.arraypress-gallery-editor__status').text(i18n.imageLoading || 'Loading…');
+
+            $item.addClass('is-editing');
+            $field.children('.arraypress-gallery-preview').after($editor);
+
+            this.requestAttachment(id, 'GET', {context: 'edit'}).done(function (attachment) {
+                $editor.find('[data-key="title"]').val(attachment.title ? attachment.title.raw : '');
+                $editor.find('[data-key="caption"]').val(attachment.caption ? attachment.caption.raw : '');
+                $editor.find('[data-key="alt_text"]').val(attachment.alt_text || '');
+                $editor.find('input, textarea, button').prop('disabled', false);
+                $editor.find('.arraypress-gallery-editor__status').text('');
+                $editor.find('[data-key="title"]').trigger('focus');
+            }).fail(function (xhr) {
+                $editor.find('.arraypress-gallery-editor__status')
+                    .text(self.getRequestError(xhr, i18n.imageLoadError || 'The image details could not be loaded.'));
+            });
+        },
+
+        /**
+         * Save the details editor of a gallery image
+         *
+         * Updates the attachment through the media REST endpoint and
+         * refreshes every thumbnail of it on the page.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $editor - The details editor
+         * @return {void}
+         */
+        saveGalleryEditor: function ($editor) {
+            var self = this;
+            var i18n = config.i18n || {};
+            var id = $editor.attr('data-id');
+            var $status = $editor.find('.arraypress-gallery-editor__status');
+            var data = {};
+
+            if ($editor.find('.arraypress-gallery-editor__save').prop('disabled')) {
+                return;
+            }
+
+            $editor.find('[data-key]').each(function () {
+                data[$(this).data('key')] = $(this).val();
+            });
+
+            $editor.find('input, textarea, button').prop('disabled', true);
+            $status.text(i18n.imageSaving || 'Saving…');
+
+            this.requestAttachment(id, 'POST', data).done(function (attachment) {
+                self.refreshGalleryItems(attachment);
+                $status.text(i18n.imageSaved || 'Image details saved.');
+                self.announce(i18n.imageSaved || 'Image details saved.');
+            }).fail(function (xhr) {
+                var message = self.getRequestError(xhr, i18n.imageSaveError || 'The image details could not be saved.');
+
+                $status.text(message);
+                self.announce(message);
+            }).always(function () {
+                $editor.find('input, textarea, button').prop('disabled', false);
+            });
+        },
+
+        /**
+         * Close a gallery's details editor
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The gallery field container
+         * @return {void}
+         */
+        closeGalleryEditor: function ($field) {
+            $field.children('.arraypress-gallery-editor').remove();
+            $field.find('.arraypress-gallery-item').removeClass('is-editing');
+        },
+
+        /**
+         * Update the thumbnails of an attachment after its details changed
+         *
+         * Also updates the attachment in the media library's cache, so the
+         * media modal shows the new details without a reload.
+         *
+         * @memberof PostFields
+         * @param {Object} attachment - The attachment from the media REST endpoint
+         * @return {void}
+         */
+        refreshGalleryItems: function (attachment) {
+            var sizes = attachment.media_details && attachment.media_details.sizes;
+            var url = sizes && sizes.thumbnail ? sizes.thumbnail.source_url : attachment.source_url;
+            var title = attachment.title ? attachment.title.raw : '';
+
+            $('.arraypress-gallery-item[data-id="' + attachment.id + '"]').each(function () {
+                $(this).attr('aria-label', title)
+                    .children('img').attr('src', url);
+            });
+
+            $('.arraypress-gallery-editor[data-id="' + attachment.id + '"]')
+                .find('.arraypress-gallery-editor__thumbnail').attr('src', url);
+
+            if (typeof wp !== 'undefined' && wp.media && typeof wp.media.attachment === 'function') {
+                wp.media.attachment(attachment.id).set({
+                    title: title,
+                    caption: attachment.caption ? attachment.caption.raw : '',
+                    alt: attachment.alt_text || ''
+                });
+            }
+        },
+
+        /**
+         * Send a request to the media REST endpoint for an attachment
+         *
+         * @memberof PostFields
+         * @param {string|number} id     - The attachment ID
+         * @param {string}        method - GET or POST
+         * @param {Object}        data   - The request data
+         * @return {jqXHR} The request
+         */
+        requestAttachment: function (id, method, data) {
+            return $.ajax({
+                url: (config.mediaUrl || '').replace(/\/$/, '') + '/' + encodeURIComponent(id),
+                method: method,
+                data: data,
+                headers: {
+                    'X-WP-Nonce': config.nonce || ''
+                }
+            });
+        },
+
+        /**
+         * Get the message of a failed REST request
+         *
+         * @memberof PostFields
+         * @param {jqXHR}  xhr      - The failed request
+         * @param {string} fallback - Message used when the response has none
+         * @return {string} The error message
+         */
+        getRequestError: function (xhr, fallback) {
+            return xhr && xhr.responseJSON && xhr.responseJSON.message
+                ? $('<div />').html(xhr.responseJSON.message).text()
+                : fallback;
+        },
+
+        /**
+         * Move a gallery image to a new position
+         *
+         * @memberof PostFields
+         * @param {jQuery} $item - The gallery item to move
+         * @param {string} move  - The move: up, down, top or bottom
+         * @return {void}
+         */
+        moveGalleryItem: function ($item, move) {
+            var i18n = config.i18n || {};
+            var $field = $item.closest('.arraypress-gallery-field');
+            var $items = $field.find('.arraypress-gallery-item');
+            var from = $items.index($item);
+            var to = this.getMovePosition(move, from, $items.length);
+
+            if (to === from) {
+                return;
+            }
+
+            if (to < from) {
+                $items.eq(to).before($item);
+            } else {
+                $items.eq(to).after($item);
+            }
+
+            this.updateGalleryInput($field);
+            this.announce((i18n.imageMoved || 'Image %1$s moved to position %2$s.')
+                .replace('%1$s', from + 1)
+                .replace('%2$s', to + 1));
+        },
+
+        /**
+         * Update gallery hidden input with current image IDs
+         *
+         * Rebuilds the comma-separated list of attachment IDs from the current order.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The gallery field container
+         * @return {void}
+         */
+        updateGalleryInput: function ($field) {
+            var $input = $field.find('.arraypress-gallery-input');
+            var ids = [];
+
+            $field.find('.arraypress-gallery-item').each(function () {
+                ids.push($(this).data('id'));
+            });
+
+            $input.val(ids.join(',')).trigger('change');
+        },
+
+        /* =====================================================================
+           6. Repeater Fields
+           ===================================================================== */
+
+        /**
+         * Initialize repeater field interactions
+         *
+         * Sets up event handlers for adding/removing/reordering rows.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initRepeaterFields: function () {
+            var self = this;
+
+            // Add row button click
+            $(document).on('click', '.arraypress-repeater__add', function (e) {
+                e.preventDefault();
+                var $repeater = $(this).closest('.arraypress-repeater');
+                self.addRepeaterRow($repeater);
+            });
+
+            // Keep row titles in sync with the fields they show
+            $(document).on('input change', '.arraypress-repeater__row :input', function () {
+                var $input = $(this);
+                var $row = $input.closest('.arraypress-repeater__row');
+                var key = $input.closest('.arraypress-repeater__field').attr('data-field-key');
+
+                if (!$row.closest('.arraypress-repeater__template').length &&
+                    self.getRowTitleKeys($row.closest('.arraypress-repeater')).indexOf(key) !== -1) {
+                    self.scheduleRowTitleUpdate($row);
+                }
+            });
+
+            // Flexible repeaters: open the layout menu
+            $(document).on('click', '.arraypress-repeater__add-toggle', function (e) {
+                e.preventDefault();
+                var $menu = $(this).closest('.arraypress-repeater__add-menu');
+                self.toggleLayoutMenu($menu, $(this).attr('aria-expanded') !== 'true');
+            });
+
+            // Flexible repeaters: add a row with the chosen layout
+            $(document).on('click', '.arraypress-repeater__add-layout', function (e) {
+                e.preventDefault();
+                var $menu = $(this).closest('.arraypress-repeater__add-menu');
+                var $repeater = $menu.closest('.arraypress-repeater');
+
+                self.toggleLayoutMenu($menu, false);
+                self.addRepeaterRow($repeater, String($(this).data('layout-key')));
+            });
+
+            // Close open layout menus on outside click or Escape
+            $(document).on('click', function (e) {
+                $('.arraypress-repeater__add-menu').each(function () {
+                    if (!$.contains(this, e.target)) {
+                        self.toggleLayoutMenu($(this), false);
+                    }
+                });
+            });
+
+            $(document).on('keydown', '.arraypress-repeater__add-menu', function (e) {
+                if (e.key === 'Escape') {
+                    self.toggleLayoutMenu($(this), false);
+                    $(this).find('.arraypress-repeater__add-toggle').trigger('focus');
+                }
+            });
+
+            // Remove row button click
+            $(document).on('click', '.arraypress-repeater__row-remove', function (e) {
+                e.preventDefault();
+                e.stopPropagation();
+                var $repeater = $(this).closest('.arraypress-repeater');
+                var $row = $(this).closest('.arraypress-repeater__row');
+                self.removeRepeaterRow($repeater, $row);
+            });
+
+            // Duplicate row button click
+            $(document).on('click', '.arraypress-repeater__row-duplicate', function (e) {
+                e.preventDefault();
+                e.stopPropagation();
+                var $repeater = $(this).closest('.arraypress-repeater');
+                var $row = $(this).closest('.arraypress-repeater__row');
+                self.duplicateRepeaterRow($repeater, $row);
+            });
+
+            // Toggle row collapse - click on toggle button
+            $(document).on('click', '.arraypress-repeater__row-toggle', function (e) {
+                e.preventDefault();
+                e.stopPropagation();
+                self.toggleRepeaterRow($(this).closest('.arraypress-repeater__row'));
+            });
+
+            // Move row button click
+            $(document).on('click', '.arraypress-repeater__row-move-button', function (e) {
+                e.preventDefault();
+                e.stopPropagation();
+                var $button = $(this);
+                var $repeater = $button.closest('.arraypress-repeater');
+                var $row = $button.closest('.arraypress-repeater__row');
+
+                self.moveRepeaterRow($repeater, $row, $button.data('move'));
+                self.getRowMoveControls($row).find('[data-move="' + $button.data('move') + '"]').trigger('focus');
+            });
+
+            // Reorder a row with the keyboard from its focused drag handle
+            $(document).on('keydown', '.arraypress-repeater__row-handle', function (e) {
+                var move = self.getKeyboardMove(e);
+
+                if (!move) {
+                    return;
+                }
+
+                e.preventDefault();
+                var $handle = $(this);
+                var $repeater = $handle.closest('.arraypress-repeater');
+
+                self.moveRepeaterRow($repeater, $handle.closest('.arraypress-repeater__row'), move);
+                $handle.trigger('focus');
+            });
+
+            // Collapse or expand all rows of a repeater
+            $(document).on('click', '.arraypress-repeater__collapse-all, .arraypress-repeater__expand-all', function (e) {
+                e.preventDefault();
+                var $repeater = $(this).closest('.arraypress-repeater');
+                var collapsed = $(this).hasClass('arraypress-repeater__collapse-all');
+
+                var $rows = self.getRepeaterRows($repeater).toggleClass('is-collapsed', collapsed);
+                self.saveCollapseState();
+
+                if (!collapsed) {
+                    $rows.each(function () {
+                        self.initDeferredRow($(this));
+                    });
+                }
+            });
+
+            // Pagination controls
+            $(document).on('click', '.arraypress-repeater__page-prev, .arraypress-repeater__page-next', function (e) {
+                e.preventDefault();
+                var $repeater = $(this).closest('.arraypress-repeater');
+                var step = $(this).hasClass('arraypress-repeater__page-next') ? 1 : -1;
+
+                self.paginateRepeater($repeater, (parseInt($repeater.data('page')) || 1) + step);
+            });
+
+            // Keep the visible page in step with added, removed and moved rows
+            this.on('row-added', function (data) {
+                self.showRepeaterRow(data.$row);
+            });
+
+            ['row-removed', 'rows-sorted', 'rows-changed'].forEach(function (event) {
+                self.on(event, function (data) {
+                    self.paginateRepeater(data.$repeater, parseInt(data.$repeater.data('page')) || 1);
+                });
+            });
+
+            // Keep counters, add/remove buttons and the selection in step with the rows
+            ['row-added', 'row-removed', 'rows-changed'].forEach(function (event) {
+                self.on(event, function (data) {
+                    self.updateLimitState(data.$repeater);
+                    self.updateBulkState(data.$repeater);
+                });
+            });
+
+            // Bulk actions: select all rows, a single row, or apply an action
+            $(document).on('change', '.arraypress-repeater__select-all', function () {
+                var $repeater = $(this).closest('.arraypress-repeater');
+
+                self.getRowSelects($repeater).prop('checked', this.checked);
+                self.updateBulkState($repeater);
+            });
+
+            $(document).on('change', '.arraypress-repeater__row-select', function () {
+                self.updateBulkState($(this).closest('.arraypress-repeater'));
+            });
+
+            $(document).on('change', '.arraypress-repeater__bulk-action', function () {
+                self.updateBulkState($(this).closest('.arraypress-repeater'));
+            });
+
+            $(document).on('click', '.arraypress-repeater__bulk-apply', function (e) {
+                e.preventDefault();
+                var $repeater = $(this).closest('.arraypress-repeater');
+                var action = $repeater.children('.arraypress-repeater__toolbar').find('.arraypress-repeater__bulk-action').val();
+
+                self.bulkRowAction($repeater, action);
+            });
+
+            // Toggle row collapse - click on header (excluding buttons)
+            $(document).on('click', '.arraypress-repeater__row-header', function (e) {
+                // Only toggle if clicking on the header itself or the title, not on controls
+                var $target = $(e.target);
+                if ($target.is('button, input') || $target.closest('button').length) {
+                    return;
+                }
+
+                var $row = $(this).closest('.arraypress-repeater__row');
+                var $repeater = $row.closest('.arraypress-repeater');
+                var layout = $repeater.data('layout') || 'vertical';
+
+                // Only toggle for non-horizontal layouts
+                if (layout !== 'horizontal') {
+                    self.toggleRepeaterRow($row);
+                }
+            });
+
+            // Saving the post stores rows in their current order, so collapse
+            // state is re-keyed by position. The classic editor then reloads.
+            $('#post').on('submit', function (e) {
+                if (!e.isDefaultPrevented()) {
+                    self.rekeyCollapseState();
+                }
+            });
+
+            this.on('metaboxes-saved', function () {
+                self.rekeyCollapseState();
+                self.resetRowKeys();
+            });
+
+            // Rows are sortable per repeater, including repeaters in new rows
+            this.registerFieldType('repeater', {
+                selector: '.arraypress-repeater',
+                init: function ($repeater) {
+                    if (!$repeater.data('arraypress-collapse-restored')) {
+                        $repeater.data('arraypress-collapse-restored', true);
+                        self.restoreCollapseState($repeater);
+                    }
+
+                    self.paginateRepeater($repeater, 1);
+                    self.updateLimitState($repeater);
+                    self.updateBulkState($repeater);
+                    self.initRepeaterSortable($repeater);
+                },
+                destroy: function ($repeater) {
+                    var $rows = self.getRepeaterRowsContainer($repeater);
+
+                    if ($rows.hasClass('ui-sortable')) {
+                        $rows.sortable('destroy');
+                    }
+                }
+            });
+        },
+
+        /**
+         * Toggle the collapsed state of a repeater row
+         *
+         * @memberof PostFields
+         * @param {jQuery} $row - The repeater row
+         * @return {void}
+         */
+        toggleRepeaterRow: function ($row) {
+            $row.toggleClass('is-collapsed');
+            this.saveCollapseState();
+
+            if (!$row.hasClass('is-collapsed')) {
+                this.initDeferredRow($row);
+            }
+        },
+
+        /**
+         * Get the storage key for repeater collapse state
+         *
+         * State is kept per user and post, so editors sharing a browser
+         * do not overwrite each other's layout.
+         *
+         * @memberof PostFields
+         * @return {string} The storage key, or empty when the post is unknown
+         */
+        getCollapseStorageKey: function () {
+            if (!config.postId) {
+                return '';
+            }
+
+            return 'arraypress-post-fields-collapse-' + (config.userId || 0) + '-' + config.postId;
+        },
+
+        /**
+         * Get the stable key of a repeater row
+         *
+         * Rows rendered on page load are keyed by their stored position,
+         * which doesn't change when rows are added, removed or moved. Rows
+         * added in the editor get a key of their own.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $row - The repeater row
+         * @return {string} The row key
+         */
+        getRowKey: function ($row) {
+            var key = $row.attr('data-row-key');
+
+            if (!key) {
+                key = $row.find('.arraypress-repeater__source-input').filter(function () {
+                    return $(this).closest('.arraypress-repeater__row')[0] === $row[0];
+                }).val();
+            }
+
+            if (!key) {
+                key = 'new-' + (++this.rowKeyCount);
+                $row.attr('data-row-key', key);
+            }
+
+            return key;
+        },
+
+        /**
+         * Key rows by their current position after the post is saved
+         *
+         * Saved rows are stored in their current order, so their position
+         * becomes their stored position, for both the row keys and the
+         * positions submitted with the next save.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        resetRowKeys: function () {
+            var self = this;
+
+            $('.arraypress-repeater').each(function () {
+                var $repeater = $(this);
+
+                if ($repeater.closest('.arraypress-repeater__template').length) {
+                    return;
+                }
+
+                self.getRepeaterRows($repeater).each(function (index) {
+                    var $row = $(this).removeAttr('data-row-key');
+
+                    $row.find('.arraypress-repeater__source-input').filter(function () {
+                        return $(this).closest('.arraypress-repeater__row')[0] === $row[0];
+                    }).val(index);
+                });
+            });
+        },
+
+        /**
+         * Get the key of a repeater in the saved collapse state
+         *
+         * Nested repeaters are keyed by the row keys of their parent rows
+         * rather than the row indexes in their input name.
+         *
+         * @memberof PostFields
+         * @param {jQuery}  $repeater    - The repeater container element
+         * @param {boolean} [byPosition] - Key parent rows by their position
+         * @return {string} The repeater key
+         */
+        getRepeaterStateKey: function ($repeater, byPosition) {
+            var metaKey = $repeater.attr('data-meta-key');
+            var $parentRow = $repeater.parent().closest('.arraypress-repeater__row');
+
+            if (!$parentRow.length) {
+                return metaKey;
+            }
+
+            var $parent = $parentRow.closest('.arraypress-repeater');
+            var prefix = $parent.attr('data-meta-key') + '[' + $parentRow.attr('data-index') + ']';
+            var rowKey = byPosition ? $parentRow.attr('data-index') : this.getRowKey($parentRow);
+
+            return this.getRepeaterStateKey($parent, byPosition) + '>' + rowKey + metaKey.slice(prefix.length);
+        },
+
+        /**
+         * Read the saved collapse state for the current post
+         *
+         * @memberof PostFields
+         * @return {Object} Collapsed row keys keyed by repeater
+         */
+        getCollapseState: function () {
+            var key = this.getCollapseStorageKey();
+
+            if (!key) {
+                return {};
+            }
+
+            try {
+                return JSON.parse(window.localStorage.getItem(key)) || {};
+            } catch (e) {
+                return {};
+            }
+        },
+
+        /**
+         * Save the collapse state of every repeater on the page
+         *
+         * Called when rows are collapsed or expanded. Stores the keys of
+         * collapsed rows per repeater, so the state stays with its rows
+         * when rows are added, removed or moved without saving the post.
+         * Horizontal and table layouts cannot collapse and are skipped.
+         *
+         * @memberof PostFields
+         * @param {boolean} [byPosition] - Key rows by their position, for
+         *                                 a post that is being saved
+         * @return {void}
+         */
+        saveCollapseState: function (byPosition) {
+            var self = this;
+            var key = this.getCollapseStorageKey();
+            var state = {};
+
+            if (!key) {
+                return;
+            }
+
+            $('.arraypress-repeater--vertical').each(function () {
+                var $repeater = $(this);
+
+                if ($repeater.closest('.arraypress-repeater__template').length) {
+                    return;
+                }
+
+                var collapsed = [];
+
+                self.getRepeaterRows($repeater).each(function (index) {
+                    if ($(this).hasClass('is-collapsed')) {
+                        collapsed.push(byPosition ? String(index) : self.getRowKey($(this)));
+                    }
+                });
+
+                state[self.getRepeaterStateKey($repeater, byPosition)] = collapsed;
+            });
+
+            this.storeCollapseState(key, state);
+        },
+
+        /**
+         * Re-key the saved collapse state by row position
+         *
+         * Only posts that already have saved state are updated, so saving
+         * a post doesn't add storage entries on its own.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        rekeyCollapseState: function () {
+            if (!$.isEmptyObject(this.getCollapseState())) {
+                this.saveCollapseState(true);
+            }
+        },
+
+        /**
+         * Write collapse state to storage, pruning the oldest posts
+         *
+         * An index of storage keys, most recently saved first, keeps the
+         * state of at most collapseStateLimit posts.
+         *
+         * @memberof PostFields
+         * @param {string} key   - The storage key of the current post
+         * @param {Object} state - Collapsed row keys keyed by repeater
+         * @return {void}
+         */
+        storeCollapseState: function (key, state) {
+            var indexKey = 'arraypress-post-fields-collapse-index';
+            var keys;
+
+            try {
+                keys = JSON.parse(window.localStorage.getItem(indexKey));
+                keys = Array.isArray(keys) ? keys : [];
+                keys = [key].concat(keys.filter(function (stored) {
+                    return stored !== key;
+                }));
+
+                keys.splice(this.collapseStateLimit).forEach(function (stored) {
+                    window.localStorage.removeItem(stored);
+                });
+
+                window.localStorage.setItem(key, JSON.stringify(state));
+                window.localStorage.setItem(indexKey, JSON.stringify(keys));
+            } catch (e) {
+                // Storage full or unavailable; collapse state is not essential
+            }
+        },
+
+        /**
+         * Apply saved collapse state to a repeater's rows
+         *
+         * Repeaters without saved state keep their rendered state.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @return {void}
+         */
+        restoreCollapseState: function ($repeater) {
+            var self = this;
+
+            if (!$repeater.hasClass('arraypress-repeater--vertical')) {
+                return;
+            }
+
+            var collapsed = this.getCollapseState()[this.getRepeaterStateKey($repeater)];
+
+            if (!Array.isArray(collapsed)) {
+                return;
+            }
+
+            this.getRepeaterRows($repeater).each(function () {
+                $(this).toggleClass('is-collapsed', collapsed.indexOf(self.getRowKey($(this))) !== -1);
+            });
+        },
+
+        /**
+         * Make a repeater's rows sortable via drag and drop
+         *
+         * Only the repeater's own rows are sortable items, so rows of
+         * nested repeaters stay within their parent row.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @return {void}
+         */
+        initRepeaterSortable: function ($repeater) {
+            var self = this;
+            var isTable = ($repeater.data('layout') || 'vertical') === 'table';
+            var options = {
+                handle: '> .arraypress-repeater__row-header .arraypress-repeater__row-handle',
+                items: '> .arraypress-repeater__row:not(.arraypress-repeater__row--paged)',
+                cursor: 'move',
+                placeholder: 'arraypress-repeater__row ui-sortable-placeholder',
+                // Editor iframes do not survive being moved in the DOM
+                start: function (e, ui) {
+                    self.removeEditors(ui.item);
+                },
+                stop: function (e, ui) {
+                    self.restoreEditors(ui.item);
+                },
+                update: function () {
+                    self.updateRepeaterIndexes($repeater);
+                    self.emit('rows-sorted', {$repeater: $repeater});
+                }
+            };
+
+            if (isTable) {
+                options.handle = '> .arraypress-repeater__table-handle .arraypress-repeater__row-handle';
+                options.placeholder = 'ui-sortable-placeholder';
+                options.helper = function (e, tr) {
+                    // Preserve cell widths during drag
+                    var $originals = tr.children();
+                    var $helper = tr.clone();
+                    $helper.children().each(function (index) {
+                        $(this).width($originals.eq(index).width());
+                    });
+                    return $helper;
+                };
+            }
+
+            this.getRepeaterRowsContainer($repeater).sortable(options);
+        },
+
+        /**
+         * Get the element holding a repeater's own rows
+         *
+         * The rows container is a child of the repeater (or of its table,
+         * as a tbody), so it is found without searching the rows.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @return {jQuery} The rows container
+         */
+        getRepeaterRowsContainer: function ($repeater) {
+            var $rows = $repeater.children('.arraypress-repeater__rows');
+
+            return $rows.length ? $rows : $repeater.children('.arraypress-repeater__table').children('.arraypress-repeater__rows');
+        },
+
+        /**
+         * Get a repeater's own rows, excluding rows of nested repeaters
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @return {jQuery} The rows
+         */
+        getRepeaterRows: function ($repeater) {
+            return this.getRepeaterRowsContainer($repeater).children('.arraypress-repeater__row');
+        },
+
+        /**
+         * Show one page of a paginated repeater's rows
+         *
+         * Repeaters with a per_page setting only display that many rows at
+         * a time. Rows on other pages stay in the form (so they are saved)
+         * but are hidden, which also keeps their heavy components deferred.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @param {number} page      - The page to show (1-based, clamped)
+         * @return {void}
+         */
+        paginateRepeater: function ($repeater, page) {
+            var i18n = config.i18n || {};
+            var perPage = parseInt($repeater.data('per-page')) || 0;
+
+            if (perPage <= 0) {
+                return;
+            }
+
+            var $rows = this.getRepeaterRows($repeater);
+            var pages = Math.max(1, Math.ceil($rows.length / perPage));
+            var $pager = $repeater.children('.arraypress-repeater__pager');
+
+            page = Math.min(Math.max(1, page), pages);
+            $repeater.data('page', page);
+
+            $rows.each(function (index) {
+                $(this).toggleClass('arraypress-repeater__row--paged', Math.floor(index / perPage) !== page - 1);
+            });
+
+            if (!$pager.length) {
+                $pager = $(
+                    '<div class="arraypress-repeater__pager">' +
+                    '<button type="button" class="button-link arraypress-repeater__page-prev"></button>' +
+                    '<span class="arraypress-repeater__page-status" aria-live="polite"></span>' +
+                    '<button type="button" class="button-link arraypress-repeater__page-next"></button>' +
+                    '</div>'
+                );
+                $pager.find('.arraypress-repeater__page-prev').text(i18n.pagePrevious || '‹ Previous');
+                $pager.find('.arraypress-repeater__page-next').text(i18n.pageNext || 'Next ›');
+                $repeater.children('.arraypress-repeater__add, .arraypress-repeater__add-menu').first().before($pager);
+            }
+
+            $pager.prop('hidden', pages <= 1);
+            $pager.find('.arraypress-repeater__page-prev').prop('disabled', page <= 1);
+            $pager.find('.arraypress-repeater__page-next').prop('disabled', page >= pages);
+            $pager.find('.arraypress-repeater__page-status').text(
+                (i18n.pageStatus || 'Page %1$s of %2$s').replace('%1$s', page).replace('%2$s', pages)
+            );
+        },
+
+        /**
+         * Make a row visible by switching paginated repeaters to its page
+         *
+         * Applies to the row and every row it is nested in.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $row - The repeater row
+         * @return {void}
+         */
+        showRepeaterRow: function ($row) {
+            var self = this;
+
+            $($row.parents('.arraypress-repeater__row').get().reverse()).add($row).each(function () {
+                var $current = $(this);
+                var $repeater = $current.closest('.arraypress-repeater');
+                var perPage = parseInt($repeater.data('per-page')) || 0;
+
+                if (perPage > 0 && $current.hasClass('arraypress-repeater__row--paged')) {
+                    var index = self.getRepeaterRows($repeater).index($current);
+                    self.paginateRepeater($repeater, Math.floor(index / perPage) + 1);
+                }
+
+                self.initDeferredRow($current);
+            });
+        },
+
+        /**
+         * Check if a row's content is hidden by collapsing or pagination
+         *
+         * @memberof PostFields
+         * @param {jQuery} $row - The repeater row
+         * @return {boolean} True if the row or a row it is nested in hides its content
+         */
+        isRowHidden: function ($row) {
+            return $row.is('.is-collapsed, .arraypress-repeater__row--paged') ||
+                $row.parents('.arraypress-repeater__row.is-collapsed, .arraypress-repeater__row--paged').length > 0;
+        },
+
+        /**
+         * Update the limit UI of a repeater or gallery
+         *
+         * Shows a "3 / 5" counter when there is a max, disables the add and
+         * duplicate buttons at the max and the remove buttons at the min,
+         * and explains the limit that has been reached.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $container - The repeater or gallery field element
+         * @return {void}
+         */
+        updateLimitState: function ($container) {
+            var i18n = config.i18n || {};
+            var isGallery = $container.hasClass('arraypress-gallery-field');
+            var max = parseInt($container.data('max')) || 0;
+            var min = parseInt($container.data('min')) || 0;
+            var $add, $remove, count;
+
+            if (isGallery) {
+                count = $container.find('.arraypress-gallery-item').length;
+                $add = $container.children('.arraypress-gallery-add');
+                $remove = $container.find('.arraypress-gallery-remove');
+            } else {
+                var $rows = this.getRepeaterRows($container);
+                var $actions = $rows.children('.arraypress-repeater__row-header, .arraypress-repeater__table-actions');
+
+                count = $rows.length;
+                $add = $container.children('.arraypress-repeater__add')
+                    .add($container.children('.arraypress-repeater__add-menu').find('.arraypress-repeater__add-toggle'))
+                    .add($actions.children('.arraypress-repeater__row-duplicate'));
+                $remove = $actions.children('.arraypress-repeater__row-remove');
+            }
+
+            var atMax = max > 0 && count >= max;
+            var atMin = min > 0 && count <= min;
+
+            $add.prop('disabled', atMax);
+            $remove.prop('disabled', atMin);
+
+            var $limit = $container.children('.arraypress-limit');
+
+            if (!max && !min) {
+                $limit.remove();
+                return;
+            }
+
+            if (!$limit.length) {
+                $limit = $(
+                    '<div class="arraypress-limit">' +
+                    '<span class="arraypress-limit__count"></span>' +
+                    '<span class="arraypress-limit__message"></span>' +
+                    '</div>'
+                );
+                $container.children('.arraypress-repeater__add, .arraypress-repeater__add-menu, .arraypress-gallery-add').last().after($limit);
+            }
+
+            $limit.children('.arraypress-limit__count')
+                .text(max ? this.formatMessage(i18n.limitCount || '%1$s / %2$s', count, max) : '')
+                .prop('hidden', !max);
+
+            $limit.children('.arraypress-limit__message').text(this.getLimitMessage($container, atMax, atMin && count > 0));
+        },
+
+        /**
+         * Get the message for a repeater or gallery limit that was reached
+         *
+         * @memberof PostFields
+         * @param {jQuery}  $container - The repeater or gallery field element
+         * @param {boolean} atMax      - Whether the max has been reached
+         * @param {boolean} atMin      - Whether the min has been reached
+         * @return {string} The message, or an empty string
+         */
+        getLimitMessage: function ($container, atMax, atMin) {
+            var i18n = config.i18n || {};
+            var isGallery = $container.hasClass('arraypress-gallery-field');
+
+            if (atMax) {
+                return this.formatMessage(isGallery
+                    ? (i18n.limitMaxImages || 'You can add up to %s images.')
+                    : (i18n.limitMaxRows || 'You can add up to %s rows.'), $container.data('max'));
+            }
+
+            if (atMin) {
+                return this.formatMessage(isGallery
+                    ? (i18n.limitMinImages || 'At least %s images are required.')
+                    : (i18n.limitMinRows || 'At least %s rows are required.'), $container.data('min'));
+            }
+
+            return '';
+        },
+
+        /**
+         * Tell screen reader users why an add or remove was refused
+         *
+         * @memberof PostFields
+         * @param {jQuery} $container - The repeater or gallery field element
+         * @return {void}
+         */
+        announceLimit: function ($container) {
+            var count = $container.hasClass('arraypress-gallery-field')
+                ? $container.find('.arraypress-gallery-item').length
+                : this.getRepeaterRows($container).length;
+            var max = parseInt($container.data('max')) || 0;
+
+            this.announce(this.getLimitMessage($container, max > 0 && count >= max, true));
+        },
+
+        /**
+         * Add a new row to a repeater field
+         *
+         * Clones the template row and initializes any nested components.
+         * Values given for the row are filled in before it is set up.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater   - The repeater container element
+         * @param {string} [layoutKey] - Layout of the new row (flexible repeaters)
+         * @param {Object} [values]    - Row values keyed by sub-field key
+         * @return {jQuery|undefined} The new row, if one was added
+         */
+        addRepeaterRow: function ($repeater, layoutKey, values) {
+            var max = parseInt($repeater.data('max')) || 0;
+            var currentCount = this.getRepeaterRows($repeater).length;
+
+            // Check max items limit
+            if (max > 0 && currentCount >= max) {
+                this.announceLimit($repeater);
+                return;
+            }
+
+            var $newRow = this.createRepeaterRow($repeater, currentCount, layoutKey);
+
+            if (!$newRow) {
+                return;
+            }
+
+            if (values) {
+                this.setRowValues($newRow, $repeater.attr('data-meta-key'), values);
+            }
+
+            this.insertRepeaterRow($repeater, $newRow);
+
+            return $newRow;
+        },
+
+        /**
+         * Create a new row for a repeater from its template
+         *
+         * The row is returned detached and uninitialized. Flexible
+         * repeaters have one template per layout, picked by layoutKey.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater   - The repeater container element
+         * @param {number} index       - The index for the new row
+         * @param {string} [layoutKey] - Layout of the new row (flexible repeaters)
+         * @return {jQuery|null} The new row, or null if the layout does not exist
+         */
+        createRepeaterRow: function ($repeater, index, layoutKey) {
+            var layout = $repeater.data('layout') || 'vertical';
+            var $template = $repeater.children('.arraypress-repeater__template');
+            var rowTitle = $repeater.data('row-title') || '';
+
+            if (layoutKey) {
+                $template = $template.filter(function () {
+                    return $(this).attr('data-layout-key') === layoutKey;
+                });
+            }
+
+            if (!$template.length) {
+                return null;
+            }
+
+            // Clone template row
+            var $newRow;
+            if (layout === 'table') {
+                $newRow = $($template.find('tr.arraypress-repeater__row').first().prop('outerHTML'));
+            } else {
+                $newRow = $($template.children().first().prop('outerHTML'));
+            }
+
+            // Replace this repeater's placeholder index with the actual index.
+            // Nested templates keep their own (deeper) placeholders.
+            this.setRowIndex($newRow, $repeater.attr('data-meta-key'), index);
+            $newRow.attr('data-row-key', 'new-' + (++this.rowKeyCount));
+
+            // Update title based on row_title configuration or default
+            var displayTitle = this.generateRowTitle(rowTitle, index);
+            this.getRowTitle($newRow).text(displayTitle);
+
+            if (layout === 'vertical') {
+                $newRow.toggleClass('is-collapsed', $repeater.data('collapse-new') === 1);
+            }
+
+            return $newRow;
+        },
+
+        /**
+         * Insert a new row into a repeater and set it up
+         *
+         * Re-indexes the rows, initializes components and conditional
+         * fields in the new row and emits the row-added event.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @param {jQuery} $newRow   - The row created with createRepeaterRow
+         * @param {jQuery} [$after]  - Row to insert after (appends when omitted)
+         * @return {void}
+         */
+        insertRepeaterRow: function ($repeater, $newRow, $after) {
+            var $rows = this.getRepeaterRowsContainer($repeater);
+
+            // Hide empty state row if present (table layout)
+            $rows.children('.arraypress-repeater__empty-row').hide();
+
+            if ($after && $after.length) {
+                $after.after($newRow);
+            } else {
+                $rows.append($newRow);
+            }
+
+            this.updateRepeaterIndexes($repeater);
+
+            // Copied or imported values may change the title
+            this.updateRowTitle($newRow);
+
+            // Initialize registered components in the new row
+            this.initComponents($newRow);
+
+            // Evaluate conditional fields in the new row
+            this.evaluateRowConditions($newRow);
+
+            this.emit('row-added', {
+                $repeater: $repeater,
+                $row: $newRow,
+                index: this.getRepeaterRows($repeater).index($newRow)
+            });
+        },
+
+        /**
+         * Open or close a flexible repeater's layout menu
+         *
+         * @memberof PostFields
+         * @param {jQuery}  $menu - The add menu container
+         * @param {boolean} open  - Whether to open the menu
+         * @return {void}
+         */
+        toggleLayoutMenu: function ($menu, open) {
+            var $list = $menu.children('.arraypress-repeater__layouts');
+
+            $menu.children('.arraypress-repeater__add-toggle').attr('aria-expanded', open ? 'true' : 'false');
+            $list.prop('hidden', !open);
+
+            if (open) {
+                $list.find('.arraypress-repeater__add-layout').first().trigger('focus');
+            }
+        },
+
+        /**
+         * Duplicate a repeater row
+         *
+         * Builds the copy from the template like a new row, copies the
+         * source row's values into it (including rows of nested repeaters)
+         * and inserts it after the source.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @param {jQuery} $row      - The row to duplicate
+         * @return {void}
+         */
+        duplicateRepeaterRow: function ($repeater, $row) {
+            var max = parseInt($repeater.data('max')) || 0;
+            var currentCount = this.getRepeaterRows($repeater).length;
+
+            // Check max items limit
+            if (max > 0 && currentCount >= max) {
+                this.announceLimit($repeater);
+                return;
+            }
+
+            var $copy = this.createRepeaterRow($repeater, currentCount, $row.attr('data-layout-key'));
+
+            if (!$copy) {
+                return;
+            }
+
+            this.copyRowValues($row, $copy);
+            this.insertRepeaterRow($repeater, $copy, $row);
+        },
+
+        /**
+         * Copy the values of one repeater row into another
+         *
+         * The target must be a fresh, uninitialized row of the same
+         * repeater. Rows of nested repeaters are created to match the
+         * source, then input values, selected options, media previews and
+         * collapse state are copied. Components pick up the copied values
+         * when they are initialized.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $source - The row to copy from
+         * @param {jQuery} $target - The row to copy into
+         * @return {void}
+         */
+        copyRowValues: function ($source, $target) {
+            var self = this;
+
+            this.saveEditors();
+
+            var ownRepeaters = function ($row) {
+                return $row.find('.arraypress-repeater').filter(function () {
+                    return $(this).parent().closest('.arraypress-repeater__row')[0] === $row[0];
+                });
+            };
+            var $targetRepeaters = ownRepeaters($target);
+
+            // Build matching rows in nested repeaters first, so names line up
+            ownRepeaters($source).each(function (i) {
+                var $targetRepeater = $targetRepeaters.eq(i);
+                var $targetRows = self.getRepeaterRowsContainer($targetRepeater);
+
+                self.getRepeaterRows($(this)).each(function (index) {
+                    var $nestedRow = self.createRepeaterRow($targetRepeater, index, $(this).attr('data-layout-key'));
+
+                    if (!$nestedRow) {
+                        return;
+                    }
+
+                    self.copyRowValues($(this), $nestedRow);
+                    $targetRows.children('.arraypress-repeater__empty-row').hide();
+                    $targetRows.append($nestedRow);
+                });
+            });
+
+            // Only copy this row's own values; nested rows were copied above
+            var own = function ($row, selector) {
+                return $row.find(selector).filter(function () {
+                    return $(this).closest('.arraypress-repeater__row')[0] === $row[0];
+                });
+            };
+            var $sourceInputs = own($source, '[name]');
+            var $targetInputs = own($target, '[name]');
+
+            $sourceInputs.each(function (i) {
+                var $input = $(this);
+                var $match = $targetInputs.eq(i);
+
+                if ($input.is('select')) {
+                    // Copy options too, so AJAX selects keep their labels
+                    $match.html($input.html()).val($input.val());
+                } else if ($input.is(':checkbox, :radio')) {
+                    $match.prop('checked', $input.prop('checked'));
+                } else if ($input.attr('type') !== 'button') {
+                    $match.val($input.val());
+                }
+            });
+
+            // Copy rendered media previews and the remove and focal point button state
+            var previews = '.arraypress-media-preview, .arraypress-file-preview, .arraypress-gallery-preview';
+            var $targetPreviews = own($target, previews);
+
+            own($source, previews).each(function (i) {
+                $targetPreviews.eq(i).html($(this).html());
+            });
+
+            var buttons = '.arraypress-media-remove, .arraypress-image-focus-edit';
+            var $targetButtons = own($target, buttons);
+
+            own($source, buttons).each(function (i) {
+                $targetButtons.eq(i).toggle($(this).css('display') !== 'none');
+            });
+
+            // File names show in row titles, and the focal point editor shows the editor image
+            var $targetMedia = own($target, '.arraypress-media-field');
+
+            own($source, '.arraypress-media-field').each(function (i) {
+                var source = this;
+
+                ['data-filename', 'data-editor-src', 'data-auto-filled'].forEach(function (attribute) {
+                    if (source.hasAttribute(attribute)) {
+                        $targetMedia.eq(i).attr(attribute, source.getAttribute(attribute));
+                    }
+                });
+            });
+
+            // Keep the range slider output in sync with the copied value
+            own($target, '.arraypress-range-input').each(function () {
+                var $input = $(this);
+                var unit = $input.closest('.arraypress-range-field').data('unit') || '';
+
+                $input.siblings('.arraypress-range-output').text($input.val() + unit);
+            });
+
+            $target.toggleClass('is-collapsed', $source.hasClass('is-collapsed'));
+        },
+
+        /**
+         * Fill a new, uninitialized repeater row with values
+         *
+         * The reverse of serializeRow: keys are matched to input names,
+         * objects fill group fields and arrays of objects build rows of
+         * nested repeaters. Values that fit no option are reported.
+         *
+         * @memberof PostFields
+         * @param {jQuery}   $row       - The row, created with createRepeaterRow
+         * @param {string}   baseName   - The repeater's input name
+         * @param {Object}   values     - Row values keyed by sub-field key
+         * @param {Function} [report]   - Called with a message for each value that could not be set
+         * @return {void}
+         */
+        setRowValues: function ($row, baseName, values, report) {
+            var self = this;
+            var i18n = config.i18n || {};
+            var prefix = baseName + '[' + $row.attr('data-index') + ']';
+
+            report = report || function () {};
+
+            var invalid = function (value, name) {
+                var key = name.slice(prefix.length).replace(/^\[|\]$/g, '').split('][')[0];
+                var $field = $row.find('[data-field-key="' + key + '"]').first();
+
+                report(self.formatMessage(
+                    i18n.importInvalidOption || '"%1$s" is not an option for %2$s.',
+                    value,
+                    $field.length ? self.getFieldLabel($field) : key
+                ));
+            };
+
+            var setValue = function (name, value) {
+                var $repeater = $row.find('.arraypress-repeater').filter(function () {
+                    return $(this).attr('data-meta-key') === name;
+                });
+
+                // Nested repeater: build a row per item
+                if ($repeater.length) {
+                    (Array.isArray(value) ? value : []).forEach(function (item, index) {
+                        item = $.isPlainObject(item) ? item : {};
+
+                        var $nested = self.createRepeaterRow($repeater, index, item._layout ? String(item._layout) : undefined);
+
+                        if (!$nested) {
+                            return;
+                        }
+
+                        self.setRowValues($nested, name, item, report);
+                        self.getRepeaterRowsContainer($repeater).children('.arraypress-repeater__empty-row').hide();
+                        self.getRepeaterRowsContainer($repeater).append($nested);
+                    });
+                    return;
+                }
+
+                var $inputs = $row.find('[name="' + name + '"], [name="' + name + '[]"]').filter(function () {
+                    return !$(this).closest('.arraypress-repeater__template').length;
+                });
+
+                // Group fields and compound inputs such as date ranges
+                if (!$inputs.length) {
+                    if ($.isPlainObject(value)) {
+                        $.each(value, function (key, item) {
+                            setValue(name + '[' + key + ']', item);
+                        });
+                    } else if ($row.find('[name="' + name + '[id]"]').length) {
+                        // Image fields with a focal point or crop area store the ID as [id]
+                        setValue(name + '[id]', value);
+                    }
+                    return;
+                }
+
+                var list = Array.isArray(value) ? value.map(String) : [value === null || value === undefined ? '' : String(value)];
+                var multiple = $inputs.is('[name$="[]"], select[multiple]');
+
+                // Text from a spreadsheet lists multiple choices with commas
+                if (multiple && !Array.isArray(value)) {
+                    list = list[0] === '' ? [] : list[0].split(',').map(function (item) {
+                        return item.trim();
+                    });
+                }
+
+                var $choices = $inputs.filter(':checkbox, :radio');
+
+                if ($choices.length) {
+                    // A lone checkbox is a toggle - any truthy value checks it
+                    if ($choices.length === 1 && $choices.is(':checkbox') && !multiple) {
+                        $choices.prop('checked', list[0] === $choices.val() || /^(1|true|yes|on)$/i.test(list[0]));
+                        return;
+                    }
+
+                    $choices.prop('checked', false);
+
+                    list.forEach(function (item) {
+                        var $match = $choices.filter(function () {
+                            return this.value === item;
+                        });
+
+                        if ($match.length) {
+                            $match.prop('checked', true);
+                        } else if (item !== '') {
+                            invalid(item, name);
+                        }
+                    });
+                    return;
+                }
+
+                var $select = $inputs.filter('select').first();
+
+                if ($select.length) {
+                    var selected = list.filter(function (item) {
+                        if (item === '' || $select.find('option').filter(function () {
+                            return this.value === item;
+                        }).length) {
+                            return true;
+                        }
+
+                        // AJAX selects load their labels once initialized
+                        if ($select.hasClass('arraypress-ajax-select')) {
+                            $select.append($('<option></option>').val(item).text(item));
+                            return true;
+                        }
+
+                        invalid(item, name);
+                        return false;
+                    });
+
+                    $select.val(multiple ? selected : (selected[0] || ''));
+                    return;
+                }
+
+                $inputs.first().val(list.join(','));
+            };
+
+            $.each(values, function (key, value) {
+                if (key !== '_layout' && key !== '_row') {
+                    setValue(prefix + '[' + key + ']', value);
+                }
+            });
+
+            // Keep range slider outputs in sync with the new values
+            $row.find('.arraypress-range-input').each(function () {
+                var $input = $(this);
+                var unit = $input.closest('.arraypress-range-field').data('unit') || '';
+
+                $input.siblings('.arraypress-range-output').text($input.val() + unit);
+            });
+        },
+
+        /**
+         * Generate row title based on configuration
+         *
+         * Mirrors the PHP title template: {index}, {value} (the
+         * row_title_field), {field:key} with optional filters such as
+         * {field:price|currency:EUR}, and {select_label:key}.
+         *
+         * @memberof PostFields
+         * @param {string}   titleTemplate   - The title template
+         * @param {int}      index           - The row index (0-based)
+         * @param {Function} [getValue]      - Returns a row field's display value: (key, resolve) => string
+         * @param {string}   [titleField]    - The row_title_field key used for {value}
+         * @return {string} The generated title
+         */
+        generateRowTitle: function (titleTemplate, index, getValue, titleField) {
+            var self = this;
+            var i18n = config.i18n || {};
+            var displayIndex = (typeof index === 'number') ? index + 1 : '#';
+            var fieldValue = (getValue && titleField) ? getValue(titleField, true) : '';
+
+            getValue = getValue || function () {
+                return '';
+            };
+
+            if (titleTemplate) {
+                var title = titleTemplate.replace('{index}', displayIndex);
+
+                title = title.replace(/\{(field|select_label):([\w-]+)(?:\|(\w+)(?::([^}]*))?)?\}/g,
+                    function (match, type, key, filter, arg) {
+                        var value = getValue(key, type === 'select_label' || filter !== 'raw');
+
+                        return self.formatRowTitleValue(value, filter || '', arg || '') || '\u0000';
+                    });
+
+                title = title.replace('{value}', fieldValue || '\u0000');
+
+                // Empty placeholders (marked with a null character) take the
+                // separator before them along, or the one after them at the start
+                title = title
+                    .replace(/^(?:\s*\u0000[\s:|\-–—]*)+/, '')
+                    .replace(/[\s:|\-–—]*\u0000/g, '')
+                    .trim();
+
+                if (title) {
+                    return title;
+                }
+            }
+
+            if (fieldValue) {
+                return fieldValue;
+            }
+
+            return (i18n.rowTitle || 'Item %s').replace('%s', displayIndex);
+        },
+
+        /**
+         * Update the title of a repeater row from its current values
+         *
+         * @memberof PostFields
+         * @param {jQuery} $row - The repeater row
+         * @return {void}
+         */
+        updateRowTitle: function ($row) {
+            var self = this;
+            var $repeater = $row.closest('.arraypress-repeater');
+            var index = parseInt($row.attr('data-index'), 10);
+
+            // Rows not in the repeater yet get their title once inserted.
+            // Rows are indexed by position, so data-index is the row number.
+            if (isNaN(index) || $row.parent()[0] !== this.getRepeaterRowsContainer($repeater)[0]) {
+                return;
+            }
+
+            var title = this.generateRowTitle(
+                $repeater.data('row-title') || '',
+                index,
+                function (key, resolve) {
+                    return self.getRowTitleValue($row, key, resolve);
+                },
+                $repeater.data('row-title-field') || ''
+            );
+
+            this.getRowTitle($row).text(title);
+        },
+
+        /**
+         * Update a row's title once typing in it pauses
+         *
+         * @memberof PostFields
+         * @param {jQuery} $row - The repeater row
+         * @return {void}
+         */
+        scheduleRowTitleUpdate: function ($row) {
+            var self = this;
+
+            clearTimeout($row.data('arraypress-title-timer'));
+            $row.data('arraypress-title-timer', setTimeout(function () {
+                $row.removeData('arraypress-title-timer');
+                self.updateRowTitle($row);
+            }, 150));
+        },
+
+        /**
+         * Get the keys of the row fields a repeater's row titles show
+         *
+         * These are the {field:key} and {select_label:key} placeholders of
+         * the title template and the row_title_field.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @return {Array} The sub-field keys
+         */
+        getRowTitleKeys: function ($repeater) {
+            var keys = $repeater.data('arraypress-title-keys');
+            var pattern = /\{(?:field|select_label):([\w-]+)/g;
+            var match;
+
+            if (keys) {
+                return keys;
+            }
+
+            keys = [];
+
+            while ((match = pattern.exec(String($repeater.data('row-title') || '')))) {
+                keys.push(match[1]);
+            }
+
+            if ($repeater.data('row-title-field')) {
+                keys.push(String($repeater.data('row-title-field')));
+            }
+
+            $repeater.data('arraypress-title-keys', keys);
+
+            return keys;
+        },
+
+        /**
+         * Get the display value of a row field for the row title
+         *
+         * Choice fields and (AJAX) selects show their option labels and
+         * media fields their file name, unless raw values are requested.
+         *
+         * @memberof PostFields
+         * @param {jQuery}  $row    - The repeater row
+         * @param {string}  key     - The sub-field key
+         * @param {boolean} resolve - Whether to resolve labels instead of raw values
+         * @return {string} The display value
+         */
+        getRowTitleValue: function ($row, key, resolve) {
+            var $field = $row.find('.arraypress-repeater__field[data-field-key="' + key + '"]').filter(function () {
+                return $(this).closest('.arraypress-repeater__row')[0] === $row[0];
+            }).first();
+            var $inputs = this.getOwnInputs($field);
+            var $media = $field.find('.arraypress-media-field').first();
+            var values = [];
+
+            if (resolve && $media.length) {
+                return $inputs.filter('.arraypress-media-input').val() ? String($media.attr('data-filename') || '') : '';
+            }
+
+            // Focal point and crop inputs aren't part of the value shown
+            if ($media.length) {
+                $inputs = $inputs.filter('.arraypress-media-input');
+            }
+
+            $inputs.each(function () {
+                var $input = $(this);
+                var value;
+
+                if ($input.is('select')) {
+                    $input.find('option:selected').each(function () {
+                        if (this.value !== '') {
+                            values.push(resolve ? $(this).text().trim() : this.value);
+                        }
+                    });
+                    return;
+                }
+
+                if ($input.is(':checkbox, :radio')) {
+                    if ($input.is(':checked')) {
+                        values.push(resolve ? ($input.closest('label').text().trim() || $input.val()) : $input.val());
+                    }
+                    return;
+                }
+
+                value = String($input.val() || '');
+
+                // File URLs show the file name
+                if (resolve && value && $input.hasClass('arraypress-file-url-input')) {
+                    value = decodeURIComponent(value.split(/[?#]/)[0].split('/').pop());
+                }
+
+                if (value) {
+                    values.push(value);
+                }
+            });
+
+            return values.join(', ');
+        },
+
+        /**
+         * Apply a row title filter to a value
+         *
+         * Matches the PHP output: numbers use WordPress' number format, and
+         * currencies use Intl only when PHP formats them with intl too,
+         * otherwise the code followed by the amount (e.g. "USD 12.00").
+         *
+         * @memberof PostFields
+         * @param {string} value  - The display value
+         * @param {string} filter - The filter: currency, number, upper, lower or raw
+         * @param {string} arg    - Optional filter argument (currency code for currency)
+         * @return {string} The filtered value
+         */
+        formatRowTitleValue: function (value, filter, arg) {
+            var format = config.numberFormat || {};
+            var number = parseFloat(value);
+            var currency;
+
+            if (value === '') {
+                return '';
+            }
+
+            switch (filter) {
+                case 'currency':
+                    if (isNaN(number)) {
+                        return value;
+                    }
+
+                    currency = (arg || 'USD').toUpperCase();
+
+                    if (format.intl) {
+                        try {
+                            return new Intl.NumberFormat(format.locale || undefined, {
+                                style: 'currency',
+                                currency: currency
+                            }).format(number);
+                        } catch (e) {
+                            // Invalid currency code or locale; use the plain format like PHP
+                        }
+                    }
+
+                    return currency + ' ' + this.formatNumber(number, 2);
+
+                case 'number':
+                    return isNaN(number) ? value : this.formatNumber(number, parseInt(arg, 10) || 0);
+
+                case 'upper':
+                    return value.toUpperCase();
+
+                case 'lower':
+                    return value.toLowerCase();
+            }
+
+            return value;
+        },
+
+        /**
+         * Format a number like number_format_i18n()
+         *
+         * @memberof PostFields
+         * @param {number} number   - The number
+         * @param {number} decimals - Number of decimal places
+         * @return {string} The formatted number
+         */
+        formatNumber: function (number, decimals) {
+            var format = config.numberFormat || {};
+            var fixed = Math.abs(number).toFixed(Math.max(0, decimals));
+            var parts = fixed.split('.');
+            var separator = typeof format.thousandsSep === 'string' ? format.thousandsSep : ',';
+
+            parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, separator);
+
+            // PHP drops the sign when the rounded value is zero
+            return (number < 0 && /[1-9]/.test(fixed) ? '-' : '') + parts.join(format.decimalPoint || '.');
+        },
+
+        /**
+         * Remove a row from a repeater field
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @param {jQuery} $row      - The row to remove
+         * @return {void}
+         */
+        removeRepeaterRow: function ($repeater, $row) {
+            var min = parseInt($repeater.data('min')) || 0;
+            var $rows = this.getRepeaterRowsContainer($repeater);
+
+            var currentCount = this.getRepeaterRows($repeater).length;
+
+            // Check min items limit
+            if (min > 0 && currentCount <= min) {
+                this.announceLimit($repeater);
+                return;
+            }
+
+            var index = $row.index();
+
+            // Tear down components before removing to prevent memory leaks
+            this.destroyComponents($row);
+
+            $row.remove();
+            this.updateRepeaterIndexes($repeater);
+
+            // Show empty state row if no rows remain (table layout)
+            if (this.getRepeaterRows($repeater).length === 0) {
+                $rows.children('.arraypress-repeater__empty-row').show();
+            }
+
+            this.emit('row-removed', {
+                $repeater: $repeater,
+                index: index
+            });
+        },
+
+        /**
+         * Move a repeater row to a new position
+         *
+         * Re-indexes the rows and announces the move to screen readers.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @param {jQuery} $row      - The row to move
+         * @param {string} move      - The move: up, down, top or bottom
+         * @return {void}
+         */
+        moveRepeaterRow: function ($repeater, $row, move) {
+            var i18n = config.i18n || {};
+            var $rows = this.getRepeaterRows($repeater);
+            var from = $rows.index($row);
+            var to = this.getMovePosition(move, from, $rows.length);
+
+            if (to === from) {
+                return;
+            }
+
+            this.removeEditors($row);
+
+            if (to < from) {
+                $rows.eq(to).before($row);
+            } else {
+                $rows.eq(to).after($row);
+            }
+
+            this.restoreEditors($row);
+            this.updateRepeaterIndexes($repeater);
+            this.emit('rows-sorted', {$repeater: $repeater});
+            this.showRepeaterRow($row);
+            this.announce((i18n.rowMoved || 'Row %1$s moved to position %2$s.')
+                .replace('%1$s', from + 1)
+                .replace('%2$s', to + 1));
+        },
+
+        /**
+         * Get the reorder controls of a row, excluding those of nested rows
+         *
+         * @memberof PostFields
+         * @param {jQuery} $row - The repeater row
+         * @return {jQuery} The move controls container
+         */
+        getRowMoveControls: function ($row) {
+            return $row.children('.arraypress-repeater__row-header, .arraypress-repeater__table-handle')
+                .children('.arraypress-repeater__row-move');
+        },
+
+        /**
+         * Get the bulk selection checkboxes of a repeater's own rows
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @return {jQuery} The row checkboxes
+         */
+        getRowSelects: function ($repeater) {
+            return this.getRepeaterRows($repeater)
+                .children('.arraypress-repeater__row-header, .arraypress-repeater__table-handle')
+                .children('.arraypress-repeater__row-select');
+        },
+
+        /**
+         * Get the rows selected for a bulk action
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @return {jQuery} The selected rows, in order
+         */
+        getSelectedRows: function ($repeater) {
+            return this.getRowSelects($repeater).filter(':checked').closest('.arraypress-repeater__row');
+        },
+
+        /**
+         * Sync the select-all checkbox and apply button with the selection
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @return {void}
+         */
+        updateBulkState: function ($repeater) {
+            var $toolbar = $repeater.children('.arraypress-repeater__toolbar');
+            var $selects = this.getRowSelects($repeater);
+            var selected = $selects.filter(':checked').length;
+
+            $toolbar.find('.arraypress-repeater__select-all').prop({
+                checked: selected > 0 && selected === $selects.length,
+                indeterminate: selected > 0 && selected < $selects.length,
+                disabled: !$selects.length
+            });
+
+            $toolbar.find('.arraypress-repeater__bulk-apply').prop(
+                'disabled',
+                !selected || !$toolbar.find('.arraypress-repeater__bulk-action').val()
+            );
+        },
+
+        /**
+         * Apply a bulk action to the selected rows of a repeater
+         *
+         * The whole action is one batch: rows are re-indexed once and a
+         * single rows-changed event is emitted. Deleting below min_items or
+         * duplicating above max_items is refused with a message.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @param {string} action    - delete, duplicate, top, bottom or collapse
+         * @return {void}
+         */
+        bulkRowAction: function ($repeater, action) {
+            var self = this;
+            var i18n = config.i18n || {};
+            var $status = $repeater.children('.arraypress-repeater__toolbar').find('.arraypress-repeater__bulk-status');
+            var $selected = this.getSelectedRows($repeater);
+            var $rows = this.getRepeaterRows($repeater);
+            var max = parseInt($repeater.data('max')) || 0;
+            var min = parseInt($repeater.data('min')) || 0;
+            var messages = {
+                delete: i18n.bulkDeleted || '%s rows deleted.',
+                duplicate: i18n.bulkDuplicated || '%s rows duplicated.',
+                top: i18n.bulkMoved || '%s rows moved.',
+                bottom: i18n.bulkMoved || '%s rows moved.',
+                collapse: i18n.bulkCollapsed || '%s rows collapsed.'
+            };
+            var message;
+
+            if (!$selected.length || !messages[action]) {
+                return;
+            }
+
+            if (action === 'delete' && min > 0 && $rows.length - $selected.length < min) {
+                message = this.formatMessage(i18n.bulkMinRows || 'These rows cannot be deleted: at least %s rows are required.', min);
+            } else if (action === 'duplicate' && max > 0 && $rows.length + $selected.length > max) {
+                message = this.formatMessage(i18n.bulkMaxRows || 'These rows cannot be duplicated: no more than %s rows are allowed.', max);
+            }
+
+            if (message) {
+                $status.text(message);
+                this.announce(message);
+                return;
+            }
+
+            this.batchRowUpdates(function () {
+                switch (action) {
+                    case 'delete':
+                        $selected.each(function () {
+                            self.destroyComponents($(this));
+                        }).remove();
+
+                        if (!self.getRepeaterRows($repeater).length) {
+                            self.getRepeaterRowsContainer($repeater).children('.arraypress-repeater__empty-row').show();
+                        }
+                        break;
+
+                    case 'duplicate':
+                        // Unique temporary indexes keep radio groups apart until re-indexing
+                        $selected.each(function (i) {
+                            var $source = $(this);
+                            var $copy = self.createRepeaterRow($repeater, $rows.length + i, $source.attr('data-layout-key'));
+
+                            if (!$copy) {
+                                return;
+                            }
+
+                            self.copyRowValues($source, $copy);
+                            $source.after($copy);
+                            self.updateRowTitle($copy);
+                            self.initComponents($copy);
+                            self.evaluateRowConditions($copy);
+                        });
+                        break;
+
+                    // Selected rows keep their order, around the first or last unselected row
+                    case 'top':
+                        self.removeEditors($selected);
+                        $rows.not($selected).first().before($selected);
+                        self.restoreEditors($selected);
+                        break;
+
+                    case 'bottom':
+                        self.removeEditors($selected);
+                        $rows.not($selected).last().after($selected);
+                        self.restoreEditors($selected);
+                        break;
+
+                    case 'collapse':
+                        $selected.addClass('is-collapsed');
+                        self.saveCollapseState();
+                        break;
+                }
+
+                self.updateRepeaterIndexes($repeater);
+            });
+
+            this.getRowSelects($repeater).prop('checked', false);
+            message = this.formatMessage(messages[action], $selected.length);
+            $status.text(message);
+            this.announce(message);
+
+            this.emit('rows-changed', {
+                $repeater: $repeater,
+                action: action
+            });
+        },
+
+        /**
+         * Update repeater row indexes after add/remove/sort
+         *
+         * Re-indexes the repeater's own rows and updates their input names.
+         * Only the index directly after the repeater's base name is
+         * rewritten, so indexes of parent and nested repeaters are kept.
+         * Rows that are already at their index are skipped, so appending a
+         * row only touches that row. Moved rows are renamed in two passes
+         * so no two rows share input names in between, which would clear
+         * checked radios. Inside batchRowUpdates the work is deferred
+         * until the batch ends.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @return {void}
+         */
+        updateRepeaterIndexes: function ($repeater) {
+            var self = this;
+            var metaKey = $repeater.attr('data-meta-key');
+
+            if (this.batchDepth > 0) {
+                if (this.reindexQueue.indexOf($repeater[0]) === -1) {
+                    this.reindexQueue.push($repeater[0]);
+                }
+                return;
+            }
+
+            var moved = [];
+
+            this.getRepeaterRows($repeater).each(function (index) {
+                // Already at this index - names and {index} titles are current
+                if ($(this).attr('data-index') !== String(index)) {
+                    moved.push({ $row: $(this), index: index });
+                }
+            });
+
+            // Radios with the same name form one group, so renaming a row onto
+            // another row's name would uncheck one of them. Radios of moved rows
+            // get a unique temporary index first, then every input its final index.
+            moved.forEach(function (item) {
+                self.setRowIndex(item.$row, metaKey, '__REINDEX_' + item.index + '__', 'input[type="radio"]');
+            });
+
+            moved.forEach(function (item) {
+                self.setRowIndex(item.$row, metaKey, item.index);
+                self.updateRowTitle(item.$row);
+            });
+        },
+
+        /**
+         * Run several row changes with a single re-index per repeater
+         *
+         * Re-indexing is deferred while the callback runs and done once for
+         * each affected repeater afterwards. Batches can be nested.
+         *
+         * @memberof PostFields
+         * @param {Function} callback - Makes the row changes
+         * @return {void}
+         */
+        batchRowUpdates: function (callback) {
+            var self = this;
+            var queued;
+
+            this.batchDepth++;
+
+            try {
+                callback.call(this);
+            } finally {
+                this.batchDepth--;
+            }
+
+            if (this.batchDepth > 0) {
+                return;
+            }
+
+            queued = this.reindexQueue;
+            this.reindexQueue = [];
+
+            queued.forEach(function (repeater) {
+                self.updateRepeaterIndexes($(repeater));
+            });
+        },
+
+        /**
+         * Set the index of a repeater row
+         *
+         * Rewrites the segment after the repeater's base name in every input
+         * name in the row, and in the base names of nested repeaters so they
+         * keep re-indexing correctly. Works for numeric indexes as well as
+         * the row template's placeholder.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $row       - The repeater row
+         * @param {string} baseName   - The repeater's base input name, e.g. "outer[0][inner]"
+         * @param {number} index      - The new row index
+         * @param {string} [selector] - Only rename inputs matching this CSS selector, keeping
+         *                              the row's data-index and nested repeaters as they are
+         * @return {void}
+         */
+        setRowIndex: function ($row, baseName, index, selector) {
+            var prefix = baseName + '[';
+            var reindex = function (name) {
+                if (!name || name.indexOf(prefix) !== 0) {
+                    return name;
+                }
+
+                var end = name.indexOf(']', prefix.length);
+
+                return end === -1 ? name : prefix + index + name.substr(end);
+            };
+
+            // Native loops: this runs for every input of every moved row
+            var named = $row[0].querySelectorAll((selector || '') + '[name]');
+            for (var i = 0; i < named.length; i++) {
+                var name = named[i].getAttribute('name');
+                var newName = reindex(name);
+
+                if (newName !== name) {
+                    named[i].setAttribute('name', newName);
+                }
+            }
+
+            if (selector) {
+                return;
+            }
+
+            $row.attr('data-index', index);
+
+            $row.find('.arraypress-repeater').each(function () {
+                var $nested = $(this);
+                var metaKey = reindex($nested.attr('data-meta-key'));
+
+                $nested.attr('data-meta-key', metaKey).data('meta-key', metaKey);
+            });
+        },
+
+        /**
+         * Get the title element of a row, excluding titles of nested rows
+         *
+         * @memberof PostFields
+         * @param {jQuery} $row - The repeater row
+         * @return {jQuery} The row title element
+         */
+        getRowTitle: function ($row) {
+            return $row.children('.arraypress-repeater__row-header').find('.arraypress-repeater__row-title');
+        },
+
+        /* =====================================================================
+           7. Conditional Logic
+           ===================================================================== */
+
+        /**
+         * Initialize conditional field logic
+         *
+         * Sets up event delegation for handling show/hide based on field values.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initConditionalLogic: function () {
+            var self = this;
+
+            // Use event delegation for all form field changes
+            $(document).on(
+                'change input',
+                '.arraypress-metabox input, .arraypress-metabox select, .arraypress-metabox textarea',
+                function () {
+                    var $input = $(this);
+
+                    // Ignore inputs in the template (not yet added to DOM properly)
+                    if ($input.closest('.arraypress-repeater__template').length) {
+                        return;
+                    }
+
+                    // Check if we're inside a repeater row
+                    var $row = $input.closest('.arraypress-repeater__row');
+                    var animate = self.animateConditions;
+
+                    self.animateConditions = true;
+
+                    if ($row.length) {
+                        // Evaluate conditions within this row only
+                        self.evaluateRowConditions($row);
+                    } else {
+                        // Top-level field - rows and other metaboxes may reference it too
+                        self.evaluateAllConditions();
+                    }
+
+                    self.animateConditions = animate;
+                }
+            );
+
+            this.watchPostSources();
+
+            // Initial evaluation of all conditional fields on page load
+            this.evaluateAllConditions();
+        },
+
+        /**
+         * Re-evaluate conditions when post attributes change
+         *
+         * Watches the status, template, format, parent and taxonomy controls
+         * of the classic editor, or the block editor store, for conditions
+         * that reference post:* values.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        watchPostSources: function () {
+            var self = this;
+            var evaluate = function () {
+                self.animateConditions = true;
+                self.evaluateAllConditions();
+                self.animateConditions = false;
+            };
+
+            if (this.isBlockEditor()) {
+                var references = this.getPostReferences();
+                var signature = this.getPostSourceSignature(references);
+
+                this.on('refresh', function () {
+                    references = self.getPostReferences();
+                });
+
+                wp.data.subscribe(function () {
+                    if (!references.length) {
+                        return;
+                    }
+
+                    var current = self.getPostSourceSignature(references);
+
+                    if (current !== signature) {
+                        signature = current;
+                        evaluate();
+                    }
+                });
+
+                return;
+            }
+
+            $(document).on(
+                'change',
+                '#post_status, #page_template, #parent_id, input[name="post_format"], ' +
+                '.categorydiv input, .tagsdiv textarea',
+                evaluate
+            );
+
+            // The tags box updates its textarea without firing change
+            $(document).on('click', '.tagsdiv .tagadd, .tagsdiv .ntdelbutton', function () {
+                setTimeout(evaluate, 0);
+            });
+        },
+
+        /**
+         * Collect the post:* references used by conditions on the page
+         *
+         * @memberof PostFields
+         * @return {Array} Unique references such as 'post:status'
+         */
+        getPostReferences: function () {
+            var self = this;
+            var references = [];
+            var collect = function (conditions) {
+                $.each(conditions || [], function (i, condition) {
+                    var group = self.getConditionGroupLogic(condition);
+
+                    if (group) {
+                        collect(condition[group]);
+                    } else if (String(condition.field).indexOf('post:') === 0 &&
+                        references.indexOf(condition.field) === -1) {
+                        references.push(condition.field);
+                    }
+                });
+            };
+
+            $('.arraypress-metabox [data-show-when]').each(function () {
+                collect($(this).data('show-when'));
+            });
+
+            return references;
+        },
+
+        /**
+         * Get a string snapshot of post attribute values
+         *
+         * @memberof PostFields
+         * @param {Array} references - References such as 'post:status'
+         * @return {string} Serialized values
+         */
+        getPostSourceSignature: function (references) {
+            var self = this;
+
+            return JSON.stringify(references.map(function (reference) {
+                return self.getPostValue(reference.substr(5));
+            }));
+        },
+
+        /**
+         * Get a post attribute for conditional logic
+         *
+         * Supported sources are status, template, format, parent and
+         * terms:{taxonomy}. Values match what the server uses on page load:
+         * the default template is an empty string, no format is "standard"
+         * and terms are term IDs. Non-hierarchical taxonomies in the classic
+         * editor report term names, as that is all the tags box holds.
+         *
+         * @memberof PostFields
+         * @param {string} source - The source name, e.g. 'template' or 'terms:category'
+         * @return {mixed} The attribute value
+         */
+        getPostValue: function (source) {
+            var parts = source.split(':');
+            var editor = this.isBlockEditor() ? wp.data.select('core/editor') : null;
+            var value;
+
+            switch (parts[0]) {
+                case 'status':
+                    value = editor ? editor.getEditedPostAttribute('status') : $('#post_status').val();
+                    return value === 'auto-draft' ? 'draft' : (value || '');
+
+                case 'template':
+                    value = editor ? editor.getEditedPostAttribute('template') : $('#page_template').val();
+                    return value === 'default' ? '' : (value || '');
+
+                case 'format':
+                    value = editor
+                        ? editor.getEditedPostAttribute('format')
+                        : $('input[name="post_format"]:checked').val();
+                    return !value || value === '0' ? 'standard' : value;
+
+                case 'parent':
+                    value = editor ? editor.getEditedPostAttribute('parent') : $('#parent_id').val();
+                    return value ? String(value) : '0';
+
+                case 'terms':
+                    return this.getPostTerms(parts[1] || 'category', editor);
+            }
+
+            return '';
+        },
+
+        /**
+         * Get the terms currently assigned to the post
+         *
+         * The classic editor's tags box holds term names, which are mapped
+         * to IDs (see getTermIdsByName()), so every editor reports term IDs
+         * like the server.
+         *
+         * @memberof PostFields
+         * @param {string}      taxonomy - The taxonomy name
+         * @param {Object|null} editor   - The block editor store selectors, if available
+         * @return {Array} Term IDs as strings
+         */
+        getPostTerms: function (taxonomy, editor) {
+            var values = [];
+
+            if (editor) {
+                var tax = wp.data.select('core') && wp.data.select('core').getTaxonomy(taxonomy);
+                var restBase = tax && tax.rest_base
+                    ? tax.rest_base
+                    : ({category: 'categories', post_tag: 'tags'}[taxonomy] || taxonomy);
+
+                return (editor.getEditedPostAttribute(restBase) || []).map(String);
+            }
+
+            var $tags = $('textarea[name="tax_input[' + taxonomy + ']"]');
+
+            if ($tags.length) {
+                var delimiter = (window.tagsSuggestL10n && window.tagsSuggestL10n.tagDelimiter) || ',';
+
+                return this.getTermIdsByName(taxonomy, $tags.val().split(delimiter).map(function (name) {
+                    return name.trim();
+                }).filter(Boolean));
+            }
+
+            $('#taxonomy-' + taxonomy).find('input[name]:checked').each(function () {
+                if (values.indexOf(this.value) === -1) {
+                    values.push(this.value);
+                }
+            });
+
+            return values;
+        },
+
+        /**
+         * Map term names to term IDs
+         *
+         * Starts from the post's terms when the page loaded (termNames).
+         * Other names are looked up through the REST API once; conditions
+         * are evaluated again when the lookup finishes. Names without a
+         * term (new tags) have no ID until the post is saved.
+         *
+         * @memberof PostFields
+         * @param {string} taxonomy - The taxonomy name
+         * @param {Array}  names    - Term names
+         * @return {Array} IDs of the known terms, as strings
+         */
+        getTermIdsByName: function (taxonomy, names) {
+            var self = this;
+            var source = (config.termNames || {})[taxonomy];
+            var ids = [];
+            var missing = [];
+
+            if (!source) {
+                return ids;
+            }
+
+            source.terms = source.terms || {};
+
+            names.forEach(function (name) {
+                var key = name.toLowerCase();
+
+                if (!(key in source.terms)) {
+                    source.terms[key] = null;
+                    missing.push(name);
+                } else if (source.terms[key]) {
+                    ids.push(String(source.terms[key]));
+                }
+            });
+
+            if (missing.length && source.url) {
+                $.when.apply($, missing.map(function (name) {
+                    return $.ajax({
+                        url: source.url,
+                        data: {search: name, per_page: 100, _fields: 'id,name'},
+                        headers: {'X-WP-Nonce': config.nonce}
+                    }).done(function (terms) {
+                        (terms || []).forEach(function (term) {
+                            if (String(term.name).toLowerCase() === name.toLowerCase()) {
+                                source.terms[name.toLowerCase()] = term.id;
+                            }
+                        });
+                    });
+                })).always(function () {
+                    self.evaluateAllConditions();
+                });
+            }
+
+            return ids;
+        },
+
+        /**
+         * Get the scope a parent reference (^key) resolves in
+         *
+         * Each caret moves from a repeater row to the row or metabox that
+         * contains its repeater, and from a metabox to the whole document.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $context - The current scope
+         * @return {jQuery} The parent scope
+         */
+        getParentScope: function ($context) {
+            if (!$context.hasClass('arraypress-repeater__row')) {
+                return $(document);
+            }
+
+            return $context.parent().closest('.arraypress-repeater__row, .arraypress-metabox');
+        },
+
+        /**
+         * Evaluate all conditional fields on the page
+         *
+         * Called on initialization to set initial visibility state.
          *
          * @memberof PostFields
          * @return {void}
@@ -766,690 +3974,4342 @@
         evaluateAllConditions: function () {
             var self = this;
 
-            // Evaluate top-level fields in each metabox
-            $('.arraypress-metabox').each(function () {
-                self.evaluateMetaboxConditions($(this));
+            // Evaluate top-level fields in each metabox
+            $('.arraypress-metabox').each(function () {
+                self.evaluateMetaboxConditions($(this));
+            });
+
+            // Evaluate fields in existing repeater rows (not templates)
+            $('.arraypress-metabox').each(function () {
+                self.evaluateRowConditions($(this));
+            });
+        },
+
+        /**
+         * Evaluate all conditional fields in a metabox
+         *
+         * Evaluates top-level fields and group fields, excluding repeater rows.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $metabox - The metabox container element
+         * @return {void}
+         */
+        evaluateMetaboxConditions: function ($metabox) {
+            var self = this;
+
+            // Find conditional fields that are NOT inside repeaters
+            $metabox.find('[data-show-when]').each(function () {
+                var $field = $(this);
+
+                // Skip if inside a repeater row or template
+                if ($field.closest('.arraypress-repeater__row, .arraypress-repeater__template').length) {
+                    return;
+                }
+
+                self.evaluateSingleField($field, $metabox);
+            });
+        },
+
+        /**
+         * Evaluate conditional fields within a repeater row
+         *
+         * Each field is evaluated against its closest row, so fields in
+         * nested repeater rows resolve references within their own row.
+         * Templates are skipped.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $row - The repeater row element (or any container of rows)
+         * @return {void}
+         */
+        evaluateRowConditions: function ($row) {
+            var self = this;
+
+            $row.find('[data-show-when]').each(function () {
+                var $field = $(this);
+
+                if ($field.closest('.arraypress-repeater__template').length) {
+                    return;
+                }
+
+                var $context = $field.parent().closest('.arraypress-repeater__row');
+
+                if ($context.length) {
+                    self.evaluateSingleField($field, $context);
+                }
+            });
+        },
+
+        /**
+         * Evaluate a single conditional field
+         *
+         * Checks all conditions and shows/hides the field accordingly.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field   - The field wrapper with data-show-when attribute
+         * @param {jQuery} $context - Context element for finding controller fields
+         * @return {void}
+         */
+        evaluateSingleField: function ($field, $context) {
+            var conditions = $field.data('show-when');
+
+            if (!conditions || !Array.isArray(conditions) || !conditions.length) {
+                return;
+            }
+
+            // Top-level conditions must all be met (AND logic)
+            var allMet = this.evaluateConditionGroup(conditions, 'all', $context);
+
+            // Settle any running show/hide animation first
+            $field.finish();
+
+            var wasHidden = $field.hasClass('arraypress-field--hidden');
+            var changed = wasHidden === allMet;
+            var behavior = $field.data('hidden-behavior');
+
+            // Reset while still visible so dependent fields update too
+            if (changed && !allMet && behavior === 'clear') {
+                this.clearFieldValue($field);
+            }
+
+            // Show or hide field based on evaluation
+            if (changed) {
+                this.toggleConditionalField($field, allMet);
+            }
+
+            if (behavior === 'disable') {
+                this.setFieldDisabled($field, !allMet);
+            }
+
+            if (changed) {
+                this.emit('condition-changed', {
+                    $field: $field,
+                    visible: allMet
+                });
+            }
+        },
+
+        /**
+         * Show or hide a conditional field
+         *
+         * Slides the field in or out after user edits (unless reduced motion
+         * is preferred) and moves focus out of a field that is being hidden.
+         * The hidden class is applied straight away so the field's state is
+         * always current.
+         *
+         * @memberof PostFields
+         * @param {jQuery}  $field  - The conditional field wrapper
+         * @param {boolean} visible - Whether to show the field
+         * @return {void}
+         */
+        toggleConditionalField: function ($field, visible) {
+            var animate = this.animateConditions && !$field.is('td') &&
+                !(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+
+            if (visible) {
+                $field.removeClass('arraypress-field--hidden');
+
+                if (animate) {
+                    $field.hide().slideDown(200, function () {
+                        $field.css('display', '');
+                    });
+                }
+
+                return;
+            }
+
+            this.moveFocusFrom($field);
+
+            if (!animate) {
+                $field.addClass('arraypress-field--hidden');
+                return;
+            }
+
+            $field.addClass('arraypress-field--hidden arraypress-field--animating').slideUp(200, function () {
+                $field.removeClass('arraypress-field--animating').css('display', '');
+            });
+        },
+
+        /**
+         * Move focus out of a field that is about to be hidden
+         *
+         * Focus goes to the closest preceding focusable element in the
+         * metabox, or the first following one.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The field being hidden
+         * @return {void}
+         */
+        moveFocusFrom: function ($field) {
+            if (!$.contains($field[0], document.activeElement)) {
+                return;
+            }
+
+            var $focusable = $field.closest('.arraypress-metabox')
+                .find('input, select, textarea, button, a[href]')
+                .filter(':visible:not(:disabled)')
+                .filter(function () {
+                    return !$.contains($field[0], this);
+                });
+
+            var $before = $focusable.filter(function () {
+                return !!(this.compareDocumentPosition($field[0]) & Node.DOCUMENT_POSITION_FOLLOWING);
+            });
+
+            ($before.length ? $before.last() : $focusable.first()).trigger('focus');
+        },
+
+        /**
+         * Disable or re-enable the inputs of a hidden field
+         *
+         * Disabled inputs are not submitted. Only inputs disabled here are
+         * re-enabled, so inputs disabled by nested fields or by design stay
+         * disabled. Registered components with a disable handler (e.g. code
+         * editors) are switched to read-only as well.
+         *
+         * @memberof PostFields
+         * @param {jQuery}  $field   - The conditional field wrapper
+         * @param {boolean} disabled - Whether to disable the field
+         * @return {void}
+         */
+        setFieldDisabled: function ($field, disabled) {
+            var field = $field[0];
+            var $inputs = $field.find('input, select, textarea, button').filter(function () {
+                return !$(this).closest('.arraypress-repeater__template').length;
+            });
+
+            if (disabled) {
+                $inputs.filter(':not(:disabled)').prop('disabled', true).data('arraypress-disabled-by', field);
+            } else {
+                $inputs.filter(function () {
+                    return $(this).data('arraypress-disabled-by') === field;
+                }).prop('disabled', false).removeData('arraypress-disabled-by');
+            }
+
+            $.each(this.fieldTypes, function (type, handlers) {
+                if (typeof handlers.disable !== 'function') {
+                    return;
+                }
+
+                $field.find(handlers.selector).each(function () {
+                    if ($(this).data('arraypress-initialized')) {
+                        handlers.disable($(this), disabled);
+                    }
+                });
+            });
+        },
+
+        /**
+         * Reset a field to its configured default value
+         *
+         * Removes repeater rows, media and gallery selections, resets form
+         * controls to the default from data-default and lets registered
+         * components with a reset handler sync with their inputs.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The conditional field wrapper
+         * @return {void}
+         */
+        clearFieldValue: function ($field) {
+            var self = this;
+            var defaults = $field.data('default');
+
+            // Remove repeater rows, last first so indexes stay valid
+            $field.find('.arraypress-repeater').first().each(function () {
+                var $repeater = $(this);
+                var $rows = self.getRepeaterRows($repeater);
+
+                $($rows.get().reverse()).each(function () {
+                    var $row = $(this);
+                    var index = $row.index();
+
+                    self.destroyComponents($row);
+                    $row.remove();
+                    self.emit('row-removed', {
+                        $repeater: $repeater,
+                        index: index
+                    });
+                });
+            });
+
+            $field.find('.arraypress-media-field').each(function () {
+                self.removeMedia($(this));
+            });
+
+            $field.find('.arraypress-gallery-preview').empty();
+            $field.find('.arraypress-gallery-field').each(function () {
+                self.closeGalleryEditor($(this));
+                self.updateGalleryBulkState($(this));
+            });
+
+            var $inputs = $field.find('input[name], select[name], textarea[name]').filter(function () {
+                return !$(this).closest('.arraypress-repeater__template').length;
+            });
+
+            $inputs.each(function () {
+                var $input = $(this);
+                var name = $input.attr('name');
+                var key = (name.match(/\[([^\]]+)\](?:\[\])?$/) || [])[1];
+                var value = defaults;
+
+                // Compound fields default to an object keyed by sub-input
+                if ($.isPlainObject(defaults)) {
+                    value = key !== undefined && defaults[key] !== undefined ? defaults[key] : '';
+                }
+
+                if (value === null || value === undefined) {
+                    value = '';
+                }
+
+                if ($input.is(':checkbox')) {
+                    $input.prop('checked', name.slice(-2) === '[]'
+                        ? self.toValueList(value).indexOf($input.val()) !== -1
+                        : !!value && value !== '0');
+                } else if ($input.is(':radio')) {
+                    $input.prop('checked', String($input.val()) === String(value));
+                } else if ($input.is('select')) {
+                    $input.val(value);
+
+                    if ($input.val() === null) {
+                        $input.prop('selectedIndex', 0);
+                    }
+                } else {
+                    $input.val(Array.isArray(value) ? value.join(',') : value);
+                }
+            });
+
+            $.each(this.fieldTypes, function (type, handlers) {
+                if (typeof handlers.reset !== 'function') {
+                    return;
+                }
+
+                $field.find(handlers.selector).each(function () {
+                    if ($(this).data('arraypress-initialized')) {
+                        handlers.reset($(this));
+                    }
+                });
+            });
+
+            $inputs.trigger('change');
+        },
+
+        /**
+         * Evaluate a list of conditions and nested groups
+         *
+         * Groups are objects with a single any, all or not key holding
+         * their own list, e.g. {any: [{field: 'type', ...}, {all: [...]}]}.
+         * A not group is met when its conditions are not all met.
+         *
+         * @memberof PostFields
+         * @param {Array}  conditions - Conditions and groups
+         * @param {string} logic      - How to combine results: all, any or not
+         * @param {jQuery} $context   - Context element for finding controller fields
+         * @return {boolean} True if the group is met
+         */
+        evaluateConditionGroup: function (conditions, logic, $context) {
+            for (var i = 0; i < conditions.length; i++) {
+                var condition = conditions[i];
+                var group = this.getConditionGroupLogic(condition);
+                var met;
+
+                if (group) {
+                    met = this.evaluateConditionGroup(condition[group], group, $context);
+                } else {
+                    var value = this.getFieldValue(condition.field, $context);
+                    met = this.evaluateCondition(value, condition.operator, condition.value);
+                }
+
+                if (logic === 'any' && met) {
+                    return true;
+                }
+
+                if (logic !== 'any' && !met) {
+                    return logic === 'not';
+                }
+            }
+
+            return logic === 'all';
+        },
+
+        /**
+         * Get the logic of a condition group
+         *
+         * @memberof PostFields
+         * @param {Object} condition - A condition or group
+         * @return {string} The group logic (all, any or not), or empty for plain conditions
+         */
+        getConditionGroupLogic: function (condition) {
+            if (!condition || condition.field !== undefined) {
+                return '';
+            }
+
+            var logics = ['all', 'any', 'not'];
+
+            for (var i = 0; i < logics.length; i++) {
+                if (Array.isArray(condition[logics[i]])) {
+                    return logics[i];
+                }
+            }
+
+            return '';
+        },
+
+        /**
+         * Get the current value of a field
+         *
+         * Looks up a field by its key within the given context. Keys may be
+         * prefixed with ^ (once per level) to look in the enclosing scope, or
+         * be a post:* reference to a post attribute.
+         *
+         * @memberof PostFields
+         * @param {string} fieldKey - The field key to look up
+         * @param {jQuery} $context - The context element to search within
+         * @return {mixed} The field value
+         */
+        getFieldValue: function (fieldKey, $context) {
+            var $input = null;
+
+            fieldKey = String(fieldKey);
+            $context = $context || $(document);
+
+            if (fieldKey.indexOf('post:') === 0) {
+                return this.getPostValue(fieldKey.substr(5));
+            }
+
+            while (fieldKey.charAt(0) === '^') {
+                fieldKey = fieldKey.substr(1);
+                $context = this.getParentScope($context);
+            }
+
+            // First, try to find by data-field-key within context, skipping nested rows
+            var inRow = $context.hasClass('arraypress-repeater__row');
+            var $fieldWrapper = $context.find('[data-field-key="' + fieldKey + '"]').filter(function () {
+                var $scope = $(this).closest('.arraypress-repeater__row, .arraypress-repeater__template');
+
+                return inRow ? $scope[0] === $context[0] : !$scope.length;
+            }).first();
+
+            if ($fieldWrapper.length) {
+                // Registered field types can report their own value
+                var customValue = this.getComponentValue($fieldWrapper);
+                if (customValue !== undefined) {
+                    return customValue;
+                }
+
+                $input = $fieldWrapper.find('input, select, textarea').first();
+            }
+
+            // If not found and we're NOT in a repeater row, fall back to document level
+            if ((!$input || !$input.length) && !$context.hasClass('arraypress-repeater__row')) {
+                $input = $('[name="' + fieldKey + '"], [name="' + fieldKey + '[]"]').first();
+            }
+
+            if (!$input || !$input.length) {
+                return '';
+            }
+
+            // Multi-value controls report every selected value
+            var name = $input.attr('name') || '';
+
+            if ($input.is(':checkbox') && name.slice(-2) === '[]') {
+                return $('input[name="' + name + '"]:checked').map(function () {
+                    return $(this).val();
+                }).get();
+            }
+
+            if ($input.is('select[multiple]')) {
+                return $input.val() || [];
+            }
+
+            if ($input.hasClass('arraypress-gallery-input')) {
+                return ($input.val() || '').split(',').filter(Boolean);
+            }
+
+            // Handle different input types
+            if ($input.is(':checkbox')) {
+                return $input.is(':checked') ? 1 : 0;
+            }
+
+            if ($input.is(':radio')) {
+                var radioName = $input.attr('name');
+                return $('input[name="' + radioName + '"]:checked').val() || '';
+            }
+
+            return $input.val();
+        },
+
+        /**
+         * Evaluate a single condition
+         *
+         * Compares actual value against expected value using the specified operator.
+         * Multi-value fields (checkbox groups, multi-selects, galleries) report
+         * arrays, which the membership operators compare item by item.
+         *
+         * @memberof PostFields
+         * @param {mixed}  actualValue - The actual field value
+         * @param {string} operator    - The comparison operator
+         * @param {mixed}  expected    - The expected value
+         * @return {boolean} True if condition is met
+         */
+        evaluateCondition: function (actualValue, operator, expected) {
+            // Normalize values for comparison
+            var actual = this.normalizeValue(actualValue);
+            var expect = this.normalizeValue(expected);
+
+            switch (operator) {
+                case '==':
+                case '=':
+                    return actual == expect;
+
+                case '===':
+                    return actual === expect;
+
+                case '!=':
+                case '<>':
+                    return actual != expect;
+
+                case '!==':
+                    return actual !== expect;
+
+                case '>':
+                    return parseFloat(actual) > parseFloat(expect);
+
+                case '>=':
+                    return parseFloat(actual) >= parseFloat(expect);
+
+                case '<':
+                    return parseFloat(actual) < parseFloat(expect);
+
+                case '<=':
+                    return parseFloat(actual) <= parseFloat(expect);
+
+                case 'in':
+                    if (Array.isArray(actual)) {
+                        return this.countShared(actual, expect) > 0;
+                    }
+                    var arr = Array.isArray(expect) ? expect : [expect];
+                    return arr.indexOf(actual) !== -1;
+
+                case 'not_in':
+                    if (Array.isArray(actual)) {
+                        return this.countShared(actual, expect) === 0;
+                    }
+                    var arr2 = Array.isArray(expect) ? expect : [expect];
+                    return arr2.indexOf(actual) === -1;
+
+                case 'contains_any':
+                    return this.countShared(actual, expect) > 0;
+
+                case 'contains_all':
+                    return this.countShared(actual, expect) === this.toValueList(expect).length;
+
+                case 'between':
+                    // Strictly numeric, like PHP's is_numeric(): "12abc" is not in any range
+                    var range = Array.isArray(expected) ? expected : [];
+                    var number = this.toNumber(actual);
+                    return range.length === 2 && number !== null &&
+                        number >= parseFloat(range[0]) && number <= parseFloat(range[1]);
+
+                case 'matches':
+                    return this.matchesPattern(actualValue, expected);
+
+                case 'length_eq':
+                    return this.getValueLength(actualValue) === parseInt(expected, 10);
+
+                case 'length_gt':
+                    return this.getValueLength(actualValue) > parseInt(expected, 10);
+
+                case 'length_gte':
+                    return this.getValueLength(actualValue) >= parseInt(expected, 10);
+
+                case 'length_lt':
+                    return this.getValueLength(actualValue) < parseInt(expected, 10);
+
+                case 'length_lte':
+                    return this.getValueLength(actualValue) <= parseInt(expected, 10);
+
+                case 'before':
+                case 'after':
+                    var date = this.toComparableDate(actualValue);
+                    var limit = this.toComparableDate(expected);
+                    if (date === '' || limit === '') {
+                        return false;
+                    }
+                    return operator === 'before' ? date < limit : date > limit;
+
+                case 'contains':
+                    if (Array.isArray(actual)) {
+                        return actual.map(String).indexOf(String(expect)) !== -1;
+                    }
+                    return String(actual).indexOf(String(expect)) !== -1;
+
+                case 'not_contains':
+                    if (Array.isArray(actual)) {
+                        return actual.map(String).indexOf(String(expect)) === -1;
+                    }
+                    return String(actual).indexOf(String(expect)) === -1;
+
+                case 'empty':
+                    return !actual || actual === '' || actual === '0' || actual === 0 ||
+                        (Array.isArray(actual) && !actual.length);
+
+                case 'not_empty':
+                    return !!actual && actual !== '' && actual !== '0' && actual !== 0 &&
+                        !(Array.isArray(actual) && !actual.length);
+
+                default:
+                    // Default to equality check
+                    return actual == expect;
+            }
+        },
+
+        /**
+         * Convert a value to a list of strings
+         *
+         * Empty scalars become an empty list.
+         *
+         * @memberof PostFields
+         * @param {mixed} value - A single value or an array
+         * @return {Array} The values as strings
+         */
+        toValueList: function (value) {
+            if (Array.isArray(value)) {
+                return value.map(String);
+            }
+
+            return value === null || value === undefined || value === '' ? [] : [String(value)];
+        },
+
+        /**
+         * Count the expected values present in the actual value
+         *
+         * @memberof PostFields
+         * @param {mixed} actual   - The actual value or values
+         * @param {mixed} expected - The expected value or values
+         * @return {number} Number of expected values found
+         */
+        countShared: function (actual, expected) {
+            var values = this.toValueList(actual);
+
+            return this.toValueList(expected).filter(function (value) {
+                return values.indexOf(value) !== -1;
+            }).length;
+        },
+
+        /**
+         * Get the length of a value
+         *
+         * Arrays count their items and other values their characters.
+         *
+         * @memberof PostFields
+         * @param {mixed} value - The value to measure
+         * @return {number} The length
+         */
+        getValueLength: function (value) {
+            if (Array.isArray(value)) {
+                return value.length;
+            }
+
+            return value === null || value === undefined ? 0 : Array.from(String(value)).length;
+        },
+
+        /**
+         * Convert a strictly numeric value to a number
+         *
+         * Mirrors PHP's is_numeric(): surrounding whitespace is allowed, but
+         * trailing text such as "12abc" is not.
+         *
+         * @memberof PostFields
+         * @param {mixed} value - The value to convert
+         * @return {number|null} The number, or null if the value isn't numeric
+         */
+        toNumber: function (value) {
+            if (typeof value === 'number') {
+                return isFinite(value) ? value : null;
+            }
+
+            if (typeof value !== 'string' || !/^\s*[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?\s*$/i.test(value)) {
+                return null;
+            }
+
+            return parseFloat(value);
+        },
+
+        /**
+         * Test a value against a regular expression
+         *
+         * Accepts a bare pattern or a delimited one with flags, e.g. /^sku-/i.
+         * Arrays match when any item matches. Invalid patterns never match.
+         *
+         * @memberof PostFields
+         * @param {mixed}  value   - The value to test
+         * @param {string} pattern - The pattern
+         * @return {boolean} True if the value matches
+         */
+        matchesPattern: function (value, pattern) {
+            var parts = String(pattern).match(/^\/([\s\S]*)\/([imsu]*)$/);
+            var regex;
+
+            try {
+                regex = parts ? new RegExp(parts[1], parts[2]) : new RegExp(String(pattern));
+            } catch (e) {
+                return false;
+            }
+
+            return (Array.isArray(value) ? value : [value === null || value === undefined ? '' : value])
+                .some(function (item) {
+                    return regex.test(String(item));
+                });
+        },
+
+        /**
+         * Convert a date, time or datetime value to a comparable string
+         *
+         * Values use the ISO formats of the date inputs, so they compare as
+         * strings. The keywords "today" and "now" use the current time in the
+         * site's timezone (the localized gmtOffset, in seconds), like PHP's
+         * current_time(), so the editor and the server agree.
+         *
+         * @memberof PostFields
+         * @param {mixed} value - The value to convert
+         * @return {string} The comparable value, or empty if there is none
+         */
+        toComparableDate: function (value) {
+            var pad = function (number) {
+                return (number < 10 ? '0' : '') + number;
+            };
+            var offset = parseFloat(config.gmtOffset);
+
+            if (isNaN(offset)) {
+                offset = -new Date().getTimezoneOffset() * 60;
+            }
+
+            // The UTC fields of the shifted date hold the site's local time
+            var now = new Date(Date.now() + offset * 1000);
+            var today = now.getUTCFullYear() + '-' + pad(now.getUTCMonth() + 1) + '-' + pad(now.getUTCDate());
+
+            value = value === null || value === undefined ? '' : String(value).trim();
+
+            if (value === 'today') {
+                return today;
+            }
+
+            if (value === 'now') {
+                return today + 'T' + pad(now.getUTCHours()) + ':' + pad(now.getUTCMinutes());
+            }
+
+            return value.replace(' ', 'T');
+        },
+
+        /**
+         * Normalize a value for comparison
+         *
+         * Converts string numbers to actual numbers for proper comparison.
+         *
+         * @memberof PostFields
+         * @param {mixed} value - The value to normalize
+         * @return {mixed} Normalized value
+         */
+        normalizeValue: function (value) {
+            if (value === null || value === undefined) {
+                return '';
+            }
+
+            // Convert string numbers to actual numbers
+            if (typeof value === 'string' && !isNaN(value) && value !== '') {
+                return parseFloat(value);
+            }
+
+            return value;
+        },
+
+        /* =====================================================================
+           8. Button Groups
+           ===================================================================== */
+
+        /**
+         * Initialize button group fields
+         *
+         * Sets up visual state handling for toggle button groups.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initButtonGroups: function () {
+            // Sync selected state when a group is set up (e.g., in new repeater rows)
+            this.registerFieldType('button_group', {
+                selector: '.arraypress-button-group',
+                init: function ($group) {
+                    $group.find('.arraypress-button-group__input').each(function () {
+                        var $input = $(this);
+                        $input.closest('.arraypress-button-group__item')
+                            .toggleClass('is-selected', $input.is(':checked'));
+                    });
+                }
+            });
+
+            // Handle button group input changes with event delegation
+            $(document).on('change', '.arraypress-button-group__input', function () {
+                var $input = $(this);
+                var $group = $input.closest('.arraypress-button-group');
+                var isMultiple = $group.hasClass('arraypress-button-group--multiple');
+
+                if (isMultiple) {
+                    // Toggle this item's selected state
+                    $input.closest('.arraypress-button-group__item')
+                        .toggleClass('is-selected', $input.is(':checked'));
+                } else {
+                    // Radio - only one can be selected
+                    $group.find('.arraypress-button-group__item').removeClass('is-selected');
+                    $input.closest('.arraypress-button-group__item').addClass('is-selected');
+                }
+            });
+        },
+
+        /* =====================================================================
+           9. Range Sliders
+           ===================================================================== */
+
+        /**
+         * Initialize range slider fields
+         *
+         * Sets up live output updates for range inputs.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initRangeSliders: function () {
+            // Update output display on input change
+            $(document).on('input', '.arraypress-range-input', function () {
+                var $input = $(this);
+                var $output = $input.siblings('.arraypress-range-output');
+                var $field = $input.closest('.arraypress-range-field');
+                var unit = $field.data('unit') || '';
+
+                $output.text($input.val() + unit);
+            });
+        },
+
+        /* =====================================================================
+           10. AJAX Selects
+           ===================================================================== */
+
+        /**
+         * Initialize all AJAX select fields
+         *
+         * Registers Select2 on all AJAX-powered select fields as a component.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initAjaxSelects: function () {
+            var self = this;
+
+            this.registerFieldType('ajax_select', {
+                selector: '.arraypress-ajax-select',
+                lazy: true,
+                init: function ($select) {
+                    self.initSingleAjaxSelect($select);
+                },
+                destroy: function ($select) {
+                    // Destroy Select2 to prevent memory leaks
+                    if ($select.hasClass('select2-hidden-accessible')) {
+                        $select.select2('destroy');
+                    }
+                }
+            });
+        },
+
+        /**
+         * Initialize a single AJAX select field
+         *
+         * Configures Select2 with AJAX data source and hydrates existing values.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $select - The select element to initialize
+         * @return {void}
+         */
+        initSingleAjaxSelect: function ($select) {
+            var self = this;
+
+            // Skip if already initialized
+            if ($select.hasClass('select2-hidden-accessible')) {
+                return;
+            }
+
+            var metaboxId = $select.data('metabox-id');
+            var fieldKey = $select.data('field-key');
+            var fieldType = $select.data('field-type') || 'ajax';
+            var isMultiple = $select.prop('multiple');
+            var placeholder = $select.data('placeholder') || 'Search...';
+            var restUrl = config.restUrl || '';
+            var nonce = config.nonce || '';
+
+            // Build AJAX configuration based on field type
+            var ajaxConfig = this.buildAjaxConfig(fieldType, $select, restUrl, nonce, metaboxId, fieldKey);
+
+            var select2Options = {
+                width: '100%',
+                allowClear: true,
+                placeholder: placeholder,
+                ajax: ajaxConfig,
+                minimumInputLength: 0
+            };
+
+            // Get current values BEFORE initializing Select2
+            var currentValues = $select.val();
+
+            // Initialize Select2
+            $select.select2(select2Options);
+
+            // Hydrate existing values (fetch labels for saved IDs)
+            if (currentValues && currentValues.length) {
+                var ids = Array.isArray(currentValues) ? currentValues : [currentValues];
+                ids = ids.filter(function (id) {
+                    return id && id !== '';
+                });
+
+                if (ids.length > 0) {
+                    self.hydrateAjaxSelect($select, ids, fieldType, metaboxId, fieldKey, restUrl, nonce);
+                }
+            }
+        },
+
+        /**
+         * Build AJAX configuration for Select2 based on field type
+         *
+         * @memberof PostFields
+         * @param {string} fieldType - The field type (ajax, post_ajax, taxonomy_ajax)
+         * @param {jQuery} $select   - The select element
+         * @param {string} restUrl   - The REST API base URL
+         * @param {string} nonce     - The WP REST nonce
+         * @param {string} metaboxId - The metabox ID
+         * @param {string} fieldKey  - The field key
+         * @return {Object} AJAX configuration object
+         */
+        buildAjaxConfig: function (fieldType, $select, restUrl, nonce, metaboxId, fieldKey) {
+            var self = this;
+
+            return {
+                url: restUrl,
+                dataType: 'json',
+                delay: 250,
+                headers: {
+                    'X-WP-Nonce': nonce
+                },
+                data: function (params) {
+                    var data = {
+                        metabox_id: metaboxId,
+                        field_key: fieldKey,
+                        field_type: fieldType,
+                        search: params.term || ''
+                    };
+
+                    // Add type-specific parameters
+                    if (fieldType === 'post_ajax') {
+                        data.post_types = $select.data('post-types') || 'post';
+                    } else if (fieldType === 'taxonomy_ajax') {
+                        data.taxonomy = $select.data('taxonomy') || 'category';
+                    } else if (fieldType === 'user_ajax') {
+                        data.role = $select.data('role') || '';
+                    }
+
+                    return data;
+                },
+                processResults: function (data) {
+                    return {
+                        results: data.map(function (item) {
+                            return {
+                                id: item.value,
+                                text: item.label
+                            };
+                        })
+                    };
+                },
+                cache: true
+            };
+        },
+
+        /**
+         * Hydrate AJAX select with labels for existing values
+         *
+         * Fetches display labels for pre-selected IDs from the server.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $select   - The select element
+         * @param {Array}  ids       - Array of IDs to hydrate
+         * @param {string} fieldType - The field type
+         * @param {string} metaboxId - The metabox ID
+         * @param {string} fieldKey  - The field key
+         * @param {string} restUrl   - The REST API URL
+         * @param {string} nonce     - The WP REST nonce
+         * @return {void}
+         */
+        hydrateAjaxSelect: function ($select, ids, fieldType, metaboxId, fieldKey, restUrl, nonce) {
+            var self = this;
+            var data = {
+                metabox_id: metaboxId,
+                field_key: fieldKey,
+                field_type: fieldType,
+                include: ids.join(',')
+            };
+
+            // Add type-specific parameters
+            if (fieldType === 'post_ajax') {
+                data.post_types = $select.data('post-types') || 'post';
+            } else if (fieldType === 'taxonomy_ajax') {
+                data.taxonomy = $select.data('taxonomy') || 'category';
+            } else if (fieldType === 'user_ajax') {
+                data.role = $select.data('role') || '';
+            }
+
+            $.ajax({
+                url: restUrl,
+                data: data,
+                headers: {
+                    'X-WP-Nonce': nonce
+                }
+            }).done(function (results) {
+                // Clear existing options and add new ones with proper labels
+                $select.empty();
+
+                results.forEach(function (item) {
+                    var option = new Option(item.label, item.value, true, true);
+                    $select.append(option);
+                });
+
+                $select.trigger('change.select2');
+
+                // Row titles can show the hydrated labels
+                var $row = $select.closest('.arraypress-repeater__row');
+                if ($row.length) {
+                    self.updateRowTitle($row);
+                }
+            }).fail(function () {
+                console.warn('Failed to hydrate ajax select:', fieldKey);
+            });
+        },
+
+        /* =====================================================================
+           11. Password Fields
+           ===================================================================== */
+
+        /**
+         * Initialize password field toggle functionality
+         *
+         * Sets up show/hide toggle for password inputs.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initPasswordFields: function () {
+            var i18n = config.i18n || {};
+
+            $(document).on('click', '.arraypress-password-toggle', function (e) {
+                e.preventDefault();
+
+                var $button = $(this);
+                var $field = $button.closest('.arraypress-password-field');
+                var $input = $field.find('.arraypress-password-input');
+                var $icon = $button.find('.dashicons');
+
+                if ($input.attr('type') === 'password') {
+                    // Show password
+                    $input.attr('type', 'text');
+                    $icon.removeClass('dashicons-visibility').addClass('dashicons-hidden');
+                    $button.attr('aria-label', i18n.hidePassword || 'Hide password');
+                } else {
+                    // Hide password
+                    $input.attr('type', 'password');
+                    $icon.removeClass('dashicons-hidden').addClass('dashicons-visibility');
+                    $button.attr('aria-label', i18n.showPassword || 'Show password');
+                }
+            });
+        },
+
+        /* =====================================================================
+           12. Code Editors
+           ===================================================================== */
+
+        /**
+         * Initialize code editor fields
+         *
+         * Registers CodeMirror for code editing fields as a component.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initCodeEditors: function () {
+            var self = this;
+
+            this.registerFieldType('code', {
+                selector: '.arraypress-code-field',
+                lazy: true,
+                init: function ($field) {
+                    self.initSingleCodeEditor($field);
+                },
+                destroy: function ($field) {
+                    var $textarea = $field.find('.arraypress-code-editor');
+                    var cm = $textarea.data('codemirror');
+
+                    if (cm) {
+                        cm.toTextArea();
+                        $textarea.removeData('codemirror');
+                    }
+                },
+                disable: function ($field, disabled) {
+                    var cm = $field.find('.arraypress-code-editor').data('codemirror');
+
+                    if (cm) {
+                        cm.setOption('readOnly', disabled ? 'nocursor' : false);
+                    }
+                },
+                reset: function ($field) {
+                    var $textarea = $field.find('.arraypress-code-editor');
+                    var cm = $textarea.data('codemirror');
+
+                    if (cm) {
+                        cm.setValue($textarea.val());
+                    }
+                }
+            });
+        },
+
+        /**
+         * Initialize a single code editor
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The code field container element
+         * @return {void}
+         */
+        initSingleCodeEditor: function ($field) {
+            var $textarea = $field.find('.arraypress-code-editor');
+
+            // Skip if already initialized
+            if ($textarea.data('codemirror')) {
+                return;
+            }
+
+            // Check if CodeMirror is available
+            if (typeof wp === 'undefined' || typeof wp.codeEditor === 'undefined') {
+                return;
+            }
+
+            var mode = $field.data('mode') || 'htmlmixed';
+            var lineNumbers = $field.data('line-numbers') !== 'false';
+
+            // Initialize WordPress CodeMirror
+            var editorSettings = wp.codeEditor.defaultSettings ? _.clone(wp.codeEditor.defaultSettings) : {};
+
+            editorSettings.codemirror = _.extend(
+                {},
+                editorSettings.codemirror,
+                {
+                    mode: mode,
+                    lineNumbers: lineNumbers,
+                    lineWrapping: true,
+                    indentUnit: 4,
+                    tabSize: 4,
+                    indentWithTabs: true
+                }
+            );
+
+            var editor = wp.codeEditor.initialize($textarea[0], editorSettings);
+
+            // Store reference for cleanup
+            if (editor && editor.codemirror) {
+                $textarea.data('codemirror', editor.codemirror);
+
+                // Ensure the textarea value is updated when CodeMirror changes
+                editor.codemirror.on('change', function (cm) {
+                    cm.save();
+                    $textarea.trigger('change');
+                });
+
+                // Refresh editor when it becomes visible (e.g., in collapsed repeater rows)
+                setTimeout(function () {
+                    editor.codemirror.refresh();
+                }, 100);
+            }
+        },
+
+        /* =====================================================================
+           13. oEmbed Fields
+           ===================================================================== */
+
+        /**
+         * Initialize oEmbed field preview functionality
+         *
+         * Sets up preview button click handlers for oEmbed fields.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initOembedFields: function () {
+            var self = this;
+            var i18n = config.i18n || {};
+
+            // Preview button click
+            $(document).on('click', '.arraypress-oembed-preview-btn', function (e) {
+                e.preventDefault();
+
+                var $button = $(this);
+                var $field = $button.closest('.arraypress-oembed-field');
+                var $input = $field.find('.arraypress-oembed-input');
+                var $preview = $field.find('.arraypress-oembed-preview');
+                var url = $input.val();
+
+                if (!url) {
+                    $preview.hide().empty();
+                    return;
+                }
+
+                // Show loading state
+                $preview.show()
+                    .addClass('is-loading')
+                    .removeClass('is-error')
+                    .html(i18n.loadingEmbed || 'Loading preview...');
+
+                // Fetch oEmbed preview via AJAX
+                self.fetchOembedPreview(url, $preview);
+            });
+
+            // Also trigger preview on input blur if there's a value
+            $(document).on('blur', '.arraypress-oembed-input', function () {
+                var $input = $(this);
+                var $field = $input.closest('.arraypress-oembed-field');
+                var $preview = $field.find('.arraypress-oembed-preview');
+                var url = $input.val();
+
+                // Only auto-preview if preview is currently empty and we have a URL
+                if (url && $preview.children().length === 0) {
+                    $field.find('.arraypress-oembed-preview-btn').trigger('click');
+                }
+            });
+        },
+
+        /**
+         * Fetch oEmbed preview from WordPress
+         *
+         * @memberof PostFields
+         * @param {string} url      - The URL to fetch embed for
+         * @param {jQuery} $preview - The preview container element
+         * @return {void}
+         */
+        fetchOembedPreview: function (url, $preview) {
+            var i18n = config.i18n || {};
+
+            // Use WordPress oEmbed proxy endpoint
+            $.ajax({
+                url: ajaxurl,
+                type: 'POST',
+                data: {
+                    action: 'parse-embed',
+                    post_ID: $('#post_ID').val() || 0,
+                    shortcode: '[embed]' + url + '[/embed]'
+                }
+            }).done(function (response) {
+                $preview.removeClass('is-loading');
+
+                if (response.success && response.data && response.data.body) {
+                    $preview.html(response.data.body);
+                } else {
+                    $preview.addClass('is-error')
+                        .html(i18n.embedError || 'Could not load preview for this URL.');
+                }
+            }).fail(function () {
+                $preview.removeClass('is-loading')
+                    .addClass('is-error')
+                    .html(i18n.embedError || 'Could not load preview for this URL.');
+            });
+        },
+
+        /* =====================================================================
+           14. Extension API
+           ===================================================================== */
+
+        /**
+         * Register a field type component
+         *
+         * Components are initialized on page load and whenever a repeater row
+         * is added, and destroyed when a row is removed. Each element is only
+         * initialized once. Registering after the page has been initialized
+         * sets up any matching elements immediately.
+         *
+         * @memberof PostFields
+         * @param {string}   type               - Unique field type name
+         * @param {Object}   handlers           - Field type handlers
+         * @param {string}   handlers.selector  - Selector matching the component root element
+         * @param {Function} [handlers.init]    - Called with the jQuery element to set up
+         * @param {Function} [handlers.destroy] - Called with the jQuery element before removal
+         * @param {Function} [handlers.getValue] - Returns the value used by conditional logic
+         * @param {Function} [handlers.disable]  - Called with the element and a boolean when a hidden field is disabled
+         * @param {Function} [handlers.reset]    - Called with the element after its inputs are reset to defaults
+         * @param {boolean}  [handlers.lazy]     - Defer init inside repeater rows until the row is shown
+         * @return {void}
+         */
+        registerFieldType: function (type, handlers) {
+            if (!type || !handlers || !handlers.selector) {
+                console.warn('Field type registration requires a type and a selector:', type);
+                return;
+            }
+
+            this.fieldTypes[type] = $.extend({
+                init: null,
+                destroy: null,
+                getValue: null,
+                disable: null,
+                reset: null,
+                lazy: false
+            }, handlers);
+
+            if (this.initialized) {
+                this.initComponent(this.fieldTypes[type], $(document));
+            }
+        },
+
+        /**
+         * Unregister a field type component
+         *
+         * @memberof PostFields
+         * @param {string} type - The field type name
+         * @return {void}
+         */
+        unregisterFieldType: function (type) {
+            delete this.fieldTypes[type];
+        },
+
+        /**
+         * Initialize all registered components within a container
+         *
+         * @memberof PostFields
+         * @param {jQuery} $container - The container to search within
+         * @return {void}
+         */
+        initComponents: function ($container) {
+            var self = this;
+
+            $.each(this.fieldTypes, function (type, handlers) {
+                self.initComponent(handlers, $container);
+            });
+        },
+
+        /**
+         * Initialize a single registered component within a container
+         *
+         * Elements inside repeater templates are skipped.
+         *
+         * @memberof PostFields
+         * @param {Object} handlers   - The field type handlers
+         * @param {jQuery} $container - The container to search within
+         * @return {void}
+         */
+        initComponent: function (handlers, $container) {
+            var self = this;
+
+            if (typeof handlers.init !== 'function') {
+                return;
+            }
+
+            $container.find(handlers.selector).each(function () {
+                var $element = $(this);
+
+                // Skip if in a template or already initialized
+                if ($element.closest('.arraypress-repeater__template').length ||
+                    $element.data('arraypress-initialized')) {
+                    return;
+                }
+
+                // Lazy components wait until their repeater row is shown
+                if (handlers.lazy && self.shouldDeferInit($element)) {
+                    self.deferRowInit($element.closest('.arraypress-repeater__row'));
+                    return;
+                }
+
+                $element.data('arraypress-initialized', true);
+                handlers.init($element);
+            });
+        },
+
+        /**
+         * Check if a lazy component should wait for its repeater row
+         *
+         * Components outside repeater rows are set up right away. Inside
+         * rows they wait while the row is collapsed or on another page,
+         * and (where IntersectionObserver is supported) until the row has
+         * scrolled into view.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $element - The component element
+         * @return {boolean} True if initialization should be deferred
+         */
+        shouldDeferInit: function ($element) {
+            var $row = $element.closest('.arraypress-repeater__row');
+
+            if (!$row.length) {
+                return false;
+            }
+
+            if ($element.parents('.arraypress-repeater__row.is-collapsed, .arraypress-repeater__row--paged').length) {
+                return true;
+            }
+
+            return !$row.data('arraypress-in-view') && this.getRowObserver() !== null;
+        },
+
+        /**
+         * Get the observer that sets up rows as they scroll into view
+         *
+         * @memberof PostFields
+         * @return {IntersectionObserver|null} The observer, or null if unsupported
+         */
+        getRowObserver: function () {
+            var self = this;
+
+            if (!this.rowObserver && typeof window.IntersectionObserver === 'function') {
+                this.rowObserver = new window.IntersectionObserver(function (entries) {
+                    entries.forEach(function (entry) {
+                        if (entry.isIntersecting) {
+                            $(entry.target).data('arraypress-in-view', true);
+                            self.initDeferredRow($(entry.target));
+                        }
+                    });
+                }, {rootMargin: '200px 0px'});
+            }
+
+            return this.rowObserver;
+        },
+
+        /**
+         * Mark a row as having deferred components
+         *
+         * @memberof PostFields
+         * @param {jQuery} $row - The repeater row
+         * @return {void}
+         */
+        deferRowInit: function ($row) {
+            if ($row.data('arraypress-deferred')) {
+                return;
+            }
+
+            $row.data('arraypress-deferred', true);
+
+            if (this.getRowObserver()) {
+                this.rowObserver.observe($row[0]);
+            }
+        },
+
+        /**
+         * Set up deferred components once a row is shown
+         *
+         * Covers the row and the rows of repeaters nested in it, skipping
+         * rows that are still hidden or far outside the viewport.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $row - The repeater row
+         * @return {void}
+         */
+        initDeferredRow: function ($row) {
+            var self = this;
+
+            $row.find('.arraypress-repeater__row').addBack().each(function () {
+                var $current = $(this);
+
+                if (!$current.data('arraypress-deferred') || self.isRowHidden($current)) {
+                    return;
+                }
+
+                if (!$current.data('arraypress-in-view') && self.rowObserver) {
+                    var rect = this.getBoundingClientRect();
+
+                    if (rect.bottom < -200 || rect.top > window.innerHeight + 200) {
+                        return;
+                    }
+                }
+
+                $current.data('arraypress-in-view', true).removeData('arraypress-deferred');
+
+                if (self.rowObserver) {
+                    self.rowObserver.unobserve(this);
+                }
+
+                self.initComponents($current);
+            });
+        },
+
+        /**
+         * Destroy all registered components within a container
+         *
+         * @memberof PostFields
+         * @param {jQuery} $container - The container to search within
+         * @return {void}
+         */
+        destroyComponents: function ($container) {
+            var observer = this.rowObserver;
+
+            // Stop watching rows that are going away
+            if (observer) {
+                $container.find('.arraypress-repeater__row').addBack('.arraypress-repeater__row').each(function () {
+                    observer.unobserve(this);
+                });
+            }
+
+            $.each(this.fieldTypes, function (type, handlers) {
+                if (typeof handlers.destroy !== 'function') {
+                    return;
+                }
+
+                $container.find(handlers.selector).each(function () {
+                    var $element = $(this);
+
+                    handlers.destroy($element);
+                    $element.removeData('arraypress-initialized');
+                });
+            });
+        },
+
+        /**
+         * Get a field value from a registered component
+         *
+         * @memberof PostFields
+         * @param {jQuery} $fieldWrapper - The field wrapper element
+         * @return {mixed} The component value, or undefined if no component handles it
+         */
+        getComponentValue: function ($fieldWrapper) {
+            var value;
+
+            $.each(this.fieldTypes, function (type, handlers) {
+                if (typeof handlers.getValue !== 'function') {
+                    return;
+                }
+
+                var $element = $fieldWrapper.find(handlers.selector).addBack(handlers.selector).first();
+
+                if ($element.length) {
+                    value = handlers.getValue($element);
+                    return false;
+                }
+            });
+
+            return value;
+        },
+
+        /**
+         * Subscribe to a lifecycle event
+         *
+         * Available events: ready, refresh, row-added, row-removed, rows-sorted,
+         * condition-changed, media-selected, metaboxes-saved, modified.
+         *
+         * @memberof PostFields
+         * @param {string}   event    - The event name
+         * @param {Function} callback - Called with the event data object
+         * @return {void}
+         */
+        on: function (event, callback) {
+            if (typeof callback !== 'function') {
+                return;
+            }
+
+            this.listeners[event] = this.listeners[event] || [];
+            this.listeners[event].push(callback);
+        },
+
+        /**
+         * Unsubscribe from a lifecycle event
+         *
+         * @memberof PostFields
+         * @param {string}   event      - The event name
+         * @param {Function} [callback] - The callback to remove, or all callbacks if omitted
+         * @return {void}
+         */
+        off: function (event, callback) {
+            if (!this.listeners[event]) {
+                return;
+            }
+
+            if (!callback) {
+                delete this.listeners[event];
+                return;
+            }
+
+            this.listeners[event] = this.listeners[event].filter(function (listener) {
+                return listener !== callback;
+            });
+        },
+
+        /**
+         * Emit a lifecycle event to all subscribers
+         *
+         * @memberof PostFields
+         * @param {string} event - The event name
+         * @param {Object} data  - The event data
+         * @return {void}
+         */
+        emit: function (event, data) {
+            var listeners = (this.listeners[event] || []).slice();
+
+            for (var i = 0; i < listeners.length; i++) {
+                listeners[i].call(null, data);
+            }
+        },
+
+        /* =====================================================================
+           15. Block Editor
+           ===================================================================== */
+
+        /**
+         * Check whether the current screen is the block editor
+         *
+         * @memberof PostFields
+         * @return {boolean} True if the block editor data stores are available
+         */
+        isBlockEditor: function () {
+            if (typeof wp === 'undefined' || !wp.data || typeof wp.data.select !== 'function') {
+                return false;
+            }
+
+            return !!config.isBlockEditor || $('body').hasClass('block-editor-page');
+        },
+
+        /**
+         * Initialize block editor integration
+         *
+         * Metaboxes are posted separately from the post itself in the block
+         * editor, so field changes are reported to the editor store to enable
+         * saving, components are re-initialized after metabox saves and
+         * re-renders, and invalid fields are surfaced as editor notices.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initBlockEditor: function () {
+            var self = this;
+
+            if (!this.isBlockEditor()) {
+                return;
+            }
+
+            // Mark the post dirty when any field changes
+            $(document).on(
+                'change input',
+                '.arraypress-metabox input, .arraypress-metabox select, .arraypress-metabox textarea',
+                function () {
+                    if ($(this).closest('.arraypress-repeater__template').length) {
+                        return;
+                    }
+
+                    self.markPostDirty();
+                }
+            );
+
+            // Structural repeater changes don't fire input events
+            ['row-added', 'row-removed', 'rows-sorted', 'rows-changed'].forEach(function (event) {
+                self.on(event, function () {
+                    self.markPostDirty();
+                });
+            });
+
+            this.watchEditorSaves();
+            this.watchMetaboxRenders();
+        },
+
+        /**
+         * Flag the edited post as dirty so the editor enables saving
+         *
+         * Edits the _arraypress_post_fields_changed meta key, which is
+         * registered for this purpose and never stored (see
+         * MetaRegistration::register_change_marker_meta()). Post types
+         * without custom-fields support have no meta in the editor; their
+         * Update button stays enabled because the post has metaboxes.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        markPostDirty: function () {
+            var editor = wp.data.select('core/editor');
+            var meta;
+
+            if (!editor || editor.isEditedPostDirty()) {
+                return;
+            }
+
+            meta = editor.getEditedPostAttribute('meta');
+
+            if (!meta || !('_arraypress_post_fields_changed' in meta)) {
+                return;
+            }
+
+            wp.data.dispatch('core/editor').editPost({
+                meta: { _arraypress_post_fields_changed: Date.now() }
+            });
+        },
+
+        /**
+         * Watch the editor store for post and metabox saves
+         *
+         * Validates fields when a manual save starts and re-initializes
+         * components once the metabox save request completes.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        watchEditorSaves: function () {
+            var self = this;
+            var wasSavingPost = false;
+            var wasSavingMetaBoxes = false;
+
+            wp.data.subscribe(function () {
+                var editor = wp.data.select('core/editor');
+                var editPost = wp.data.select('core/edit-post');
+
+                if (!editor) {
+                    return;
+                }
+
+                var isSavingPost = editor.isSavingPost() && !editor.isAutosavingPost();
+
+                if (isSavingPost && !wasSavingPost) {
+                    self.showFieldErrors(self.collectFieldErrors());
+                }
+
+                wasSavingPost = isSavingPost;
+
+                if (!editPost || typeof editPost.isSavingMetaBoxes !== 'function') {
+                    return;
+                }
+
+                var isSavingMetaBoxes = editPost.isSavingMetaBoxes();
+
+                if (wasSavingMetaBoxes && !isSavingMetaBoxes) {
+                    self.emit('metaboxes-saved', {});
+                    self.refresh($(document));
+                }
+
+                wasSavingMetaBoxes = isSavingMetaBoxes;
+            });
+        },
+
+        /**
+         * Watch for the metabox area being re-rendered
+         *
+         * The block editor moves metabox markup when its layout re-renders,
+         * so components are refreshed whenever a metabox is re-attached.
+         * Only the metabox areas are observed, not the whole editor. The
+         * block editor moves metabox forms between #metaboxes and areas it
+         * renders, so the areas are looked up again after each move.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        watchMetaboxRenders: function () {
+            var self = this;
+            var timer = null;
+            var areas = '.edit-post-meta-boxes-area, #metaboxes, #poststuff';
+            var hasMetabox = function (node) {
+                return node.nodeType === 1 && (
+                    $(node).is('.arraypress-metabox') ||
+                    node.querySelector('.arraypress-metabox') !== null
+                );
+            };
+
+            if (typeof window.MutationObserver === 'undefined') {
+                return;
+            }
+
+            var observer = new MutationObserver(function (mutations) {
+                var moved = mutations.some(function (mutation) {
+                    return Array.prototype.some.call(mutation.addedNodes, hasMetabox) ||
+                        Array.prototype.some.call(mutation.removedNodes, hasMetabox);
+                });
+
+                if (!moved) {
+                    return;
+                }
+
+                // Batch bursts of mutations into a single refresh
+                clearTimeout(timer);
+                timer = setTimeout(function () {
+                    observeAreas();
+                    self.refresh($(document));
+                }, 100);
+            });
+
+            var observeAreas = function () {
+                observer.disconnect();
+                $(areas).each(function () {
+                    observer.observe(this, {childList: true, subtree: true});
+                });
+            };
+
+            observeAreas();
+        },
+
+        /**
+         * Re-run initialization within a container
+         *
+         * Safe to call repeatedly: components are only set up once, and
+         * existing code editors are refreshed to fix their layout.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $container - The container to refresh
+         * @return {void}
+         */
+        refresh: function ($container) {
+            this.initComponents($container);
+            this.evaluateAllConditions();
+
+            $container.find('.arraypress-code-editor').each(function () {
+                var cm = $(this).data('codemirror');
+                if (cm) {
+                    cm.refresh();
+                }
+            });
+
+            this.emit('refresh', {$container: $container});
+        },
+
+        /**
+         * Collect fields that fail validation
+         *
+         * The block editor posts metaboxes without native form validation,
+         * so every field is validated here. Hidden conditional fields are skipped.
+         *
+         * @memberof PostFields
+         * @return {Array} Array of {$field, message} objects
+         */
+        collectFieldErrors: function () {
+            return this.validateAll();
+        },
+
+        /**
+         * Show field errors as notices
+         *
+         * Replaces previously shown field error notices. In the block editor
+         * errors go to the editor's notices, otherwise to the metabox.
+         *
+         * @memberof PostFields
+         * @param {Array} errors - Array of {$field, message} objects
+         * @return {void}
+         */
+        showFieldErrors: function (errors) {
+            var self = this;
+
+            $.each(this.fieldErrorNotices, function (i, id) {
+                self.clearNotice(id);
+            });
+
+            this.fieldErrorNotices = [];
+
+            errors.forEach(function (error) {
+                var key = error.$field.data('field-key') || '';
+                var label = self.getFieldLabel(error.$field);
+                var id = 'arraypress-field-error-' + key + '-' + self.fieldErrorNotices.length;
+
+                self.showNotice(label ? label + ': ' + error.message : error.message, {
+                    id: id,
+                    type: 'error',
+                    $metabox: error.$field.closest('.arraypress-metabox')
+                });
+
+                self.fieldErrorNotices.push(id);
+            });
+        },
+
+        /**
+         * Get the display label of a field
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The field wrapper element
+         * @return {string} The label text
+         */
+        getFieldLabel: function ($field) {
+            var label = $field.find(
+                '.arraypress-field__label, .arraypress-group__label, .arraypress-repeater__field-label, ' +
+                '.arraypress-toggle__text, label'
+            ).first().text().trim();
+
+            // Table layout cells take their label from the column header
+            if (!label && $field.is('td')) {
+                label = $field.closest('table').find('thead th').eq($field.index()).text().trim();
+            }
+
+            return label || String($field.data('field-key') || '');
+        },
+
+        /**
+         * Show a notice
+         *
+         * Uses the block editor's notices store when available, otherwise
+         * renders an admin notice at the top of the metabox.
+         *
+         * @memberof PostFields
+         * @param {string} message            - The notice message
+         * @param {Object} [options]          - Notice options
+         * @param {string} [options.id]       - Unique notice ID for later removal
+         * @param {string} [options.type]     - Notice type: error, warning, success or info
+         * @param {jQuery} [options.$metabox] - Metabox to show the notice in (classic editor)
+         * @return {void}
+         */
+        showNotice: function (message, options) {
+            options = $.extend({
+                id: '',
+                type: 'info',
+                $metabox: $('.arraypress-metabox').first()
+            }, options);
+
+            if (this.isBlockEditor() && wp.data.dispatch('core/notices')) {
+                wp.data.dispatch('core/notices').createNotice(options.type, message, {
+                    id: options.id || undefined,
+                    isDismissible: true
+                });
+                return;
+            }
+
+            var $notices = options.$metabox.children('.arraypress-metabox__notices');
+
+            if (!$notices.length) {
+                $notices = $('<div class="arraypress-metabox__notices"></div>').prependTo(options.$metabox);
+            }
+
+            if (options.id) {
+                this.clearNotice(options.id);
+            }
+
+            $('<div class="notice notice-' + options.type + ' inline"><p></p></div>')
+                .attr('data-notice-id', options.id)
+                .find('p').text(message).end()
+                .appendTo($notices);
+        },
+
+        /**
+         * Remove a notice by ID
+         *
+         * @memberof PostFields
+         * @param {string} id - The notice ID
+         * @return {void}
+         */
+        clearNotice: function (id) {
+            if (this.isBlockEditor() && wp.data.dispatch('core/notices')) {
+                wp.data.dispatch('core/notices').removeNotice(id);
+                return;
+            }
+
+            $('.arraypress-metabox__notices [data-notice-id="' + id + '"]').remove();
+        },
+
+        /**
+         * Announce a message to screen readers
+         *
+         * @memberof PostFields
+         * @param {string} message - The message to announce
+         * @return {void}
+         */
+        announce: function (message) {
+            if (typeof wp !== 'undefined' && wp.a11y && typeof wp.a11y.speak === 'function') {
+                wp.a11y.speak(message, 'assertive');
+            }
+        },
+
+        /**
+         * Get the target position for a move direction
+         *
+         * @memberof PostFields
+         * @param {string} move  - The move: up, down, top or bottom
+         * @param {number} index - The current position (0-based)
+         * @param {number} count - The number of items
+         * @return {number} The target position (0-based)
+         */
+        getMovePosition: function (move, index, count) {
+            switch (move) {
+                case 'top':
+                    return 0;
+                case 'bottom':
+                    return count - 1;
+                case 'up':
+                    return Math.max(0, index - 1);
+                case 'down':
+                    return Math.min(count - 1, index + 1);
+            }
+
+            return index;
+        },
+
+        /**
+         * Get the move direction for a reorder key press
+         *
+         * Arrow keys move by one, Home and End move to the start or end.
+         *
+         * @memberof PostFields
+         * @param {Event} e - The keydown event
+         * @return {string} The move (up, down, top or bottom), or empty for other keys
+         */
+        getKeyboardMove: function (e) {
+            var moves = {
+                ArrowUp: 'up',
+                ArrowLeft: 'up',
+                ArrowDown: 'down',
+                ArrowRight: 'down',
+                Home: 'top',
+                End: 'bottom'
+            };
+
+            return moves[e.key] || '';
+        },
+
+        /**
+         * Fill the placeholders of a translated message
+         *
+         * Supports %s and numbered placeholders such as %1$s.
+         *
+         * @memberof PostFields
+         * @param {string} message - The message
+         * @param {...*}   args    - Values for the placeholders, in order
+         * @return {string} The formatted message
+         */
+        formatMessage: function (message) {
+            var args = Array.prototype.slice.call(arguments, 1);
+            var next = 0;
+
+            return String(message).replace(/%(?:(\d+)\$)?s/g, function (match, position) {
+                var value = position ? args[position - 1] : args[next++];
+
+                return value === undefined ? '' : String(value);
+            });
+        },
+
+        /* =====================================================================
+           16. Change Tracking
+           ===================================================================== */
+
+        /**
+         * Initialize unsaved changes tracking
+         *
+         * Each top-level field is snapshotted when it's first interacted
+         * with or changed, so loading the page serializes nothing. Edits
+         * compare only the edited input's values with the snapshot; adding,
+         * removing or sorting rows compares the whole field. Changed fields
+         * are marked, the metabox header shows a "modified" badge, and
+         * leaving the page with changes prompts first.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initChangeTracking: function () {
+            var self = this;
+            var i18n = config.i18n || {};
+            var timer = null;
+            var pending = [];
+            var submitting = false;
+
+            // Batch rapid edits (typing, dragging) into a single comparison.
+            // A name of null compares the whole field.
+            var scheduleUpdate = function ($field, name) {
+                if (!$field.length) {
+                    return;
+                }
+
+                pending.push({ field: $field[0], name: name });
+                clearTimeout(timer);
+                timer = setTimeout(function () {
+                    var batch = pending;
+
+                    pending = [];
+                    batch.forEach(function (item) {
+                        self.compareTrackedField($(item.field), item.name);
+                    });
+                    self.updateChangeState();
+                }, 150);
+            };
+
+            // Pointer and keyboard input come before the changes they make
+            $(document).on('focusin mousedown', '.arraypress-metabox', function (e) {
+                var $field = self.getTrackedField($(e.target));
+
+                if ($field.length) {
+                    self.snapshotField($field);
+                }
+            });
+
+            $(document).on(
+                'change input',
+                '.arraypress-metabox input, .arraypress-metabox select, .arraypress-metabox textarea',
+                function () {
+                    if (this.name && !$(this).closest('.arraypress-repeater__template').length) {
+                        scheduleUpdate(self.getTrackedField($(this)), this.name);
+                    }
+                }
+            );
+
+            ['row-added', 'row-removed', 'rows-sorted', 'rows-changed', 'media-selected'].forEach(function (event) {
+                self.on(event, function (data) {
+                    scheduleUpdate(self.getTrackedField(data.$repeater || data.$field), null);
+                });
+            });
+
+            // Saved values become the new baseline in the block editor
+            this.on('metaboxes-saved', function () {
+                self.resetChangeTracking();
+            });
+
+            // The classic editor submits the whole form, so don't prompt
+            $('#post').on('submit', function (e) {
+                submitting = !e.isDefaultPrevented();
+            });
+
+            $(window).on('beforeunload', function (e) {
+                if (submitting || !self.hasUnsavedChanges()) {
+                    return;
+                }
+
+                var message = i18n.unsavedChanges || 'You have unsaved changes. Are you sure you want to leave?';
+
+                e.originalEvent.returnValue = message;
+
+                return message;
+            });
+        },
+
+        /**
+         * Make the current field values the new baseline and clear change markers
+         *
+         * Fields without a snapshot haven't changed since the page loaded,
+         * so only fields that have one are snapshotted again.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        resetChangeTracking: function () {
+            var self = this;
+
+            $('.arraypress-metabox').each(function () {
+                self.getTrackedFields($(this)).each(function () {
+                    var $field = $(this);
+
+                    if ($field.data('arraypress-snapshot')) {
+                        $field.data('arraypress-snapshot', self.serializeField($field))
+                            .data('arraypress-changes', {});
+                    }
+
+                    $field.removeClass('arraypress-field--changed');
+                });
+            });
+
+            this.updateChangeState();
+        },
+
+        /**
+         * Get the top-level fields of a metabox
+         *
+         * @memberof PostFields
+         * @param {jQuery} $metabox - The metabox container element
+         * @return {jQuery} The top-level field wrappers
+         */
+        getTrackedFields: function ($metabox) {
+            return $metabox.children('.arraypress-field[data-field-key]');
+        },
+
+        /**
+         * Get the top-level field an element belongs to
+         *
+         * @memberof PostFields
+         * @param {jQuery} [$element] - An element inside a metabox
+         * @return {jQuery} The top-level field wrapper (empty if none)
+         */
+        getTrackedField: function ($element) {
+            return $element ? $element.closest('.arraypress-metabox > .arraypress-field[data-field-key]') : $();
+        },
+
+        /**
+         * Get a field's snapshot, taking it on first use
+         *
+         * A field without a snapshot hasn't changed since the page loaded,
+         * or is changing right now, so the snapshot is taken from the values
+         * the inputs were rendered with.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The top-level field wrapper
+         * @return {Object} Serialized values keyed by input name
+         */
+        snapshotField: function ($field) {
+            var snapshot = $field.data('arraypress-snapshot');
+
+            if (!snapshot) {
+                snapshot = this.serializeField($field, null, true);
+                $field.data('arraypress-snapshot', snapshot).data('arraypress-changes', {});
+            }
+
+            return snapshot;
+        },
+
+        /**
+         * Serialize a field's submitted values for comparison
+         *
+         * Values are sorted so option order in multi-selects doesn't register
+         * as a change, while reordered repeater rows still do through their names.
+         *
+         * @memberof PostFields
+         * @param {jQuery}  $field    - The field wrapper element
+         * @param {string}  [name]    - Only serialize the inputs with this name
+         * @param {boolean} [initial] - Read the values the inputs were rendered with
+         * @return {Object} Serialized values keyed by input name
+         */
+        serializeField: function ($field, name, initial) {
+            var selector = name ? '[name="' + name + '"]' : 'input[name], select[name], textarea[name]';
+            var $inputs = $field.find(selector).filter(function () {
+                return !$(this).closest('.arraypress-repeater__template').length;
+            });
+            var values = {};
+            var add = function (key, value) {
+                (values[key] = values[key] || []).push(String(value).replace(/\r?\n/g, '\r\n'));
+            };
+
+            if (!initial) {
+                $inputs.serializeArray().forEach(function (pair) {
+                    add(pair.name, pair.value);
+                });
+            } else {
+                // The inputs serializeArray() submits, in their rendered state
+                $inputs.each(function () {
+                    var input = this;
+
+                    if (input.disabled || /^(?:submit|button|image|reset|file)$/i.test(input.type)) {
+                        return;
+                    }
+
+                    if (input.nodeName === 'SELECT') {
+                        var $selected = $(input.options).filter(function () {
+                            return this.defaultSelected;
+                        });
+
+                        if (!$selected.length && !input.multiple) {
+                            $selected = $(input.options).first();
+                        }
+
+                        $selected.each(function () {
+                            add(input.name, this.value);
+                        });
+                    } else if (/^(?:checkbox|radio)$/i.test(input.type)) {
+                        if (input.defaultChecked) {
+                            add(input.name, input.value);
+                        }
+                    } else {
+                        add(input.name, input.defaultValue);
+                    }
+                });
+            }
+
+            $.each(values, function (key, list) {
+                values[key] = list.sort().join('&');
+            });
+
+            return values;
+        },
+
+        /**
+         * Compare a field with its snapshot and update its change marker
+         *
+         * @memberof PostFields
+         * @param {jQuery}      $field - The top-level field wrapper
+         * @param {string|null} name   - The edited input name, or null to compare every input
+         * @return {void}
+         */
+        compareTrackedField: function ($field, name) {
+            var hadSnapshot = !!$field.data('arraypress-snapshot');
+            var snapshot = this.snapshotField($field);
+            var changes = $field.data('arraypress-changes');
+            var current;
+
+            if (name !== null) {
+                // Names missing from either side belong to added or removed rows
+                current = this.serializeField($field, name)[name];
+
+                if (current !== snapshot[name]) {
+                    changes[name] = true;
+                } else {
+                    delete changes[name];
+                }
+            } else if (!hadSnapshot) {
+                // Rows changed before the field was snapshotted, so the
+                // rendered values no longer tell what was there
+                changes['*'] = true;
+            } else {
+                current = this.serializeField($field);
+                changes = changes['*'] ? { '*': true } : {};
+
+                $.each($.extend({}, snapshot, current), function (key) {
+                    if (snapshot[key] !== current[key]) {
+                        changes[key] = true;
+                    }
+                });
+
+                $field.data('arraypress-changes', changes);
+            }
+
+            $field.toggleClass('arraypress-field--changed', !$.isEmptyObject(changes));
+        },
+
+        /**
+         * Update the modified state of every metabox from its field markers
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        updateChangeState: function () {
+            var self = this;
+
+            $('.arraypress-metabox').each(function () {
+                var $metabox = $(this);
+                var wasModified = !!$metabox.data('arraypress-modified');
+                var modified = self.getTrackedFields($metabox).filter('.arraypress-field--changed').length > 0;
+
+                $metabox.data('arraypress-modified', modified);
+                self.toggleModifiedBadge($metabox, modified);
+
+                if (modified !== wasModified) {
+                    self.emit('modified', {
+                        $metabox: $metabox,
+                        modified: modified
+                    });
+                }
+            });
+        },
+
+        /**
+         * Show or hide the "modified" badge in a metabox header
+         *
+         * @memberof PostFields
+         * @param {jQuery}  $metabox - The metabox container element
+         * @param {boolean} modified - Whether the metabox has unsaved changes
+         * @return {void}
+         */
+        toggleModifiedBadge: function ($metabox, modified) {
+            var i18n = config.i18n || {};
+            var $heading = $metabox.closest('.postbox').find('.hndle').first();
+            var $badge = $heading.find('.arraypress-modified-badge');
+
+            if (!modified) {
+                $badge.remove();
+                return;
+            }
+
+            if (!$badge.length) {
+                $('<span class="arraypress-modified-badge"></span>')
+                    .text(i18n.modified || 'Modified')
+                    .appendTo($heading);
+            }
+        },
+
+        /**
+         * Check whether any metabox has unsaved field changes
+         *
+         * @memberof PostFields
+         * @return {boolean} True if there are unsaved changes
+         */
+        hasUnsavedChanges: function () {
+            return $('.arraypress-metabox').filter(function () {
+                return !!$(this).data('arraypress-modified');
+            }).length > 0;
+        },
+
+        /* =====================================================================
+           17. Validation
+           ===================================================================== */
+
+        /**
+         * Initialize client-side field validation
+         *
+         * Validates fields against the rules rendered from their configuration
+         * as they are edited, and blocks publishing or updating while errors
+         * remain. Saving drafts and previews are not blocked.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initValidation: function () {
+            var self = this;
+            var i18n = config.i18n || {};
+            var submitter = null;
+
+            // Validate the edited field and every field that contains it
+            $(document).on(
+                'change focusout input',
+                '.arraypress-metabox input, .arraypress-metabox select, .arraypress-metabox textarea',
+                function (e) {
+                    var $input = $(this);
+
+                    if ($input.closest('.arraypress-repeater__template').length) {
+                        return;
+                    }
+
+                    $input.parents(self.fieldSelector).each(function () {
+                        var $field = $(this);
+
+                        // While typing, only re-check fields that already show an error
+                        if (e.type === 'input' && !$field.hasClass('arraypress-field--error')) {
+                            return;
+                        }
+
+                        self.validateField($field);
+                    });
+
+                    self.updateValidationState();
+                }
+            );
+
+            // Row counts change without any input event
+            ['row-added', 'row-removed', 'rows-changed'].forEach(function (event) {
+                self.on(event, function (data) {
+                    self.validateField(data.$repeater.closest(self.fieldSelector));
+                    self.updateValidationState();
+                });
+            });
+
+            // Hidden fields are never validated
+            this.on('condition-changed', function (data) {
+                if (!data.visible) {
+                    data.$field.find(self.fieldSelector).addBack().each(function () {
+                        self.setFieldError($(this), '');
+                    });
+                    self.updateValidationState();
+                }
+            });
+
+            // Jump to a field from the error summary
+            $(document).on('click', '.arraypress-error-summary a', function (e) {
+                e.preventDefault();
+                self.focusField($($(this).data('field')));
+            });
+
+            // Classic editor: remember which button submitted the form
+            $(document).on('click', '#post :submit, #post-preview', function () {
+                submitter = this;
+            });
+
+            $('#post').on('submit', function (e) {
+                if (submitter && (submitter.id === 'save-post' || submitter.id === 'post-preview')) {
+                    return;
+                }
+
+                if (self.validateAll().length) {
+                    e.preventDefault();
+                    self.restoreSubmitButtons();
+                    self.focusField($('.arraypress-metabox .arraypress-field--error').first());
+                }
+            });
+
+            // Block editor: abort publishing or updating while errors remain
+            if (this.isBlockEditor() && wp.hooks && typeof wp.hooks.addFilter === 'function') {
+                wp.hooks.addFilter('editor.preSavePost', 'arraypress/post-fields', function (edits, options) {
+                    var status = (edits && edits.status) || wp.data.select('core/editor').getEditedPostAttribute('status');
+
+                    if ((options && (options.isAutosave || options.isPreview)) ||
+                        ['publish', 'future', 'private'].indexOf(status) === -1) {
+                        return edits;
+                    }
+
+                    if (self.validateAll().length) {
+                        throw new Error(i18n.validationSummary || 'Please correct the following errors before saving:');
+                    }
+
+                    return edits;
+                });
+            }
+        },
+
+        /**
+         * Validate every field on the page
+         *
+         * Renders inline errors and the error summary of each metabox.
+         *
+         * @memberof PostFields
+         * @return {Array} Array of {$field, message} objects
+         */
+        validateAll: function () {
+            var self = this;
+            var errors = [];
+
+            this.validationAttempted = true;
+
+            $('.arraypress-metabox').find(this.fieldSelector).each(function () {
+                var $field = $(this);
+                var message = self.validateField($field);
+
+                if (message) {
+                    errors.push({
+                        $field: $field,
+                        message: message
+                    });
+                }
+            });
+
+            this.updateValidationState();
+
+            return errors;
+        },
+
+        /**
+         * Validate a single field and render its inline error
+         *
+         * Fields in templates or hidden by show_when are always valid.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The field wrapper element
+         * @return {string} The error message, or an empty string if valid
+         */
+        validateField: function ($field) {
+            var message = '';
+
+            if (!$field.length) {
+                return message;
+            }
+
+            if (!$field.closest('.arraypress-field--hidden, .arraypress-repeater__template').length) {
+                message = this.getValidationError($field, $field.data('validate') || {});
+            }
+
+            this.setFieldError($field, message);
+
+            return message;
+        },
+
+        /**
+         * Get the inputs that belong directly to a field
+         *
+         * Inputs of nested sub-fields and repeater templates are excluded.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The field wrapper element
+         * @return {jQuery} The field's own inputs
+         */
+        getOwnInputs: function ($field) {
+            var self = this;
+
+            return $field.find('input[name], select[name], textarea[name]').filter(function () {
+                var $input = $(this);
+
+                return $input.closest(self.fieldSelector)[0] === $field[0] &&
+                    !$input.closest('.arraypress-repeater__template').length;
+            });
+        },
+
+        /**
+         * Check a field's value against its validation rules
+         *
+         * Falls back to the browser's constraint validation for inputs
+         * that carry HTML attributes such as min, max or step.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The field wrapper element
+         * @param {Object} rules  - The field's validation rules
+         * @return {string} The error message, or an empty string if valid
+         */
+        getValidationError: function ($field, rules) {
+            var i18n = config.i18n || {};
+            var value = this.getValidationValue($field, rules);
+            var message = '';
+
+            if (this.isEmptyValue(value)) {
+                if (rules.required) {
+                    return i18n.validationRequired || 'This field is required.';
+                }
+
+                // Empty collections may still be below their minimum
+                if (!rules.min_items) {
+                    return '';
+                }
+            }
+
+            switch (rules.type) {
+                case 'repeater':
+                case 'gallery':
+                    if (rules.min_items && value.length < rules.min_items) {
+                        return (i18n.validationMinItems || 'Add at least %s items.').replace('%s', rules.min_items);
+                    }
+                    if (rules.max_items && value.length > rules.max_items) {
+                        return (i18n.validationMaxItems || 'No more than %s items are allowed.').replace('%s', rules.max_items);
+                    }
+                    break;
+
+                case 'date_range':
+                case 'time_range':
+                    message = this.checkRange(value.start, rules, false) || this.checkRange(value.end, rules, false);
+                    if (!message && rules.ordered && value.start && value.end && value.start > value.end) {
+                        message = i18n.validationOrder || 'The end must be after the start.';
+                    }
+                    return message;
+
+                case 'date':
+                case 'datetime':
+                case 'time':
+                    return this.checkRange(value, rules, false);
+
+                case 'dimensions':
+                    return this.checkRange(value.width, rules, true) || this.checkRange(value.height, rules, true);
+
+                case 'number':
+                case 'range':
+                case 'amount_type':
+                    message = this.checkRange(value, rules, true);
+                    break;
+            }
+
+            if (!message && rules.format && !this.checkFormat(value, rules.format)) {
+                message = rules.format === 'email'
+                    ? (i18n.validationEmail || 'Please enter a valid email address.')
+                    : (i18n.validationUrl || 'Please enter a valid URL.');
+            }
+
+            if (!message && rules.pattern && !this.checkPattern(value, rules.pattern)) {
+                message = i18n.validationPattern || 'Please match the requested format.';
+            }
+
+            if (!message) {
+                this.getOwnInputs($field).each(function () {
+                    if (typeof this.checkValidity === 'function' && !this.checkValidity()) {
+                        message = this.validationMessage;
+                        return false;
+                    }
+                });
+            }
+
+            return message;
+        },
+
+        /**
+         * Get the value of a field for validation
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The field wrapper element
+         * @param {Object} rules  - The field's validation rules
+         * @return {mixed} String, array of values/items, or an object for compound fields
+         */
+        getValidationValue: function ($field, rules) {
+            var $inputs = this.getOwnInputs($field);
+            var ids;
+
+            switch (rules.type) {
+                case 'repeater':
+                    return $field.find('.arraypress-repeater__rows').first()
+                        .children('.arraypress-repeater__row').toArray();
+
+                case 'gallery':
+                    ids = $inputs.filter('.arraypress-gallery-input').val();
+                    return ids ? ids.split(',').filter(Boolean) : [];
+
+                case 'date_range':
+                case 'time_range':
+                    return {
+                        start: $inputs.filter('[name$="[start]"]').val() || '',
+                        end: $inputs.filter('[name$="[end]"]').val() || ''
+                    };
+
+                case 'dimensions':
+                    return {
+                        width: $inputs.filter('[name$="[width]"]').val() || '',
+                        height: $inputs.filter('[name$="[height]"]').val() || ''
+                    };
+
+                case 'amount_type':
+                    return $inputs.filter('input[type="number"]').val() || '';
+            }
+
+            if ($inputs.filter(':checkbox, :radio').length) {
+                return $inputs.filter(':checked').map(function () {
+                    return $(this).val();
+                }).get();
+            }
+
+            if ($inputs.first().is('select[multiple]')) {
+                return $inputs.first().val() || [];
+            }
+
+            return $inputs.first().val() || '';
+        },
+
+        /**
+         * Check whether a validation value is empty
+         *
+         * @memberof PostFields
+         * @param {mixed} value - The value to check
+         * @return {boolean} True if empty
+         */
+        isEmptyValue: function (value) {
+            if (value === null || value === undefined || value === '') {
+                return true;
+            }
+
+            if (Array.isArray(value)) {
+                return value.length === 0;
+            }
+
+            if (typeof value === 'object') {
+                return Object.keys(value).every(function (key) {
+                    return value[key] === '';
+                });
+            }
+
+            return false;
+        },
+
+        /**
+         * Check a value against min/max rules
+         *
+         * Dates and times use ISO formats, so they compare as strings.
+         *
+         * @memberof PostFields
+         * @param {string}  value   - The value to check
+         * @param {Object}  rules   - The field's validation rules
+         * @param {boolean} numeric - Whether to compare as numbers
+         * @return {string} The error message, or an empty string if valid
+         */
+        checkRange: function (value, rules, numeric) {
+            var i18n = config.i18n || {};
+            var actual = numeric ? parseFloat(value) : value;
+
+            if (value === '' || value === undefined || (numeric && isNaN(actual))) {
+                return '';
+            }
+
+            if (rules.min !== undefined && actual < rules.min) {
+                return (numeric
+                    ? (i18n.validationMin || 'Must be at least %s.')
+                    : (i18n.validationMinDate || 'Must be on or after %s.')).replace('%s', rules.min);
+            }
+
+            if (rules.max !== undefined && actual > rules.max) {
+                return (numeric
+                    ? (i18n.validationMax || 'Must be at most %s.')
+                    : (i18n.validationMaxDate || 'Must be on or before %s.')).replace('%s', rules.max);
+            }
+
+            return '';
+        },
+
+        /**
+         * Check an email or URL format
+         *
+         * @memberof PostFields
+         * @param {string} value  - The value to check
+         * @param {string} format - The format: email or url
+         * @return {boolean} True if the format is valid
+         */
+        checkFormat: function (value, format) {
+            if (format === 'email') {
+                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+            }
+
+            return /^[a-z][a-z0-9+.\-]*:\S+$/i.test(value);
+        },
+
+        /**
+         * Check a value against an HTML-style pattern
+         *
+         * The pattern must match the whole value. Invalid patterns are ignored.
+         *
+         * @memberof PostFields
+         * @param {string} value   - The value to check
+         * @param {string} pattern - The pattern without delimiters
+         * @return {boolean} True if the value matches
+         */
+        checkPattern: function (value, pattern) {
+            try {
+                return new RegExp('^(?:' + pattern + ')$').test(value);
+            } catch (e) {
+                console.warn('Invalid validation pattern:', pattern);
+                return true;
+            }
+        },
+
+        /**
+         * Show or clear the inline error of a field
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field  - The field wrapper element
+         * @param {string} message - The error message, or empty to clear
+         * @return {void}
+         */
+        setFieldError: function ($field, message) {
+            var $error = $field.children('.arraypress-field__error');
+
+            $field.toggleClass('arraypress-field--error', !!message);
+
+            if (!message) {
+                $error.remove();
+                return;
+            }
+
+            if (!$error.length) {
+                $error = $('<p class="arraypress-field__error" role="alert"></p>').appendTo($field);
+            }
+
+            $error.text(message);
+        },
+
+        /**
+         * Sync the error summaries of all metaboxes
+         *
+         * Summaries only appear once a full validation pass has run.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        updateValidationState: function () {
+            var self = this;
+
+            if (!this.validationAttempted) {
+                return;
+            }
+
+            $('.arraypress-metabox').each(function () {
+                self.renderErrorSummary($(this), $(this).find('.arraypress-field--error'));
+            });
+        },
+
+        /**
+         * Render the error summary at the top of a metabox
+         *
+         * @memberof PostFields
+         * @param {jQuery} $metabox - The metabox container element
+         * @param {jQuery} $errors  - Field wrappers that currently have errors
+         * @return {void}
+         */
+        renderErrorSummary: function ($metabox, $errors) {
+            var self = this;
+            var i18n = config.i18n || {};
+            var $summary = $metabox.children('.arraypress-error-summary');
+
+            if (!$errors.length) {
+                $summary.remove();
+                return;
+            }
+
+            if (!$summary.length) {
+                $summary = $('<div class="arraypress-error-summary notice notice-error inline" role="alert"><p></p><ul></ul></div>')
+                    .prependTo($metabox);
+            }
+
+            $summary.children('p').text(i18n.validationSummary || 'Please correct the following errors before saving:');
+
+            var $list = $summary.children('ul').empty();
+
+            $errors.each(function () {
+                var $field = $(this);
+                var label = self.getFieldLabel($field);
+                var $row = $field.closest('.arraypress-repeater__row');
+
+                if ($row.length) {
+                    label = $row.find('.arraypress-repeater__row-title').first().text().trim() + ' › ' + label;
+                }
+
+                $('<li><a href="#"></a></li>')
+                    .find('a')
+                    .text(label + ': ' + $field.children('.arraypress-field__error').text())
+                    .data('field', this)
+                    .end()
+                    .appendTo($list);
+            });
+        },
+
+        /**
+         * Reveal and focus a field
+         *
+         * Expands any collapsed repeater rows containing the field.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The field wrapper element
+         * @return {void}
+         */
+        focusField: function ($field) {
+            if (!$field.length) {
+                return;
+            }
+
+            $field.parents('.arraypress-repeater__row.is-collapsed').removeClass('is-collapsed');
+
+            if ($field.closest('.arraypress-repeater__row').length) {
+                this.showRepeaterRow($field.closest('.arraypress-repeater__row'));
+            }
+
+            if ($field[0].scrollIntoView) {
+                $field[0].scrollIntoView({block: 'center'});
+            }
+
+            $field.find('input:visible, select:visible, textarea:visible, button:visible').first().trigger('focus');
+        },
+
+        /**
+         * Reset the classic editor's publish buttons after a blocked submit
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        restoreSubmitButtons: function () {
+            $('#submitpost .spinner').removeClass('is-active');
+            $('#publish, #save-post').removeClass('disabled');
+        },
+
+        /* =====================================================================
+           18. Import & Export
+           ===================================================================== */
+
+        /**
+         * Initialize repeater import and export
+         *
+         * Top-level repeaters get Import and Export links in their toolbar.
+         * Export shows the rows as CSV or JSON; import reads either format,
+         * maps CSV columns to sub-fields and previews problems before any
+         * rows are added. Every repeater can also copy rows to the
+         * clipboard and paste them into another repeater or post.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initRepeaterTransfer: function () {
+            var self = this;
+
+            $(document).on('click', '.arraypress-repeater__copy', function (e) {
+                e.preventDefault();
+                self.copyRepeaterRows($(this).closest('.arraypress-repeater'));
+            });
+
+            $(document).on('click', '.arraypress-repeater__paste', function (e) {
+                e.preventDefault();
+                self.pasteRepeaterRows($(this).closest('.arraypress-repeater'));
+            });
+
+            $(document).on('click', '.arraypress-repeater__import, .arraypress-repeater__export', function (e) {
+                e.preventDefault();
+                var mode = $(this).hasClass('arraypress-repeater__import') ? 'import' : 'export';
+
+                self.openTransferPanel($(this).closest('.arraypress-repeater'), mode);
+            });
+
+            $(document).on('click', '.arraypress-repeater__transfer-cancel', function (e) {
+                e.preventDefault();
+                self.closeTransferPanel($(this).closest('.arraypress-repeater'));
+            });
+
+            // Export: switch format or download
+            $(document).on('change', '.arraypress-repeater__transfer-format', function () {
+                var $panel = $(this).closest('.arraypress-repeater__transfer');
+                self.updateExportPanel($panel.closest('.arraypress-repeater'), $panel);
+            });
+
+            $(document).on('click', '.arraypress-repeater__transfer-download', function (e) {
+                e.preventDefault();
+                var $panel = $(this).closest('.arraypress-repeater__transfer');
+                var $repeater = $panel.closest('.arraypress-repeater');
+                var format = $panel.find('.arraypress-repeater__transfer-format').val();
+
+                self.downloadFile(
+                    $panel.find('.arraypress-repeater__transfer-data').val(),
+                    $repeater.attr('data-meta-key') + '.' + format,
+                    format === 'json' ? 'application/json' : 'text/csv'
+                );
+            });
+
+            // Import: read a chosen file into the text area
+            $(document).on('change', '.arraypress-repeater__transfer-file', function () {
+                var $panel = $(this).closest('.arraypress-repeater__transfer');
+                var file = this.files && this.files[0];
+
+                if (!file || typeof window.FileReader !== 'function') {
+                    return;
+                }
+
+                var reader = new window.FileReader();
+
+                reader.onload = function () {
+                    $panel.find('.arraypress-repeater__transfer-data').val(reader.result).trigger('input');
+                };
+                reader.readAsText(file);
+            });
+
+            // Import: new data or settings need a new preview
+            $(document).on('input', '.arraypress-repeater__transfer[data-mode="import"] .arraypress-repeater__transfer-data', function () {
+                var $panel = $(this).closest('.arraypress-repeater__transfer');
+
+                self.updateImportMapping($panel.closest('.arraypress-repeater'), $panel);
+                self.resetImportPreview($panel);
+            });
+
+            $(document).on('change', '.arraypress-repeater__transfer-mode, .arraypress-repeater__transfer-column', function () {
+                self.resetImportPreview($(this).closest('.arraypress-repeater__transfer'));
+            });
+
+            $(document).on('click', '.arraypress-repeater__transfer-preview-button', function (e) {
+                e.preventDefault();
+                var $panel = $(this).closest('.arraypress-repeater__transfer');
+                self.previewImport($panel.closest('.arraypress-repeater'), $panel);
+            });
+
+            $(document).on('click', '.arraypress-repeater__transfer-confirm', function (e) {
+                e.preventDefault();
+                var i18n = config.i18n || {};
+                var $panel = $(this).closest('.arraypress-repeater__transfer');
+                var $repeater = $panel.closest('.arraypress-repeater');
+                var rows = $panel.data('rows') || [];
+
+                if (!self.importRepeaterRows($repeater, rows, $panel.find('.arraypress-repeater__transfer-mode').val())) {
+                    return;
+                }
+
+                self.closeTransferPanel($repeater);
+                self.announce(self.formatMessage(i18n.importDone || '%s rows imported.', rows.length));
             });
+        },
 
-            // Evaluate fields in existing repeater rows (not templates)
-            $('.arraypress-repeater__rows .arraypress-repeater__row').each(function () {
-                self.evaluateRowConditions($(this));
-            });
+        /**
+         * Open the import or export panel of a repeater
+         *
+         * Clicking the link of the panel that is already open closes it.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @param {string} mode      - 'import' or 'export'
+         * @return {void}
+         */
+        openTransferPanel: function ($repeater, mode) {
+            var i18n = config.i18n || {};
+            var $current = $repeater.children('.arraypress-repeater__transfer');
+            var $panel;
+
+            this.closeTransferPanel($repeater);
+
+            if ($current.attr('data-mode') === mode) {
+                return;
+            }
+
+            if (mode === 'export') {
+                $panel = $(
+                    '<div class="arraypress-repeater__transfer" data-mode="export">' +
+                    '<p><select class="arraypress-repeater__transfer-format">' +
+                    '<option value="csv">CSV</option><option value="json">JSON</option>' +
+                    '</select></p>' +
+                    '<textarea class="arraypress-repeater__transfer-data large-text code" rows="6" readonly></textarea>' +
+                    '<p class="arraypress-repeater__transfer-actions">' +
+                    '<button type="button" class="button arraypress-repeater__transfer-download"></button> ' +
+                    '<button type="button" class="button-link arraypress-repeater__transfer-cancel"></button>' +
+                    '</p>' +
+                    '</div>'
+                );
+                $panel.find('.arraypress-repeater__transfer-format').attr('aria-label', i18n.exportFormat || 'Export format');
+                $panel.find('.arraypress-repeater__transfer-download').text(i18n.exportDownload || 'Download');
+                $panel.find('.arraypress-repeater__transfer-cancel').text(i18n.transferClose || 'Close');
+            } else {
+                $panel = $(
+                    '<div class="arraypress-repeater__transfer" data-mode="import">' +
+                    '<p class="description"></p>' +
+                    '<textarea class="arraypress-repeater__transfer-data large-text code" rows="6"></textarea>' +
+                    '<p><input type="file" class="arraypress-repeater__transfer-file" accept=".csv,.tsv,.txt,.json,text/csv,application/json"> ' +
+                    '<select class="arraypress-repeater__transfer-mode">' +
+                    '<option value="append"></option><option value="replace"></option>' +
+                    '</select></p>' +
+                    '<div class="arraypress-repeater__transfer-mapping"></div>' +
+                    '<div class="arraypress-repeater__transfer-preview" aria-live="polite"></div>' +
+                    '<p class="arraypress-repeater__transfer-actions">' +
+                    '<button type="button" class="button arraypress-repeater__transfer-preview-button"></button> ' +
+                    '<button type="button" class="button button-primary arraypress-repeater__transfer-confirm" disabled></button> ' +
+                    '<button type="button" class="button-link arraypress-repeater__transfer-cancel"></button>' +
+                    '</p>' +
+                    '</div>'
+                );
+                $panel.find('.description').text(i18n.importHelp || 'Paste CSV or JSON rows, or choose a file. The first CSV line must contain column names.');
+                $panel.find('.arraypress-repeater__transfer-data').attr('aria-label', i18n.importData || 'Rows to import');
+                $panel.find('.arraypress-repeater__transfer-file').attr('aria-label', i18n.importFile || 'Import file');
+                $panel.find('.arraypress-repeater__transfer-mode').attr('aria-label', i18n.importMode || 'Import mode');
+                $panel.find('option[value="append"]').text(i18n.importAppend || 'Add to existing rows');
+                $panel.find('option[value="replace"]').text(i18n.importReplace || 'Replace existing rows');
+                $panel.find('.arraypress-repeater__transfer-preview-button').text(i18n.importPreview || 'Preview');
+                $panel.find('.arraypress-repeater__transfer-confirm').text(i18n.importConfirm || 'Import rows');
+                $panel.find('.arraypress-repeater__transfer-cancel').text(i18n.transferCancel || 'Cancel');
+            }
+
+            $repeater.children('.arraypress-repeater__toolbar').after($panel);
+
+            if (mode === 'export') {
+                this.updateExportPanel($repeater, $panel);
+            }
+
+            $panel.find('.arraypress-repeater__transfer-data').trigger('focus');
         },
 
         /**
-         * Evaluate all conditional fields in a metabox
+         * Close the import or export panel of a repeater
          *
-         * Evaluates top-level fields and group fields, excluding repeater rows.
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @return {void}
+         */
+        closeTransferPanel: function ($repeater) {
+            $repeater.children('.arraypress-repeater__transfer').remove();
+        },
+
+        /**
+         * Get the import/export columns of a repeater
          *
          * @memberof PostFields
-         * @param {jQuery} $metabox - The metabox container element
+         * @param {jQuery} $repeater - The repeater container element
+         * @return {Object} Column labels keyed by sub-field key
+         */
+        getRepeaterColumns: function ($repeater) {
+            var columns = $repeater.data('columns');
+
+            return $.isPlainObject(columns) ? columns : {};
+        },
+
+        /**
+         * Fill the export panel with the repeater's rows
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @param {jQuery} $panel    - The export panel
          * @return {void}
          */
-        evaluateMetaboxConditions: function ($metabox) {
+        updateExportPanel: function ($repeater, $panel) {
+            var rows = this.exportRepeaterRows($repeater);
+            var data = $panel.find('.arraypress-repeater__transfer-format').val() === 'json'
+                ? JSON.stringify(rows, null, 2)
+                : this.toCsv(rows, Object.keys(this.getRepeaterColumns($repeater)));
+
+            $panel.find('.arraypress-repeater__transfer-data').val(data);
+        },
+
+        /**
+         * Get the values of a repeater's rows
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @return {Array} One object per row, keyed by sub-field key
+         */
+        exportRepeaterRows: function ($repeater) {
             var self = this;
+            var baseName = $repeater.attr('data-meta-key');
 
-            // Find conditional fields that are NOT inside repeaters
-            $metabox.find('[data-show-when]').each(function () {
-                var $field = $(this);
+            this.saveEditors();
 
-                // Skip if inside a repeater row or template
-                if ($field.closest('.arraypress-repeater__row, .arraypress-repeater__template').length) {
+            return this.getRepeaterRows($repeater).map(function () {
+                return self.serializeRow($(this), baseName);
+            }).get();
+        },
+
+        /**
+         * Read a repeater row's values the way the form would submit them
+         *
+         * Unchecked and disabled inputs and the rows' stored positions are
+         * left out, "[]" names become arrays and nested repeater rows
+         * become arrays of row objects.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $row     - The repeater row
+         * @param {string} baseName - The repeater's input name
+         * @return {Object} The row values
+         */
+        serializeRow: function ($row, baseName) {
+            var prefix = baseName + '[' + $row.attr('data-index') + ']';
+            var values = {};
+
+            var assign = function (target, path, value) {
+                var key = path[0];
+
+                if (path.length === 1) {
+                    if (key === '') {
+                        target.push(value);
+                    } else {
+                        target[key] = value;
+                    }
                     return;
                 }
 
-                self.evaluateSingleField($field, $metabox);
+                if (key === '') {
+                    key = target.length;
+                }
+
+                if (target[key] === undefined || target[key] === null || typeof target[key] !== 'object') {
+                    target[key] = (path[1] === '' || /^\d+$/.test(path[1])) ? [] : {};
+                }
+
+                assign(target[key], path.slice(1), value);
+            };
+
+            $row.find('[name]').each(function () {
+                var name = this.getAttribute('name');
+                var $input = $(this);
+
+                if (name.indexOf(prefix + '[') !== 0 || this.disabled ||
+                    $input.is(':checkbox:not(:checked), :radio:not(:checked), [type="file"], [type="button"], .arraypress-repeater__source-input') ||
+                    $input.closest('.arraypress-repeater__template').length) {
+                    return;
+                }
+
+                var path = (name.slice(prefix.length).match(/\[([^\]]*)\]/g) || []).map(function (segment) {
+                    return segment.slice(1, -1);
+                });
+
+                if (!path.length) {
+                    return;
+                }
+
+                var value = $input.val();
+
+                if (Array.isArray(value)) {
+                    value.forEach(function (item) {
+                        assign(values, path, item);
+                    });
+                } else {
+                    assign(values, path, value === null ? '' : value);
+                }
             });
+
+            return values;
         },
 
         /**
-         * Evaluate conditional fields within a repeater row
+         * Convert rows to CSV
+         *
+         * The first line holds the column keys. Lists and nested values
+         * are written as JSON.
          *
          * @memberof PostFields
-         * @param {jQuery} $row - The repeater row element
-         * @return {void}
+         * @param {Array} rows    - Row objects
+         * @param {Array} columns - Column keys, in order
+         * @return {string} The CSV text
          */
-        evaluateRowConditions: function ($row) {
-            var self = this;
+        toCsv: function (rows, columns) {
+            var cell = function (value) {
+                if (value === undefined || value === null) {
+                    value = '';
+                } else if (typeof value === 'object') {
+                    value = JSON.stringify(value);
+                }
 
-            $row.find('[data-show-when]').each(function () {
-                self.evaluateSingleField($(this), $row);
+                value = String(value);
+
+                return /[",\r\n]|^\s|\s$/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+            };
+
+            return [columns.map(cell).join(',')].concat(rows.map(function (row) {
+                return columns.map(function (column) {
+                    return cell(row[column]);
+                }).join(',');
+            })).join('\r\n');
+        },
+
+        /**
+         * Parse CSV text into rows of cells
+         *
+         * Handles quoted cells with commas, quotes and line breaks.
+         * Tab-separated text (as copied from a spreadsheet) is detected
+         * from the first line.
+         *
+         * @memberof PostFields
+         * @param {string} text - The CSV text
+         * @return {Array} Array of rows, each an array of cell strings
+         */
+        parseCsv: function (text) {
+            var firstLine = text.split(/\r?\n/)[0];
+            var delimiter = (firstLine.split('\t').length > firstLine.split(',').length) ? '\t' : ',';
+            var rows = [];
+            var row = [];
+            var cell = '';
+            var quoted = false;
+
+            for (var i = 0; i < text.length; i++) {
+                var char = text[i];
+
+                if (quoted) {
+                    if (char === '"' && text[i + 1] === '"') {
+                        cell += '"';
+                        i++;
+                    } else if (char === '"') {
+                        quoted = false;
+                    } else {
+                        cell += char;
+                    }
+                } else if (char === '"' && cell === '') {
+                    quoted = true;
+                } else if (char === delimiter) {
+                    row.push(cell);
+                    cell = '';
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && text[i + 1] === '\n') {
+                        i++;
+                    }
+                    row.push(cell);
+                    rows.push(row);
+                    row = [];
+                    cell = '';
+                } else {
+                    cell += char;
+                }
+            }
+
+            if (cell !== '' || row.length) {
+                row.push(cell);
+                rows.push(row);
+            }
+
+            // Drop blank lines
+            return rows.filter(function (cells) {
+                return cells.some(function (value) {
+                    return value.trim() !== '';
+                });
             });
         },
 
         /**
-         * Evaluate a single conditional field
+         * Check if import text is JSON rather than CSV
          *
-         * Checks all conditions and shows/hides the field accordingly.
+         * @memberof PostFields
+         * @param {string} text - The import text
+         * @return {boolean} True for JSON
+         */
+        isJsonImport: function (text) {
+            return /^\s*[\[{]/.test(text);
+        },
+
+        /**
+         * Show the column mapping for CSV import data
+         *
+         * Each CSV column gets a select of the repeater's sub-fields,
+         * matched to a sub-field by key or label where possible.
          *
          * @memberof PostFields
-         * @param {jQuery} $field   - The field wrapper with data-show-when attribute
-         * @param {jQuery} $context - Context element for finding controller fields
+         * @param {jQuery} $repeater - The repeater container element
+         * @param {jQuery} $panel    - The import panel
          * @return {void}
          */
-        evaluateSingleField: function ($field, $context) {
-            var conditions = $field.data('show-when');
+        updateImportMapping: function ($repeater, $panel) {
+            var i18n = config.i18n || {};
+            var text = $panel.find('.arraypress-repeater__transfer-data').val();
+            var $mapping = $panel.find('.arraypress-repeater__transfer-mapping');
+            var columns = this.getRepeaterColumns($repeater);
+            var headers = (!text.trim() || this.isJsonImport(text)) ? [] : (this.parseCsv(text)[0] || []);
+            var previous = $mapping.data('headers') || [];
+
+            // Keep the user's choices while the header line is unchanged
+            if (headers.join('\n') === previous.join('\n')) {
+                return;
+            }
 
-            if (!conditions || !Array.isArray(conditions) || !conditions.length) {
+            $mapping.empty().data('headers', headers);
+
+            if (!headers.length) {
                 return;
             }
 
-            var allMet = true;
+            var $list = $('<fieldset><legend></legend></fieldset>').appendTo($mapping);
+            $list.find('legend').text(i18n.importColumns || 'Columns');
 
-            // All conditions must be met (AND logic)
-            for (var i = 0; i < conditions.length; i++) {
-                var condition = conditions[i];
-                var value = this.getFieldValue(condition.field, $context);
-                var met = this.evaluateCondition(value, condition.operator, condition.value);
+            headers.forEach(function (header, index) {
+                var normalized = header.trim().toLowerCase();
+                var $label = $('<label class="arraypress-repeater__transfer-mapping-item"><span></span> </label>');
+                var $select = $('<select class="arraypress-repeater__transfer-column"></select>').attr('data-column', index);
 
-                if (!met) {
-                    allMet = false;
-                    break;
+                $select.append($('<option value=""></option>').text(i18n.importSkipColumn || '— Skip —'));
+
+                $.each(columns, function (key, label) {
+                    var $option = $('<option></option>').val(key).text(label);
+
+                    if (normalized === key.toLowerCase() || normalized === String(label).toLowerCase()) {
+                        $option.prop('selected', true);
+                    }
+
+                    $select.append($option);
+                });
+
+                $label.find('span').text(header);
+                $label.append($select).appendTo($list);
+            });
+        },
+
+        /**
+         * Read the import panel's data as row objects
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @param {jQuery} $panel    - The import panel
+         * @return {{rows: Array, problems: Array}} Row objects and problems found while reading
+         */
+        readImportData: function ($repeater, $panel) {
+            var self = this;
+            var i18n = config.i18n || {};
+            var text = $panel.find('.arraypress-repeater__transfer-data').val();
+            var columns = this.getRepeaterColumns($repeater);
+            var problems = [];
+            var rows = [];
+
+            if (this.isJsonImport(text)) {
+                try {
+                    rows = JSON.parse(text);
+                } catch (e) {
+                    rows = null;
                 }
-            }
 
-            // Show or hide field based on evaluation
-            if (allMet) {
-                $field.removeClass('arraypress-field--hidden');
-            } else {
-                $field.addClass('arraypress-field--hidden');
+                if (!Array.isArray(rows) || !rows.every($.isPlainObject)) {
+                    return {rows: [], problems: [i18n.importInvalidJson || 'The JSON could not be read. It must be an array of row objects.']};
+                }
+
+                // Report keys that do not match a sub-field once
+                var unknown = [];
+
+                rows.forEach(function (row) {
+                    Object.keys(row).forEach(function (key) {
+                        if (!columns.hasOwnProperty(key) && unknown.indexOf(key) === -1) {
+                            unknown.push(key);
+                        }
+                    });
+                });
+
+                unknown.forEach(function (key) {
+                    problems.push(self.formatMessage(i18n.importUnknownColumn || 'Column "%s" does not match a field and will be skipped.', key));
+                });
+
+                return {rows: rows, problems: problems};
             }
+
+            var mapping = $panel.find('.arraypress-repeater__transfer-column').map(function () {
+                return $(this).val();
+            }).get();
+
+            this.parseCsv(text).slice(1).forEach(function (cells) {
+                var row = {};
+
+                cells.forEach(function (cell, index) {
+                    if (!mapping[index]) {
+                        return;
+                    }
+
+                    // Lists and nested rows are exported as JSON
+                    if (/^\s*[\[{]/.test(cell)) {
+                        try {
+                            row[mapping[index]] = JSON.parse(cell);
+                            return;
+                        } catch (e) {
+                            // Not JSON after all - keep the text
+                        }
+                    }
+
+                    row[mapping[index]] = cell;
+                });
+
+                rows.push(row);
+            });
+
+            return {rows: rows, problems: problems};
         },
 
         /**
-         * Get the current value of a field
+         * Check import data and show the problems found
          *
-         * Looks up a field by its key within the given context.
+         * Each row is built in a detached copy of the repeater row and run
+         * through the same validation as the form, so nothing is added
+         * until the import is confirmed. Rows over the repeater's max are
+         * dropped and rows with an unknown layout are skipped.
          *
          * @memberof PostFields
-         * @param {string} fieldKey - The field key to look up
-         * @param {jQuery} $context - The context element to search within
-         * @return {mixed} The field value
+         * @param {jQuery} $repeater - The repeater container element
+         * @param {jQuery} $panel    - The import panel
+         * @return {void}
          */
-        getFieldValue: function (fieldKey, $context) {
-            var $input = null;
+        previewImport: function ($repeater, $panel) {
+            var self = this;
+            var i18n = config.i18n || {};
+            var data = this.readImportData($repeater, $panel);
+            var replace = $panel.find('.arraypress-repeater__transfer-mode').val() === 'replace';
+            var max = parseInt($repeater.data('max')) || 0;
+            var min = parseInt($repeater.data('min')) || 0;
+            var existing = replace ? 0 : this.getRepeaterRows($repeater).length;
+            var flexible = $repeater.children('.arraypress-repeater__template[data-layout-key]').length > 0;
+            var problems = data.problems;
+            var rows = [];
+
+            data.rows.forEach(function (values, i) {
+                var number = i + 1;
+                var layoutKey = flexible ? String(values._layout || '') : '';
+                var $row = self.createRepeaterRow($repeater, existing + rows.length, layoutKey || undefined);
+
+                if (!$row || (flexible && !layoutKey)) {
+                    problems.push(self.formatMessage(i18n.importUnknownLayout || 'Row %1$s: unknown layout "%2$s". The row will be skipped.', number, layoutKey));
+                    return;
+                }
 
-            // First, try to find by data-field-key within context
-            var $fieldWrapper = $context.find('[data-field-key="' + fieldKey + '"]').first();
+                self.setRowValues($row, $repeater.attr('data-meta-key'), values, function (message) {
+                    problems.push(self.formatMessage(i18n.importRowProblem || 'Row %1$s: %2$s', number, message));
+                });
 
-            if ($fieldWrapper.length) {
-                $input = $fieldWrapper.find('input, select, textarea').first();
-            }
+                // Validate the row as the form would, with conditions applied
+                self.evaluateRowConditions($row);
 
-            // If not found and we're NOT in a repeater row, fall back to document level
-            if ((!$input || !$input.length) && !$context.hasClass('arraypress-repeater__row')) {
-                $input = $('[name="' + fieldKey + '"], [name="' + fieldKey + '[]"]').first();
-            }
+                $row.find(self.fieldSelector).each(function () {
+                    var $field = $(this);
+                    var rules = $field.data('validate');
 
-            if (!$input || !$input.length) {
-                return '';
-            }
+                    if (!rules || $field.closest('.arraypress-field--hidden, .arraypress-repeater__template').length) {
+                        return;
+                    }
 
-            // Handle different input types
-            if ($input.is(':checkbox')) {
-                return $input.is(':checked') ? 1 : 0;
+                    var message = self.getValidationError($field, rules);
+
+                    if (message) {
+                        problems.push(self.formatMessage(
+                            i18n.importRowProblem || 'Row %1$s: %2$s',
+                            number,
+                            self.getFieldLabel($field) + ': ' + message
+                        ));
+                    }
+                });
+
+                rows.push(values);
+            });
+
+            if (max > 0 && existing + rows.length > max) {
+                problems.unshift(self.formatMessage(
+                    i18n.importMaxRows || 'Only %1$s of %2$s rows can be imported because the repeater allows at most %3$s rows.',
+                    Math.max(0, max - existing), rows.length, max
+                ));
+                rows = rows.slice(0, Math.max(0, max - existing));
             }
 
-            if ($input.is(':radio')) {
-                var radioName = $input.attr('name');
-                return $('input[name="' + radioName + '"]:checked').val() || '';
+            // Replacing would remove the existing rows and leave too few
+            if (min > 0 && existing + rows.length < min) {
+                if (replace) {
+                    problems.unshift(this.formatMessage(i18n.importMinRows || 'These rows cannot replace the existing ones: at least %s rows are required.', min));
+                    rows = [];
+                } else {
+                    problems.push((i18n.validationMinItems || 'Add at least %s items.').replace('%s', min));
+                }
             }
 
-            return $input.val();
+            this.renderImportPreview($panel, rows, problems);
         },
 
         /**
-         * Evaluate a single condition
-         *
-         * Compares actual value against expected value using the specified operator.
+         * Show the outcome of an import preview
          *
          * @memberof PostFields
-         * @param {mixed}  actualValue - The actual field value
-         * @param {string} operator    - The comparison operator
-         * @param {mixed}  expected    - The expected value
-         * @return {boolean} True if condition is met
+         * @param {jQuery} $panel   - The import panel
+         * @param {Array}  rows     - Rows that will be imported
+         * @param {Array}  problems - Problem messages
+         * @return {void}
          */
-        evaluateCondition: function (actualValue, operator, expected) {
-            // Normalize values for comparison
-            var actual = this.normalizeValue(actualValue);
-            var expect = this.normalizeValue(expected);
+        renderImportPreview: function ($panel, rows, problems) {
+            var i18n = config.i18n || {};
+            var $preview = $panel.find('.arraypress-repeater__transfer-preview').empty();
+            var limit = 20;
 
-            switch (operator) {
-                case '==':
-                case '=':
-                    return actual == expect;
+            $('<p class="arraypress-repeater__transfer-summary"></p>')
+                .text(rows.length
+                    ? this.formatMessage(i18n.importReady || '%s rows ready to import.', rows.length)
+                    : (i18n.importNothing || 'No rows to import.'))
+                .appendTo($preview);
 
-                case '===':
-                    return actual === expect;
+            if (problems.length) {
+                var $list = $('<ul class="arraypress-repeater__transfer-problems"></ul>').appendTo($preview);
 
-                case '!=':
-                case '<>':
-                    return actual != expect;
+                problems.slice(0, limit).forEach(function (problem) {
+                    $('<li></li>').text(problem).appendTo($list);
+                });
+
+                if (problems.length > limit) {
+                    $('<li></li>').text(this.formatMessage(i18n.importMoreProblems || '…and %s more.', problems.length - limit)).appendTo($list);
+                }
+            }
+
+            $panel.data('rows', rows);
+            $panel.find('.arraypress-repeater__transfer-confirm').prop('disabled', !rows.length);
+        },
+
+        /**
+         * Clear an import preview after its data or settings changed
+         *
+         * @memberof PostFields
+         * @param {jQuery} $panel - The import panel
+         * @return {void}
+         */
+        resetImportPreview: function ($panel) {
+            $panel.removeData('rows');
+            $panel.find('.arraypress-repeater__transfer-preview').empty();
+            $panel.find('.arraypress-repeater__transfer-confirm').prop('disabled', true);
+        },
 
-                case '!==':
-                    return actual !== expect;
+        /**
+         * Add imported rows to a repeater
+         *
+         * In replace mode the existing rows are removed first. Rows are
+         * created at their final index and set up one by one, then a
+         * single rows-changed event (action "import") updates limits,
+         * validation and change tracking once, rather than a row-added
+         * event per row. Rows over max_items are left out, and rows that
+         * would leave fewer than min_items rows don't replace anything.
+         *
+         * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @param {Array}  rows      - Row objects keyed by sub-field key
+         * @param {string} [mode]    - 'append' (default) or 'replace'
+         * @return {boolean} Whether the rows were imported
+         */
+        importRepeaterRows: function ($repeater, rows, mode) {
+            var self = this;
+            var i18n = config.i18n || {};
+            var flexible = $repeater.children('.arraypress-repeater__template[data-layout-key]').length > 0;
+            var baseName = $repeater.attr('data-meta-key');
+            var max = parseInt($repeater.data('max')) || 0;
+            var min = parseInt($repeater.data('min')) || 0;
+            var $container = this.getRepeaterRowsContainer($repeater);
+            var added = [];
+            var count;
+
+            if (mode === 'replace' && min > 0 && (max > 0 ? Math.min(rows.length, max) : rows.length) < min) {
+                this.setRepeaterStatus($repeater, this.formatMessage(
+                    i18n.importMinRows || 'These rows cannot replace the existing ones: at least %s rows are required.',
+                    min
+                ));
+                return false;
+            }
 
-                case '>':
-                    return parseFloat(actual) > parseFloat(expect);
+            if (mode === 'replace') {
+                this.getRepeaterRows($repeater).each(function () {
+                    self.destroyComponents($(this));
+                }).remove();
+            }
 
-                case '>=':
-                    return parseFloat(actual) >= parseFloat(expect);
+            count = this.getRepeaterRows($repeater).length;
 
-                case '<':
-                    return parseFloat(actual) < parseFloat(expect);
+            rows.forEach(function (values) {
+                if (max > 0 && count >= max) {
+                    return;
+                }
 
-                case '<=':
-                    return parseFloat(actual) <= parseFloat(expect);
+                var $row = self.createRepeaterRow($repeater, count, flexible ? String(values._layout || '') : undefined);
 
-                case 'in':
-                    var arr = Array.isArray(expect) ? expect : [expect];
-                    return arr.indexOf(actual) !== -1;
+                if (!$row) {
+                    return;
+                }
 
-                case 'not_in':
-                    var arr2 = Array.isArray(expect) ? expect : [expect];
-                    return arr2.indexOf(actual) === -1;
+                self.setRowValues($row, baseName, values);
+                $container.append($row);
+                added.push($row[0]);
+                count++;
+            });
 
-                case 'contains':
-                    return String(actual).indexOf(String(expect)) !== -1;
+            $container.children('.arraypress-repeater__empty-row').toggle(count === 0);
 
-                case 'not_contains':
-                    return String(actual).indexOf(String(expect)) === -1;
+            $(added).each(function () {
+                var $row = $(this);
 
-                case 'empty':
-                    return !actual || actual === '' || actual === '0' || actual === 0;
+                self.updateRowTitle($row);
+                self.initComponents($row);
+                self.evaluateRowConditions($row);
+                self.hydrateMediaPreviews($row);
+            });
 
-                case 'not_empty':
-                    return actual && actual !== '' && actual !== '0' && actual !== 0;
+            this.emit('rows-changed', {
+                $repeater: $repeater,
+                action: 'import',
+                $rows: $(added)
+            });
 
-                default:
-                    // Default to equality check
-                    return actual == expect;
-            }
+            return true;
         },
 
         /**
-         * Normalize a value for comparison
+         * Copy a repeater's selected rows to the clipboard
          *
-         * Converts string numbers to actual numbers for proper comparison.
+         * Copies all rows when none are selected. The rows are written as
+         * versioned JSON (see clipboardFormat) and also kept in local
+         * storage, so they can be pasted where the clipboard can't be read.
          *
          * @memberof PostFields
-         * @param {mixed} value - The value to normalize
-         * @return {mixed} Normalized value
+         * @param {jQuery} $repeater - The repeater container element
+         * @return {void}
          */
-        normalizeValue: function (value) {
-            if (value === null || value === undefined) {
-                return '';
+        copyRepeaterRows: function ($repeater) {
+            var self = this;
+            var i18n = config.i18n || {};
+            var baseName = $repeater.attr('data-meta-key');
+            var $rows = this.getSelectedRows($repeater);
+
+            if (!$rows.length) {
+                $rows = this.getRepeaterRows($repeater);
             }
 
-            // Convert string numbers to actual numbers
-            if (typeof value === 'string' && !isNaN(value) && value !== '') {
-                return parseFloat(value);
+            if (!$rows.length) {
+                return;
             }
 
-            return value;
-        },
+            this.saveEditors();
 
-        /* =====================================================================
-           8. Button Groups
-           ===================================================================== */
+            var text = JSON.stringify({
+                format: this.clipboardFormat.name,
+                version: this.clipboardFormat.version,
+                fields: Object.keys(this.getRepeaterColumns($repeater)),
+                rows: $rows.map(function () {
+                    return self.serializeRow($(this), baseName);
+                }).get()
+            });
+
+            try {
+                window.localStorage.setItem(this.clipboardFormat.storageKey, text);
+            } catch (e) {
+                // Storage full or unavailable; the system clipboard still works
+            }
+
+            this.writeClipboard(text);
+            this.setRepeaterStatus($repeater, this.formatMessage(i18n.rowsCopied || '%s rows copied.', $rows.length));
+        },
 
         /**
-         * Initialize button group fields
+         * Paste copied rows into a repeater
          *
-         * Sets up visual state handling for toggle button groups.
+         * The payload is checked against the repeater's sub-fields: values
+         * of fields the repeater doesn't have are dropped, rows with an
+         * unknown layout are skipped and rows over max_items are left out.
+         * The rest are added with importRepeaterRows.
          *
          * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
          * @return {void}
          */
-        initButtonGroups: function () {
-            // Handle button group input changes with event delegation
-            $(document).on('change', '.arraypress-button-group__input', function () {
-                var $input = $(this);
-                var $group = $input.closest('.arraypress-button-group');
-                var isMultiple = $group.hasClass('arraypress-button-group--multiple');
+        pasteRepeaterRows: function ($repeater) {
+            var self = this;
+            var i18n = config.i18n || {};
 
-                if (isMultiple) {
-                    // Toggle this item's selected state
-                    $input.closest('.arraypress-button-group__item')
-                        .toggleClass('is-selected', $input.is(':checked'));
-                } else {
-                    // Radio - only one can be selected
-                    $group.find('.arraypress-button-group__item').removeClass('is-selected');
-                    $input.closest('.arraypress-button-group__item').addClass('is-selected');
+            this.readClipboard(function (payload) {
+                if (!payload) {
+                    self.setRepeaterStatus($repeater, i18n.pasteEmpty || 'There are no copied rows to paste.');
+                    return;
+                }
+
+                if (payload.version > self.clipboardFormat.version) {
+                    self.setRepeaterStatus($repeater, i18n.pasteVersion || 'These rows were copied with a newer version and cannot be pasted.');
+                    return;
+                }
+
+                var columns = self.getRepeaterColumns($repeater);
+                var max = parseInt($repeater.data('max')) || 0;
+                var available = max > 0 ? Math.max(0, max - self.getRepeaterRows($repeater).length) : Infinity;
+                var layouts = $repeater.children('.arraypress-repeater__template[data-layout-key]').map(function () {
+                    return $(this).attr('data-layout-key');
+                }).get();
+                var skipped = payload.fields.filter(function (key) {
+                    return key !== '_layout' && !columns.hasOwnProperty(key);
+                });
+                var shared = payload.fields.filter(function (key) {
+                    return key !== '_layout' && columns.hasOwnProperty(key);
+                });
+                var messages = [];
+
+                if (!shared.length) {
+                    self.setRepeaterStatus($repeater, i18n.pasteMismatch || 'The copied rows do not match the fields of this repeater.');
+                    return;
+                }
+
+                var rows = payload.rows.map(function (row) {
+                    var values = {};
+
+                    $.each(row, function (key, value) {
+                        if (columns.hasOwnProperty(key)) {
+                            values[key] = value;
+                        }
+                    });
+
+                    return values;
+                }).filter(function (values) {
+                    return !layouts.length || layouts.indexOf(String(values._layout)) !== -1;
+                });
+
+                if (rows.length < payload.rows.length) {
+                    messages.push(self.formatMessage(
+                        i18n.pasteSkippedLayouts || '%s rows with a layout this repeater does not have were skipped.',
+                        payload.rows.length - rows.length
+                    ));
+                }
+
+                if (rows.length > available) {
+                    messages.push(self.formatMessage(
+                        i18n.importMaxRows || 'Only %1$s of %2$s rows can be imported because the repeater allows at most %3$s rows.',
+                        available, rows.length, max
+                    ));
+                    rows = rows.slice(0, available);
                 }
+
+                if (skipped.length) {
+                    messages.push(self.formatMessage(i18n.pasteSkippedFields || 'Fields this repeater does not have were skipped: %s.', skipped.join(', ')));
+                }
+
+                self.importRepeaterRows($repeater, rows, 'append');
+
+                messages.unshift(self.formatMessage(i18n.rowsPasted || '%s rows pasted.', rows.length));
+                self.setRepeaterStatus($repeater, messages.join(' '));
             });
         },
 
-        /* =====================================================================
-           9. Range Sliders
-           ===================================================================== */
-
         /**
-         * Initialize range slider fields
-         *
-         * Sets up live output updates for range inputs.
+         * Show and announce a status message in a repeater's toolbar
          *
          * @memberof PostFields
+         * @param {jQuery} $repeater - The repeater container element
+         * @param {string} message   - The message
          * @return {void}
          */
-        initRangeSliders: function () {
-            // Update output display on input change
-            $(document).on('input', '.arraypress-range-input', function () {
-                var $input = $(this);
-                var $output = $input.siblings('.arraypress-range-output');
-                var $field = $input.closest('.arraypress-range-field');
-                var unit = $field.data('unit') || '';
-
-                $output.text($input.val() + unit);
-            });
+        setRepeaterStatus: function ($repeater, message) {
+            $repeater.children('.arraypress-repeater__toolbar').find('.arraypress-repeater__bulk-status').text(message);
+            this.announce(message);
         },
 
-        /* =====================================================================
-           10. AJAX Selects
-           ===================================================================== */
-
         /**
-         * Initialize all AJAX select fields
+         * Write text to the system clipboard
          *
-         * Finds and initializes Select2 on all AJAX-powered select fields.
+         * Uses the Clipboard API where available (secure contexts) and
+         * falls back to a temporary text area and execCommand.
          *
          * @memberof PostFields
+         * @param {string} text - The text to copy
          * @return {void}
          */
-        initAjaxSelects: function () {
-            var self = this;
-
-            // Initialize all AJAX selects not in templates
-            $('.arraypress-ajax-select').each(function () {
-                var $select = $(this);
-
-                // Skip if in a template
-                if ($select.closest('.arraypress-repeater__template').length) {
-                    return;
+        writeClipboard: function (text) {
+            var fallback = function () {
+                var $textarea = $('<textarea readonly></textarea>')
+                    .val(text)
+                    .css({position: 'fixed', top: 0, left: '-9999px'})
+                    .appendTo(document.body);
+
+                $textarea[0].select();
+
+                try {
+                    document.execCommand('copy');
+                } catch (e) {
+                    // Copying is not allowed; local storage still has the rows
                 }
 
-                self.initSingleAjaxSelect($select);
-            });
+                $textarea.remove();
+            };
+
+            if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+                navigator.clipboard.writeText(text).catch(fallback);
+            } else {
+                fallback();
+            }
         },
 
         /**
-         * Initialize a single AJAX select field
+         * Read copied rows from the clipboard
          *
-         * Configures Select2 with AJAX data source and hydrates existing values.
+         * Falls back to the rows kept in local storage when the clipboard
+         * can't be read or holds something else.
          *
          * @memberof PostFields
-         * @param {jQuery} $select - The select element to initialize
+         * @param {Function} callback - Called with the payload, or null if there is none
          * @return {void}
          */
-        initSingleAjaxSelect: function ($select) {
+        readClipboard: function (callback) {
             var self = this;
+            var fromStorage = function () {
+                var text = null;
 
-            // Skip if already initialized
-            if ($select.hasClass('select2-hidden-accessible')) {
+                try {
+                    text = window.localStorage.getItem(self.clipboardFormat.storageKey);
+                } catch (e) {
+                    // Storage unavailable
+                }
+
+                callback(self.parseClipboard(text));
+            };
+
+            if (!navigator.clipboard || typeof navigator.clipboard.readText !== 'function') {
+                fromStorage();
                 return;
             }
 
-            var metaboxId = $select.data('metabox-id');
-            var fieldKey = $select.data('field-key');
-            var fieldType = $select.data('field-type') || 'ajax';
-            var isMultiple = $select.prop('multiple');
-            var placeholder = $select.data('placeholder') || 'Search...';
-            var restUrl = config.restUrl || '';
-            var nonce = config.nonce || '';
+            navigator.clipboard.readText().then(function (text) {
+                var payload = self.parseClipboard(text);
 
-            // Build AJAX configuration based on field type
-            var ajaxConfig = this.buildAjaxConfig(fieldType, $select, restUrl, nonce, metaboxId, fieldKey);
+                if (payload) {
+                    callback(payload);
+                } else {
+                    fromStorage();
+                }
+            }, fromStorage);
+        },
 
-            var select2Options = {
-                width: '100%',
-                allowClear: true,
-                placeholder: placeholder,
-                ajax: ajaxConfig,
-                minimumInputLength: 0
-            };
+        /**
+         * Parse copied rows
+         *
+         * @memberof PostFields
+         * @param {string|null} text - The clipboard text
+         * @return {Object|null} The payload, or null if the text isn't copied rows
+         */
+        parseClipboard: function (text) {
+            var payload;
 
-            // Get current values BEFORE initializing Select2
-            var currentValues = $select.val();
+            try {
+                payload = JSON.parse(text || '');
+            } catch (e) {
+                return null;
+            }
 
-            // Initialize Select2
-            $select.select2(select2Options);
+            if (!$.isPlainObject(payload) || payload.format !== this.clipboardFormat.name ||
+                !Array.isArray(payload.rows) || !Array.isArray(payload.fields)) {
+                return null;
+            }
 
-            // Hydrate existing values (fetch labels for saved IDs)
-            if (currentValues && currentValues.length) {
-                var ids = Array.isArray(currentValues) ? currentValues : [currentValues];
-                ids = ids.filter(function (id) {
-                    return id && id !== '';
-                });
+            payload.version = parseInt(payload.version) || 1;
+            payload.rows = payload.rows.filter($.isPlainObject);
 
-                if (ids.length > 0) {
-                    self.hydrateAjaxSelect($select, ids, fieldType, metaboxId, fieldKey, restUrl, nonce);
-                }
-            }
+            return payload;
         },
 
         /**
-         * Build AJAX configuration for Select2 based on field type
+         * Download text as a file
          *
          * @memberof PostFields
-         * @param {string} fieldType - The field type (ajax, post_ajax, taxonomy_ajax)
-         * @param {jQuery} $select   - The select element
-         * @param {string} restUrl   - The REST API base URL
-         * @param {string} nonce     - The WP REST nonce
-         * @param {string} metaboxId - The metabox ID
-         * @param {string} fieldKey  - The field key
-         * @return {Object} AJAX configuration object
+         * @param {string} content  - The file content
+         * @param {string} filename - The file name
+         * @param {string} type     - The MIME type
+         * @return {void}
          */
-        buildAjaxConfig: function (fieldType, $select, restUrl, nonce, metaboxId, fieldKey) {
+        downloadFile: function (content, filename, type) {
+            var url = URL.createObjectURL(new Blob([content], {type: type}));
+            var link = document.createElement('a');
+
+            link.href = url;
+            link.download = filename.replace(/[^\w.-]+/g, '_');
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        },
+
+        /* =====================================================================
+           19. WYSIWYG Editors
+           ===================================================================== */
+
+        /**
+         * Initialize WYSIWYG editors in repeater rows and groups
+         *
+         * Top-level WYSIWYG fields are set up by WordPress. Nested ones are
+         * plain textareas that are turned into editors with wp.editor,
+         * each with its own ID so rows cloned from a template never clash.
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        initWysiwygEditors: function () {
             var self = this;
 
-            return {
-                url: restUrl,
-                dataType: 'json',
-                delay: 250,
-                headers: {
-                    'X-WP-Nonce': nonce
+            this.registerFieldType('wysiwyg', {
+                selector: '.arraypress-wysiwyg',
+                lazy: true,
+                init: function ($field) {
+                    self.initSingleEditor($field);
                 },
-                data: function (params) {
-                    var data = {
-                        metabox_id: metaboxId,
-                        field_key: fieldKey,
-                        field_type: fieldType,
-                        search: params.term || ''
-                    };
+                destroy: function ($field) {
+                    var id = $field.find('.arraypress-wysiwyg__input').attr('id');
 
-                    // Add type-specific parameters
-                    if (fieldType === 'post_ajax') {
-                        data.post_types = $select.data('post-types') || 'post';
-                    } else if (fieldType === 'taxonomy_ajax') {
-                        data.taxonomy = $select.data('taxonomy') || 'category';
-                    } else if (fieldType === 'user_ajax') {
-                        data.role = $select.data('role') || '';
+                    if (id && typeof wp !== 'undefined' && wp.editor && typeof wp.editor.remove === 'function') {
+                        wp.editor.remove(id);
                     }
-
-                    return data;
                 },
-                processResults: function (data) {
-                    return {
-                        results: data.map(function (item) {
-                            return {
-                                id: item.value,
-                                text: item.label
-                            };
-                        })
-                    };
+                disable: function ($field, disabled) {
+                    var editor = self.getEditor($field);
+
+                    if (editor) {
+                        editor.setMode(disabled ? 'readonly' : 'design');
+                    }
                 },
-                cache: true
-            };
+                reset: function ($field) {
+                    var editor = self.getEditor($field);
+
+                    if (editor) {
+                        editor.setContent($field.find('.arraypress-wysiwyg__input').val());
+                    }
+                }
+            });
         },
 
         /**
-         * Hydrate AJAX select with labels for existing values
-         *
-         * Fetches display labels for pre-selected IDs from the server.
+         * Initialize a single nested WYSIWYG editor
          *
          * @memberof PostFields
-         * @param {jQuery} $select   - The select element
-         * @param {Array}  ids       - Array of IDs to hydrate
-         * @param {string} fieldType - The field type
-         * @param {string} metaboxId - The metabox ID
-         * @param {string} fieldKey  - The field key
-         * @param {string} restUrl   - The REST API URL
-         * @param {string} nonce     - The WP REST nonce
+         * @param {jQuery} $field - The .arraypress-wysiwyg container
          * @return {void}
          */
-        hydrateAjaxSelect: function ($select, ids, fieldType, metaboxId, fieldKey, restUrl, nonce) {
-            var data = {
-                metabox_id: metaboxId,
-                field_key: fieldKey,
-                field_type: fieldType,
-                include: ids.join(',')
-            };
+        initSingleEditor: function ($field) {
+            var $textarea = $field.find('.arraypress-wysiwyg__input');
 
-            // Add type-specific parameters
-            if (fieldType === 'post_ajax') {
-                data.post_types = $select.data('post-types') || 'post';
-            } else if (fieldType === 'taxonomy_ajax') {
-                data.taxonomy = $select.data('taxonomy') || 'category';
-            } else if (fieldType === 'user_ajax') {
-                data.role = $select.data('role') || '';
+            if (typeof wp === 'undefined' || !wp.editor || typeof wp.editor.initialize !== 'function') {
+                return;
             }
 
-            $.ajax({
-                url: restUrl,
-                data: data,
-                headers: {
-                    'X-WP-Nonce': nonce
-                }
-            }).done(function (results) {
-                // Clear existing options and add new ones with proper labels
-                $select.empty();
+            var id = 'arraypress-wysiwyg-' + (++this.editorCount);
+            var rows = parseInt($textarea.attr('rows')) || 5;
+
+            $textarea.attr('id', id);
+
+            wp.editor.initialize(id, {
+                tinymce: {
+                    wpautop: true,
+                    height: rows * 20,
+                    setup: function (editor) {
+                        // Keep the textarea current for conditions, validation and change tracking
+                        editor.on('change keyup undo redo', function () {
+                            editor.save();
+                            $textarea.trigger('change');
+                        });
+                    }
+                },
+                quicktags: true,
+                mediaButtons: typeof wp.media !== 'undefined'
+            });
+        },
 
-                results.forEach(function (item) {
-                    var option = new Option(item.label, item.value, true, true);
-                    $select.append(option);
-                });
+        /**
+         * Get the TinyMCE instance of a nested WYSIWYG field
+         *
+         * @memberof PostFields
+         * @param {jQuery} $field - The .arraypress-wysiwyg container
+         * @return {Object|null} The editor, or null if not initialized
+         */
+        getEditor: function ($field) {
+            var id = $field.find('.arraypress-wysiwyg__input').attr('id');
 
-                $select.trigger('change.select2');
-            }).fail(function () {
-                console.warn('Failed to hydrate ajax select:', fieldKey);
-            });
+            if (!id || typeof window.tinymce === 'undefined') {
+                return null;
+            }
+
+            return window.tinymce.get(id) || null;
         },
 
-        /* =====================================================================
-           11. Password Fields
-           ===================================================================== */
+        /**
+         * Copy the content of every editor back to its textarea
+         *
+         * @memberof PostFields
+         * @return {void}
+         */
+        saveEditors: function () {
+            if (typeof window.tinymce !== 'undefined') {
+                window.tinymce.triggerSave();
+            }
+        },
 
         /**
-         * Initialize password field toggle functionality
+         * Remove the editors in rows that are about to be moved
          *
-         * Sets up show/hide toggle for password inputs.
+         * Editor iframes lose their content when moved in the DOM, so they
+         * are removed before a move and re-created by restoreEditors.
          *
          * @memberof PostFields
+         * @param {jQuery} $rows - The rows being moved
          * @return {void}
          */
-        initPasswordFields: function () {
-            var i18n = config.i18n || {};
+        removeEditors: function ($rows) {
+            var handlers = this.fieldTypes.wysiwyg;
 
-            $(document).on('click', '.arraypress-password-toggle', function (e) {
-                e.preventDefault();
+            if (!handlers) {
+                return;
+            }
 
-                var $button = $(this);
-                var $field = $button.closest('.arraypress-password-field');
-                var $input = $field.find('.arraypress-password-input');
-                var $icon = $button.find('.dashicons');
+            $rows.find(handlers.selector).each(function () {
+                var $field = $(this);
 
-                if ($input.attr('type') === 'password') {
-                    // Show password
-                    $input.attr('type', 'text');
-                    $icon.removeClass('dashicons-visibility').addClass('dashicons-hidden');
-                    $button.attr('aria-label', i18n.hidePassword || 'Hide password');
-                } else {
-                    // Hide password
-                    $input.attr('type', 'password');
-                    $icon.removeClass('dashicons-hidden').addClass('dashicons-visibility');
-                    $button.attr('aria-label', i18n.showPassword || 'Show password');
+                if ($field.data('arraypress-initialized')) {
+                    handlers.destroy($field);
+                    $field.removeData('arraypress-initialized');
                 }
             });
         },
 
+        /**
+         * Re-create the editors removed by removeEditors
+         *
+         * @memberof PostFields
+         * @param {jQuery} $rows - The moved rows
+         * @return {void}
+         */
+        restoreEditors: function ($rows) {
+            if (this.fieldTypes.wysiwyg) {
+                this.initComponent(this.fieldTypes.wysiwyg, $rows);
+            }
+        },
+
         /* =====================================================================
-           12. Code Editors
+           20. Drag & Drop Uploads
            ===================================================================== */
 
         /**
-         * Initialize code editor fields
+         * Initialize drag-and-drop uploads onto media and gallery fields
          *
-         * Sets up CodeMirror for code editing fields.
+         * Each image, file and gallery field becomes a drop zone backed by
+         * wp.Uploader (plupload). Dropped files are checked against the
+         * field's type, limits and media constraints, uploaded with a
+         * progress bar each, and then used like a pick from the media library.
          *
          * @memberof PostFields
          * @return {void}
          */
-        initCodeEditors: function () {
+        initDropUploads: function () {
             var self = this;
 
-            // Initialize all code editors not in templates
-            $('.arraypress-code-field').each(function () {
-                var $field = $(this);
+            if (typeof wp === 'undefined' || typeof wp.Uploader !== 'function' ||
+                !wp.Uploader.browser || !wp.Uploader.browser.supported) {
+                return;
+            }
 
-                // Skip if in a template
-                if ($field.closest('.arraypress-repeater__template').length) {
-                    return;
-                }
+            $(document).on('click', '.arraypress-upload__dismiss', function (e) {
+                e.preventDefault();
+                $(this).closest('.arraypress-upload__item').remove();
+            });
+
+            this.registerFieldType('media_upload', {
+                selector: '.arraypress-media-field, .arraypress-gallery-field',
+                lazy: true,
+                init: function ($field) {
+                    self.initDropzone($field);
+                },
+                destroy: function ($field) {
+                    var uploader = $field.data('arraypress-uploader');
 
-                self.initSingleCodeEditor($field);
+                    if (uploader && uploader.uploader) {
+                        uploader.uploader.destroy();
+                    }
+
+                    $field.off('.wp-uploader')
+                        .removeData('arraypress-uploader')
+                        .removeClass('supports-drag-drop drag-over');
+                    $field.children('.arraypress-upload, .arraypress-dropzone-hint').remove();
+                },
+                disable: function ($field, disabled) {
+                    $field.toggleClass('is-upload-disabled', disabled);
+                }
             });
         },
 
         /**
-         * Initialize a single code editor
+         * Turn a media or gallery field into a drop zone
          *
          * @memberof PostFields
-         * @param {jQuery} $field - The code field container element
+         * @param {jQuery} $field - The media or gallery field container element
          * @return {void}
          */
-        initSingleCodeEditor: function ($field) {
-            var $textarea = $field.find('.arraypress-code-editor');
+        initDropzone: function ($field) {
+            var self = this;
+            var i18n = config.i18n || {};
+            var isGallery = $field.hasClass('arraypress-gallery-field');
+            var $list = $('<ul class="arraypress-upload" aria-live="polite"></ul>');
+
+            $field.append(
+                $('<p class="arraypress-dropzone-hint description"></p>')
+                    .text(isGallery
+                        ? (i18n.dropImages || 'Or drop images here to upload them.')
+                        : (i18n.dropFile || 'Or drop a file here to upload it.'))
+            ).append($list);
+
+            var uploader = new wp.Uploader({
+                container: $field,
+                dropzone: $field,
+                params: {post_id: config.postId || 0},
+                added: function (attachment) {
+                    self.getUploadItem($list, attachment.cid, attachment.get('filename'));
+                },
+                progress: function (attachment) {
+                    var percent = parseInt(attachment.get('percent')) || 0;
 
-            // Skip if already initialized
-            if ($textarea.data('codemirror')) {
-                return;
-            }
+                    self.getUploadItem($list, attachment.cid)
+                        .find('.arraypress-upload__bar').attr('aria-valuenow', percent)
+                        .children().css('width', percent + '%');
+                },
+                success: function (attachment) {
+                    var data = attachment.toJSON();
+                    var error = self.getAttachmentError(data, $field);
+
+                    if (error) {
+                        self.showUploadError($list, attachment.cid, data.filename, self.formatMessage(
+                            i18n.uploadRejected || '%s The file was added to the media library but not to this field.', error
+                        ));
+                        return;
+                    }
 
-            // Check if CodeMirror is available
-            if (typeof wp === 'undefined' || typeof wp.codeEditor === 'undefined') {
-                return;
-            }
+                    self.getUploadItem($list, attachment.cid).remove();
 
-            var mode = $field.data('mode') || 'htmlmixed';
-            var lineNumbers = $field.data('line-numbers') !== 'false';
+                    if (isGallery) {
+                        self.addGalleryImages($field, [data]);
+                    } else {
+                        self.selectMedia($field, data);
+                    }
 
-            // Initialize WordPress CodeMirror
-            var editorSettings = wp.codeEditor.defaultSettings ? _.clone(wp.codeEditor.defaultSettings) : {};
+                    self.announce(self.formatMessage(i18n.uploadDone || '%s uploaded.', data.filename));
+                },
+                error: function (message, data, file) {
+                    var key = file && file.attachment ? file.attachment.cid : (file ? file.id : '');
 
-            editorSettings.codemirror = _.extend(
-                {},
-                editorSettings.codemirror,
-                {
-                    mode: mode,
-                    lineNumbers: lineNumbers,
-                    lineWrapping: true,
-                    indentUnit: 4,
-                    tabSize: 4,
-                    indentWithTabs: true
+                    self.showUploadError($list, key, file ? file.name : '', message);
                 }
-            );
-
-            var editor = wp.codeEditor.initialize($textarea[0], editorSettings);
+            });
 
-            // Store reference for cleanup
-            if (editor && editor.codemirror) {
-                $textarea.data('codemirror', editor.codemirror);
+            if (!uploader.uploader) {
+                $field.children('.arraypress-dropzone-hint, .arraypress-upload').remove();
+                return;
+            }
 
-                // Ensure the textarea value is updated when CodeMirror changes
-                editor.codemirror.on('change', function (cm) {
-                    cm.save();
-                    $textarea.trigger('change');
-                });
+            // Runs before wp.Uploader queues the files, so rejected files are never uploaded
+            uploader.uploader.bind('FilesAdded', function (up, files) {
+                self.filterDroppedFiles($field, $list, up, files);
+            }, null, 10);
 
-                // Refresh editor when it becomes visible (e.g., in collapsed repeater rows)
-                setTimeout(function () {
-                    editor.codemirror.refresh();
-                }, 100);
-            }
+            $field.data('arraypress-uploader', uploader);
         },
 
-        /* =====================================================================
-           13. oEmbed Fields
-           ===================================================================== */
-
         /**
-         * Initialize oEmbed field preview functionality
+         * Remove dropped files a field can't take before they are uploaded
          *
-         * Sets up preview button click handlers for oEmbed fields.
+         * Checks the file type, extension and size against the field's
+         * media constraints, and the number of files against a single
+         * field or the images left before a gallery's max_items.
          *
          * @memberof PostFields
+         * @param {jQuery}   $field - The media or gallery field container element
+         * @param {jQuery}   $list  - The field's upload list
+         * @param {Object}   up     - The plupload uploader
+         * @param {Object[]} files  - The dropped plupload files (filtered in place)
          * @return {void}
          */
-        initOembedFields: function () {
+        filterDroppedFiles: function ($field, $list, up, files) {
             var self = this;
             var i18n = config.i18n || {};
+            var isGallery = $field.hasClass('arraypress-gallery-field');
+            var max = parseInt($field.data('max')) || 0;
+            var room = files.length;
+            var rejected = [];
 
-            // Preview button click
-            $(document).on('click', '.arraypress-oembed-preview-btn', function (e) {
-                e.preventDefault();
+            // Hidden fields with hidden_behavior "disable" take no uploads
+            if ($field.hasClass('is-upload-disabled')) {
+                rejected = files.slice();
+            } else {
+                if (!isGallery) {
+                    room = 1;
+                } else if (max > 0) {
+                    room = max - $field.find('.arraypress-gallery-item').length - $list.children(':not(.is-error)').length;
+                }
 
-                var $button = $(this);
-                var $field = $button.closest('.arraypress-oembed-field');
-                var $input = $field.find('.arraypress-oembed-input');
-                var $preview = $field.find('.arraypress-oembed-preview');
-                var url = $input.val();
+                files.forEach(function (file) {
+                    var error = self.getAttachmentError({
+                        filename: file.name,
+                        mime: file.type,
+                        filesizeInBytes: file.size
+                    }, $field, true);
+
+                    if (!error && room <= 0) {
+                        error = isGallery
+                            ? self.getLimitMessage($field, true, false)
+                            : (i18n.uploadSingle || 'Only one file can be dropped here.');
+                    }
 
-                if (!url) {
-                    $preview.hide().empty();
-                    return;
-                }
+                    if (error) {
+                        rejected.push(file);
+                        self.showUploadError($list, file.id, file.name, error);
+                    } else {
+                        room--;
+                    }
+                });
+            }
 
-                // Show loading state
-                $preview.show()
-                    .addClass('is-loading')
-                    .removeClass('is-error')
-                    .html(i18n.loadingEmbed || 'Loading preview...');
+            rejected.forEach(function (file) {
+                files.splice(files.indexOf(file), 1);
+                up.removeFile(file);
+            });
+        },
 
-                // Fetch oEmbed preview via AJAX
-                self.fetchOembedPreview(url, $preview);
+        /**
+         * Get (or create) the progress item of an upload
+         *
+         * @memberof PostFields
+         * @param {jQuery} $list  - The field's upload list
+         * @param {string} key    - The upload's attachment cid or plupload file ID
+         * @param {string} [name] - The file name, for a new item
+         * @return {jQuery} The upload item
+         */
+        getUploadItem: function ($list, key, name) {
+            var i18n = config.i18n || {};
+            var $item = $list.children().filter(function () {
+                return $(this).data('key') === key;
             });
 
-            // Also trigger preview on input blur if there's a value
-            $(document).on('blur', '.arraypress-oembed-input', function () {
-                var $input = $(this);
-                var $field = $input.closest('.arraypress-oembed-field');
-                var $preview = $field.find('.arraypress-oembed-preview');
-                var url = $input.val();
+            if (!$item.length) {
+                $item = $(
+                    '<li class="arraypress-upload__item">' +
+                    '<span class="arraypress-upload__name"></span>' +
+                    '<span class="arraypress-upload__bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">' +
+                    '<span></span>' +
+                    '</span>' +
+                    '<span class="arraypress-upload__message"></span>' +
+                    '</li>'
+                ).data('key', key);
+
+                $item.find('.arraypress-upload__name').text(name || '');
+                $item.find('.arraypress-upload__bar').attr('aria-label', this.formatMessage(i18n.uploading || 'Uploading %s', name || ''));
+                $list.append($item);
+            }
 
-                // Only auto-preview if preview is currently empty and we have a URL
-                if (url && $preview.children().length === 0) {
-                    $field.find('.arraypress-oembed-preview-btn').trigger('click');
-                }
-            });
+            return $item;
         },
 
         /**
-         * Fetch oEmbed preview from WordPress
+         * Show why an upload failed or was rejected
          *
          * @memberof PostFields
-         * @param {string} url      - The URL to fetch embed for
-         * @param {jQuery} $preview - The preview container element
+         * @param {jQuery} $list   - The field's upload list
+         * @param {string} key     - The upload's attachment cid or plupload file ID
+         * @param {string} name    - The file name
+         * @param {string} message - The error message
          * @return {void}
          */
-        fetchOembedPreview: function (url, $preview) {
+        showUploadError: function ($list, key, name, message) {
             var i18n = config.i18n || {};
+            var $item = this.getUploadItem($list, key, name).addClass('is-error');
 
-            // Use WordPress oEmbed proxy endpoint
-            $.ajax({
-                url: ajaxurl,
-                type: 'POST',
-                data: {
-                    action: 'parse-embed',
-                    post_ID: $('#post_ID').val() || 0,
-                    shortcode: '[embed]' + url + '[/embed]'
-                }
-            }).done(function (response) {
-                $preview.removeClass('is-loading');
+            $item.children('.arraypress-upload__bar').remove();
+            $item.children('.arraypress-upload__message').text(message);
 
-                if (response.success && response.data && response.data.body) {
-                    $preview.html(response.data.body);
-                } else {
-                    $preview.addClass('is-error')
-                        .html(i18n.embedError || 'Could not load preview for this URL.');
-                }
-            }).fail(function () {
-                $preview.removeClass('is-loading')
-                    .addClass('is-error')
-                    .html(i18n.embedError || 'Could not load preview for this URL.');
-            });
+            if (!$item.children('.arraypress-upload__dismiss').length) {
+                $item.append(
+                    $('<button type="button" class="button-link arraypress-upload__dismiss"></button>')
+                        .text(i18n.uploadDismiss || 'Dismiss')
+                );
+            }
+
+            this.announce(message);
         }
     };
 
+    /* =========================================================================
+       Public API
+       ========================================================================= */
+
+    /**
+     * Expose the extension API alongside the localized configuration
+     *
+     * @type {Object}
+     */
+    window.arraypressPostFields = $.extend(config, {
+        registerFieldType: PostFields.registerFieldType.bind(PostFields),
+        unregisterFieldType: PostFields.unregisterFieldType.bind(PostFields),
+        initComponents: PostFields.initComponents.bind(PostFields),
+        destroyComponents: PostFields.destroyComponents.bind(PostFields),
+        getFieldValue: PostFields.getFieldValue.bind(PostFields),
+        batchRowUpdates: PostFields.batchRowUpdates.bind(PostFields),
+        exportRepeaterRows: PostFields.exportRepeaterRows.bind(PostFields),
+        importRepeaterRows: PostFields.importRepeaterRows.bind(PostFields),
+        refresh: PostFields.refresh.bind(PostFields),
+        showNotice: PostFields.showNotice.bind(PostFields),
+        clearNotice: PostFields.clearNotice.bind(PostFields),
+        hasUnsavedChanges: PostFields.hasUnsavedChanges.bind(PostFields),
+        resetChangeTracking: PostFields.resetChangeTracking.bind(PostFields),
+        validateField: PostFields.validateField.bind(PostFields),
+        validateAll: PostFields.validateAll.bind(PostFields),
+        on: PostFields.on.bind(PostFields),
+        off: PostFields.off.bind(PostFields)
+    });
+
     /* =========================================================================
        Document Ready
        ========================================================================= */
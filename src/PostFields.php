@@ -22,9 +22,11 @@ use ArrayPress\RegisterPostFields\Traits\ConditionalLogic;
 use ArrayPress\RegisterPostFields\Traits\ConfigParser;
 use ArrayPress\RegisterPostFields\Traits\FieldRenderer;
 use ArrayPress\RegisterPostFields\Traits\FieldSanitizer;
+use ArrayPress\RegisterPostFields\Traits\MediaConstraints;
 use ArrayPress\RegisterPostFields\Traits\MetaRegistration;
 use ArrayPress\RegisterPostFields\Traits\RestSchema;
 use ArrayPress\RegisterPostFields\Traits\SaveHandler;
+use ArrayPress\RegisterPostFields\Traits\ValidationRules;
 use Exception;
 use WP_Post;
 
@@ -42,9 +44,11 @@ class PostFields {
 	use ConfigParser;
 	use FieldRenderer;
 	use FieldSanitizer;
+	use MediaConstraints;
 	use MetaRegistration;
 	use RestSchema;
 	use SaveHandler;
+	use ValidationRules;
 
 	/**
 	 * The metabox ID.
@@ -450,6 +450,7 @@ class RestApi {
 	 * Field key can be:
 	 * - Simple: "field_name"
 	 * - Nested: "parent_field.child_field" (for fields inside repeaters/groups)
+	 * - Deeply nested: "parent_field.nested_repeater.child_field"
 	 *
 	 * @param string $metabox_id The metabox ID.
 	 * @param string $field_key  The field key (may include dot notation for nesting).
@@ -459,24 +460,27 @@ class RestApi {
 	protected function get_field_config( string $metabox_id, string $field_key ): ?array {
 		// Check if this is a nested field path (contains a dot)
 		if ( str_contains( $field_key, '.' ) ) {
-			$parts      = explode( '.', $field_key );
-			$parent_key = $parts[0];
-			$child_key  = $parts[1];
+			$parts = explode( '.', $field_key );
 
-			// Get the parent field (repeater or group)
-			$parent_field = PostFields::get_field_config( $metabox_id, $parent_key );
+			// Get the outermost parent field (repeater or group)
+			$field = PostFields::get_field_config( $metabox_id, array_shift( $parts ) );
 
-			if ( ! $parent_field ) {
-				return null;
-			}
+			// Walk down through each level of nested fields
+			foreach ( $parts as $child_key ) {
+				// Flexible repeaters have a layout step in the path: repeater.layout.field
+				if ( $field && isset( $field['layouts'][ $child_key ] ) ) {
+					$field = $field['layouts'][ $child_key ];
+					continue;
+				}
+
+				if ( ! $field || ! isset( $field['fields'] ) || ! is_array( $field['fields'] ) ) {
+					return null;
+				}
 
-			// Check if parent has nested fields
-			if ( ! isset( $parent_field['fields'] ) || ! is_array( $parent_field['fields'] ) ) {
-				return null;
+				$field = $field['fields'][ $child_key ] ?? null;
 			}
 
-			// Return the nested field config
-			return $parent_field['fields'][ $child_key ] ?? null;
+			return $field;
 		}
 
 		// Simple field path - use existing method
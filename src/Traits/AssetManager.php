@@ -71,10 +71,15 @@ trait AssetManager {
 	 */
 	protected function enqueue_wordpress_dependencies(): void {
 		// Enqueue media for image/file/gallery/file_url/link fields
-		if ( $this->has_field_type( [ 'image', 'file', 'gallery', 'file_url', 'link' ] ) ) {
+		if ( $this->has_field_type( [ 'image', 'file', 'gallery', 'file_url', 'link', 'wysiwyg' ] ) ) {
 			wp_enqueue_media();
 		}
 
+		// Enqueue TinyMCE and Quicktags for editors created in repeater rows
+		if ( $this->has_field_type( 'wysiwyg' ) ) {
+			wp_enqueue_editor();
+		}
+
 		// Enqueue color picker
 		if ( $this->has_field_type( 'color' ) ) {
 			wp_enqueue_style( 'wp-color-picker' );
@@ -115,7 +120,7 @@ trait AssetManager {
 		);
 
 		// Build script dependencies - only add dependencies that are actually enqueued
-		$script_deps = [ 'jquery', 'jquery-ui-sortable' ];
+		$script_deps = [ 'jquery', 'jquery-ui-sortable', 'wp-a11y' ];
 
 		// Add color picker dependency if color fields exist
 		if ( $this->has_field_type( 'color' ) ) {
@@ -127,11 +132,28 @@ trait AssetManager {
 			$script_deps[] = 'arraypress-select2';
 		}
 
+		// Add the uploader (wp.Uploader) for drag-and-drop uploads onto media fields
+		if ( $this->has_field_type( [ 'image', 'file', 'gallery' ] ) ) {
+			$script_deps[] = 'wp-plupload';
+		}
+
 		// Add CodeMirror dependency if code fields exist
 		if ( $this->has_field_type( 'code' ) ) {
 			$script_deps[] = 'wp-codemirror';
 		}
 
+		// Add the editor API (wp.editor) if WYSIWYG fields exist
+		if ( $this->has_field_type( 'wysiwyg' ) ) {
+			$script_deps[] = 'editor';
+		}
+
+		// Add editor data stores for dirty tracking and notices in the block editor
+		$is_block_editor = $this->is_block_editor();
+		if ( $is_block_editor ) {
+			$script_deps[] = 'wp-data';
+			$script_deps[] = 'wp-notices';
+		}
+
 		wp_enqueue_composer_script(
 			'arraypress-post-fields',
 			__FILE__,
@@ -141,20 +163,218 @@ trait AssetManager {
 
 		// Localize script with configuration data
 		wp_localize_script( 'arraypress-post-fields', 'arraypressPostFields', [
-			'conditions' => $this->get_all_field_conditions(),
-			'restUrl'    => rest_url( 'arraypress-post-fields/v1/ajax' ),
-			'nonce'      => wp_create_nonce( 'wp_rest' ),
-			'i18n'       => [
-				'showPassword' => __( 'Show password', 'arraypress' ),
-				'hidePassword' => __( 'Hide password', 'arraypress' ),
-				'loadingEmbed' => __( 'Loading preview...', 'arraypress' ),
-				'embedError'   => __( 'Could not load preview for this URL.', 'arraypress' ),
+			'conditions'    => $this->get_all_field_conditions(),
+			'restUrl'       => rest_url( 'arraypress-post-fields/v1/ajax' ),
+			'nonce'         => wp_create_nonce( 'wp_rest' ),
+			'mediaUrl'      => rest_url( 'wp/v2/media' ),
+			'isBlockEditor' => $is_block_editor,
+			'termNames'     => $is_block_editor ? [] : $this->get_condition_term_names( (int) get_the_ID() ),
+			'postId'        => (int) get_the_ID(),
+			'userId'        => get_current_user_id(),
+			'numberFormat'  => $this->get_number_format(),
+			'gmtOffset'     => wp_timezone()->getOffset( new \DateTimeImmutable() ),
+			'i18n'          => [
+				'showPassword'        => __( 'Show password', 'arraypress' ),
+				'hidePassword'        => __( 'Hide password', 'arraypress' ),
+				'loadingEmbed'        => __( 'Loading preview...', 'arraypress' ),
+				'embedError'          => __( 'Could not load preview for this URL.', 'arraypress' ),
+				'modified'            => __( 'Modified', 'arraypress' ),
+				'unsavedChanges'      => __( 'You have unsaved changes. Are you sure you want to leave?', 'arraypress' ),
+				'validationRequired'  => __( 'This field is required.', 'arraypress' ),
+				/* translators: %s: minimum value */
+				'validationMin'       => __( 'Must be at least %s.', 'arraypress' ),
+				/* translators: %s: maximum value */
+				'validationMax'       => __( 'Must be at most %s.', 'arraypress' ),
+				/* translators: %s: earliest date or time */
+				'validationMinDate'   => __( 'Must be on or after %s.', 'arraypress' ),
+				/* translators: %s: latest date or time */
+				'validationMaxDate'   => __( 'Must be on or before %s.', 'arraypress' ),
+				'validationPattern'   => __( 'Please match the requested format.', 'arraypress' ),
+				'validationEmail'     => __( 'Please enter a valid email address.', 'arraypress' ),
+				'validationUrl'       => __( 'Please enter a valid URL.', 'arraypress' ),
+				/* translators: %s: minimum number of items */
+				'validationMinItems'  => __( 'Add at least %s items.', 'arraypress' ),
+				/* translators: %s: maximum number of items */
+				'validationMaxItems'  => __( 'No more than %s items are allowed.', 'arraypress' ),
+				'validationOrder'     => __( 'The end must be after the start.', 'arraypress' ),
+				'validationSummary'   => __( 'Please correct the following errors before saving:', 'arraypress' ),
+				/* translators: 1: previous row position, 2: new row position */
+				'rowMoved'            => __( 'Row %1$s moved to position %2$s.', 'arraypress' ),
+				/* translators: 1: previous image position, 2: new image position */
+				'imageMoved'          => __( 'Image %1$s moved to position %2$s.', 'arraypress' ),
+				'moveImageUp'         => __( 'Move image earlier', 'arraypress' ),
+				'moveImageDown'       => __( 'Move image later', 'arraypress' ),
+				'selectImage'         => __( 'Select image', 'arraypress' ),
+				'editImage'           => __( 'Edit image details', 'arraypress' ),
+				'imageTitle'          => __( 'Title', 'arraypress' ),
+				'imageCaption'        => __( 'Caption', 'arraypress' ),
+				'imageAlt'            => __( 'Alternative text', 'arraypress' ),
+				'imageSave'           => __( 'Save', 'arraypress' ),
+				'imageLoading'        => __( 'Loading…', 'arraypress' ),
+				'imageSaving'         => __( 'Saving…', 'arraypress' ),
+				'imageSaved'          => __( 'Image details saved.', 'arraypress' ),
+				'imageLoadError'      => __( 'The image details could not be loaded.', 'arraypress' ),
+				'imageSaveError'      => __( 'The image details could not be saved.', 'arraypress' ),
+				/* translators: %s: number of selected images */
+				'gallerySelected'     => __( '%s selected', 'arraypress' ),
+				/* translators: %s: number of images */
+				'galleryRemoved'      => __( '%s images removed.', 'arraypress' ),
+				/* translators: %s: row number */
+				'rowTitle'            => __( 'Item %s', 'arraypress' ),
+				'pagePrevious'        => __( '‹ Previous', 'arraypress' ),
+				'pageNext'            => __( 'Next ›', 'arraypress' ),
+				/* translators: 1: current page, 2: total pages */
+				'pageStatus'          => __( 'Page %1$s of %2$s', 'arraypress' ),
+				'importHelp'          => __( 'Paste CSV or JSON rows, or choose a file. The first CSV line must contain column names.', 'arraypress' ),
+				'importData'          => __( 'Rows to import', 'arraypress' ),
+				'importFile'          => __( 'Import file', 'arraypress' ),
+				'importMode'          => __( 'Import mode', 'arraypress' ),
+				'importAppend'        => __( 'Add to existing rows', 'arraypress' ),
+				'importReplace'       => __( 'Replace existing rows', 'arraypress' ),
+				'importColumns'       => __( 'Columns', 'arraypress' ),
+				'importSkipColumn'    => __( '— Skip —', 'arraypress' ),
+				'importPreview'       => __( 'Preview', 'arraypress' ),
+				'importConfirm'       => __( 'Import rows', 'arraypress' ),
+				/* translators: %s: number of rows */
+				'importReady'         => __( '%s rows ready to import.', 'arraypress' ),
+				'importNothing'       => __( 'No rows to import.', 'arraypress' ),
+				/* translators: %s: number of rows */
+				'importDone'          => __( '%s rows imported.', 'arraypress' ),
+				'importInvalidJson'   => __( 'The JSON could not be read. It must be an array of row objects.', 'arraypress' ),
+				/* translators: %s: column name */
+				'importUnknownColumn' => __( 'Column "%s" does not match a field and will be skipped.', 'arraypress' ),
+				/* translators: 1: row number, 2: layout key */
+				'importUnknownLayout' => __( 'Row %1$s: unknown layout "%2$s". The row will be skipped.', 'arraypress' ),
+				/* translators: 1: row number, 2: problem description */
+				'importRowProblem'    => __( 'Row %1$s: %2$s', 'arraypress' ),
+				/* translators: 1: value, 2: field label */
+				'importInvalidOption' => __( '"%1$s" is not an option for %2$s.', 'arraypress' ),
+				/* translators: 1: rows that fit, 2: rows in the import, 3: maximum rows */
+				'importMaxRows'       => __( 'Only %1$s of %2$s rows can be imported because the repeater allows at most %3$s rows.', 'arraypress' ),
+				/* translators: %s: minimum number of rows */
+				'importMinRows'       => __( 'These rows cannot replace the existing ones: at least %s rows are required.', 'arraypress' ),
+				/* translators: %s: number of further problems */
+				'importMoreProblems'  => __( '…and %s more.', 'arraypress' ),
+				'exportFormat'        => __( 'Export format', 'arraypress' ),
+				'exportDownload'      => __( 'Download', 'arraypress' ),
+				'transferCancel'      => __( 'Cancel', 'arraypress' ),
+				'transferClose'       => __( 'Close', 'arraypress' ),
+				/* translators: 1: current number of items, 2: maximum number of items */
+				'limitCount'          => __( '%1$s / %2$s', 'arraypress' ),
+				/* translators: %s: maximum number of rows */
+				'limitMaxRows'        => __( 'You can add up to %s rows.', 'arraypress' ),
+				/* translators: %s: minimum number of rows */
+				'limitMinRows'        => __( 'At least %s rows are required.', 'arraypress' ),
+				/* translators: %s: maximum number of images */
+				'limitMaxImages'      => __( 'You can add up to %s images.', 'arraypress' ),
+				/* translators: %s: minimum number of images */
+				'limitMinImages'      => __( 'At least %s images are required.', 'arraypress' ),
+				'galleryFrameTitle'   => __( 'Select Images', 'arraypress' ),
+				'galleryFrameButton'  => __( 'Add to Gallery', 'arraypress' ),
+				/* translators: %s: number of images that can still be selected */
+				'galleryRemaining'    => __( 'You can select %s more images.', 'arraypress' ),
+				/* translators: %s: file name */
+				'mediaNotImage'       => __( '"%s" is not an image.', 'arraypress' ),
+				/* translators: 1: file name, 2: comma-separated allowed extensions or MIME types */
+				'mediaInvalidType'    => __( '"%1$s" is not an allowed file type. Allowed types: %2$s.', 'arraypress' ),
+				/* translators: 1: file name, 2: image width, 3: minimum width */
+				'mediaMinWidth'       => __( '"%1$s" is %2$s px wide; it must be at least %3$s px wide.', 'arraypress' ),
+				/* translators: 1: file name, 2: image height, 3: minimum height */
+				'mediaMinHeight'      => __( '"%1$s" is %2$s px high; it must be at least %3$s px high.', 'arraypress' ),
+				/* translators: 1: file name, 2: image width, 3: maximum width */
+				'mediaMaxWidth'       => __( '"%1$s" is %2$s px wide; it must be at most %3$s px wide.', 'arraypress' ),
+				/* translators: 1: file name, 2: image height, 3: maximum height */
+				'mediaMaxHeight'      => __( '"%1$s" is %2$s px high; it must be at most %3$s px high.', 'arraypress' ),
+				/* translators: 1: file name, 2: file size, 3: maximum file size */
+				'mediaMaxFileSize'    => __( '"%1$s" is %2$s; files must be %3$s or smaller.', 'arraypress' ),
+				'dropFile'            => __( 'Or drop a file here to upload it.', 'arraypress' ),
+				'dropImages'          => __( 'Or drop images here to upload them.', 'arraypress' ),
+				/* translators: %s: file name */
+				'uploading'           => __( 'Uploading %s', 'arraypress' ),
+				/* translators: %s: file name */
+				'uploadDone'          => __( '%s uploaded.', 'arraypress' ),
+				/* translators: %s: why the uploaded file can't be used */
+				'uploadRejected'      => __( '%s The file was added to the media library but not to this field.', 'arraypress' ),
+				'uploadSingle'        => __( 'Only one file can be dropped here.', 'arraypress' ),
+				'uploadDismiss'       => __( 'Dismiss', 'arraypress' ),
+				'focalPoint'          => __( 'Focal point', 'arraypress' ),
+				'cropArea'            => __( 'Crop area', 'arraypress' ),
+				'focalPointHelp'      => __( 'Click the image or drag the marker to set the focal point: the part of the image that stays visible when it is cropped.', 'arraypress' ),
+				'cropAreaHelp'        => __( 'Drag the crop area to move it, or its corner to resize it.', 'arraypress' ),
+				'focusKeyboardHelp'   => __( 'With the keyboard, the arrow keys move the focused marker or crop area (hold Shift for larger steps), and + and - resize the crop area.', 'arraypress' ),
+				/* translators: 1: horizontal position, 2: vertical position */
+				'focalPointMoved'     => __( 'Focal point at %1$s across, %2$s down.', 'arraypress' ),
+				/* translators: 1: horizontal position, 2: vertical position, 3: width */
+				'cropAreaMoved'       => __( 'Crop area at %1$s across, %2$s down, %3$s wide.', 'arraypress' ),
+				'focusReset'          => __( 'Reset', 'arraypress' ),
+				'focusResetDone'      => __( 'Focal point and crop area reset.', 'arraypress' ),
+				'focusDone'           => __( 'Done', 'arraypress' ),
+				/* translators: %s: number of rows */
+				'bulkDeleted'         => __( '%s rows deleted.', 'arraypress' ),
+				/* translators: %s: number of rows */
+				'bulkDuplicated'      => __( '%s rows duplicated.', 'arraypress' ),
+				/* translators: %s: number of rows */
+				'bulkMoved'           => __( '%s rows moved.', 'arraypress' ),
+				/* translators: %s: number of rows */
+				'bulkCollapsed'       => __( '%s rows collapsed.', 'arraypress' ),
+				/* translators: %s: minimum number of rows */
+				'bulkMinRows'         => __( 'These rows cannot be deleted: at least %s rows are required.', 'arraypress' ),
+				/* translators: %s: maximum number of rows */
+				'bulkMaxRows'         => __( 'These rows cannot be duplicated: no more than %s rows are allowed.', 'arraypress' ),
+				/* translators: %s: number of rows */
+				'rowsCopied'          => __( '%s rows copied.', 'arraypress' ),
+				/* translators: %s: number of rows */
+				'rowsPasted'          => __( '%s rows pasted.', 'arraypress' ),
+				'pasteEmpty'          => __( 'There are no copied rows to paste.', 'arraypress' ),
+				'pasteMismatch'       => __( 'The copied rows do not match the fields of this repeater.', 'arraypress' ),
+				'pasteVersion'        => __( 'These rows were copied with a newer version and cannot be pasted.', 'arraypress' ),
+				/* translators: %s: comma-separated field keys */
+				'pasteSkippedFields'  => __( 'Fields this repeater does not have were skipped: %s.', 'arraypress' ),
+				/* translators: %s: number of rows */
+				'pasteSkippedLayouts' => __( '%s rows with a layout this repeater does not have were skipped.', 'arraypress' ),
 			],
 		] );
 
 		self::$assets_enqueued = true;
 	}
 
+	/**
+	 * Get the number format used for row titles.
+	 *
+	 * The JavaScript formats numbers like number_format_i18n(), and only
+	 * uses Intl for currencies when PHP has NumberFormatter, so titles
+	 * look the same before and after they are updated live.
+	 *
+	 * @return array Locale, whether intl is available, decimal point and thousands separator.
+	 */
+	protected function get_number_format(): array {
+		global $wp_locale;
+
+		$format = $wp_locale->number_format ?? [];
+
+		return [
+			'locale'       => str_replace( '_', '-', get_user_locale() ),
+			'intl'         => class_exists( 'NumberFormatter' ),
+			'decimalPoint' => html_entity_decode( $format['decimal_point'] ?? '.', ENT_QUOTES, 'UTF-8' ),
+			'thousandsSep' => html_entity_decode( $format['thousands_sep'] ?? ',', ENT_QUOTES, 'UTF-8' ),
+		];
+	}
+
+	/**
+	 * Check if the current screen uses the block editor.
+	 *
+	 * @return bool True if the block editor is active.
+	 */
+	protected function is_block_editor(): bool {
+		if ( ! function_exists( 'get_current_screen' ) ) {
+			return false;
+		}
+
+		$screen = get_current_screen();
+
+		return $screen && method_exists( $screen, 'is_block_editor' ) && $screen->is_block_editor();
+	}
+
 	/**
 	 * Enqueue Select2 library from composer assets.
 	 *
@@ -207,25 +427,23 @@ trait AssetManager {
 	/**
 	 * Check if metabox has a specific field type.
 	 *
-	 * @param string|array $types Field type(s) to check for.
+	 * @param string|array $types  Field type(s) to check for.
+	 * @param array|null   $fields Fields to search, defaults to the metabox fields.
 	 *
 	 * @return bool True if field type exists.
 	 */
-	protected function has_field_type( $types ): bool {
+	protected function has_field_type( $types, ?array $fields = null ): bool {
 		$types = (array) $types;
 
-		foreach ( $this->config['fields'] as $field ) {
+		foreach ( $fields ?? $this->config['fields'] as $field ) {
 			if ( in_array( $field['type'], $types, true ) ) {
 				return true;
 			}
 
-			// Check nested fields in repeaters/groups
-			if ( in_array( $field['type'], [ 'repeater', 'group' ], true ) && ! empty( $field['fields'] ) ) {
-				foreach ( $field['fields'] as $nested_field ) {
-					if ( in_array( $nested_field['type'], $types, true ) ) {
-						return true;
-					}
-				}
+			// Check nested fields in repeaters/groups (and flexible layouts), at any depth
+			if ( in_array( $field['type'], [ 'repeater', 'group' ], true ) &&
+			     $this->has_field_type( $types, $this->get_all_sub_fields( $field ) ) ) {
+				return true;
 			}
 		}
 
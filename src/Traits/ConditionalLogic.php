@@ -25,23 +25,30 @@ trait ConditionalLogic {
 	/**
 	 * Normalize show_when configuration to a consistent array format.
 	 *
-	 * Supports three input formats:
+	 * Supports four input formats:
 	 * 1. Shorthand: ['field_name' => 'value']
 	 * 2. Explicit: ['field' => 'name', 'operator' => '==', 'value' => 'x']
 	 * 3. Multiple conditions (AND): [['field' => 'a', 'value' => 1], ['field' => 'b', 'value' => 2]]
+	 * 4. Groups: ['any' => [...]], ['all' => [...]] or ['not' => [...]], nestable
+	 *    anywhere a condition is accepted
 	 *
 	 * @param array $show_when Raw show_when configuration.
 	 *
-	 * @return array Normalized array of conditions.
+	 * @return array Normalized array of conditions and groups (AND logic).
 	 */
 	protected function normalize_show_when( array $show_when ): array {
 		if ( empty( $show_when ) ) {
 			return [];
 		}
 
+		// A single group
+		if ( $this->get_condition_group_logic( $show_when ) ) {
+			return [ $this->normalize_condition_node( $show_when ) ];
+		}
+
 		// Check if it's already an array of conditions (multiple AND conditions)
 		if ( isset( $show_when[0] ) && is_array( $show_when[0] ) ) {
-			return array_map( [ $this, 'normalize_single_condition' ], $show_when );
+			return array_map( [ $this, 'normalize_condition_node' ], $show_when );
 		}
 
 		// Check if it's explicit format (has 'field' key)
@@ -62,6 +69,48 @@ trait ConditionalLogic {
 		return $conditions;
 	}
 
+	/**
+	 * Normalize a condition or group to the standard format.
+	 *
+	 * Groups keep their logic key with a normalized list of children.
+	 *
+	 * @param array $node Raw condition or group.
+	 *
+	 * @return array Normalized condition, or group such as ['any' => [...]].
+	 */
+	protected function normalize_condition_node( array $node ): array {
+		$logic = $this->get_condition_group_logic( $node );
+
+		if ( ! $logic ) {
+			return $this->normalize_single_condition( $node );
+		}
+
+		return [
+			$logic => is_array( $node[ $logic ] ) ? $this->normalize_show_when( $node[ $logic ] ) : [],
+		];
+	}
+
+	/**
+	 * Get the logic of a condition group.
+	 *
+	 * @param array $node Raw or normalized condition or group.
+	 *
+	 * @return string The group logic (all, any or not), or an empty string for plain conditions.
+	 */
+	protected function get_condition_group_logic( array $node ): string {
+		if ( isset( $node['field'] ) ) {
+			return '';
+		}
+
+		foreach ( [ 'all', 'any', 'not' ] as $logic ) {
+			if ( isset( $node[ $logic ] ) && is_array( $node[ $logic ] ) ) {
+				return $logic;
+			}
+		}
+
+		return '';
+	}
+
 	/**
 	 * Normalize a single condition to the standard format.
 	 *
@@ -92,10 +141,21 @@ trait ConditionalLogic {
 
 		$conditions_json = wp_json_encode( $field['show_when'] );
 
-		return sprintf(
+		$attributes = sprintf(
 			' data-show-when="%s"',
 			esc_attr( $conditions_json )
 		);
+
+		if ( $field['hidden_behavior'] !== 'keep' ) {
+			$attributes .= sprintf( ' data-hidden-behavior="%s"', esc_attr( $field['hidden_behavior'] ) );
+		}
+
+		// The value a cleared field resets to
+		if ( $field['hidden_behavior'] === 'clear' ) {
+			$attributes .= sprintf( ' data-default="%s"', esc_attr( wp_json_encode( $field['default'] ) ) );
+		}
+
+		return $attributes;
 	}
 
 	/**
@@ -122,6 +182,17 @@ trait ConditionalLogic {
 					}
 				}
 			}
+
+			// Flexible repeater layouts are keyed by layout: meta_key.layout.field
+			if ( $this->is_flexible_repeater( $field ) ) {
+				foreach ( $field['layouts'] as $layout_key => $layout ) {
+					foreach ( $layout['fields'] as $nested_key => $nested_field ) {
+						if ( ! empty( $nested_field['show_when'] ) ) {
+							$conditions[ $meta_key . '.' . $layout_key . '.' . $nested_key ] = $nested_field['show_when'];
+						}
+					}
+				}
+			}
 		}
 
 		return $conditions;
@@ -142,21 +213,154 @@ trait ConditionalLogic {
 			return true;
 		}
 
-		// All conditions must be met (AND logic)
-		foreach ( $field['show_when'] as $condition ) {
-			$controller_value = get_post_meta( $post_id, $condition['field'], true );
+		// Top-level conditions must all be met (AND logic)
+		return $this->evaluate_condition_group( $field['show_when'], 'all', $post_id );
+	}
 
-			if ( ! $this->evaluate_condition( $controller_value, $condition['operator'], $condition['value'] ) ) {
-				return false;
+	/**
+	 * Evaluate a list of conditions and groups.
+	 *
+	 * @param array  $conditions Normalized conditions and groups.
+	 * @param string $logic      How to combine results: all, any, or not (negates all).
+	 * @param int    $post_id    The post ID.
+	 * @param array  $scopes     Optional value scopes, innermost first. Stored meta is used when empty.
+	 *
+	 * @return bool True if the group is met.
+	 */
+	protected function evaluate_condition_group( array $conditions, string $logic, int $post_id, array $scopes = [] ): bool {
+		foreach ( $conditions as $condition ) {
+			$group = $this->get_condition_group_logic( $condition );
+
+			if ( $group ) {
+				$met = $this->evaluate_condition_group( $condition[ $group ], $group, $post_id, $scopes );
+			} else {
+				$controller_value = $this->get_condition_value( (string) $condition['field'], $post_id, $scopes );
+				$met              = $this->evaluate_condition( $controller_value, $condition['operator'], $condition['value'] );
+			}
+
+			if ( $logic === 'any' && $met ) {
+				return true;
 			}
+
+			if ( $logic !== 'any' && ! $met ) {
+				return $logic === 'not';
+			}
+		}
+
+		return $logic === 'all';
+	}
+
+	/**
+	 * Get the value a condition refers to.
+	 *
+	 * References can be a meta key, a parent reference (^key) or a post
+	 * attribute (post:status, post:template, post:format, post:parent or
+	 * post:terms:{taxonomy}). Without scopes, values come from post meta.
+	 * With scopes (e.g. submitted row and post values), each caret moves
+	 * one scope outwards.
+	 *
+	 * @param string $reference The field reference from the condition.
+	 * @param int    $post_id   The post ID.
+	 * @param array  $scopes    Optional value scopes, innermost first.
+	 *
+	 * @return mixed The referenced value.
+	 */
+	protected function get_condition_value( string $reference, int $post_id, array $scopes = [] ) {
+		if ( str_starts_with( $reference, 'post:' ) ) {
+			return $this->get_post_condition_value( substr( $reference, 5 ), $post_id );
+		}
+
+		$key = ltrim( $reference, '^' );
+
+		if ( empty( $scopes ) ) {
+			return get_post_meta( $post_id, $key, true );
+		}
+
+		$depth = min( strlen( $reference ) - strlen( $key ), count( $scopes ) - 1 );
+
+		return $scopes[ $depth ][ $key ] ?? '';
+	}
+
+	/**
+	 * Get a post attribute for conditional logic.
+	 *
+	 * Values match what the JavaScript reads from the editor: the default
+	 * template is an empty string, no format is "standard" and terms are
+	 * term IDs as strings.
+	 *
+	 * @param string $source  The source name, e.g. 'template' or 'terms:category'.
+	 * @param int    $post_id The post ID.
+	 *
+	 * @return mixed The attribute value.
+	 */
+	protected function get_post_condition_value( string $source, int $post_id ) {
+		$parts = explode( ':', $source, 2 );
+
+		switch ( $parts[0] ) {
+			case 'status':
+				$status = (string) get_post_status( $post_id );
+
+				return $status === 'auto-draft' ? 'draft' : $status;
+
+			case 'template':
+				return (string) get_page_template_slug( $post_id );
+
+			case 'format':
+				return get_post_format( $post_id ) ?: 'standard';
+
+			case 'parent':
+				return (string) (int) wp_get_post_parent_id( $post_id );
+
+			case 'terms':
+				$terms = wp_get_object_terms( $post_id, $parts[1] ?? 'category', [ 'fields' => 'ids' ] );
+
+				return is_wp_error( $terms ) ? [] : array_map( 'strval', $terms );
 		}
 
-		return true;
+		return '';
+	}
+
+	/**
+	 * Get the term IDs of the post's tag-like terms, keyed by name.
+	 *
+	 * The classic editor's tags box only holds term names, while conditions
+	 * compare term IDs. The JavaScript maps names through this list and looks
+	 * up names added in the editor through the REST URL.
+	 *
+	 * @param int $post_id The post ID.
+	 *
+	 * @return array Per taxonomy: url (REST collection) and terms (lowercase name => ID).
+	 */
+	protected function get_condition_term_names( int $post_id ): array {
+		$taxonomies = [];
+
+		foreach ( get_object_taxonomies( (string) get_post_type( $post_id ), 'objects' ) as $taxonomy ) {
+			if ( $taxonomy->hierarchical || ! $taxonomy->show_ui ) {
+				continue;
+			}
+
+			$terms = wp_get_object_terms( $post_id, $taxonomy->name );
+			$names = [];
+
+			foreach ( is_wp_error( $terms ) ? [] : $terms as $term ) {
+				$names[ strtolower( $term->name ) ] = $term->term_id;
+			}
+
+			$taxonomies[ $taxonomy->name ] = [
+				'url'   => $taxonomy->show_in_rest ? rest_url( 'wp/v2/' . ( $taxonomy->rest_base ?: $taxonomy->name ) ) : '',
+				'terms' => (object) $names,
+			];
+		}
+
+		return $taxonomies;
 	}
 
 	/**
 	 * Evaluate a single condition.
 	 *
+	 * Multi-value fields store arrays, which the membership operators
+	 * compare item by item.
+	 *
 	 * @param mixed  $actual_value The actual value from the controller field.
 	 * @param string $operator     The comparison operator.
 	 * @param mixed  $expected     The expected value.
@@ -193,24 +397,83 @@ trait ConditionalLogic {
 				return $actual_value <= $expected;
 
 			case 'in':
-				// Check if actual value is in array of expected values
+				// Check if actual value (or any of its items) is in array of expected values
+				if ( is_array( $actual_value ) ) {
+					return $this->count_shared_values( $actual_value, $expected ) > 0;
+				}
+
 				$expected_array = is_array( $expected ) ? $expected : [ $expected ];
 
 				return in_array( $actual_value, $expected_array );
 
 			case 'not_in':
-				// Check if actual value is NOT in array of expected values
+				// Check if actual value (or none of its items) is NOT in array of expected values
+				if ( is_array( $actual_value ) ) {
+					return $this->count_shared_values( $actual_value, $expected ) === 0;
+				}
+
 				$expected_array = is_array( $expected ) ? $expected : [ $expected ];
 
 				return ! in_array( $actual_value, $expected_array );
 
+			case 'contains_any':
+				return $this->count_shared_values( $actual_value, $expected ) > 0;
+
+			case 'contains_all':
+				return $this->count_shared_values( $actual_value, $expected ) === count( $this->to_value_list( $expected ) );
+
+			case 'between':
+				// Inclusive numeric range given as [ min, max ]
+				$range = is_array( $expected ) ? array_values( $expected ) : [];
+
+				return count( $range ) === 2 && is_numeric( $actual_value )
+				       && (float) $actual_value >= (float) $range[0]
+				       && (float) $actual_value <= (float) $range[1];
+
+			case 'matches':
+				return $this->matches_pattern( $actual_value, (string) $expected );
+
+			case 'length_eq':
+				return $this->get_value_length( $actual_value ) === (int) $expected;
+
+			case 'length_gt':
+				return $this->get_value_length( $actual_value ) > (int) $expected;
+
+			case 'length_gte':
+				return $this->get_value_length( $actual_value ) >= (int) $expected;
+
+			case 'length_lt':
+				return $this->get_value_length( $actual_value ) < (int) $expected;
+
+			case 'length_lte':
+				return $this->get_value_length( $actual_value ) <= (int) $expected;
+
+			case 'before':
+			case 'after':
+				$date  = $this->to_comparable_date( $actual_value );
+				$limit = $this->to_comparable_date( $expected );
+
+				if ( $date === '' || $limit === '' ) {
+					return false;
+				}
+
+				return $operator === 'before' ? strcmp( $date, $limit ) < 0 : strcmp( $date, $limit ) > 0;
+
 			case 'contains':
-				// Check if actual value contains expected string
-				return is_string( $actual_value ) && str_contains( $actual_value, $expected );
+				// Check if actual value contains expected string, or list contains expected item
+				if ( is_array( $actual_value ) ) {
+					return in_array( (string) $expected, array_map( 'strval', $actual_value ), true );
+				}
+
+				return is_string( $actual_value ) && str_contains( $actual_value, (string) $expected );
 
 			case 'not_contains':
-				// Check if actual value does NOT contain expected string
-				return is_string( $actual_value ) && ! str_contains( $actual_value, $expected );
+				// Check if actual value does NOT contain expected string or item
+				if ( is_array( $actual_value ) ) {
+					return ! in_array( (string) $expected, array_map( 'strval', $actual_value ), true );
+				}
+
+				return is_string( $actual_value ) && ! str_contains( $actual_value, (string) $expected );
 
 			case 'empty':
 				return empty( $actual_value );
@@ -224,6 +487,118 @@ trait ConditionalLogic {
 		}
 	}
 
+	/**
+	 * Convert a value to a list of strings.
+	 *
+	 * Empty scalars become an empty list.
+	 *
+	 * @param mixed $value A single value or an array.
+	 *
+	 * @return array The values as strings.
+	 */
+	protected function to_value_list( $value ): array {
+		if ( is_array( $value ) ) {
+			return array_map( 'strval', array_values( $value ) );
+		}
+
+		return $value === null || $value === '' ? [] : [ (string) $value ];
+	}
+
+	/**
+	 * Count the expected values present in the actual value.
+	 *
+	 * @param mixed $actual_value The actual value or values.
+	 * @param mixed $expected     The expected value or values.
+	 *
+	 * @return int Number of expected values found.
+	 */
+	protected function count_shared_values( $actual_value, $expected ): int {
+		return count( array_intersect( $this->to_value_list( $expected ), $this->to_value_list( $actual_value ) ) );
+	}
+
+	/**
+	 * Get the length of a value.
+	 *
+	 * Arrays count their items and other values their characters.
+	 *
+	 * @param mixed $value The value to measure.
+	 *
+	 * @return int The length.
+	 */
+	protected function get_value_length( $value ): int {
+		if ( is_array( $value ) ) {
+			return count( $value );
+		}
+
+		return mb_strlen( (string) $value );
+	}
+
+	/**
+	 * Test a value against a regular expression.
+	 *
+	 * Accepts a bare pattern or a delimited one with flags, e.g. /^sku-/i.
+	 * Arrays match when any item matches. Invalid patterns never match.
+	 *
+	 * @param mixed  $value   The value to test.
+	 * @param string $pattern The pattern.
+	 *
+	 * @return bool True if the value matches.
+	 */
+	protected function matches_pattern( $value, string $pattern ): bool {
+		if ( ! preg_match( '#^/.*/[imsu]*$#s', $pattern ) ) {
+			$pattern = '~' . str_replace( '~', '\~', $pattern ) . '~';
+		}
+
+		// Compiling an invalid pattern raises a warning; treat it as no match instead
+		set_error_handler( static function (): bool {
+			return true;
+		} );
+		$compiled = preg_match( $pattern, '' );
+		restore_error_handler();
+
+		if ( $compiled === false || preg_last_error() !== PREG_NO_ERROR ) {
+			return false;
+		}
+
+		foreach ( is_array( $value ) ? $value : [ $value ] as $item ) {
+			$result = preg_match( $pattern, (string) $item );
+
+			if ( $result === false || preg_last_error() !== PREG_NO_ERROR ) {
+				return false;
+			}
+
+			if ( $result === 1 ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Convert a date, time or datetime value to a comparable string.
+	 *
+	 * Values use the ISO formats of the date inputs, so they compare as
+	 * strings. The keywords "today" and "now" use the site's current time.
+	 *
+	 * @param mixed $value The value to convert.
+	 *
+	 * @return string The comparable value, or an empty string if there is none.
+	 */
+	protected function to_comparable_date( $value ): string {
+		$value = is_scalar( $value ) ? trim( (string) $value ) : '';
+
+		if ( $value === 'today' ) {
+			return current_time( 'Y-m-d' );
+		}
+
+		if ( $value === 'now' ) {
+			return current_time( 'Y-m-d\TH:i' );
+		}
+
+		return str_replace( ' ', 'T', $value );
+	}
+
 	/**
 	 * Get the CSS classes for a conditional field wrapper.
 	 *
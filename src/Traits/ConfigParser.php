@@ -126,15 +126,29 @@ trait ConfigParser {
 			'sanitize_callback' => null,
 			'capability'        => 'edit_posts',
 			'show_in_rest'      => true,
+			// Validation
+			'required'          => false,
+			'pattern'           => '',
 			// Conditional logic
 			'show_when'         => [],
+			'hidden_behavior'   => 'keep',
 			// Number/amount fields
 			'type_options'      => [],
 			'type_meta_key'     => '',
 			'type_default'      => '',
 			// Media fields
 			'mime_types'        => [],
+			'extensions'        => [],
+			'min_width'         => 0,
+			'min_height'        => 0,
+			'max_width'         => 0,
+			'max_height'        => 0,
+			'max_file_size'     => 0,
+			'focal_point'       => false,
+			'crop_ratio'        => '',
 			'button_text'       => '',
+			'auto_fill'         => [],
+			'auto_title_field'  => '',
 			// Relational fields
 			'post_type'         => 'post',
 			'taxonomy'          => 'category',
@@ -147,6 +161,10 @@ trait ConfigParser {
 			'max_items'         => 0,
 			'min_items'         => 0,
 			'collapsed'         => false,
+			'collapse_new_rows' => null,
+			'per_page'          => 0,
+			'import_export'     => true,
+			'layouts'           => [],
 			'row_title'         => '',
 			'row_title_field'   => '',
 			// Code editor
@@ -182,11 +200,165 @@ trait ConfigParser {
 			if ( in_array( $field['type'], [ 'group', 'repeater' ], true ) && ! empty( $field['fields'] ) ) {
 				$parsed[ $meta_key ]['fields'] = $this->parse_fields( $field['fields'] );
 			}
+
+			// Parse the layouts of flexible repeaters
+			if ( $field['type'] === 'repeater' && ! empty( $field['layouts'] ) && is_array( $field['layouts'] ) ) {
+				$parsed[ $meta_key ]['layouts'] = $this->parse_layouts( $field['layouts'] );
+			}
 		}
 
 		return $parsed;
 	}
 
+	/**
+	 * Parse the layouts of a flexible repeater.
+	 *
+	 * Each layout gets a label (derived from its key when missing) and
+	 * parsed sub-fields.
+	 *
+	 * @param array $layouts Raw layout configurations keyed by layout key.
+	 *
+	 * @return array Parsed layouts.
+	 */
+	protected function parse_layouts( array $layouts ): array {
+		$parsed = [];
+
+		foreach ( $layouts as $key => $layout ) {
+			$layout = is_array( $layout ) ? $layout : [];
+
+			$parsed[ $key ] = [
+				'label'  => $layout['label'] ?? ucwords( str_replace( [ '_', '-' ], ' ', (string) $key ) ),
+				'fields' => $this->parse_fields( $layout['fields'] ?? [] ),
+			];
+		}
+
+		return $parsed;
+	}
+
+	/**
+	 * Check if a field is a flexible repeater (rows with different layouts).
+	 *
+	 * @param array $field The field configuration.
+	 *
+	 * @return bool True if the field is a repeater with layouts.
+	 */
+	protected function is_flexible_repeater( array $field ): bool {
+		return $field['type'] === 'repeater' && ! empty( $field['layouts'] );
+	}
+
+	/**
+	 * Get the sub-fields for a row of a group or repeater.
+	 *
+	 * Flexible repeater rows use the fields of the layout stored in the
+	 * row's "_layout" key; rows with an unknown layout have no fields.
+	 *
+	 * @param array $field The group or repeater field configuration.
+	 * @param mixed $row   The row value.
+	 *
+	 * @return array Sub-field configurations keyed by field key.
+	 */
+	protected function get_row_fields( array $field, $row ): array {
+		if ( ! $this->is_flexible_repeater( $field ) ) {
+			return $field['fields'] ?? [];
+		}
+
+		$layout = is_array( $row ) ? (string) ( $row['_layout'] ?? '' ) : '';
+
+		return $field['layouts'][ $layout ]['fields'] ?? [];
+	}
+
+	/**
+	 * Get every sub-field of a group or repeater.
+	 *
+	 * For flexible repeaters this combines the fields of all layouts.
+	 *
+	 * @param array $field The group or repeater field configuration.
+	 *
+	 * @return array List of sub-field configurations.
+	 */
+	protected function get_all_sub_fields( array $field ): array {
+		$fields = array_values( $field['fields'] ?? [] );
+
+		if ( $this->is_flexible_repeater( $field ) ) {
+			foreach ( $field['layouts'] as $layout ) {
+				$fields = array_merge( $fields, array_values( $layout['fields'] ) );
+			}
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Check if an image field stores a focal point or crop region.
+	 *
+	 * Such fields store an array with the attachment ID instead of the
+	 * bare ID.
+	 *
+	 * @param array $field The field configuration.
+	 *
+	 * @return bool True if the field has focal_point or crop_ratio set.
+	 */
+	protected function has_image_focus( array $field ): bool {
+		return $field['type'] === 'image' && ( ! empty( $field['focal_point'] ) || ! empty( $field['crop_ratio'] ) );
+	}
+
+	/**
+	 * Get the crop ratio (width / height) of an image field.
+	 *
+	 * @param array $field The field configuration.
+	 *
+	 * @return float The ratio, or 0 if the field has no crop region.
+	 */
+	protected function get_crop_ratio( array $field ): float {
+		$ratio = $field['crop_ratio'] ?? '';
+
+		if ( is_numeric( $ratio ) ) {
+			return max( 0.0, (float) $ratio );
+		}
+
+		if ( is_string( $ratio ) && preg_match( '/^\s*(\d+(?:\.\d+)?)\s*[:\/x]\s*(\d+(?:\.\d+)?)\s*$/', $ratio, $matches ) && (float) $matches[2] > 0 ) {
+			return (float) $matches[1] / (float) $matches[2];
+		}
+
+		return 0.0;
+	}
+
+	/**
+	 * Get the auto-fill map of a media field.
+	 *
+	 * Maps sibling field keys to attachment properties. Entries are either
+	 * a property name or an array with "from" and "overwrite", and
+	 * auto_title_field is added as a title mapping for empty fields.
+	 *
+	 * @param array $field The field configuration.
+	 *
+	 * @return array List of mappings with field, from and overwrite keys.
+	 */
+	protected function get_auto_fill_map( array $field ): array {
+		$auto_fill = is_array( $field['auto_fill'] ?? null ) ? $field['auto_fill'] : [];
+		$map       = [];
+
+		if ( ! empty( $field['auto_title_field'] ) && ! isset( $auto_fill[ $field['auto_title_field'] ] ) ) {
+			$auto_fill[ $field['auto_title_field'] ] = 'title';
+		}
+
+		foreach ( $auto_fill as $target => $mapping ) {
+			$mapping = is_array( $mapping ) ? $mapping : [ 'from' => $mapping ];
+
+			if ( ! is_string( $target ) || $target === '' || empty( $mapping['from'] ) ) {
+				continue;
+			}
+
+			$map[] = [
+				'field'     => $target,
+				'from'      => (string) $mapping['from'],
+				'overwrite' => (string) ( $mapping['overwrite'] ?? 'empty' ),
+			];
+		}
+
+		return $map;
+	}
+
 	/**
 	 * Validate field configurations.
 	 *
@@ -216,6 +388,31 @@ trait ConfigParser {
 				}
 			}
 
+			// Validate hidden_behavior
+			if ( isset( $field['hidden_behavior'] ) && ! in_array( $field['hidden_behavior'], [ 'keep', 'disable', 'clear' ], true ) ) {
+				throw new Exception( sprintf( 'Field "%s" has an invalid "hidden_behavior". Use "keep", "disable" or "clear".', $key ) );
+			}
+
+			// Validate the crop ratio of image fields
+			if ( $type === 'image' && ! empty( $field['crop_ratio'] ) && $this->get_crop_ratio( $field ) <= 0 ) {
+				throw new Exception( sprintf( 'Field "%s" has an invalid "crop_ratio". Use a ratio such as "16:9" or a number such as 1.5.', $key ) );
+			}
+
+			// Validate auto-fill mappings
+			if ( ! empty( $field['auto_fill'] ) ) {
+				if ( ! is_array( $field['auto_fill'] ) ) {
+					throw new Exception( sprintf( 'Field "%s" has an invalid "auto_fill". It must map field keys to attachment properties.', $key ) );
+				}
+
+				foreach ( $field['auto_fill'] as $mapping ) {
+					$overwrite = is_array( $mapping ) ? ( $mapping['overwrite'] ?? 'empty' ) : 'empty';
+
+					if ( ! in_array( $overwrite, [ 'empty', 'unedited', 'always' ], true ) ) {
+						throw new Exception( sprintf( 'Field "%s" has an invalid "auto_fill" overwrite policy. Use "empty", "unedited" or "always".', $key ) );
+					}
+				}
+			}
+
 			// Validate taxonomy_ajax requirements
 			if ( $type === 'taxonomy_ajax' && empty( $field['taxonomy'] ) ) {
 				throw new Exception( sprintf( 'Field "%s" of type "taxonomy_ajax" requires "taxonomy" to be set.', $key ) );
@@ -225,6 +422,24 @@ trait ConfigParser {
 			if ( in_array( $type, [ 'group', 'repeater' ], true ) && ! empty( $field['fields'] ) ) {
 				$this->validate_fields( $field['fields'] );
 			}
+
+			// Validate flexible repeater layouts
+			if ( ! empty( $field['layouts'] ) ) {
+				if ( $type !== 'repeater' ) {
+					throw new Exception( sprintf( 'Field "%s" uses "layouts", which are only supported by repeaters.', $key ) );
+				}
+				if ( ( $field['layout'] ?? 'vertical' ) === 'table' ) {
+					throw new Exception( sprintf( 'Field "%s" cannot combine "layouts" with the table layout.', $key ) );
+				}
+
+				foreach ( $field['layouts'] as $layout_key => $layout ) {
+					if ( ! is_string( $layout_key ) || $layout_key === '' || ! is_array( $layout ) ) {
+						throw new Exception( sprintf( 'Field "%s" has an invalid layout. Layouts must be arrays keyed by a non-empty string.', $key ) );
+					}
+
+					$this->validate_fields( $layout['fields'] ?? [] );
+				}
+			}
 		}
 	}
 
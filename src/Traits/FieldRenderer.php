@@ -69,7 +69,8 @@ trait FieldRenderer {
         $base_class        = 'arraypress-field arraypress-field--' . $type;
         $conditional_class = $this->get_conditional_classes( $field, $post_id );
         $class             = trim( $base_class . ' ' . $conditional_class );
-        $data_attrs        = $this->get_conditional_attributes( $field, $meta_key );
+        $data_attrs        = $this->get_conditional_attributes( $field, $meta_key )
+                             . $this->get_validation_attributes( $field );
 
         // Fields that handle their own label/description
         $self_labeled = [ 'checkbox', 'toggle' ];
@@ -22,6 +22,15 @@ namespace ArrayPress\RegisterPostFields\Traits;
  */
 trait FieldSanitizer {
 
+	/**
+	 * Whether repeater rows keep their stored position ("_row") while
+	 * sanitizing. Only the save handler needs it, to match submitted rows
+	 * to their stored values.
+	 *
+	 * @var bool
+	 */
+	protected bool $keep_row_sources = false;
+
 	/**
 	 * Sanitize a field value.
 	 *
@@ -70,11 +79,15 @@ trait FieldSanitizer {
 				return sanitize_hex_color( $value );
 
 			case 'image':
+				return $this->has_image_focus( $field )
+					? $this->sanitize_image_focus( $value, $field )
+					: $this->sanitize_attachment( $value, $field );
+
 			case 'file':
-				return absint( $value );
+				return $this->sanitize_attachment( $value, $field );
 
 			case 'gallery':
-				return $this->sanitize_gallery( $value );
+				return $this->sanitize_gallery( $value, $field );
 
 			case 'post':
 			case 'user':
@@ -171,19 +184,116 @@ trait FieldSanitizer {
 		return array_key_exists( $value, $options ) ? $value : $field['default'];
 	}
 
+	/**
+	 * Sanitize an image or file value.
+	 *
+	 * Attachments that don't meet the field's media constraints are dropped.
+	 *
+	 * @param mixed $value The value to sanitize.
+	 * @param array $field The field configuration.
+	 *
+	 * @return int Sanitized attachment ID, or 0.
+	 */
+	protected function sanitize_attachment( $value, array $field ): int {
+		$value = absint( $value );
+
+		if ( $value && $this->get_media_constraints( $field ) && ! $this->attachment_meets_constraints( $value, $field ) ) {
+			return 0;
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Sanitize an image value with a focal point and/or crop region.
+	 *
+	 * Coordinates are fractions of the image size (0 to 1), so they hold
+	 * for every image size. The focal point defaults to the center; the
+	 * crop region is null until one is chosen. A bare attachment ID (e.g.
+	 * stored before focal_point was enabled) is accepted.
+	 *
+	 * @param mixed $value The value to sanitize.
+	 * @param array $field The field configuration.
+	 *
+	 * @return array Sanitized value, or an empty array without an image.
+	 */
+	protected function sanitize_image_focus( $value, array $field ): array {
+		$id = $this->sanitize_attachment( $this->get_image_id( $value ), $field );
+
+		if ( ! $id ) {
+			return [];
+		}
+
+		$value     = is_array( $value ) ? $value : [];
+		$sanitized = [ 'id' => $id ];
+		$fraction  = function ( $number ): float {
+			return min( 1.0, max( 0.0, (float) $number ) );
+		};
+
+		if ( ! empty( $field['focal_point'] ) ) {
+			$point = is_array( $value['focal_point'] ?? null ) ? $value['focal_point'] : [];
+
+			$sanitized['focal_point'] = [
+				'x' => isset( $point['x'] ) && $point['x'] !== '' ? $fraction( $point['x'] ) : 0.5,
+				'y' => isset( $point['y'] ) && $point['y'] !== '' ? $fraction( $point['y'] ) : 0.5,
+			];
+		}
+
+		if ( $this->get_crop_ratio( $field ) > 0 ) {
+			$crop   = is_array( $value['crop'] ?? null ) ? $value['crop'] : [];
+			$width  = $fraction( $crop['width'] ?? 0 );
+			$height = $fraction( $crop['height'] ?? 0 );
+
+			$sanitized['crop'] = $width > 0 && $height > 0 ? [
+				'x'      => min( $fraction( $crop['x'] ?? 0 ), 1 - $width ),
+				'y'      => min( $fraction( $crop['y'] ?? 0 ), 1 - $height ),
+				'width'  => $width,
+				'height' => $height,
+			] : null;
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Get the attachment ID of an image or file value.
+	 *
+	 * @param mixed $value An attachment ID, or an image value with an "id" key.
+	 *
+	 * @return int The attachment ID, or 0.
+	 */
+	protected function get_image_id( $value ): int {
+		if ( is_array( $value ) ) {
+			$value = $value['id'] ?? 0;
+		}
+
+		return is_scalar( $value ) ? absint( $value ) : 0;
+	}
+
 	/**
 	 * Sanitize a gallery value.
 	 *
+	 * Images that don't meet the field's media constraints are dropped.
+	 *
 	 * @param mixed $value The value to sanitize.
+	 * @param array $field The field configuration.
 	 *
 	 * @return array Sanitized array of attachment IDs.
 	 */
-	protected function sanitize_gallery( $value ): array {
+	protected function sanitize_gallery( $value, array $field ): array {
 		if ( is_string( $value ) ) {
 			$value = array_filter( explode( ',', $value ) );
 		}
 
-		return array_map( 'absint', (array) $value );
+		$value = array_map( 'absint', (array) $value );
+
+		if ( $this->get_media_constraints( $field ) ) {
+			$value = array_values( array_filter( $value, function ( $id ) use ( $field ) {
+				return $this->attachment_meets_constraints( $id, $field );
+			} ) );
+		}
+
+		return $value;
 	}
 
 	/**
@@ -283,11 +393,12 @@ trait FieldSanitizer {
 			return [];
 		}
 
-		$sanitized = [];
+		$sanitized   = [];
+		$is_flexible = $this->is_flexible_repeater( $field );
 
 		foreach ( $value as $index => $row ) {
-			// Skip the template row (it has __INDEX__ as key)
-			if ( $index === '__INDEX__' || ! is_numeric( $index ) ) {
+			// Skip template rows (placeholder keys such as __INDEX__ or __INDEX_1__)
+			if ( ! is_numeric( $index ) ) {
 				continue;
 			}
 
@@ -296,14 +407,30 @@ trait FieldSanitizer {
 			}
 
 			$sanitized_row = [];
+			$row_fields    = $this->get_row_fields( $field, $row );
+
+			// Flexible rows keep their layout key; rows with an unknown layout are dropped
+			if ( $is_flexible ) {
+				$layout = (string) ( $row['_layout'] ?? '' );
 
-			foreach ( $field['fields'] as $sub_key => $sub_field ) {
+				if ( ! isset( $field['layouts'][ $layout ] ) ) {
+					continue;
+				}
+
+				$sanitized_row['_layout'] = $layout;
+			}
+
+			foreach ( $row_fields as $sub_key => $sub_field ) {
 				$sub_value                 = $row[ $sub_key ] ?? $sub_field['default'];
 				$sanitized_row[ $sub_key ] = $this->sanitize_value( $sub_value, $sub_field );
 			}
 
-			// Only add row if it has meaningful content
-			if ( $this->row_has_content( $sanitized_row, $field['fields'] ) ) {
+			// Only add row if it has meaningful content (a layout without fields always counts)
+			if ( ( $is_flexible && empty( $row_fields ) ) || $this->row_has_content( $sanitized_row, $row_fields ) ) {
+				if ( $this->keep_row_sources && isset( $row['_row'] ) && is_numeric( $row['_row'] ) ) {
+					$sanitized_row['_row'] = (int) $row['_row'];
+				}
+
 				$sanitized[] = $sanitized_row;
 			}
 		}
@@ -489,7 +616,7 @@ trait FieldSanitizer {
 				case 'image':
 				case 'file':
 					// Valid attachment ID > 0 is content
-					if ( ! empty( $value ) && $value > 0 ) {
+					if ( $this->get_image_id( $value ) > 0 ) {
 						return true;
 					}
 					break;
@@ -524,6 +651,20 @@ trait FieldSanitizer {
 					}
 					break;
 
+				case 'group':
+					// Group with any sub-field content is content
+					if ( is_array( $value ) && $this->row_has_content( $value, $field_config['fields'] ?? [] ) ) {
+						return true;
+					}
+					break;
+
+				case 'repeater':
+					// Nested repeater with at least one row is content
+					if ( is_array( $value ) && ! empty( $value ) ) {
+						return true;
+					}
+					break;
+
 				case 'dimensions':
 					// Dimensions with at least one value is content
 					if ( is_array( $value ) && ( ! empty( $value['width'] ) || ! empty( $value['height'] ) ) ) {
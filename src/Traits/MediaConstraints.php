@@ -0,0 +1,189 @@
+<?php
+/**
+ * Media Constraints Trait
+ *
+ * Handles the file type, dimension and file size rules of media fields.
+ *
+ * @package     ArrayPress\RegisterPostFields\Traits
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @version     1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterPostFields\Traits;
+
+/**
+ * Trait MediaConstraints
+ *
+ * Provides methods for exposing media constraints to JavaScript and
+ * checking attachments against them on save.
+ */
+trait MediaConstraints {
+
+	/**
+	 * Get the media constraints of a field.
+	 *
+	 * Extensions are also turned into MIME types, so the media library can
+	 * be filtered by them. MIME types may be a full type ("application/pdf")
+	 * or a top-level type ("image" or "image/*").
+	 *
+	 * @param array $field The field configuration.
+	 *
+	 * @return array Constraints, or an empty array if the field has none.
+	 */
+	protected function get_media_constraints( array $field ): array {
+		$constraints = [];
+		$mime_types  = [];
+		$extensions  = [];
+
+		foreach ( (array) $field['mime_types'] as $mime_type ) {
+			$mime_type = strtolower( trim( (string) $mime_type ) );
+			$mime_type = preg_replace( '#/\*$#', '', $mime_type );
+
+			if ( $mime_type !== '' ) {
+				$mime_types[] = $mime_type;
+			}
+		}
+
+		foreach ( (array) $field['extensions'] as $extension ) {
+			$extension = strtolower( ltrim( trim( (string) $extension ), '.' ) );
+
+			if ( $extension === '' ) {
+				continue;
+			}
+
+			$extensions[] = $extension;
+
+			// Keys of wp_get_mime_types() list extensions such as "jpg|jpeg|jpe"
+			foreach ( wp_get_mime_types() as $pattern => $mime_type ) {
+				if ( in_array( $extension, explode( '|', $pattern ), true ) ) {
+					$mime_types[] = $mime_type;
+				}
+			}
+		}
+
+		if ( ! empty( $mime_types ) ) {
+			$constraints['mime_types'] = array_values( array_unique( $mime_types ) );
+		}
+
+		if ( ! empty( $extensions ) ) {
+			$constraints['extensions'] = array_values( array_unique( $extensions ) );
+		}
+
+		foreach ( [ 'min_width', 'min_height', 'max_width', 'max_height' ] as $key ) {
+			if ( (int) $field[ $key ] > 0 ) {
+				$constraints[ $key ] = (int) $field[ $key ];
+			}
+		}
+
+		// Sizes may be given in bytes or shorthand such as "2MB"
+		$max_file_size = is_numeric( $field['max_file_size'] )
+			? (int) $field['max_file_size']
+			: wp_convert_hr_to_bytes( str_ireplace( 'B', '', (string) $field['max_file_size'] ) );
+
+		if ( $max_file_size > 0 ) {
+			$constraints['max_file_size'] = $max_file_size;
+		}
+
+		return $constraints;
+	}
+
+	/**
+	 * Get the data attribute exposing a field's media constraints to JavaScript.
+	 *
+	 * @param array $field The field configuration.
+	 *
+	 * @return string HTML data attribute string.
+	 */
+	protected function get_media_constraint_attributes( array $field ): string {
+		$constraints = $this->get_media_constraints( $field );
+
+		if ( empty( $constraints ) ) {
+			return '';
+		}
+
+		return sprintf(
+			' data-constraints="%s"',
+			esc_attr( wp_json_encode( $constraints ) )
+		);
+	}
+
+	/**
+	 * Check an attachment against a field's media constraints.
+	 *
+	 * Image fields also require the attachment to be an image. Constraints
+	 * that can't be checked (e.g. dimensions of a file without metadata)
+	 * fail, matching the media picker.
+	 *
+	 * @param int   $attachment_id The attachment ID.
+	 * @param array $field         The field configuration.
+	 *
+	 * @return bool True if the attachment can be stored in the field.
+	 */
+	protected function attachment_meets_constraints( int $attachment_id, array $field ): bool {
+		if ( get_post_type( $attachment_id ) !== 'attachment' ) {
+			return false;
+		}
+
+		$constraints = $this->get_media_constraints( $field );
+		$mime_type   = (string) get_post_mime_type( $attachment_id );
+		$file        = (string) get_attached_file( $attachment_id );
+		$metadata    = wp_get_attachment_metadata( $attachment_id );
+		$metadata    = is_array( $metadata ) ? $metadata : [];
+
+		if ( in_array( $field['type'], [ 'image', 'gallery' ], true ) && strpos( $mime_type, 'image/' ) !== 0 ) {
+			return false;
+		}
+
+		if ( ! empty( $constraints['mime_types'] ) && ! $this->mime_type_matches( $mime_type, $constraints['mime_types'] ) ) {
+			return false;
+		}
+
+		if ( ! empty( $constraints['extensions'] ) &&
+		     ! in_array( strtolower( pathinfo( $file, PATHINFO_EXTENSION ) ), $constraints['extensions'], true ) ) {
+			return false;
+		}
+
+		$width  = (int) ( $metadata['width'] ?? 0 );
+		$height = (int) ( $metadata['height'] ?? 0 );
+
+		if ( ( isset( $constraints['min_width'] ) && $width < $constraints['min_width'] ) ||
+		     ( isset( $constraints['min_height'] ) && $height < $constraints['min_height'] ) ||
+		     ( isset( $constraints['max_width'] ) && ( ! $width || $width > $constraints['max_width'] ) ) ||
+		     ( isset( $constraints['max_height'] ) && ( ! $height || $height > $constraints['max_height'] ) ) ) {
+			return false;
+		}
+
+		if ( isset( $constraints['max_file_size'] ) ) {
+			$size = (int) ( $metadata['filesize'] ?? ( $file && file_exists( $file ) ? filesize( $file ) : 0 ) );
+
+			if ( ! $size || $size > $constraints['max_file_size'] ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check if a MIME type matches any of the allowed types.
+	 *
+	 * @param string $mime_type The MIME type to check.
+	 * @param array  $allowed   Allowed full or top-level MIME types.
+	 *
+	 * @return bool True if the MIME type is allowed.
+	 */
+	protected function mime_type_matches( string $mime_type, array $allowed ): bool {
+		foreach ( $allowed as $type ) {
+			if ( $mime_type === $type || strpos( $mime_type, $type . '/' ) === 0 ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+}
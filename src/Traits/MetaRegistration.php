@@ -32,7 +32,48 @@ trait MetaRegistration {
 			foreach ( $this->config['fields'] as $meta_key => $field ) {
 				$this->register_field_meta( $post_type, $meta_key, $field );
 			}
+
+			$this->register_change_marker_meta( $post_type );
 		}
+
+		add_filter( 'update_post_metadata', [ self::class, 'skip_change_marker_meta' ], 10, 3 );
+	}
+
+	/**
+	 * Register the meta key that marks a post as changed in the block editor.
+	 *
+	 * Metabox fields are saved outside the block editor's data, so the
+	 * script edits this key when a field changes to let the editor know
+	 * the post has unsaved changes. The value is never stored.
+	 *
+	 * @param string $post_type The post type.
+	 *
+	 * @return void
+	 */
+	protected function register_change_marker_meta( string $post_type ): void {
+		register_meta( 'post', '_arraypress_post_fields_changed', [
+			'object_subtype' => $post_type,
+			'type'           => 'integer',
+			'single'         => true,
+			'default'        => 0,
+			'show_in_rest'   => true,
+			'auth_callback'  => function ( $allowed, $meta_key, $post_id ) {
+				return current_user_can( 'edit_post', (int) $post_id );
+			},
+		] );
+	}
+
+	/**
+	 * Keep the change marker meta key from being stored.
+	 *
+	 * @param null|bool $check    Whether to allow updating the metadata.
+	 * @param int       $post_id  The post ID.
+	 * @param string    $meta_key The meta key.
+	 *
+	 * @return null|bool True to skip storing the change marker, otherwise $check.
+	 */
+	public static function skip_change_marker_meta( $check, $post_id, $meta_key ) {
+		return $meta_key === '_arraypress_post_fields_changed' ? true : $check;
 	}
 
 	/**
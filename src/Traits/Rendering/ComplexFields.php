@@ -25,12 +25,21 @@ namespace ArrayPress\RegisterPostFields\Traits\Rendering;
  * - repeater: Dynamic repeatable group of fields with add/remove/reorder
  *
  * These fields can contain nested sub-fields and require special
- * handling for saving and displaying their values.
+ * handling for saving and displaying their values. Groups and repeaters
+ * can be nested inside each other.
  *
  * @package ArrayPress\RegisterPostFields\Traits\Rendering
  */
 trait ComplexFields {
 
+    /**
+     * Number of repeaters enclosing the one currently being rendered.
+     * Each depth uses its own row index placeholder in templates.
+     *
+     * @var int
+     */
+    protected int $repeater_depth = 0;
+
     /**
      * Render an amount type field
      *
@@ -86,18 +95,20 @@ trait ComplexFields {
      * Static group of related fields stored as an associative array.
      * Useful for grouping related data like dimensions (width, height, depth).
      *
-     * @param string $meta_key The field's meta key.
-     * @param array  $field    The field configuration array.
-     * @param mixed  $value    The current field value (associative array).
-     * @param int    $post_id  The post ID.
+     * @param string      $meta_key   The field's meta key, or its input name when nested.
+     * @param array       $field      The field configuration array.
+     * @param mixed       $value      The current field value (associative array).
+     * @param int         $post_id    The post ID.
+     * @param string|null $field_path Dot-separated config path when nested (defaults to the meta key).
      *
      * @return void
      */
-    protected function render_group( string $meta_key, array $field, $value, int $post_id ): void {
+    protected function render_group( string $meta_key, array $field, $value, int $post_id, ?string $field_path = null ): void {
         $value = is_array( $value ) ? $value : [];
 
         // Set parent field context for nested AJAX fields
-        $this->set_parent_field_context( $meta_key );
+        $parent_context = $this->current_parent_field;
+        $this->set_parent_field_context( $field_path ?? $meta_key );
         ?>
         <div class="arraypress-group">
             <?php foreach ( $field['fields'] as $sub_key => $sub_field ) :
@@ -111,6 +122,7 @@ trait ComplexFields {
                     $conditional_class = ' arraypress-conditional-field';
                     $data_attrs        = $this->get_conditional_attributes( $sub_field, $sub_key );
                 }
+                $data_attrs .= $this->get_validation_attributes( $sub_field );
                 ?>
                 <div class="arraypress-group__field<?php echo $conditional_class; ?>"
                      data-field-key="<?php echo esc_attr( $sub_key ); ?>"
@@ -132,8 +144,8 @@ trait ComplexFields {
             <?php endforeach; ?>
         </div>
         <?php
-        // Clear parent field context
-        $this->set_parent_field_context( null );
+        // Restore parent field context
+        $this->set_parent_field_context( $parent_context );
     }
 
     /**
@@ -143,24 +155,31 @@ trait ComplexFields {
      * drag-and-drop reordering. Supports three layout modes:
      * vertical (default), horizontal, and table.
      *
-     * @param string $meta_key The field's meta key.
-     * @param array  $field    The field configuration array.
-     * @param mixed  $value    The current field value (array of row arrays).
-     * @param int    $post_id  The post ID.
+     * When nested, $meta_key is the repeater's input name (e.g. "outer[0][inner]"),
+     * which the JavaScript uses as the base for re-indexing this repeater's rows.
+     *
+     * @param string      $meta_key   The field's meta key, or its input name when nested.
+     * @param array       $field      The field configuration array.
+     * @param mixed       $value      The current field value (array of row arrays).
+     * @param int         $post_id    The post ID.
+     * @param string|null $field_path Dot-separated config path when nested (defaults to the meta key).
      *
      * @return void
      */
-    protected function render_repeater( string $meta_key, array $field, $value, int $post_id ): void {
-        $value        = is_array( $value ) ? $value : [];
+    protected function render_repeater( string $meta_key, array $field, $value, int $post_id, ?string $field_path = null ): void {
+        $value        = is_array( $value ) ? array_values( $value ) : [];
         $button_label = $field['button_label'] ?: __( 'Add Row', 'arraypress' );
         $max          = $field['max_items'] ?: 0;
         $min          = $field['min_items'] ?: 0;
         $layout       = $field['layout'] ?? 'vertical';
         $layout_class = 'arraypress-repeater--' . $layout;
         $row_title    = $field['row_title'] ?? '';
+        $collapse_new = $field['collapse_new_rows'] ?? $field['collapsed'] ?? false;
+        $transfer     = ! empty( $field['import_export'] ) && $this->repeater_depth === 0;
 
         // Set parent field context for nested AJAX fields
-        $this->set_parent_field_context( $meta_key );
+        $parent_context = $this->current_parent_field;
+        $this->set_parent_field_context( $field_path ?? $meta_key );
         ?>
         <div class="arraypress-repeater <?php echo esc_attr( $layout_class ); ?><?php echo ! empty( $field['full_width'] ) ? ' arraypress-repeater--full-width' : ''; ?>"
              data-meta-key="<?php echo esc_attr( $meta_key ); ?>"
@@ -168,21 +187,100 @@ trait ComplexFields {
              data-min="<?php echo esc_attr( $min ); ?>"
              data-layout="<?php echo esc_attr( $layout ); ?>"
              data-row-title="<?php echo esc_attr( $row_title ); ?>"
-             data-row-title-field="<?php echo esc_attr( $field['row_title_field'] ?? '' ); ?>">
+             data-row-title-field="<?php echo esc_attr( $field['row_title_field'] ?? '' ); ?>"
+             data-collapse-new="<?php echo $collapse_new ? '1' : '0'; ?>"
+             data-per-page="<?php echo esc_attr( max( 0, (int) $field['per_page'] ) ); ?>"
+             data-columns="<?php echo esc_attr( wp_json_encode( $this->get_repeater_columns( $field ) ) ); ?>">
+
+            <div class="arraypress-repeater__toolbar">
+                <?php $this->render_repeater_bulk_actions( $layout ); ?>
+                <?php if ( $layout === 'vertical' ) : ?>
+                    <button type="button" class="button-link arraypress-repeater__collapse-all">
+                        <?php esc_html_e( 'Collapse all', 'arraypress' ); ?>
+                    </button>
+                    <button type="button" class="button-link arraypress-repeater__expand-all">
+                        <?php esc_html_e( 'Expand all', 'arraypress' ); ?>
+                    </button>
+                <?php endif; ?>
+                <button type="button" class="button-link arraypress-repeater__copy">
+                    <?php esc_html_e( 'Copy rows', 'arraypress' ); ?>
+                </button>
+                <button type="button" class="button-link arraypress-repeater__paste">
+                    <?php esc_html_e( 'Paste rows', 'arraypress' ); ?>
+                </button>
+                <?php if ( $transfer ) : ?>
+                    <button type="button" class="button-link arraypress-repeater__import">
+                        <?php esc_html_e( 'Import', 'arraypress' ); ?>
+                    </button>
+                    <button type="button" class="button-link arraypress-repeater__export">
+                        <?php esc_html_e( 'Export', 'arraypress' ); ?>
+                    </button>
+                <?php endif; ?>
+            </div>
 
-            <?php if ( $layout === 'table' ) : ?>
+            <?php if ( $this->is_flexible_repeater( $field ) ) : ?>
+                <?php $this->render_repeater_flexible( $meta_key, $field, $value, $layout ); ?>
+            <?php elseif ( $layout === 'table' ) : ?>
                 <?php $this->render_repeater_table( $meta_key, $field, $value, $post_id ); ?>
             <?php else : ?>
                 <?php $this->render_repeater_standard( $meta_key, $field, $value, $post_id, $layout ); ?>
             <?php endif; ?>
 
-            <button type="button" class="button arraypress-repeater__add">
-                <?php echo esc_html( $button_label ); ?>
-            </button>
+            <?php if ( $this->is_flexible_repeater( $field ) ) : ?>
+                <?php $this->render_repeater_layout_menu( $field, $button_label ); ?>
+            <?php else : ?>
+                <button type="button" class="button arraypress-repeater__add">
+                    <?php echo esc_html( $button_label ); ?>
+                </button>
+            <?php endif; ?>
         </div>
         <?php
-        // Clear parent field context
-        $this->set_parent_field_context( null );
+        // Restore parent field context
+        $this->set_parent_field_context( $parent_context );
+    }
+
+    /**
+     * Get the import/export columns of a repeater
+     *
+     * Maps each sub-field key to its label. Flexible repeaters start with
+     * the _layout column and include the fields of every layout. Also
+     * used to check copied rows before they are pasted.
+     *
+     * @param array $field The repeater field configuration.
+     *
+     * @return array Column labels keyed by sub-field key.
+     */
+    protected function get_repeater_columns( array $field ): array {
+        $columns = [];
+
+        if ( $this->is_flexible_repeater( $field ) ) {
+            $columns['_layout'] = __( 'Layout', 'arraypress' );
+
+            foreach ( $field['layouts'] as $layout ) {
+                foreach ( $layout['fields'] as $sub_key => $sub_field ) {
+                    $columns[ $sub_key ] = $sub_field['label'] ?: $sub_key;
+                }
+            }
+        }
+
+        foreach ( $field['fields'] as $sub_key => $sub_field ) {
+            $columns[ $sub_key ] = $sub_field['label'] ?: $sub_key;
+        }
+
+        return $columns;
+    }
+
+    /**
+     * Get the row index placeholder for the repeater being rendered
+     *
+     * The outermost repeater uses __INDEX__ and nested repeaters use
+     * __INDEX_1__, __INDEX_2__, etc., so adding a row at one level
+     * never touches the template of another.
+     *
+     * @return string The placeholder.
+     */
+    protected function get_repeater_placeholder(): string {
+        return $this->repeater_depth === 0 ? '__INDEX__' : '__INDEX_' . $this->repeater_depth . '__';
     }
 
     /**
@@ -203,9 +301,12 @@ trait ComplexFields {
         ?>
         <div class="arraypress-repeater__rows">
             <?php
+            $placeholder = $this->get_repeater_placeholder();
+            $this->repeater_depth ++;
+
             $index = 0;
             foreach ( $value as $row_value ) :
-                $this->render_repeater_row( $meta_key, $field, $row_value, $index, $layout );
+                $this->render_repeater_row( $meta_key, $field, is_array( $row_value ) ? $row_value : [], $index, $layout );
                 $index ++;
             endforeach;
             ?>
@@ -213,7 +314,117 @@ trait ComplexFields {
 
         <!-- Template for JavaScript to clone when adding new rows -->
         <div class="arraypress-repeater__template" style="display:none;">
-            <?php $this->render_repeater_row( $meta_key, $field, [], '__INDEX__', $layout ); ?>
+            <?php $this->render_repeater_row( $meta_key, $field, [], $placeholder, $layout ); ?>
+        </div>
+        <?php
+        $this->repeater_depth --;
+    }
+
+    /**
+     * Render flexible repeater rows and templates
+     *
+     * Each row is rendered with the fields of its stored layout, and
+     * every layout gets its own template for JavaScript to clone.
+     * Rows with an unknown layout are skipped.
+     *
+     * @param string $meta_key The field's meta key.
+     * @param array  $field    The field configuration array.
+     * @param array  $value    The current field values (array of rows).
+     * @param string $layout   The layout type (vertical or horizontal).
+     *
+     * @return void
+     */
+    protected function render_repeater_flexible( string $meta_key, array $field, array $value, string $layout ): void {
+        $field_path = $this->current_parent_field;
+        ?>
+        <div class="arraypress-repeater__rows">
+            <?php
+            $placeholder = $this->get_repeater_placeholder();
+            $this->repeater_depth ++;
+
+            // Skipped rows leave gaps, so each row keeps its stored index
+            // for the source input apart from its render position.
+            $index = 0;
+            foreach ( $value as $stored_index => $row_value ) :
+                $row_value  = is_array( $row_value ) ? $row_value : [];
+                $layout_key = (string) ( $row_value['_layout'] ?? '' );
+
+                if ( ! isset( $field['layouts'][ $layout_key ] ) ) {
+                    continue;
+                }
+
+                $this->set_parent_field_context( $field_path . '.' . $layout_key );
+                $this->render_repeater_row( $meta_key, $this->get_layout_row_field( $field, $layout_key ), $row_value, $index, $layout, is_int( $stored_index ) ? $stored_index : null );
+                $index ++;
+            endforeach;
+            ?>
+        </div>
+
+        <!-- One template per layout for JavaScript to clone when adding rows -->
+        <?php foreach ( array_keys( $field['layouts'] ) as $layout_key ) :
+            $this->set_parent_field_context( $field_path . '.' . $layout_key );
+            ?>
+            <div class="arraypress-repeater__template"
+                 data-layout-key="<?php echo esc_attr( $layout_key ); ?>"
+                 style="display:none;">
+                <?php $this->render_repeater_row( $meta_key, $this->get_layout_row_field( $field, (string) $layout_key ), [], $placeholder, $layout ); ?>
+            </div>
+        <?php endforeach;
+
+        $this->set_parent_field_context( $field_path );
+        $this->repeater_depth --;
+    }
+
+    /**
+     * Get the row configuration for a flexible repeater layout
+     *
+     * Returns the repeater configuration with the layout's fields, so
+     * rows of every layout render through render_repeater_row.
+     *
+     * @param array  $field      The repeater field configuration.
+     * @param string $layout_key The layout key.
+     *
+     * @return array The field configuration for rows of this layout.
+     */
+    protected function get_layout_row_field( array $field, string $layout_key ): array {
+        return array_merge( $field, [
+            'fields'       => $field['layouts'][ $layout_key ]['fields'],
+            'layout_key'   => $layout_key,
+            'layout_label' => $field['layouts'][ $layout_key ]['label'],
+        ] );
+    }
+
+    /**
+     * Render the "Add" menu for a flexible repeater
+     *
+     * A button that opens a list of the repeater's layouts.
+     *
+     * @param array  $field        The repeater field configuration.
+     * @param string $button_label The add button label.
+     *
+     * @return void
+     */
+    protected function render_repeater_layout_menu( array $field, string $button_label ): void {
+        ?>
+        <div class="arraypress-repeater__add-menu">
+            <button type="button"
+                    class="button arraypress-repeater__add-toggle"
+                    aria-haspopup="true"
+                    aria-expanded="false">
+                <?php echo esc_html( $button_label ); ?> ▾
+            </button>
+            <ul class="arraypress-repeater__layouts" role="menu" hidden>
+                <?php foreach ( $field['layouts'] as $layout_key => $layout ) : ?>
+                    <li role="none">
+                        <button type="button"
+                                role="menuitem"
+                                class="arraypress-repeater__add-layout"
+                                data-layout-key="<?php echo esc_attr( $layout_key ); ?>">
+                            <?php echo esc_html( $layout['label'] ); ?>
+                        </button>
+                    </li>
+                <?php endforeach; ?>
+            </ul>
         </div>
         <?php
     }
@@ -253,6 +464,10 @@ trait ComplexFields {
             </thead>
 
             <tbody class="arraypress-repeater__rows">
+            <?php
+            $placeholder = $this->get_repeater_placeholder();
+            $this->repeater_depth ++;
+            ?>
             <?php if ( ! $has_rows ) : ?>
                 <tr class="arraypress-repeater__empty-row">
                     <td colspan="<?php echo esc_attr( count( $field['fields'] ) + 2 ); ?>">
@@ -264,7 +479,7 @@ trait ComplexFields {
             <?php
             $index = 0;
             foreach ( $value as $row_value ) :
-                $this->render_repeater_table_row( $meta_key, $field, $row_value, $index );
+                $this->render_repeater_table_row( $meta_key, $field, is_array( $row_value ) ? $row_value : [], $index );
                 $index ++;
             endforeach;
             ?>
@@ -275,11 +490,12 @@ trait ComplexFields {
         <div class="arraypress-repeater__template" style="display:none;">
             <table>
                 <tbody>
-                <?php $this->render_repeater_table_row( $meta_key, $field, [], '__INDEX__' ); ?>
+                <?php $this->render_repeater_table_row( $meta_key, $field, [], $placeholder ); ?>
                 </tbody>
             </table>
         </div>
         <?php
+        $this->repeater_depth --;
     }
 
     /**
@@ -293,10 +509,11 @@ trait ComplexFields {
      * @param array      $value    The row values.
      * @param int|string $index    The row index (or '__INDEX__' for template).
      * @param string     $layout   The layout type (vertical or horizontal).
+     * @param int|null   $source   The row's stored index, if it differs from $index.
      *
      * @return void
      */
-    protected function render_repeater_row( string $meta_key, array $field, array $value, $index, string $layout = 'vertical' ): void {
+    protected function render_repeater_row( string $meta_key, array $field, array $value, $index, string $layout = 'vertical', ?int $source = null ): void {
         $collapsed     = $field['collapsed'] ?? false;
         $is_horizontal = $layout === 'horizontal';
         $row_class     = 'arraypress-repeater__row';
@@ -312,20 +529,36 @@ trait ComplexFields {
         $row_title = $this->get_repeater_row_title( $field, $value, $index );
         ?>
         <div class="<?php echo esc_attr( $row_class ); ?>"
-             data-index="<?php echo esc_attr( $index ); ?>">
+             data-index="<?php echo esc_attr( $index ); ?>"
+                <?php echo ! empty( $field['layout_key'] ) ? 'data-layout-key="' . esc_attr( $field['layout_key'] ) . '"' : ''; ?>>
 
             <div class="arraypress-repeater__row-header">
-                <span class="arraypress-repeater__row-handle">☰</span>
+                <?php $this->render_row_select(); ?>
+                <?php $this->render_row_move_controls(); ?>
+                <?php if ( ! empty( $field['layout_key'] ) ) : ?>
+                    <span class="arraypress-repeater__row-layout"><?php echo esc_html( $field['layout_label'] ); ?></span>
+                <?php endif; ?>
                 <span class="arraypress-repeater__row-title">
 					<?php echo esc_html( $row_title ); ?>
 				</span>
                 <?php if ( ! $is_horizontal ) : ?>
                     <button type="button" class="arraypress-repeater__row-toggle">▼</button>
                 <?php endif; ?>
+                <button type="button" class="arraypress-repeater__row-duplicate"
+                        title="<?php esc_attr_e( 'Duplicate row', 'arraypress' ); ?>"
+                        aria-label="<?php esc_attr_e( 'Duplicate row', 'arraypress' ); ?>">⧉</button>
                 <button type="button" class="arraypress-repeater__row-remove">&times;</button>
             </div>
 
             <div class="arraypress-repeater__row-content">
+                <?php $this->render_row_source_input( $meta_key, $index, $source ); ?>
+                <?php if ( ! empty( $field['layout_key'] ) ) : ?>
+                    <input type="hidden"
+                           class="arraypress-repeater__layout-input"
+                           name="<?php echo esc_attr( $meta_key . '[' . $index . '][_layout]' ); ?>"
+                           value="<?php echo esc_attr( $field['layout_key'] ); ?>"/>
+                <?php endif; ?>
+
                 <?php foreach ( $field['fields'] as $sub_key => $sub_field ) :
                     $sub_value = $value[ $sub_key ] ?? $sub_field['default'];
                     $sub_name = $meta_key . '[' . $index . '][' . $sub_key . ']';
@@ -340,6 +573,7 @@ trait ComplexFields {
                         $conditional_class = ' arraypress-conditional-field';
                         $data_attrs        = $this->get_conditional_attributes( $sub_field, $sub_key );
                     }
+                    $data_attrs .= $this->get_validation_attributes( $sub_field );
                     ?>
                     <div class="arraypress-repeater__field<?php echo $conditional_class; ?>"
                          data-field-key="<?php echo esc_attr( $sub_key ); ?>"
@@ -367,6 +601,94 @@ trait ComplexFields {
         <?php
     }
 
+    /**
+     * Render the bulk row actions of a repeater toolbar
+     *
+     * A select-all checkbox and a bulk action menu that applies to the
+     * rows whose checkboxes are ticked. Collapsing is only offered for
+     * the vertical layout.
+     *
+     * @param string $layout The repeater layout.
+     *
+     * @return void
+     */
+    protected function render_repeater_bulk_actions( string $layout ): void {
+        $actions = [
+            'delete'    => __( 'Delete', 'arraypress' ),
+            'duplicate' => __( 'Duplicate', 'arraypress' ),
+            'top'       => __( 'Move to top', 'arraypress' ),
+            'bottom'    => __( 'Move to bottom', 'arraypress' ),
+        ];
+
+        if ( $layout === 'vertical' ) {
+            $actions['collapse'] = __( 'Collapse', 'arraypress' );
+        }
+        ?>
+        <span class="arraypress-repeater__bulk">
+            <label class="arraypress-repeater__select-all-label">
+                <input type="checkbox" class="arraypress-repeater__select-all"/>
+                <?php esc_html_e( 'Select all', 'arraypress' ); ?>
+            </label>
+            <select class="arraypress-repeater__bulk-action"
+                    aria-label="<?php esc_attr_e( 'Bulk actions', 'arraypress' ); ?>">
+                <option value=""><?php esc_html_e( 'Bulk actions', 'arraypress' ); ?></option>
+                <?php foreach ( $actions as $action => $label ) : ?>
+                    <option value="<?php echo esc_attr( $action ); ?>"><?php echo esc_html( $label ); ?></option>
+                <?php endforeach; ?>
+            </select>
+            <button type="button" class="button button-small arraypress-repeater__bulk-apply" disabled>
+                <?php esc_html_e( 'Apply', 'arraypress' ); ?>
+            </button>
+            <span class="arraypress-repeater__bulk-status" aria-live="polite"></span>
+        </span>
+        <?php
+    }
+
+    /**
+     * Render the checkbox that selects a repeater row for bulk actions
+     *
+     * @return void
+     */
+    protected function render_row_select(): void {
+        ?>
+        <input type="checkbox"
+               class="arraypress-repeater__row-select"
+               aria-label="<?php esc_attr_e( 'Select row', 'arraypress' ); ?>"/>
+        <?php
+    }
+
+    /**
+     * Render the reorder controls for a repeater row
+     *
+     * The drag handle doubles as a keyboard control (arrow keys, Home
+     * and End), and the buttons move the row without dragging.
+     *
+     * @return void
+     */
+    protected function render_row_move_controls(): void {
+        $moves = [
+            'top'    => [ '⤒', __( 'Move row to top', 'arraypress' ) ],
+            'up'     => [ '↑', __( 'Move row up', 'arraypress' ) ],
+            'down'   => [ '↓', __( 'Move row down', 'arraypress' ) ],
+            'bottom' => [ '⤓', __( 'Move row to bottom', 'arraypress' ) ],
+        ];
+        ?>
+        <span class="arraypress-repeater__row-handle"
+              tabindex="0"
+              role="button"
+              aria-label="<?php esc_attr_e( 'Reorder row. Use the arrow keys, Home or End to move it.', 'arraypress' ); ?>">☰</span>
+        <span class="arraypress-repeater__row-move">
+            <?php foreach ( $moves as $move => list( $icon, $label ) ) : ?>
+                <button type="button"
+                        class="arraypress-repeater__row-move-button"
+                        data-move="<?php echo esc_attr( $move ); ?>"
+                        title="<?php echo esc_attr( $label ); ?>"
+                        aria-label="<?php echo esc_attr( $label ); ?>"><?php echo esc_html( $icon ); ?></button>
+            <?php endforeach; ?>
+        </span>
+        <?php
+    }
+
     /**
      * Render a single table row for repeater
      *
@@ -384,7 +706,9 @@ trait ComplexFields {
         ?>
         <tr class="arraypress-repeater__row" data-index="<?php echo esc_attr( $index ); ?>">
             <td class="arraypress-repeater__table-handle">
-                <span class="arraypress-repeater__row-handle">☰</span>
+                <?php $this->render_row_select(); ?>
+                <?php $this->render_row_move_controls(); ?>
+                <?php $this->render_row_source_input( $meta_key, $index ); ?>
             </td>
 
             <?php foreach ( $field['fields'] as $sub_key => $sub_field ) :
@@ -398,6 +722,7 @@ trait ComplexFields {
                     $conditional_class = ' arraypress-conditional-field';
                     $data_attrs        = $this->get_conditional_attributes( $sub_field, $sub_key );
                 }
+                $data_attrs .= $this->get_validation_attributes( $sub_field );
                 ?>
                 <td class="arraypress-repeater__field<?php echo $conditional_class; ?>"
                     data-field-key="<?php echo esc_attr( $sub_key ); ?>"
@@ -407,20 +732,55 @@ trait ComplexFields {
             <?php endforeach; ?>
 
             <td class="arraypress-repeater__table-actions">
+                <button type="button" class="arraypress-repeater__row-duplicate"
+                        title="<?php esc_attr_e( 'Duplicate row', 'arraypress' ); ?>"
+                        aria-label="<?php esc_attr_e( 'Duplicate row', 'arraypress' ); ?>">⧉</button>
                 <button type="button" class="arraypress-repeater__row-remove">&times;</button>
             </td>
         </tr>
         <?php
     }
 
+    /**
+     * Render the hidden input holding a row's stored position
+     *
+     * On save, rows are matched to their stored values through this
+     * index, so hidden sub-fields with the "disable" behavior keep their
+     * stored values after rows are added, removed or reordered. Template
+     * and new rows have no stored position.
+     *
+     * @param string     $meta_key The field's meta key.
+     * @param int|string $index    The row index (or '__INDEX__' for template).
+     * @param int|null   $source   The row's stored index, if it differs from $index.
+     *
+     * @return void
+     */
+    protected function render_row_source_input( string $meta_key, $index, ?int $source = null ): void {
+        if ( $source === null && is_numeric( $index ) ) {
+            $source = (int) $index;
+        }
+        ?>
+        <input type="hidden"
+               class="arraypress-repeater__source-input"
+               name="<?php echo esc_attr( $meta_key . '[' . $index . '][_row]' ); ?>"
+               value="<?php echo $source !== null ? esc_attr( (string) $source ) : ''; ?>"/>
+        <?php
+    }
+
     /**
      * Generate the row title for a repeater row
      *
      * Supports:
      * - Custom row_title with {index} placeholder: "File {index}" becomes "File 1", "File 2", etc.
-     * - row_title_field: Use a specific field's value as the title
+     * - {field:key} placeholders, showing labels for choices and relational
+     *   fields and file names for media, with optional filters:
+     *   {field:price|currency:EUR}, {field:count|number}, {field:name|upper}, {field:type|raw}
+     * - {select_label:key}: The label of the selected option(s) of a choice field
+     * - row_title_field: Use a specific field's value as the title ({value} in row_title)
      * - Default: "Item 1", "Item 2", etc.
      *
+     * The JavaScript renders the same template live as inputs change.
+     *
      * @param array      $field The field configuration array.
      * @param array      $value The row values.
      * @param int|string $index The row index (or '__INDEX__' for template).
@@ -433,22 +793,37 @@ trait ComplexFields {
         // Get field value if row_title_field is set
         $field_value = '';
         if ( ! empty( $field['row_title_field'] ) && ! empty( $value[ $field['row_title_field'] ] ) ) {
-            $field_value = $value[ $field['row_title_field'] ];
+            $field_value = $this->get_row_title_value( $field, $value, $field['row_title_field'] );
         }
 
         // Check for custom row_title pattern
         if ( ! empty( $field['row_title'] ) ) {
             $title = str_replace( '{index}', $display_index, $field['row_title'] );
 
-            // Replace {value} placeholder - remove it if empty
-            if ( ! empty( $field_value ) ) {
-                $title = str_replace( '{value}', $field_value, $title );
-            } else {
-                // Remove {value} and any preceding colon/space if value is empty
-                $title = preg_replace( '/[:\s]*\{value}/', '', $title );
-            }
+            // Replace {field:key|filter:arg} and {select_label:key} placeholders
+            $title = preg_replace_callback(
+                '/\{(field|select_label):([\w-]+)(?:\|(\w+)(?::([^}]*))?)?}/',
+                function ( $matches ) use ( $field, $value ) {
+                    $filter = $matches[3] ?? '';
+                    $result = $this->get_row_title_value( $field, $value, $matches[2], $matches[1] === 'select_label' || $filter !== 'raw' );
+
+                    $result = $this->format_row_title_value( $result, $filter, $matches[4] ?? '' );
+
+                    return $result !== '' ? $result : "\0";
+                },
+                $title
+            );
 
-            return trim( $title );
+            $title = str_replace( '{value}', ! empty( $field_value ) ? $field_value : "\0", $title );
+
+            // Empty placeholders (marked with a null byte) take the separator
+            // before them along, or the one after them at the start
+            $title = preg_replace( '/^(?:\s*\x00[\s:|\-–—]*)+/u', '', $title );
+            $title = trim( preg_replace( '/[\s:|\-–—]*\x00/u', '', $title ) );
+
+            if ( $title !== '' ) {
+                return $title;
+            }
         }
 
         // If we have a field value but no row_title pattern, just use the value
@@ -460,6 +835,132 @@ trait ComplexFields {
         return sprintf( __( 'Item %s', 'arraypress' ), $display_index );
     }
 
+    /**
+     * Get the display value of a row field for the row title
+     *
+     * Choice fields show their option labels, relational fields the
+     * post title, term name or user name, and media fields the file name.
+     *
+     * @param array  $field   The repeater field configuration.
+     * @param array  $row     The row values.
+     * @param string $key     The sub-field key.
+     * @param bool   $resolve Whether to resolve labels instead of raw values.
+     *
+     * @return string The display value.
+     */
+    protected function get_row_title_value( array $field, array $row, string $key, bool $resolve = true ): string {
+        $raw       = $row[ $key ] ?? '';
+        $sub_field = $field['fields'][ $key ] ?? null;
+
+        // Image values with a focal point or crop region are arrays
+        if ( is_array( $raw ) && isset( $raw['id'] ) ) {
+            $raw = $this->get_image_id( $raw ) ?: '';
+        }
+
+        if ( $raw === '' || $raw === null || $raw === [] ) {
+            return '';
+        }
+
+        if ( ! $resolve || ! $sub_field ) {
+            return is_array( $raw ) ? implode( ', ', array_filter( $raw, 'is_scalar' ) ) : (string) $raw;
+        }
+
+        $labels = [];
+
+        foreach ( (array) $raw as $item ) {
+            if ( ! is_scalar( $item ) || $item === '' ) {
+                continue;
+            }
+
+            switch ( $sub_field['type'] ) {
+                case 'select':
+                case 'radio':
+                case 'button_group':
+                    $options  = $this->get_options( $sub_field['options'] );
+                    $labels[] = (string) ( $options[ $item ] ?? $item );
+                    break;
+
+                case 'post':
+                case 'post_ajax':
+                    $labels[] = get_the_title( (int) $item );
+                    break;
+
+                case 'term':
+                case 'taxonomy_ajax':
+                    $term     = get_term( (int) $item );
+                    $labels[] = $term && ! is_wp_error( $term ) ? $term->name : (string) $item;
+                    break;
+
+                case 'user':
+                case 'user_ajax':
+                    $user     = get_userdata( (int) $item );
+                    $labels[] = $user ? $user->display_name : (string) $item;
+                    break;
+
+                case 'image':
+                case 'file':
+                    $file     = get_attached_file( (int) $item );
+                    $labels[] = $file ? wp_basename( $file ) : '';
+                    break;
+
+                case 'file_url':
+                    $labels[] = wp_basename( (string) wp_parse_url( (string) $item, PHP_URL_PATH ) );
+                    break;
+
+                default:
+                    $labels[] = (string) $item;
+            }
+        }
+
+        return implode( ', ', array_filter( $labels, 'strlen' ) );
+    }
+
+    /**
+     * Apply a row title filter to a value
+     *
+     * @param string $value  The display value.
+     * @param string $filter The filter name: currency, number, upper, lower or raw.
+     * @param string $arg    Optional filter argument (currency code for currency).
+     *
+     * @return string The filtered value.
+     */
+    protected function format_row_title_value( string $value, string $filter, string $arg = '' ): string {
+        if ( $value === '' ) {
+            return '';
+        }
+
+        switch ( $filter ) {
+            case 'currency':
+                if ( ! is_numeric( $value ) ) {
+                    return $value;
+                }
+
+                $currency = strtoupper( $arg ?: 'USD' );
+
+                if ( class_exists( 'NumberFormatter' ) ) {
+                    $formatter = new \NumberFormatter( get_user_locale(), \NumberFormatter::CURRENCY );
+                    $formatted = $formatter->formatCurrency( (float) $value, $currency );
+
+                    if ( $formatted !== false ) {
+                        return $formatted;
+                    }
+                }
+
+                return $currency . ' ' . number_format_i18n( (float) $value, 2 );
+
+            case 'number':
+                return is_numeric( $value ) ? number_format_i18n( (float) $value, $arg !== '' ? (int) $arg : 0 ) : $value;
+
+            case 'upper':
+                return function_exists( 'mb_strtoupper' ) ? mb_strtoupper( $value ) : strtoupper( $value );
+
+            case 'lower':
+                return function_exists( 'mb_strtolower' ) ? mb_strtolower( $value ) : strtolower( $value );
+        }
+
+        return $value;
+    }
+
     /**
      * Render tooltip icon and content if tooltip is set
      *
@@ -37,24 +37,30 @@ trait MediaFields {
      * Render an image picker field
      *
      * Single image selection from the WordPress media library.
-     * Displays a thumbnail preview when an image is selected.
+     * Displays a thumbnail preview when an image is selected. With
+     * focal_point or crop_ratio, the value is an array with the
+     * attachment ID, focal point and crop region.
      *
      * @param string $meta_key The field's meta key.
      * @param array  $field    The field configuration array.
-     * @param mixed  $value    The current field value (attachment ID).
+     * @param mixed  $value    The current field value (attachment ID or array).
      *
      * @return void
      */
     protected function render_image( string $meta_key, array $field, $value ): void {
-        $image_url   = $value ? wp_get_attachment_image_url( $value, 'thumbnail' ) : '';
+        $image_id    = $this->get_image_id( $value );
+        $image_url   = $image_id ? wp_get_attachment_image_url( $image_id, 'thumbnail' ) : '';
         $button_text = $field['button_text'] ?: __( 'Select Image', 'arraypress' );
+        $focus       = $this->has_image_focus( $field );
         ?>
-        <div class="arraypress-media-field arraypress-image-field" data-type="image">
+        <div class="arraypress-media-field arraypress-image-field"
+             data-type="image"<?php echo $this->get_media_constraint_attributes( $field ); ?><?php echo $this->get_image_focus_attributes( $field, $image_id ); ?><?php echo $this->get_auto_fill_attributes( $field, $this->config['prefix'], $image_id ); ?>>
             <input type="hidden"
                    id="<?php echo esc_attr( $meta_key ); ?>"
-                   name="<?php echo esc_attr( $meta_key ); ?>"
-                   value="<?php echo esc_attr( $value ); ?>"
+                   name="<?php echo esc_attr( $focus ? $meta_key . '[id]' : $meta_key ); ?>"
+                   value="<?php echo esc_attr( $image_id ?: '' ); ?>"
                    class="arraypress-media-input"/>
+            <?php $this->render_image_focus_inputs( $meta_key, $field, $value ); ?>
 
             <div class="arraypress-media-preview">
                 <?php if ( $image_url ) : ?>
@@ -68,13 +74,197 @@ trait MediaFields {
 
             <button type="button"
                     class="button arraypress-media-remove"
-                    <?php echo ! $value ? 'style="display:none;"' : ''; ?>>
+                    <?php echo ! $image_id ? 'style="display:none;"' : ''; ?>>
                 <?php esc_html_e( 'Remove', 'arraypress' ); ?>
             </button>
+            <?php $this->render_image_focus_button( $field, $image_id ); ?>
         </div>
         <?php
     }
 
+    /**
+     * Get the data attributes with a media field's auto-fill map
+     *
+     * Top-level fields fill top-level siblings, so their keys get the
+     * meta key prefix; fields in groups and rows fill sub-fields.
+     *
+     * For "unedited" mappings, the values the stored attachment fills in
+     * are rendered too, so a target still holding that value counts as
+     * unedited after the page is reloaded.
+     *
+     * @param array      $field      The field configuration array.
+     * @param string     $prefix     The meta key prefix of the target fields.
+     * @param int|string $attachment The stored attachment ID, or the URL of a file URL field.
+     *
+     * @return string HTML data attribute string, or an empty string.
+     */
+    protected function get_auto_fill_attributes( array $field, string $prefix = '', $attachment = 0 ): string {
+        $map    = $this->get_auto_fill_map( $field );
+        $filled = [];
+        $data   = null;
+
+        if ( empty( $map ) ) {
+            return '';
+        }
+
+        foreach ( $map as &$mapping ) {
+            $mapping['field'] = $prefix . $mapping['field'];
+
+            if ( $mapping['overwrite'] !== 'unedited' || empty( $attachment ) ) {
+                continue;
+            }
+
+            if ( $data === null ) {
+                $attachment_id = is_numeric( $attachment ) ? (int) $attachment : attachment_url_to_postid( (string) $attachment );
+                $data          = $attachment_id ? (array) wp_prepare_attachment_for_js( $attachment_id ) : [];
+            }
+
+            $value = $this->get_attachment_property( $data, $mapping['from'] );
+
+            if ( $value !== '' ) {
+                $filled[ $mapping['field'] ] = $value;
+            }
+        }
+        unset( $mapping );
+
+        $attributes = sprintf( ' data-auto-fill="%s"', esc_attr( wp_json_encode( $map ) ) );
+
+        if ( ! empty( $filled ) ) {
+            $attributes .= sprintf( ' data-auto-filled="%s"', esc_attr( wp_json_encode( $filled ) ) );
+        }
+
+        return $attributes;
+    }
+
+    /**
+     * Get a property of an attachment for auto-filling
+     *
+     * Mirrors getAttachmentProperty() in the JavaScript, so rendered
+     * values match what selecting the attachment fills in.
+     *
+     * @param array  $attachment Attachment data from wp_prepare_attachment_for_js().
+     * @param string $property   The property name, e.g. 'title', 'alt_text' or 'dimensions'.
+     *
+     * @return string The value, or an empty string if the attachment has none.
+     */
+    protected function get_attachment_property( array $attachment, string $property ): string {
+        $aliases = [
+            'filesize'       => 'filesizeInBytes',
+            'filesize_human' => 'filesizeHumanReadable',
+            'duration'       => 'fileLength',
+            'duration_human' => 'fileLengthHumanReadable',
+            'alt_text'       => 'alt',
+        ];
+
+        switch ( $property ) {
+            case 'extension':
+                $filename = (string) ( $attachment['filename'] ?? '' );
+
+                return strpos( $filename, '.' ) !== false ? strtolower( pathinfo( $filename, PATHINFO_EXTENSION ) ) : '';
+
+            case 'dimensions':
+                return ! empty( $attachment['width'] ) && ! empty( $attachment['height'] )
+                    ? $attachment['width'] . ' × ' . $attachment['height']
+                    : '';
+
+            case 'filesize_human':
+                if ( ! empty( $attachment['filesizeHumanReadable'] ) ) {
+                    return (string) $attachment['filesizeHumanReadable'];
+                }
+
+                return ! empty( $attachment['filesizeInBytes'] ) ? (string) size_format( $attachment['filesizeInBytes'] ) : '';
+        }
+
+        $value = $attachment[ $aliases[ $property ] ?? $property ] ?? '';
+
+        return is_string( $value ) || is_int( $value ) || is_float( $value ) ? (string) $value : '';
+    }
+
+    /**
+     * Get the data attributes of an image field with a focal point or crop region
+     *
+     * @param array $field    The field configuration array.
+     * @param int   $image_id The current attachment ID.
+     *
+     * @return string HTML data attributes string, or an empty string.
+     */
+    protected function get_image_focus_attributes( array $field, int $image_id ): string {
+        if ( ! $this->has_image_focus( $field ) ) {
+            return '';
+        }
+
+        return sprintf(
+            ' data-focal-point="%s" data-crop-ratio="%s" data-editor-src="%s"',
+            empty( $field['focal_point'] ) ? '0' : '1',
+            esc_attr( (string) $this->get_crop_ratio( $field ) ),
+            esc_url( $image_id ? (string) wp_get_attachment_image_url( $image_id, 'large' ) : '' )
+        );
+    }
+
+    /**
+     * Render the hidden focal point and crop inputs of an image field
+     *
+     * @param string $name  The field's input name (without [id]).
+     * @param array  $field The field configuration array.
+     * @param mixed  $value The current field value.
+     *
+     * @return void
+     */
+    protected function render_image_focus_inputs( string $name, array $field, $value ): void {
+        if ( ! $this->has_image_focus( $field ) ) {
+            return;
+        }
+
+        $value  = is_array( $value ) ? $value : [];
+        $inputs = [];
+
+        if ( ! empty( $field['focal_point'] ) ) {
+            foreach ( [ 'x', 'y' ] as $key ) {
+                $inputs[ 'focal_point][' . $key ] = $value['focal_point'][ $key ] ?? '';
+            }
+        }
+
+        if ( $this->get_crop_ratio( $field ) > 0 ) {
+            foreach ( [ 'x', 'y', 'width', 'height' ] as $key ) {
+                $inputs[ 'crop][' . $key ] = $value['crop'][ $key ] ?? '';
+            }
+        }
+
+        foreach ( $inputs as $key => $input_value ) : ?>
+            <input type="hidden"
+                   name="<?php echo esc_attr( $name . '[' . $key . ']' ); ?>"
+                   value="<?php echo esc_attr( (string) $input_value ); ?>"
+                   class="arraypress-image-focus-input"
+                   data-focus-key="<?php echo esc_attr( str_replace( '][', '.', $key ) ); ?>"/>
+        <?php endforeach;
+    }
+
+    /**
+     * Render the button that opens an image field's focal point and crop editor
+     *
+     * @param array $field    The field configuration array.
+     * @param int   $image_id The current attachment ID.
+     *
+     * @return void
+     */
+    protected function render_image_focus_button( array $field, int $image_id ): void {
+        if ( ! $this->has_image_focus( $field ) ) {
+            return;
+        }
+
+        $label = empty( $field['focal_point'] )
+            ? __( 'Crop', 'arraypress' )
+            : ( $this->get_crop_ratio( $field ) > 0 ? __( 'Focal point & crop', 'arraypress' ) : __( 'Focal point', 'arraypress' ) );
+        ?>
+        <button type="button"
+                class="button arraypress-image-focus-edit"
+                aria-expanded="false"
+                <?php echo ! $image_id ? 'style="display:none;"' : ''; ?>>
+            <?php echo esc_html( $label ); ?>
+        </button>
+        <?php
+    }
+
     /**
      * Render a file picker field
      *
@@ -93,7 +283,8 @@ trait MediaFields {
         $file_name   = $value ? basename( get_attached_file( $value ) ) : '';
         $button_text = $field['button_text'] ?: __( 'Select File', 'arraypress' );
         ?>
-        <div class="arraypress-media-field arraypress-file-field" data-type="file">
+        <div class="arraypress-media-field arraypress-file-field"
+             data-type="file"<?php echo $this->get_media_constraint_attributes( $field ); ?><?php echo $this->get_auto_fill_attributes( $field, $this->config['prefix'], (int) $value ); ?>>
             <input type="hidden"
                    id="<?php echo esc_attr( $meta_key ); ?>"
                    name="<?php echo esc_attr( $meta_key ); ?>"
@@ -138,7 +329,7 @@ trait MediaFields {
         $button_text = $field['button_text'] ?: __( 'Browse', 'arraypress' );
         $placeholder = $field['placeholder'] ?: __( 'Enter URL or select from media library', 'arraypress' );
         ?>
-        <div class="arraypress-file-url-field">
+        <div class="arraypress-file-url-field"<?php echo $this->get_auto_fill_attributes( $field, $this->config['prefix'], (string) $value ); ?>>
             <input type="text"
                    id="<?php echo esc_attr( $meta_key ); ?>"
                    name="<?php echo esc_attr( $meta_key ); ?>"
@@ -157,6 +348,8 @@ trait MediaFields {
      *
      * Multiple image selection from the WordPress media library.
      * Supports drag-and-drop reordering and configurable max items.
+     * Images can be selected for bulk removal, and their title, caption
+     * and alt text edited in place.
      *
      * @param string $meta_key The field's meta key.
      * @param array  $field    The field configuration array.
@@ -168,8 +361,11 @@ trait MediaFields {
         $value       = is_array( $value ) ? $value : [];
         $button_text = $field['button_text'] ?: __( 'Add Images', 'arraypress' );
         $max         = $field['max_items'] ?: 0;
+        $min         = $field['min_items'] ?: 0;
         ?>
-        <div class="arraypress-gallery-field" data-max="<?php echo esc_attr( $max ); ?>">
+        <div class="arraypress-gallery-field"
+             data-max="<?php echo esc_attr( $max ); ?>"
+             data-min="<?php echo esc_attr( $min ); ?>"<?php echo $this->get_media_constraint_attributes( $field ); ?>>
             <input type="hidden"
                    id="<?php echo esc_attr( $meta_key ); ?>"
                    name="<?php echo esc_attr( $meta_key ); ?>"
@@ -181,14 +377,38 @@ trait MediaFields {
                     $image_url = wp_get_attachment_image_url( $attachment_id, 'thumbnail' );
                     if ( $image_url ) :
                         ?>
-                        <div class="arraypress-gallery-item" data-id="<?php echo esc_attr( $attachment_id ); ?>">
+                        <div class="arraypress-gallery-item"
+                             data-id="<?php echo esc_attr( $attachment_id ); ?>"
+                             tabindex="0"
+                             aria-label="<?php echo esc_attr( get_the_title( $attachment_id ) ); ?>">
                             <img src="<?php echo esc_url( $image_url ); ?>" alt=""/>
+                            <input type="checkbox" class="arraypress-gallery-select"
+                                   aria-label="<?php esc_attr_e( 'Select image', 'arraypress' ); ?>"/>
+                            <button type="button" class="arraypress-gallery-edit"
+                                    aria-label="<?php esc_attr_e( 'Edit image details', 'arraypress' ); ?>">
+                                <span class="dashicons dashicons-edit"></span>
+                            </button>
+                            <button type="button" class="arraypress-gallery-move" data-move="up"
+                                    aria-label="<?php esc_attr_e( 'Move image earlier', 'arraypress' ); ?>">&lsaquo;</button>
+                            <button type="button" class="arraypress-gallery-move" data-move="down"
+                                    aria-label="<?php esc_attr_e( 'Move image later', 'arraypress' ); ?>">&rsaquo;</button>
                             <button type="button" class="arraypress-gallery-remove">&times;</button>
                         </div>
                     <?php endif;
                 endforeach; ?>
             </div>
 
+            <div class="arraypress-gallery-bulk" hidden>
+                <span class="arraypress-gallery-bulk__count"></span>
+                <button type="button" class="button-link arraypress-gallery-bulk-remove">
+                    <?php esc_html_e( 'Remove selected', 'arraypress' ); ?>
+                </button>
+                <button type="button" class="button-link arraypress-gallery-bulk-clear">
+                    <?php esc_html_e( 'Clear selection', 'arraypress' ); ?>
+                </button>
+                <span class="arraypress-gallery-bulk__status" aria-live="polite"></span>
+            </div>
+
             <button type="button" class="button arraypress-gallery-add">
                 <?php echo esc_html( $button_text ); ?>
             </button>
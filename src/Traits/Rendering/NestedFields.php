@@ -25,7 +25,7 @@ namespace ArrayPress\RegisterPostFields\Traits\Rendering;
  *
  * Supports most field types in nested contexts:
  * - text, url, email, tel
- * - textarea
+ * - textarea, wysiwyg
  * - number
  * - select
  * - checkbox
@@ -34,9 +34,9 @@ namespace ArrayPress\RegisterPostFields\Traits\Rendering;
  * - range
  * - image, file, file_url
  * - ajax, post_ajax, taxonomy_ajax
+ * - group, repeater (nested to any depth)
  *
- * Note: WYSIWYG, gallery, and complex nested fields (group, repeater)
- * are not supported in nested contexts.
+ * Note: Gallery fields are not supported in nested contexts.
  *
  * @package ArrayPress\RegisterPostFields\Traits
  */
@@ -82,6 +82,10 @@ trait NestedFields {
                 $this->render_nested_textarea( $name, $field, $value );
                 break;
 
+            case 'wysiwyg':
+                $this->render_nested_wysiwyg( $name, $field, $value );
+                break;
+
             case 'number':
                 $this->render_nested_number( $name, $field, $value );
                 break;
@@ -142,6 +146,11 @@ trait NestedFields {
                 $this->render_nested_user_ajax( $name, $key, $field, $value );
                 break;
 
+            case 'group':
+            case 'repeater':
+                $this->render_nested_complex( $name, $key, $field, $value );
+                break;
+
             case 'url':
             case 'email':
             case 'text':
@@ -151,6 +160,30 @@ trait NestedFields {
         }
     }
 
+    /**
+     * Render a nested group or repeater
+     *
+     * Uses the full input name as the base name so rows are indexed
+     * within their parent row, and extends the parent field context
+     * so nested AJAX fields can still resolve their configuration.
+     *
+     * @param string $name  The input name attribute.
+     * @param string $key   The field key (without parent path).
+     * @param array  $field The field configuration array.
+     * @param mixed  $value The current field value.
+     *
+     * @return void
+     */
+    protected function render_nested_complex( string $name, string $key, array $field, $value ): void {
+        $field_path = $this->current_parent_field ? $this->current_parent_field . '.' . $key : $key;
+
+        if ( $field['type'] === 'group' ) {
+            $this->render_group( $name, $field, $value, (int) get_the_ID(), $field_path );
+        } else {
+            $this->render_repeater( $name, $field, $value, (int) get_the_ID(), $field_path );
+        }
+    }
+
     /**
      * Render a nested text input
      *
@@ -197,6 +230,29 @@ trait NestedFields {
         <?php
     }
 
+    /**
+     * Render a nested WYSIWYG editor
+     *
+     * Outputs a plain textarea that the JavaScript turns into a TinyMCE
+     * editor with wp.editor.initialize, giving it a unique ID per row.
+     *
+     * @param string $name  The input name attribute.
+     * @param array  $field The field configuration array.
+     * @param mixed  $value The current field value.
+     *
+     * @return void
+     */
+    protected function render_nested_wysiwyg( string $name, array $field, $value ): void {
+        ?>
+        <div class="arraypress-wysiwyg">
+            <textarea name="<?php echo esc_attr( $name ); ?>"
+                      id="<?php echo esc_attr( wp_unique_id( 'arraypress-wysiwyg-' ) ); ?>"
+                      rows="<?php echo absint( $field['rows'] ); ?>"
+                      class="large-text arraypress-wysiwyg__input"><?php echo esc_textarea( (string) $value ); ?></textarea>
+        </div>
+        <?php
+    }
+
     /**
      * Render a nested number input
      *
@@ -367,18 +423,23 @@ trait NestedFields {
      *
      * @param string $name  The input name attribute.
      * @param array  $field The field configuration array.
-     * @param mixed  $value The current field value (attachment ID).
+     * @param mixed  $value The current field value (attachment ID or array).
      *
      * @return void
      */
     protected function render_nested_image( string $name, array $field, $value ): void {
-        $image_url = $value ? wp_get_attachment_image_url( $value, 'thumbnail' ) : '';
+        $image_id  = $this->get_image_id( $value );
+        $image_url = $image_id ? wp_get_attachment_image_url( $image_id, 'thumbnail' ) : '';
+        $file_name = $image_id ? wp_basename( (string) get_attached_file( $image_id ) ) : '';
         ?>
-        <div class="arraypress-media-field arraypress-image-field" data-type="image">
+        <div class="arraypress-media-field arraypress-image-field"
+             data-type="image"
+             data-filename="<?php echo esc_attr( $file_name ); ?>"<?php echo $this->get_media_constraint_attributes( $field ); ?><?php echo $this->get_image_focus_attributes( $field, $image_id ); ?><?php echo $this->get_auto_fill_attributes( $field, '', $image_id ); ?>>
             <input type="hidden"
-                   name="<?php echo esc_attr( $name ); ?>"
-                   value="<?php echo esc_attr( $value ); ?>"
+                   name="<?php echo esc_attr( $this->has_image_focus( $field ) ? $name . '[id]' : $name ); ?>"
+                   value="<?php echo esc_attr( $image_id ?: '' ); ?>"
                    class="arraypress-media-input"/>
+            <?php $this->render_image_focus_inputs( $name, $field, $value ); ?>
 
             <div class="arraypress-media-preview">
                 <?php if ( $image_url ) : ?>
@@ -392,9 +453,10 @@ trait NestedFields {
 
             <button type="button"
                     class="button arraypress-media-remove"
-                    <?php echo ! $value ? 'style="display:none;"' : ''; ?>>
+                    <?php echo ! $image_id ? 'style="display:none;"' : ''; ?>>
                 <?php esc_html_e( 'Remove', 'arraypress' ); ?>
             </button>
+            <?php $this->render_image_focus_button( $field, $image_id ); ?>
         </div>
         <?php
     }
@@ -409,13 +471,16 @@ trait NestedFields {
      * @return void
      */
     protected function render_nested_file( string $name, array $field, $value ): void {
-        $file_url   = $value ? wp_get_attachment_url( $value ) : '';
-        $file_name  = $value ? basename( get_attached_file( $value ) ) : '';
-        $auto_title = ! empty( $field['auto_title_field'] ) ? $field['auto_title_field'] : '';
+        $file_url  = $value ? wp_get_attachment_url( $value ) : '';
+        $file_name = $value ? basename( get_attached_file( $value ) ) : '';
         ?>
         <div class="arraypress-media-field arraypress-file-field"
              data-type="file"
-                <?php echo $auto_title ? 'data-auto-title-field="' . esc_attr( $auto_title ) . '"' : ''; ?>>
+             data-filename="<?php echo esc_attr( $file_name ); ?>"<?php echo $this->get_media_constraint_attributes( $field ); ?><?php echo $this->get_auto_fill_attributes( $field, '', (int) $value ); ?>>
+            <input type="hidden"
+                   name="<?php echo esc_attr( $name ); ?>"
+                   value="<?php echo esc_attr( $value ); ?>"
+                   class="arraypress-media-input"/>
 
             <div class="arraypress-file-preview">
                 <?php if ( $file_name ) : ?>
@@ -450,10 +515,8 @@ trait NestedFields {
     protected function render_nested_file_url( string $name, array $field, $value ): void {
         $button_text = $field['button_text'] ?: __( 'Browse', 'arraypress' );
         $placeholder = $field['placeholder'] ?: __( 'Enter URL or select from media library', 'arraypress' );
-        $auto_title  = ! empty( $field['auto_title_field'] ) ? $field['auto_title_field'] : '';
         ?>
-        <div class="arraypress-file-url-field"
-                <?php echo $auto_title ? 'data-auto-title-field="' . esc_attr( $auto_title ) . '"' : ''; ?>>
+        <div class="arraypress-file-url-field"<?php echo $this->get_auto_fill_attributes( $field, '', (string) $value ); ?>>
             <input type="text"
                    name="<?php echo esc_attr( $name ); ?>"
                    value="<?php echo esc_url( $value ); ?>"
@@ -45,6 +45,12 @@ trait RestSchema {
 				];
 
 			case 'image':
+				if ( $this->has_image_focus( $field ) ) {
+					return $this->get_image_focus_schema( $field );
+				}
+
+				return $this->get_relational_schema( $field );
+
 			case 'file':
 			case 'post':
 			case 'term':
@@ -126,6 +132,50 @@ trait RestSchema {
 		return [ 'type' => 'integer' ];
 	}
 
+	/**
+	 * Get REST schema for an image field with a focal point or crop region.
+	 *
+	 * Coordinates are fractions (0 to 1) of the image width and height.
+	 *
+	 * @param array $field The field configuration.
+	 *
+	 * @return array The REST schema.
+	 */
+	protected function get_image_focus_schema( array $field ): array {
+		$fraction   = [ 'type' => 'number', 'minimum' => 0, 'maximum' => 1 ];
+		$properties = [
+			'id' => [ 'type' => 'integer' ],
+		];
+
+		if ( ! empty( $field['focal_point'] ) ) {
+			$properties['focal_point'] = [
+				'type'       => 'object',
+				'properties' => [
+					'x' => $fraction,
+					'y' => $fraction,
+				],
+			];
+		}
+
+		if ( $this->get_crop_ratio( $field ) > 0 ) {
+			$properties['crop'] = [
+				'type'        => [ 'object', 'null' ],
+				'description' => sprintf( 'Crop region with an aspect ratio of %s.', $field['crop_ratio'] ),
+				'properties'  => [
+					'x'      => $fraction,
+					'y'      => $fraction,
+					'width'  => $fraction,
+					'height' => $fraction,
+				],
+			];
+		}
+
+		return [
+			'type'       => 'object',
+			'properties' => $properties,
+		];
+	}
+
 	/**
 	 * Get REST schema for a select field.
 	 *
@@ -161,6 +211,20 @@ trait RestSchema {
 	 * @return array The REST schema.
 	 */
 	protected function get_repeater_schema( array $field ): array {
+		if ( $this->is_flexible_repeater( $field ) ) {
+			// The matching layout schema validates the row's keys. Without
+			// additionalProperties, core defaults this bare object to false
+			// and rejects every key once a layout has matched.
+			return [
+				'type'  => 'array',
+				'items' => [
+					'type'                 => 'object',
+					'oneOf'                => $this->get_layout_schemas( $field['layouts'] ),
+					'additionalProperties' => true,
+				],
+			];
+		}
+
 		return [
 			'type'  => 'array',
 			'items' => [
@@ -170,6 +234,39 @@ trait RestSchema {
 		];
 	}
 
+	/**
+	 * Get REST schemas for the layouts of a flexible repeater.
+	 *
+	 * Each layout becomes an object schema whose "_layout" property only
+	 * accepts that layout's key, so every row matches exactly one layout.
+	 *
+	 * @param array $layouts The parsed layouts keyed by layout key.
+	 *
+	 * @return array List of object schemas.
+	 */
+	protected function get_layout_schemas( array $layouts ): array {
+		$schemas = [];
+
+		foreach ( $layouts as $layout_key => $layout ) {
+			$schemas[] = [
+				'title'      => $layout['label'],
+				'type'       => 'object',
+				'properties' => array_merge(
+					[
+						'_layout' => [
+							'type'     => 'string',
+							'enum'     => [ (string) $layout_key ],
+							'required' => true,
+						],
+					],
+					$this->get_nested_schema_properties( $layout['fields'] )
+				),
+			];
+		}
+
+		return $schemas;
+	}
+
 	/**
 	 * Get REST schema for a group field.
 	 *
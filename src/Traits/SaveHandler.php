@@ -37,13 +37,154 @@ trait SaveHandler {
 			return;
 		}
 
+		$submitted = $this->get_submitted_values();
+
 		foreach ( $this->config['fields'] as $meta_key => $field ) {
 			if ( ! $this->check_permission( $field ) ) {
 				continue;
 			}
 
-			$this->save_single_field( $post_id, $meta_key, $field );
+			switch ( $this->get_hidden_behavior( $field, $post_id, [ $submitted ] ) ) {
+				case 'disable':
+					// Disabled inputs aren't submitted, so keep the stored value
+					break;
+
+				case 'clear':
+					delete_post_meta( $post_id, $meta_key );
+
+					if ( $field['type'] === 'amount_type' ) {
+						delete_post_meta( $post_id, $field['type_meta_key'] );
+					}
+					break;
+
+				default:
+					$this->save_single_field( $post_id, $meta_key, $field, $submitted );
+			}
+		}
+	}
+
+	/**
+	 * Get the hidden behavior that applies to a field on save.
+	 *
+	 * Visibility is evaluated against the submitted values, matching what
+	 * the editor showed when the post was saved.
+	 *
+	 * @param array $field   The field configuration.
+	 * @param int   $post_id The post ID.
+	 * @param array $scopes  Submitted value scopes, innermost first.
+	 *
+	 * @return string 'keep' if the field is visible or keeps hidden values, otherwise 'disable' or 'clear'.
+	 */
+	protected function get_hidden_behavior( array $field, int $post_id, array $scopes ): string {
+		if ( empty( $field['show_when'] ) || $field['hidden_behavior'] === 'keep' ) {
+			return 'keep';
+		}
+
+		return $this->evaluate_condition_group( $field['show_when'], 'all', $post_id, $scopes )
+			? 'keep'
+			: $field['hidden_behavior'];
+	}
+
+	/**
+	 * Get the submitted values for evaluating conditions.
+	 *
+	 * Unchecked checkboxes are missing from the request, so they are
+	 * reported as 0 like the editor does.
+	 *
+	 * @return array Submitted values keyed by field name.
+	 */
+	protected function get_submitted_values(): array {
+		$values = wp_unslash( $_POST );
+
+		foreach ( $this->config['fields'] as $meta_key => $field ) {
+			if ( in_array( $field['type'], [ 'checkbox', 'toggle' ], true ) ) {
+				$values[ $meta_key ] = isset( $_POST[ $meta_key ] ) ? 1 : 0;
+			}
 		}
+
+		return $values;
+	}
+
+	/**
+	 * Apply the hidden behavior of group and repeater sub-fields.
+	 *
+	 * Groups and repeaters are saved as a whole, so hidden sub-fields with
+	 * a disable behavior get their stored value back and those with a
+	 * clear behavior fall back to their default. Repeater rows find their
+	 * stored values through the "_row" position submitted with each row,
+	 * which is removed here. Nested groups and repeaters are handled the
+	 * same way, with each level adding a condition scope.
+	 *
+	 * @param array $value  The sanitized group value or repeater rows.
+	 * @param array $field  The group or repeater field configuration.
+	 * @param int   $post_id The post ID.
+	 * @param array $scopes Submitted value scopes, innermost first.
+	 * @param mixed $stored The stored group value or repeater rows.
+	 *
+	 * @return array The value with hidden sub-fields applied.
+	 */
+	protected function reset_hidden_sub_fields( array $value, array $field, int $post_id, array $scopes, $stored ): array {
+		$is_group = $field['type'] === 'group';
+		$rows     = $is_group ? [ $value ] : $value;
+		$stored   = is_array( $stored ) ? $stored : [];
+
+		foreach ( $rows as $index => $row ) {
+			if ( ! is_array( $row ) ) {
+				continue;
+			}
+
+			if ( $is_group ) {
+				$stored_row = $stored;
+
+				// Group fields see the values around them too, like in the editor
+				$row_scopes = array_merge( [ array_merge( $scopes[0] ?? [], $row ) ], array_slice( $scopes, 1 ) );
+			} else {
+				$source     = $row['_row'] ?? null;
+				$stored_row = $source !== null && is_array( $stored[ $source ] ?? null ) ? $stored[ $source ] : [];
+
+				unset( $row['_row'], $rows[ $index ]['_row'] );
+
+				$row_scopes = array_merge( [ $row ], $scopes );
+			}
+
+			foreach ( $this->get_row_fields( $field, $row ) as $sub_key => $sub_field ) {
+				switch ( $this->get_hidden_behavior( $sub_field, $post_id, $row_scopes ) ) {
+					case 'disable':
+						// Disabled inputs aren't submitted, so keep the stored value
+						$rows[ $index ][ $sub_key ] = $stored_row[ $sub_key ] ?? $sub_field['default'];
+						break;
+
+					case 'clear':
+						$rows[ $index ][ $sub_key ] = $sub_field['default'];
+						break;
+
+					default:
+						if ( $this->has_sub_fields( $sub_field ) && is_array( $rows[ $index ][ $sub_key ] ?? null ) ) {
+							$rows[ $index ][ $sub_key ] = $this->reset_hidden_sub_fields(
+								$rows[ $index ][ $sub_key ],
+								$sub_field,
+								$post_id,
+								$row_scopes,
+								$stored_row[ $sub_key ] ?? []
+							);
+						}
+				}
+			}
+		}
+
+		return $is_group ? $rows[0] : $rows;
+	}
+
+	/**
+	 * Check whether a field is a group or repeater with sub-fields.
+	 *
+	 * @param array $field The field configuration.
+	 *
+	 * @return bool True for groups and repeaters with fields or layouts.
+	 */
+	protected function has_sub_fields( array $field ): bool {
+		return in_array( $field['type'], [ 'group', 'repeater' ], true )
+		       && ( ! empty( $field['fields'] ) || $this->is_flexible_repeater( $field ) );
 	}
 
 	/**
@@ -82,13 +223,14 @@ trait SaveHandler {
 	/**
 	 * Save a single field value.
 	 *
-	 * @param int    $post_id  The post ID.
-	 * @param string $meta_key The meta key.
-	 * @param array  $field    The field configuration.
+	 * @param int    $post_id   The post ID.
+	 * @param string $meta_key  The meta key.
+	 * @param array  $field     The field configuration.
+	 * @param array  $submitted Submitted values, used for sub-field conditions.
 	 *
 	 * @return void
 	 */
-	protected function save_single_field( int $post_id, string $meta_key, array $field ): void {
+	protected function save_single_field( int $post_id, string $meta_key, array $field, array $submitted = [] ): void {
 		$type = $field['type'];
 
 		// Handle checkbox (unchecked = not in POST)
@@ -115,8 +257,14 @@ trait SaveHandler {
 
 		$value = $_POST[ $meta_key ];
 
-		// Sanitize and save
-		$value = $this->sanitize_value( $value, $field );
+		// Sanitize and save, with repeater rows keeping their stored position
+		$this->keep_row_sources = true;
+		$value                  = $this->sanitize_value( $value, $field );
+		$this->keep_row_sources = false;
+
+		if ( $this->has_sub_fields( $field ) && is_array( $value ) ) {
+			$value = $this->reset_hidden_sub_fields( $value, $field, $post_id, [ $submitted ], get_post_meta( $post_id, $meta_key, true ) );
+		}
 
 		if ( $this->is_empty_value( $value ) ) {
 			delete_post_meta( $post_id, $meta_key );
@@ -0,0 +1,122 @@
+<?php
+/**
+ * Validation Rules Trait
+ *
+ * Handles building client-side validation rules from field configurations.
+ *
+ * @package     ArrayPress\RegisterPostFields\Traits
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @version     1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterPostFields\Traits;
+
+/**
+ * Trait ValidationRules
+ *
+ * Provides methods for exposing field validation rules to JavaScript.
+ */
+trait ValidationRules {
+
+	/**
+	 * Build the validation rules for a field.
+	 *
+	 * Rules mirror the field configuration: required, min/max, pattern,
+	 * item limits for repeaters and galleries, date ordering for ranges,
+	 * and format checks for email and URL fields.
+	 *
+	 * @param array $field The field configuration.
+	 *
+	 * @return array Validation rules, or an empty array if the field has none.
+	 */
+	protected function get_validation_rules( array $field ): array {
+		$type  = $field['type'];
+		$rules = [];
+
+		if ( ! empty( $field['required'] ) && $type !== 'group' ) {
+			$rules['required'] = true;
+		}
+
+		switch ( $type ) {
+			case 'number':
+			case 'range':
+			case 'amount_type':
+			case 'dimensions':
+				if ( isset( $field['min'] ) ) {
+					$rules['min'] = (float) $field['min'];
+				}
+				if ( isset( $field['max'] ) ) {
+					$rules['max'] = (float) $field['max'];
+				}
+				break;
+
+			case 'date':
+			case 'datetime':
+			case 'time':
+			case 'date_range':
+			case 'time_range':
+				if ( isset( $field['min'] ) ) {
+					$rules['min'] = (string) $field['min'];
+				}
+				if ( isset( $field['max'] ) ) {
+					$rules['max'] = (string) $field['max'];
+				}
+				if ( in_array( $type, [ 'date_range', 'time_range' ], true ) ) {
+					$rules['ordered'] = true;
+				}
+				break;
+
+			case 'repeater':
+			case 'gallery':
+				if ( $field['min_items'] > 0 ) {
+					$rules['min_items'] = (int) $field['min_items'];
+				}
+				if ( $field['max_items'] > 0 ) {
+					$rules['max_items'] = (int) $field['max_items'];
+				}
+				break;
+
+			case 'email':
+			case 'url':
+				$rules['format'] = $type;
+				break;
+		}
+
+		if ( ! empty( $field['pattern'] ) && in_array( $type, [ 'text', 'textarea', 'tel', 'url', 'email', 'password' ], true ) ) {
+			$rules['pattern'] = $field['pattern'];
+		}
+
+		if ( empty( $rules ) ) {
+			return [];
+		}
+
+		$rules['type'] = $type;
+
+		return $rules;
+	}
+
+	/**
+	 * Get data attributes for client-side field validation.
+	 *
+	 * @param array $field The field configuration.
+	 *
+	 * @return string HTML data attributes string.
+	 */
+	protected function get_validation_attributes( array $field ): string {
+		$rules = $this->get_validation_rules( $field );
+
+		if ( empty( $rules ) ) {
+			return '';
+		}
+
+		return sprintf(
+			' data-validate="%s"',
+			esc_attr( wp_json_encode( $rules ) )
+		);
+	}
+
+}
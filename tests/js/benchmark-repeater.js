@@ -0,0 +1,127 @@
+/**
+ * Repeater benchmark
+ *
+ * Times a 300-row repeater in jsdom: initializing the page (without
+ * parsing it), adding, removing and moving rows, and importing 300 rows.
+ * Pass another copy of post-fields.js to compare versions, e.g. one
+ * from `git show <commit>:assets/js/post-fields.js`:
+ *
+ *     npm run benchmark -- [path/to/post-fields.js]
+ *
+ * RUNS (default 3) sets the number of pages timed and REPEAT (default 5)
+ * the number of times each row operation runs per page. jsdom is slower
+ * than a browser, so compare timings with each other rather than with
+ * real page loads. Operations a version doesn't support show "-".
+ *
+ * @package     ArrayPress\RegisterPostFields
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ */
+
+'use strict';
+
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { loadRepeater } = require('./fixture');
+
+const ROWS = 300;
+const RUNS = Number(process.env.RUNS) || 3;
+const REPEAT = Number(process.env.REPEAT) || 5;
+
+const script = process.argv[2] ? path.resolve(process.argv[2]) : undefined;
+
+/**
+ * Get the median of a list of timings.
+ *
+ * @param {Array} times - Timings in milliseconds.
+ * @return {number} The median.
+ */
+function median(times) {
+    const sorted = times.slice().sort((a, b) => a - b);
+
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Time a callback.
+ *
+ * @param {Function} callback - The work to time.
+ * @return {number} Milliseconds taken.
+ */
+function time(callback) {
+    const start = performance.now();
+
+    callback();
+
+    return performance.now() - start;
+}
+
+/**
+ * Run the benchmark once on a fresh page.
+ *
+ * Row operations are repeated and averaged, since one of them takes
+ * about as long as the timer's resolution.
+ *
+ * @return {Promise<Object>} Milliseconds per operation.
+ */
+async function run() {
+    const page = await loadRepeater(ROWS, { script, config: { postId: 1, userId: 1 } });
+    const { $repeater } = page;
+    const rows = () => $repeater.find('.arraypress-repeater__rows > .arraypress-repeater__row');
+    const result = { init: page.initTime };
+
+    result.add = time(() => {
+        for (let i = 0; i < REPEAT; i++) {
+            $repeater.find('.arraypress-repeater__add').first().trigger('click');
+        }
+    }) / REPEAT;
+
+    // Removing the first row re-indexes every row after it
+    result.remove = time(() => {
+        for (let i = 0; i < REPEAT; i++) {
+            rows().first().find('.arraypress-repeater__row-remove').first().trigger('click');
+        }
+    }) / REPEAT;
+
+    // Moving the last row to the top re-indexes every row, like a drag would.
+    // Versions without move buttons can only be sorted by dragging.
+    const last = rows().last()[0];
+
+    rows().last().find('[data-move="top"]').first().trigger('click');
+
+    if (rows()[0] === last) {
+        result.sort = time(() => {
+            for (let i = 0; i < REPEAT; i++) {
+                rows().last().find('[data-move="top"]').first().trigger('click');
+            }
+        }) / REPEAT;
+    }
+
+    if (page.window.arraypressPostFields.importRepeaterRows) {
+        const values = Array.from({ length: ROWS }, (value, index) => ({ title: `Row ${index}`, size: 'l' }));
+
+        result.import = time(() => {
+            page.window.arraypressPostFields.importRepeaterRows($repeater, values, 'append');
+        });
+    }
+
+    page.window.close();
+
+    return result;
+}
+
+(async () => {
+    const results = [];
+
+    for (let i = 0; i < RUNS; i++) {
+        results.push(await run());
+    }
+
+    console.log(`${ROWS} rows, median of ${RUNS} runs (${script || 'assets/js/post-fields.js'})`);
+
+    ['init', 'add', 'remove', 'sort', 'import'].forEach((operation) => {
+        const ms = operation in results[0] ? median(results.map((result) => result[operation])).toFixed(1) : '-';
+
+        console.log(`${operation.padEnd(8)} ${ms.padStart(8)} ms`);
+    });
+})();
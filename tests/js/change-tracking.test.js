@@ -0,0 +1,87 @@
+/**
+ * Change tracking tests
+ *
+ * Fields are snapshotted on first interaction or change instead of on
+ * page load, and edits are compared with the values the page loaded with.
+ *
+ *     npm test
+ *
+ * @package     ArrayPress\RegisterPostFields
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadRepeater } = require('./fixture');
+
+/**
+ * Wait until batched change comparisons have run.
+ *
+ * @return {Promise} Resolves after the comparison delay.
+ */
+function settle() {
+    return new Promise((resolve) => setTimeout(resolve, 200));
+}
+
+/**
+ * Check whether the repeater field is marked as changed.
+ *
+ * @param {Object} page - The loaded fixture.
+ * @return {boolean} Whether the field and its metabox are modified.
+ */
+function isChanged(page) {
+    const changed = page.$('.arraypress-field[data-field-key="items"]').hasClass('arraypress-field--changed');
+
+    assert.strictEqual(page.window.arraypressPostFields.hasUnsavedChanges(), changed);
+
+    return changed;
+}
+
+test('loading the page snapshots no fields', async () => {
+    const page = await loadRepeater(3);
+
+    assert.strictEqual(page.$('.arraypress-field[data-field-key="items"]').data('arraypress-snapshot'), undefined);
+    assert.strictEqual(isChanged(page), false);
+});
+
+test('edits are compared with the loaded values', async () => {
+    const page = await loadRepeater(3);
+    const $input = page.$('input[name="items[1][title]"]');
+
+    $input.trigger('focus').val('Changed').trigger('input');
+    await settle();
+    assert.strictEqual(isChanged(page), true);
+
+    $input.val('').trigger('input');
+    await settle();
+    assert.strictEqual(isChanged(page), false);
+});
+
+test('changes made without focusing the field are detected', async () => {
+    const page = await loadRepeater(3);
+
+    page.$('input[name="items[2][size]"][value="l"]').prop('checked', true).trigger('change');
+    await settle();
+    assert.strictEqual(isChanged(page), true);
+
+    page.$('input[name="items[2][size]"][value="l"]').prop('checked', false).trigger('change');
+    await settle();
+    assert.strictEqual(isChanged(page), false);
+});
+
+test('adding and removing rows compares the whole field', async () => {
+    const page = await loadRepeater(3);
+    const $add = page.$repeater.find('.arraypress-repeater__add');
+
+    $add.trigger('mousedown').trigger('click');
+    await settle();
+    assert.strictEqual(isChanged(page), true);
+
+    page.$repeater.find('.arraypress-repeater__rows > .arraypress-repeater__row').last()
+        .find('.arraypress-repeater__row-remove').trigger('click');
+    await settle();
+    assert.strictEqual(isChanged(page), false);
+});
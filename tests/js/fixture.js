@@ -0,0 +1,138 @@
+/**
+ * Test fixture: a post edit form with one repeater, running the real
+ * post-fields.js in jsdom.
+ *
+ * Needs the development dependencies jsdom and jQuery:
+ *
+ *     npm install
+ *
+ * @package     ArrayPress\RegisterPostFields
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { JSDOM } = require('jsdom');
+
+const SCRIPT = path.join(__dirname, '../../assets/js/post-fields.js');
+
+/**
+ * Build the markup of a repeater row, like render_repeater_row() does.
+ *
+ * Each row has a text input and a radio group.
+ *
+ * @param {string|number} index - The row index (or __INDEX__ for the template).
+ * @return {string} The row markup.
+ */
+function rowMarkup(index) {
+    const name = `items[${index}]`;
+    const moves = ['top', 'up', 'down', 'bottom']
+        .map((move) => `<button type="button" class="arraypress-repeater__row-move-button" data-move="${move}">${move}</button>`)
+        .join('');
+
+    return `<div class="arraypress-repeater__row" data-index="${index}">
+        <div class="arraypress-repeater__row-header">
+            <input type="checkbox" class="arraypress-repeater__row-select"/>
+            <span class="arraypress-repeater__row-handle" tabindex="0" role="button">☰</span>
+            <span class="arraypress-repeater__row-move">${moves}</span>
+            <span class="arraypress-repeater__row-title">Item</span>
+            <button type="button" class="arraypress-repeater__row-toggle">▼</button>
+            <button type="button" class="arraypress-repeater__row-duplicate">⧉</button>
+            <button type="button" class="arraypress-repeater__row-remove">&times;</button>
+        </div>
+        <div class="arraypress-repeater__row-content">
+            <input type="hidden" class="arraypress-repeater__source-input" name="${name}[_row]" value="${typeof index === 'number' ? index : ''}"/>
+            <div class="arraypress-repeater__field" data-field-key="title">
+                <input type="text" name="${name}[title]" value=""/>
+            </div>
+            <div class="arraypress-repeater__field" data-field-key="size">
+                <label><input type="radio" name="${name}[size]" value="s"/> S</label>
+                <label><input type="radio" name="${name}[size]" value="l"/> L</label>
+            </div>
+        </div>
+    </div>`;
+}
+
+/**
+ * Load a post edit form with a repeater of the given number of rows.
+ *
+ * Resolves once post-fields.js has initialized.
+ *
+ * @param {number} [count=0] - Number of rows to render.
+ * @param {Object} [options] - Repeater options (max, min, perPage, rowTitle), the
+ *                             localized config, local storage items and
+ *                             the script to load (defaults to post-fields.js).
+ * @return {Promise<Object>} The jsdom window, its jQuery, the repeater and
+ *                           the milliseconds post-fields.js took to load
+ *                           and initialize.
+ */
+async function loadRepeater(count = 0, options = {}) {
+    const rows = Array.from({ length: count }, (value, index) => rowMarkup(index)).join('');
+    const html = `<!doctype html><body class="post-php"><form id="post">
+        <div class="arraypress-metabox">
+            <div class="arraypress-field arraypress-field--repeater" data-field-key="items">
+                <div class="arraypress-repeater arraypress-repeater--vertical"
+                    data-meta-key="items" data-layout="vertical" data-row-title="${options.rowTitle || 'Item {index}'}"
+                    data-max="${options.max || 0}" data-min="${options.min || 0}"
+                    data-per-page="${options.perPage || 0}" data-collapse-new="0" data-columns="{}">
+                    <div class="arraypress-repeater__toolbar">
+                        <span class="arraypress-repeater__bulk">
+                            <input type="checkbox" class="arraypress-repeater__select-all"/>
+                            <select class="arraypress-repeater__bulk-action">
+                                <option value=""></option>
+                                <option value="delete">Delete</option>
+                                <option value="duplicate">Duplicate</option>
+                                <option value="top">Move to top</option>
+                                <option value="bottom">Move to bottom</option>
+                            </select>
+                            <button type="button" class="arraypress-repeater__bulk-apply" disabled>Apply</button>
+                            <span class="arraypress-repeater__bulk-status"></span>
+                        </span>
+                    </div>
+                    <div class="arraypress-repeater__rows">${rows}</div>
+                    <div class="arraypress-repeater__template" style="display:none">${rowMarkup('__INDEX__')}</div>
+                    <div class="arraypress-repeater__footer">
+                        <button type="button" class="arraypress-repeater__add">Add Item</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    </form></body>`;
+
+    const dom = new JSDOM(html, {
+        url: 'https://example.test/wp-admin/post.php?post=1&action=edit',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+
+    window.eval(fs.readFileSync(require.resolve('jquery'), 'utf8'));
+    // jQuery UI and WordPress plugins the page would load
+    window.eval('jQuery.fn.sortable = jQuery.fn.wpColorPicker = jQuery.fn.select2 = function () { return this; };');
+    Object.entries(options.storage || {}).forEach(([key, value]) => {
+        window.localStorage.setItem(key, value);
+    });
+
+    window.arraypressPostFields = Object.assign({ i18n: {} }, options.config);
+
+    const script = fs.readFileSync(options.script || SCRIPT, 'utf8');
+    const start = performance.now();
+
+    window.eval(script);
+
+    // post-fields.js initializes on document ready
+    await new Promise((resolve) => window.jQuery(resolve));
+
+    return {
+        window,
+        $: window.jQuery,
+        $repeater: window.jQuery('.arraypress-repeater'),
+        initTime: performance.now() - start
+    };
+}
+
+module.exports = { loadRepeater, rowMarkup };
@@ -0,0 +1,112 @@
+/**
+ * Repeater collapse state tests
+ *
+ * Collapse state is saved when rows are toggled, stays with its rows and
+ * is kept for a limited number of posts.
+ *
+ *     npm test
+ *
+ * @package     ArrayPress\RegisterPostFields
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadRepeater } = require('./fixture');
+
+const KEY = 'arraypress-post-fields-collapse-1-1';
+const INDEX_KEY = 'arraypress-post-fields-collapse-index';
+const config = { postId: 1, userId: 1 };
+
+/**
+ * Get the rows of the fixture repeater.
+ *
+ * @param {Object} page - The loaded fixture.
+ * @return {jQuery} The rows.
+ */
+function rows(page) {
+    return page.$repeater.find('.arraypress-repeater__rows > .arraypress-repeater__row');
+}
+
+/**
+ * Read the saved collapse state.
+ *
+ * @param {Object} page - The loaded fixture.
+ * @return {Object|null} The state.
+ */
+function savedState(page) {
+    return JSON.parse(page.window.localStorage.getItem(KEY));
+}
+
+/**
+ * List which rows are collapsed, e.g. [false, true].
+ *
+ * @param {Object} page - The loaded fixture.
+ * @return {Array} Collapsed flags in row order.
+ */
+function collapsed(page) {
+    return Array.from(rows(page).map(function () {
+        return page.$(this).hasClass('is-collapsed');
+    }).get());
+}
+
+test('collapse state is saved on toggle and keyed by the stored row', async () => {
+    const page = await loadRepeater(3, { config });
+
+    rows(page).eq(1).find('.arraypress-repeater__row-toggle').trigger('click');
+    assert.deepStrictEqual(savedState(page), { items: ['1'] });
+
+    // Adding, removing and moving rows doesn't save anything
+    page.window.localStorage.removeItem(KEY);
+    rows(page).eq(0).find('.arraypress-repeater__row-remove').trigger('click');
+    page.$repeater.find('.arraypress-repeater__add').trigger('click');
+    rows(page).eq(0).find('[data-move="bottom"]').trigger('click');
+    assert.strictEqual(savedState(page), null);
+
+    // Stored row 1 moved to the bottom and is still the collapsed one
+    rows(page).eq(0).find('.arraypress-repeater__row-toggle').trigger('click');
+    assert.deepStrictEqual(savedState(page), { items: ['2', '1'] });
+});
+
+test('saved state is applied to the stored rows on page load', async () => {
+    const page = await loadRepeater(3, {
+        config,
+        storage: { [KEY]: JSON.stringify({ items: ['2'] }) }
+    });
+
+    assert.deepStrictEqual(collapsed(page), [false, false, true]);
+});
+
+test('saving the post re-keys the state by row position', async () => {
+    const page = await loadRepeater(3, { config });
+
+    rows(page).eq(0).find('.arraypress-repeater__row-toggle').trigger('click');
+    rows(page).eq(0).find('[data-move="bottom"]').trigger('click');
+    // Runs after the library's handler; jsdom can't submit forms
+    page.$('#post').on('submit', (e) => e.preventDefault()).trigger('submit');
+
+    assert.deepStrictEqual(savedState(page), { items: ['2'] });
+});
+
+test('only the most recently changed posts keep their state', async () => {
+    const older = Array.from({ length: 50 }, (value, index) => `arraypress-post-fields-collapse-1-${index + 100}`);
+    const storage = { [INDEX_KEY]: JSON.stringify(older) };
+
+    older.forEach((key) => {
+        storage[key] = '{}';
+    });
+
+    const page = await loadRepeater(1, { config, storage });
+
+    rows(page).eq(0).find('.arraypress-repeater__row-toggle').trigger('click');
+
+    const keys = JSON.parse(page.window.localStorage.getItem(INDEX_KEY));
+
+    assert.strictEqual(keys.length, 50);
+    assert.strictEqual(keys[0], KEY);
+    assert.strictEqual(page.window.localStorage.getItem(older[49]), null);
+    assert.strictEqual(page.window.localStorage.getItem(older[48]), '{}');
+});
@@ -0,0 +1,78 @@
+/**
+ * Repeater row duplication tests
+ *
+ * Duplicated rows keep what media fields show besides their input values,
+ * and a repeater without a template can't fail halfway through.
+ *
+ *     npm test
+ *
+ * @package     ArrayPress\RegisterPostFields
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadRepeater } = require('./fixture');
+
+/**
+ * Build the markup of an image field with a focal point, like
+ * render_nested_image() does.
+ *
+ * @param {string|number} index    - The row index (or __INDEX__ for the template).
+ * @param {Object}        [image]  - The selected image: id, filename and editor image URL.
+ * @return {string} The field markup.
+ */
+function imageMarkup(index, image = {}) {
+    const shown = image.id ? '' : ' style="display:none"';
+
+    return `<div class="arraypress-repeater__field" data-field-key="photo">
+        <div class="arraypress-media-field arraypress-image-field" data-type="image"
+            data-filename="${image.filename || ''}" data-editor-src="${image.src || ''}">
+            <input type="hidden" class="arraypress-media-input" name="items[${index}][photo]" value="${image.id || ''}"/>
+            <div class="arraypress-media-preview">${image.id ? '<img alt="" src="thumb.jpg"/>' : ''}</div>
+            <button type="button" class="arraypress-image-focus-edit"${shown}>Focal point</button>
+            <button type="button" class="arraypress-media-remove"${shown}>Remove</button>
+        </div>
+    </div>`;
+}
+
+/**
+ * Get the rendered rows.
+ *
+ * @param {Object} page - The loaded fixture.
+ * @return {jQuery} The rows.
+ */
+function rows(page) {
+    return page.$repeater.find('.arraypress-repeater__rows > .arraypress-repeater__row');
+}
+
+test('duplicated rows keep the file name and focal point image of media fields', async () => {
+    const page = await loadRepeater(1);
+    const image = { id: 12, filename: 'photo.jpg', src: 'https://example.test/photo-large.jpg' };
+
+    page.$repeater.find('.arraypress-repeater__template .arraypress-repeater__row-content').append(imageMarkup('__INDEX__'));
+    rows(page).first().find('.arraypress-repeater__row-content').append(imageMarkup(0, image));
+
+    rows(page).first().find('.arraypress-repeater__row-duplicate').trigger('click');
+
+    const $media = rows(page).eq(1).find('.arraypress-media-field');
+
+    assert.strictEqual($media.find('.arraypress-media-input').val(), '12');
+    assert.strictEqual($media.attr('data-filename'), 'photo.jpg');
+    assert.strictEqual($media.attr('data-editor-src'), image.src);
+    assert.strictEqual($media.find('.arraypress-image-focus-edit').css('display'), 'inline-block');
+});
+
+test('duplicating a row of a repeater without a template does nothing', async () => {
+    const page = await loadRepeater(2);
+
+    page.$repeater.find('.arraypress-repeater__template').remove();
+
+    assert.doesNotThrow(() => {
+        rows(page).first().find('.arraypress-repeater__row-duplicate').trigger('click');
+    });
+    assert.strictEqual(rows(page).length, 2);
+});
@@ -0,0 +1,90 @@
+/**
+ * Repeater import tests
+ *
+ * Imports respect min_items and max_items and announce the new rows with
+ * a single rows-changed event.
+ *
+ *     npm test
+ *
+ * @package     ArrayPress\RegisterPostFields
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadRepeater } = require('./fixture');
+
+/**
+ * Build import rows.
+ *
+ * @param {number} count - Number of rows.
+ * @return {Array} Row objects.
+ */
+function importRows(count) {
+    return Array.from({ length: count }, (value, index) => ({ title: `Imported ${index}`, size: 'l' }));
+}
+
+/**
+ * Record the lifecycle events fired while running a callback.
+ *
+ * @param {Object}   page     - The loaded fixture.
+ * @param {Function} callback - The work to run.
+ * @return {Array} Event names and data, in order.
+ */
+function recordEvents(page, callback) {
+    const api = page.window.arraypressPostFields;
+    const events = [];
+    const listeners = ['row-added', 'row-removed', 'rows-changed'].map((event) => {
+        const listener = (data) => events.push({ event, data });
+
+        api.on(event, listener);
+
+        return [event, listener];
+    });
+
+    callback();
+    listeners.forEach(([event, listener]) => api.off(event, listener));
+
+    return events;
+}
+
+test('replacing rows fires one rows-changed event with the new rows', async () => {
+    const page = await loadRepeater(3);
+    const api = page.window.arraypressPostFields;
+    const events = recordEvents(page, () => {
+        assert.strictEqual(api.importRepeaterRows(page.$repeater, importRows(2), 'replace'), true);
+    });
+
+    assert.deepStrictEqual(events.map((item) => item.event), ['rows-changed']);
+    assert.strictEqual(events[0].data.action, 'import');
+    assert.strictEqual(events[0].data.$rows.length, 2);
+
+    const names = page.$repeater.find('.arraypress-repeater__rows > .arraypress-repeater__row input[type="text"]')
+        .map(function () {
+            return this.name + '=' + this.value;
+        }).get();
+
+    assert.deepStrictEqual(Array.from(names), ['items[0][title]=Imported 0', 'items[1][title]=Imported 1']);
+});
+
+test('replacing rows with fewer than min_items keeps the existing rows', async () => {
+    const page = await loadRepeater(3, { min: 3 });
+    const api = page.window.arraypressPostFields;
+    const events = recordEvents(page, () => {
+        assert.strictEqual(api.importRepeaterRows(page.$repeater, importRows(2), 'replace'), false);
+    });
+
+    assert.deepStrictEqual(events, []);
+    assert.strictEqual(page.$repeater.find('.arraypress-repeater__rows > .arraypress-repeater__row').length, 3);
+});
+
+test('appended rows stop at max_items', async () => {
+    const page = await loadRepeater(3, { max: 4 });
+
+    page.window.arraypressPostFields.importRepeaterRows(page.$repeater, importRows(3), 'append');
+
+    assert.strictEqual(page.$repeater.find('.arraypress-repeater__rows > .arraypress-repeater__row').length, 4);
+});
@@ -0,0 +1,84 @@
+/**
+ * Repeater re-indexing tests
+ *
+ * Re-indexing must never give two rows the same input names, even for a
+ * moment, or checked radios of one row are cleared.
+ *
+ *     npm test
+ *
+ * @package     ArrayPress\RegisterPostFields
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadRepeater } = require('./fixture');
+
+/**
+ * Check one radio per row, then return a helper reading each row's index
+ * and checked radio, e.g. ['0:s', '1:l'].
+ *
+ * @param {Object} page  - The loaded fixture.
+ * @param {Array}  sizes - The size to check in each row.
+ * @return {Function} Reads the rows' state.
+ */
+function checkSizes(page, sizes) {
+    const { $, $repeater } = page;
+    const rows = () => $repeater.find('.arraypress-repeater__rows > .arraypress-repeater__row');
+
+    rows().each(function (index) {
+        $(this).find(`input[type="radio"][value="${sizes[index]}"]`).prop('checked', true);
+    });
+
+    // Array.from: arrays from the jsdom window have another prototype
+    return () => Array.from(rows().map(function () {
+        const $row = $(this);
+        const index = $row.attr('data-index');
+
+        assert.strictEqual($row.find('input[type="radio"]').first().attr('name'), `items[${index}][size]`);
+
+        return `${index}:${$row.find('input[type="radio"]:checked').val() || 'none'}`;
+    }).get());
+}
+
+test('duplicating a row keeps the checked radios of every row', async () => {
+    const page = await loadRepeater(3);
+    const state = checkSizes(page, ['s', 'l', 's']);
+
+    page.$repeater.find('.arraypress-repeater__rows > .arraypress-repeater__row').first().find('.arraypress-repeater__row-duplicate').trigger('click');
+
+    assert.deepStrictEqual(state(), ['0:s', '1:s', '2:l', '3:s']);
+});
+
+test('moving a row keeps the checked radios of every row', async () => {
+    const page = await loadRepeater(3);
+    const state = checkSizes(page, ['s', 'l', 'l']);
+
+    page.$repeater.find('.arraypress-repeater__rows > .arraypress-repeater__row').last().find('[data-move="top"]').trigger('click');
+    assert.deepStrictEqual(state(), ['0:l', '1:s', '2:l']);
+
+    page.$repeater.find('.arraypress-repeater__rows > .arraypress-repeater__row').first().find('[data-move="down"]').trigger('click');
+    assert.deepStrictEqual(state(), ['0:s', '1:l', '2:l']);
+});
+
+test('bulk moves and duplicates keep the checked radios of every row', async () => {
+    const page = await loadRepeater(4);
+    const state = checkSizes(page, ['s', 'l', 's', 'l']);
+    const bulk = (action, rows) => {
+        page.$repeater.find('.arraypress-repeater__row-select').prop('checked', false);
+        rows.forEach((index) => {
+            page.$repeater.find(`.arraypress-repeater__row[data-index="${index}"] .arraypress-repeater__row-select`).prop('checked', true);
+        });
+        page.$repeater.find('.arraypress-repeater__bulk-action').val(action);
+        page.$repeater.find('.arraypress-repeater__bulk-apply').prop('disabled', false).trigger('click');
+    };
+
+    bulk('bottom', [0, 2]);
+    assert.deepStrictEqual(state(), ['0:l', '1:l', '2:s', '3:s']);
+
+    bulk('duplicate', [0, 2]);
+    assert.deepStrictEqual(state(), ['0:l', '1:l', '2:l', '3:s', '4:s', '5:s']);
+});
@@ -0,0 +1,102 @@
+/**
+ * Repeater row title tests
+ *
+ * Live row titles drop the separators left around empty placeholders,
+ * but keep separator characters that are part of the configured title.
+ * They update once typing pauses, and only for fields the title shows.
+ *
+ *     npm test
+ *
+ * @package     ArrayPress\RegisterPostFields
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadRepeater } = require('./fixture');
+
+/**
+ * Wait until row title updates have run.
+ *
+ * @return {Promise} Resolves after the title update delay.
+ */
+function settle() {
+    return new Promise((resolve) => setTimeout(resolve, 200));
+}
+
+/**
+ * Get the title element of the first row.
+ *
+ * @param {Object} page - The loaded fixture.
+ * @return {jQuery} The row title.
+ */
+function firstTitle(page) {
+    return page.$repeater.find('.arraypress-repeater__rows > .arraypress-repeater__row').first()
+        .find('.arraypress-repeater__row-title');
+}
+
+/**
+ * Type a title into the first row and return the row title shown.
+ *
+ * @param {Object} page  - The loaded fixture.
+ * @param {string} value - The title field value.
+ * @return {Promise<string>} The row title.
+ */
+async function typeTitle(page, value) {
+    page.$repeater.find('input[name="items[0][title]"]').val(value).trigger('input');
+    await settle();
+
+    return firstTitle(page).text();
+}
+
+test('an empty placeholder takes the separator before it along', async () => {
+    const page = await loadRepeater(1, { rowTitle: 'Item {index} - {field:title}' });
+
+    assert.strictEqual(await typeTitle(page, 'Shoes'), 'Item 1 - Shoes');
+    assert.strictEqual(await typeTitle(page, ''), 'Item 1');
+});
+
+test('an empty placeholder at the start takes the separator after it along', async () => {
+    const page = await loadRepeater(1, { rowTitle: '{field:title} | Item {index}' });
+
+    assert.strictEqual(await typeTitle(page, 'Shoes'), 'Shoes | Item 1');
+    assert.strictEqual(await typeTitle(page, ''), 'Item 1');
+});
+
+test('separator characters of the configured title are kept', async () => {
+    const page = await loadRepeater(1, { rowTitle: '-10%: {field:title} Q&amp;A:' });
+
+    assert.strictEqual(await typeTitle(page, 'Shoes'), '-10%: Shoes Q&A:');
+    assert.strictEqual(await typeTitle(page, ''), '-10% Q&A:');
+});
+
+test('dashes around an empty placeholder are dropped', async () => {
+    const page = await loadRepeater(1, { rowTitle: '{field:title} – Item {index}' });
+
+    assert.strictEqual(await typeTitle(page, ''), 'Item 1');
+});
+
+test('titles update once typing pauses', async () => {
+    const page = await loadRepeater(1, { rowTitle: '{field:title}' });
+    const $input = page.$repeater.find('input[name="items[0][title]"]');
+
+    $input.val('S').trigger('input');
+    $input.val('Sh').trigger('input');
+    assert.strictEqual(firstTitle(page).text(), 'Item');
+
+    await settle();
+    assert.strictEqual(firstTitle(page).text(), 'Sh');
+});
+
+test('fields the title does not show leave it alone', async () => {
+    const page = await loadRepeater(1, { rowTitle: '{field:title}' });
+
+    firstTitle(page).text('Unchanged');
+    page.$repeater.find('input[name="items[0][size]"]').first().prop('checked', true).trigger('change');
+    await settle();
+
+    assert.strictEqual(firstTitle(page).text(), 'Unchanged');
+});